@@ -0,0 +1,131 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { motion } from 'framer-motion';
+import { adminUserAPI, handleError } from '@/lib/api.service';
+import Icon from '@/components/Icon';
+import Toast from '@/components/ui/Toast';
+
+export default function AdminChangePasswordPage() {
+  const router = useRouter();
+  const [form, setForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [isRequired, setIsRequired] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [toast, setToast] = useState({ show: false, message: '', type: '' });
+
+  const showToast = (message, type) => {
+    setToast({ message, type, show: true });
+  };
+
+  const closeToast = () => {
+    setToast({ ...toast, show: false });
+  };
+
+  useEffect(() => {
+    const session = JSON.parse(localStorage.getItem('admin_session') || 'null');
+    setIsRequired(Boolean(session?.mustChangePassword));
+  }, []);
+
+  const updateForm = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (form.newPassword !== form.confirmPassword) {
+      showToast('New passwords do not match', 'error');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await adminUserAPI.changePassword(form.currentPassword, form.newPassword);
+
+      if (!response.success) {
+        const details = response.data?.errors?.map(err => err.message).join(', ');
+        showToast(details || response.message || 'Failed to change password', 'error');
+        return;
+      }
+
+      const session = JSON.parse(localStorage.getItem('admin_session') || '{}');
+      localStorage.setItem('admin_session', JSON.stringify({ ...session, mustChangePassword: false }));
+
+      showToast('Password changed. Redirecting...', 'success');
+      setTimeout(() => {
+        router.push(session.twoFactorSetupRequired ? '/admin/two-factor' : '/admin/dashboard');
+      }, 1500);
+    } catch (err) {
+      handleError(err, showToast);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      {toast.show && <Toast message={toast.message} type={toast.type} onClose={closeToast} />}
+
+      <motion.div
+        className="flex items-center justify-center min-h-[calc(100vh-250px)] py-12 px-4"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ duration: 0.5 }}
+      >
+        <div className="card bg-base-100 shadow-2xl w-full max-w-md">
+          <form onSubmit={handleSubmit} className="card-body p-8 space-y-4">
+            <div className="text-center mb-4">
+              <div className="inline-block bg-primary/10 p-4 rounded-full">
+                <Icon name="KeyRound" className="w-10 h-10 text-primary" />
+              </div>
+              <h1 className="text-3xl font-bold mt-4 text-base-content">Change Password</h1>
+              {isRequired && (
+                <p className="text-base-content/70 mt-2">
+                  You are using a temporary password. Choose a new one to continue.
+                </p>
+              )}
+            </div>
+
+            <label className="form-control">
+              <span className="label-text font-semibold mb-1">{isRequired ? 'Temporary password' : 'Current password'}</span>
+              <input
+                type="password"
+                className="input input-bordered"
+                value={form.currentPassword}
+                onChange={(e) => updateForm('currentPassword', e.target.value)}
+                required
+              />
+            </label>
+            <label className="form-control">
+              <span className="label-text font-semibold mb-1">New password</span>
+              <input
+                type="password"
+                className="input input-bordered"
+                minLength={10}
+                value={form.newPassword}
+                onChange={(e) => updateForm('newPassword', e.target.value)}
+                required
+              />
+            </label>
+            <label className="form-control">
+              <span className="label-text font-semibold mb-1">Confirm new password</span>
+              <input
+                type="password"
+                className="input input-bordered"
+                minLength={10}
+                value={form.confirmPassword}
+                onChange={(e) => updateForm('confirmPassword', e.target.value)}
+                required
+              />
+            </label>
+
+            <button type="submit" className="btn btn-primary w-full" disabled={saving}>
+              {saving ? <span className="loading loading-spinner"></span> : 'Change Password'}
+            </button>
+          </form>
+        </div>
+      </motion.div>
+    </>
+  );
+}
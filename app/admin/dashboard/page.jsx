@@ -1,15 +1,41 @@
 "use client";
 
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
 import { motion } from 'framer-motion';
 import { useState, useEffect } from 'react';
 import AppealList from '@/components/admin/AppealList';
 import AccessLogList from '@/components/admin/AccessLogList';
 import ExcelExportButton from '@/components/admin/ExcelExportButton';
+import ComparisonPolicyEditor from '@/components/admin/ComparisonPolicyEditor';
+import AttemptPolicyEditor from '@/components/admin/AttemptPolicyEditor';
+import FieldAliasManager from '@/components/admin/FieldAliasManager';
+import EntityManager from '@/components/admin/EntityManager';
+import UnblockRequestQueue from '@/components/admin/UnblockRequestQueue';
+import SecurityAlertList from '@/components/admin/SecurityAlertList';
+import EmailQueueList from '@/components/admin/EmailQueueList';
 import Icon from '@/components/Icon';
+import { refreshExpiringSessions, authFetch } from '@/lib/api.service';
 import Toast from '@/components/ui/Toast';
 
+// Dashboard tabs in display order, with the permission each one needs
+const TAB_PERMISSIONS = [
+  ['appeals', 'view_appeals'],
+  ['logs', 'view_logs'],
+  ['emails', 'view_logs'],
+  ['unblocks', 'manage_verifiers'],
+  ['security', 'manage_verifiers'],
+  ['policy', 'manage_settings'],
+  ['attempts', 'manage_settings'],
+  ['synonyms', 'manage_settings'],
+  ['entities', 'manage_settings']
+];
+
 export default function AdminDashboardPage() {
+  const router = useRouter();
   const [stats, setStats] = useState(null);
+  const [entityScope, setEntityScope] = useState(null);
+  const [permissions, setPermissions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('appeals');
   const [toast, setToast] = useState({ show: false, message: '', type: '' });
@@ -22,33 +48,50 @@ export default function AdminDashboardPage() {
     setToast({ ...toast, show: false });
   };
 
+  const can = (permission) => permissions.includes(permission);
+
   useEffect(() => {
     const loadStats = async () => {
       try {
         setLoading(true);
 
-        // Get token from admin session
-        const sessionData = localStorage.getItem('admin_session');
-        const session = sessionData ? JSON.parse(sessionData) : null;
+        // The access token may have expired while the page was closed
+        await refreshExpiringSessions();
 
-        if (!session?.token) {
+        if (!localStorage.getItem('admin_session')) {
           showToast('Please log in again', 'error');
           return;
         }
 
         // Fetch dashboard stats from API
-        const response = await fetch('/api/admin/dashboard', {
+        const response = await authFetch('/api/admin/dashboard', {
           method: 'GET',
           headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${session.token}`
+            'Content-Type': 'application/json'
           }
         });
 
         const data = await response.json();
 
+        if (data.code === 'PASSWORD_CHANGE_REQUIRED') {
+          router.replace('/admin/change-password');
+          return;
+        }
+
+        if (data.code === 'TWO_FACTOR_SETUP_REQUIRED') {
+          router.replace('/admin/two-factor');
+          return;
+        }
+
         if (data.success && data.data?.summary) {
           setStats(data.data.summary);
+          setEntityScope(data.data.entityScope ?? null);
+
+          // Open the first tab this admin is allowed to see
+          const granted = data.data.permissions || [];
+          setPermissions(granted);
+          const firstTab = TAB_PERMISSIONS.find(([, permission]) => granted.includes(permission));
+          setActiveTab(firstTab ? firstTab[0] : null);
         } else {
           showToast(data.message || 'Failed to load dashboard data', 'error');
         }
@@ -82,8 +125,51 @@ export default function AdminDashboardPage() {
             <p className="mt-2 text-lg text-base-content/70">
               Review and manage employee verification queries.
             </p>
+            {entityScope && (
+              <div className="mt-2 flex flex-wrap items-center gap-2 text-sm text-base-content/70">
+                <Icon name="Building2" className="w-4 h-4" />
+                {entityScope.length > 0 ? (
+                  <>Showing data for {entityScope.map(code => (
+                    <span key={code} className="badge badge-outline badge-sm">{code}</span>
+                  ))}</>
+                ) : (
+                  <span className="text-warning">No entities are assigned to your account. Ask a super admin for access.</span>
+                )}
+              </div>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <Link href="/admin/two-factor" className="btn btn-outline gap-2">
+              <Icon name="Smartphone" className="w-4 h-4" />
+              Two-Factor
+            </Link>
+            <Link href="/admin/sessions" className="btn btn-outline gap-2">
+              <Icon name="MonitorSmartphone" className="w-4 h-4" />
+              Sessions
+            </Link>
+            {can('manage_admins') && (
+              <Link href="/admin/users" className="btn btn-outline gap-2">
+                <Icon name="ShieldCheck" className="w-4 h-4" />
+                Admin Users
+              </Link>
+            )}
+            {can('manage_verifiers') && (
+              <Link href="/admin/verifiers" className="btn btn-outline gap-2">
+                <Icon name="BadgeCheck" className="w-4 h-4" />
+                Verifiers
+                {stats?.pendingVerifiers > 0 && (
+                  <span className="badge badge-warning badge-sm">{stats.pendingVerifiers}</span>
+                )}
+              </Link>
+            )}
+            {can('view_employees') && (
+              <Link href="/admin/employees" className="btn btn-outline gap-2">
+                <Icon name="Database" className="w-4 h-4" />
+                Employee Records
+              </Link>
+            )}
+            {can('export_data') && <ExcelExportButton />}
           </div>
-          <ExcelExportButton />
         </div>
 
         {/* Statistics Cards */}
@@ -134,7 +220,9 @@ export default function AdminDashboardPage() {
                   </div>
                   <Icon name="Users" className="w-8 h-8 text-success/20" />
                 </div>
-                <p className="text-xs text-base-content/50 mt-2">Total: {stats.totalVerifiers}</p>
+                <p className="text-xs text-base-content/50 mt-2">
+                  Total: {stats.totalVerifiers}{stats.pendingVerifiers > 0 && ` · Awaiting approval: ${stats.pendingVerifiers}`}
+                </p>
               </div>
             </div>
 
@@ -157,32 +245,119 @@ export default function AdminDashboardPage() {
         <div className="card bg-base-100 shadow-xl">
           <div className="card-body p-0">
             <div role="tablist" className="tabs tabs-bordered tabs-lg w-full">
-              <a
-                role="tab"
-                className={`tab h-14 ${activeTab === 'appeals' ? 'tab-active font-bold' : ''}`}
-                onClick={() => setActiveTab('appeals')}
-              >
-                Query Management
-                {stats && stats.pendingAppeals > 0 && (
-                  <span className="badge badge-warning badge-sm ml-2">
-                    {stats.pendingAppeals}
-                  </span>
-                )}
-              </a>
-              <a
-                role="tab"
-                className={`tab h-14 ${activeTab === 'logs' ? 'tab-active font-bold' : ''}`}
-                onClick={() => setActiveTab('logs')}
-              >
-                Access Logs
-              </a>
+              {can('view_appeals') && (
+                <a
+                  role="tab"
+                  className={`tab h-14 ${activeTab === 'appeals' ? 'tab-active font-bold' : ''}`}
+                  onClick={() => setActiveTab('appeals')}
+                >
+                  Query Management
+                  {stats && stats.pendingAppeals > 0 && (
+                    <span className="badge badge-warning badge-sm ml-2">
+                      {stats.pendingAppeals}
+                    </span>
+                  )}
+                </a>
+              )}
+              {can('view_logs') && (
+                <a
+                  role="tab"
+                  className={`tab h-14 ${activeTab === 'logs' ? 'tab-active font-bold' : ''}`}
+                  onClick={() => setActiveTab('logs')}
+                >
+                  Access Logs
+                </a>
+              )}
+              {can('view_logs') && (
+                <a
+                  role="tab"
+                  className={`tab h-14 ${activeTab === 'emails' ? 'tab-active font-bold' : ''}`}
+                  onClick={() => setActiveTab('emails')}
+                >
+                  Email Queue
+                  {stats && stats.deadEmailJobs > 0 && (
+                    <span className="badge badge-error badge-sm ml-2">
+                      {stats.deadEmailJobs}
+                    </span>
+                  )}
+                </a>
+              )}
+              {can('manage_verifiers') && (
+                <a
+                  role="tab"
+                  className={`tab h-14 ${activeTab === 'unblocks' ? 'tab-active font-bold' : ''}`}
+                  onClick={() => setActiveTab('unblocks')}
+                >
+                  Unblock Requests
+                  {stats && stats.pendingUnblockRequests > 0 && (
+                    <span className="badge badge-warning badge-sm ml-2">
+                      {stats.pendingUnblockRequests}
+                    </span>
+                  )}
+                </a>
+              )}
+              {can('manage_verifiers') && (
+                <a
+                  role="tab"
+                  className={`tab h-14 ${activeTab === 'security' ? 'tab-active font-bold' : ''}`}
+                  onClick={() => setActiveTab('security')}
+                >
+                  Security Alerts
+                  {stats && stats.openSecurityAlerts > 0 && (
+                    <span className="badge badge-error badge-sm ml-2">
+                      {stats.openSecurityAlerts}
+                    </span>
+                  )}
+                </a>
+              )}
+              {can('manage_settings') && (
+                <>
+                  <a
+                    role="tab"
+                    className={`tab h-14 ${activeTab === 'policy' ? 'tab-active font-bold' : ''}`}
+                    onClick={() => setActiveTab('policy')}
+                  >
+                    Comparison Policy
+                  </a>
+                  <a
+                    role="tab"
+                    className={`tab h-14 ${activeTab === 'attempts' ? 'tab-active font-bold' : ''}`}
+                    onClick={() => setActiveTab('attempts')}
+                  >
+                    Attempt Limits
+                  </a>
+                  <a
+                    role="tab"
+                    className={`tab h-14 ${activeTab === 'synonyms' ? 'tab-active font-bold' : ''}`}
+                    onClick={() => setActiveTab('synonyms')}
+                  >
+                    Synonyms
+                  </a>
+                  <a
+                    role="tab"
+                    className={`tab h-14 ${activeTab === 'entities' ? 'tab-active font-bold' : ''}`}
+                    onClick={() => setActiveTab('entities')}
+                  >
+                    Entities
+                  </a>
+                </>
+              )}
             </div>
 
             <div className="p-6">
-              {activeTab === 'appeals' ? (
-                <AppealList />
-              ) : (
-                <AccessLogList />
+              {activeTab === 'appeals' && <AppealList />}
+              {activeTab === 'logs' && <AccessLogList />}
+              {activeTab === 'emails' && <EmailQueueList showToast={showToast} canResend={can('manage_email')} />}
+              {activeTab === 'unblocks' && <UnblockRequestQueue showToast={showToast} />}
+              {activeTab === 'security' && <SecurityAlertList showToast={showToast} />}
+              {activeTab === 'policy' && <ComparisonPolicyEditor showToast={showToast} />}
+              {activeTab === 'attempts' && <AttemptPolicyEditor showToast={showToast} />}
+              {activeTab === 'synonyms' && <FieldAliasManager showToast={showToast} />}
+              {activeTab === 'entities' && <EntityManager showToast={showToast} />}
+              {!loading && !activeTab && (
+                <p className="text-center text-base-content/60 py-6">
+                  Your account has no dashboard sections assigned. Ask a super admin for access.
+                </p>
               )}
             </div>
           </div>
@@ -0,0 +1,68 @@
+"use client";
+
+import Link from 'next/link';
+import { motion } from 'framer-motion';
+import { useState } from 'react';
+import EmployeeManager from '@/components/admin/EmployeeManager';
+import EmployeeImportPanel from '@/components/admin/EmployeeImportPanel';
+import Icon from '@/components/Icon';
+import Toast from '@/components/ui/Toast';
+
+export default function AdminEmployeesPage() {
+  const [toast, setToast] = useState({ show: false, message: '', type: '' });
+  const [showImport, setShowImport] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const showToast = (message, type) => {
+    setToast({ message, type, show: true });
+  };
+
+  const closeToast = () => {
+    setToast({ ...toast, show: false });
+  };
+
+  return (
+    <>
+      {toast.show && <Toast message={toast.message} type={toast.type} onClose={closeToast} />}
+
+      <motion.div
+        className="w-full max-w-6xl mx-auto"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ duration: 0.5 }}
+      >
+        <div className="mb-8">
+          <Link href="/admin/dashboard" className="btn btn-ghost mb-4">
+            <Icon name="ArrowLeft" className="w-4 h-4" />
+            Back to Dashboard
+          </Link>
+          <div className="flex flex-wrap items-end justify-between gap-4">
+            <div>
+              <h1 className="text-4xl font-bold text-base-content tracking-tight flex items-center gap-3">
+                <Icon name="Database" className="w-9 h-9 text-primary" />
+                Employee Records
+              </h1>
+              <p className="mt-2 text-lg text-base-content/70">
+                Search, add and correct ex-employee master data. Every change is audited.
+              </p>
+            </div>
+            <button className="btn btn-outline gap-2" onClick={() => setShowImport(prev => !prev)}>
+              <Icon name={showImport ? 'X' : 'Upload'} className="w-4 h-4" />
+              {showImport ? 'Close Import' : 'Import from HRMS'}
+            </button>
+          </div>
+        </div>
+
+        {showImport && (
+          <div className="card bg-base-100 shadow-xl mb-8">
+            <div className="card-body">
+              <EmployeeImportPanel showToast={showToast} onCommitted={() => setRefreshKey(prev => prev + 1)} />
+            </div>
+          </div>
+        )}
+
+        <EmployeeManager key={refreshKey} showToast={showToast} />
+      </motion.div>
+    </>
+  );
+}
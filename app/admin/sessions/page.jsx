@@ -0,0 +1,53 @@
+"use client";
+
+import Link from 'next/link';
+import { motion } from 'framer-motion';
+import { useState } from 'react';
+import ActiveSessions from '@/components/auth/ActiveSessions';
+import Icon from '@/components/Icon';
+import Toast from '@/components/ui/Toast';
+
+export default function AdminSessionsPage() {
+  const [toast, setToast] = useState({ show: false, message: '', type: '' });
+
+  const showToast = (message, type) => {
+    setToast({ message, type, show: true });
+  };
+
+  const closeToast = () => {
+    setToast({ ...toast, show: false });
+  };
+
+  return (
+    <>
+      {toast.show && <Toast message={toast.message} type={toast.type} onClose={closeToast} />}
+
+      <motion.div
+        className="w-full max-w-5xl mx-auto"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ duration: 0.5 }}
+      >
+        <div className="mb-8">
+          <Link href="/admin/dashboard" className="btn btn-ghost mb-4">
+            <Icon name="ArrowLeft" className="w-4 h-4" />
+            Back to Dashboard
+          </Link>
+          <h1 className="text-4xl font-bold text-base-content tracking-tight flex items-center gap-3">
+            <Icon name="MonitorSmartphone" className="w-9 h-9 text-primary" />
+            Sessions
+          </h1>
+          <p className="mt-2 text-lg text-base-content/70">
+            See where your admin account is signed in and log out sessions you no longer use.
+          </p>
+        </div>
+
+        <div className="card bg-base-100 shadow-xl">
+          <div className="card-body">
+            <ActiveSessions showToast={showToast} sessionKey="admin_session" />
+          </div>
+        </div>
+      </motion.div>
+    </>
+  );
+}
@@ -0,0 +1,63 @@
+"use client";
+
+import Link from 'next/link';
+import { motion } from 'framer-motion';
+import { useState } from 'react';
+import TwoFactorSettings from '@/components/admin/TwoFactorSettings';
+import Icon from '@/components/Icon';
+import Toast from '@/components/ui/Toast';
+
+export default function AdminTwoFactorPage() {
+  const [toast, setToast] = useState({ show: false, message: '', type: '' });
+
+  const showToast = (message, type) => {
+    setToast({ message, type, show: true });
+  };
+
+  const closeToast = () => {
+    setToast({ ...toast, show: false });
+  };
+
+  // Keep the stored session in step so the login redirect is not repeated
+  const handleEnabled = () => {
+    const session = JSON.parse(localStorage.getItem('admin_session') || '{}');
+    localStorage.setItem('admin_session', JSON.stringify({
+      ...session,
+      twoFactorEnabled: true,
+      twoFactorSetupRequired: false
+    }));
+  };
+
+  return (
+    <>
+      {toast.show && <Toast message={toast.message} type={toast.type} onClose={closeToast} />}
+
+      <motion.div
+        className="w-full max-w-3xl mx-auto"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ duration: 0.5 }}
+      >
+        <div className="mb-8">
+          <Link href="/admin/dashboard" className="btn btn-ghost mb-4">
+            <Icon name="ArrowLeft" className="w-4 h-4" />
+            Back to Dashboard
+          </Link>
+          <h1 className="text-4xl font-bold text-base-content tracking-tight flex items-center gap-3">
+            <Icon name="Smartphone" className="w-9 h-9 text-primary" />
+            Two-Factor Authentication
+          </h1>
+          <p className="mt-2 text-lg text-base-content/70">
+            Protect your admin account with a code from your phone as well as your password.
+          </p>
+        </div>
+
+        <div className="card bg-base-100 shadow-xl">
+          <div className="card-body">
+            <TwoFactorSettings showToast={showToast} onEnabled={handleEnabled} />
+          </div>
+        </div>
+      </motion.div>
+    </>
+  );
+}
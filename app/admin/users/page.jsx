@@ -0,0 +1,60 @@
+"use client";
+
+import Link from 'next/link';
+import { motion } from 'framer-motion';
+import { useState } from 'react';
+import AdminUserManager from '@/components/admin/AdminUserManager';
+import TwoFactorPolicyEditor from '@/components/admin/TwoFactorPolicyEditor';
+import Icon from '@/components/Icon';
+import Toast from '@/components/ui/Toast';
+
+export default function AdminUsersPage() {
+  const [toast, setToast] = useState({ show: false, message: '', type: '' });
+
+  const showToast = (message, type) => {
+    setToast({ message, type, show: true });
+  };
+
+  const closeToast = () => {
+    setToast({ ...toast, show: false });
+  };
+
+  return (
+    <>
+      {toast.show && <Toast message={toast.message} type={toast.type} onClose={closeToast} />}
+
+      <motion.div
+        className="w-full max-w-6xl mx-auto"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ duration: 0.5 }}
+      >
+        <div className="mb-8">
+          <Link href="/admin/dashboard" className="btn btn-ghost mb-4">
+            <Icon name="ArrowLeft" className="w-4 h-4" />
+            Back to Dashboard
+          </Link>
+          <h1 className="text-4xl font-bold text-base-content tracking-tight flex items-center gap-3">
+            <Icon name="ShieldCheck" className="w-9 h-9 text-primary" />
+            Admin Users
+          </h1>
+          <p className="mt-2 text-lg text-base-content/70">
+            Invite admins, manage their roles and entity access, and grant or revoke individual permissions.
+          </p>
+        </div>
+
+        <div className="card bg-base-100 shadow-xl">
+          <div className="card-body">
+            <AdminUserManager showToast={showToast} />
+          </div>
+        </div>
+
+        <div className="card bg-base-100 shadow-xl mt-8">
+          <div className="card-body">
+            <TwoFactorPolicyEditor showToast={showToast} />
+          </div>
+        </div>
+      </motion.div>
+    </>
+  );
+}
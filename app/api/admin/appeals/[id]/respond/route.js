@@ -1,43 +1,25 @@
-import { NextResponse } from 'next/server';
-import { extractTokenFromHeader, verifyToken } from '@/lib/auth';
+import { NextResponse, after } from 'next/server';
 import { schemas } from '@/lib/validation';
 import {
   getAppealById,
-  updateAppeal,
+  reviewPendingAppeal,
   findVerifierById,
   findVerificationRecord,
-  findEmployeeById
+  findEmployeeById,
+  updateVerificationRecord,
+  countPendingAppeals
 } from '@/lib/mongodb.data.service';
 import { sendAppealResponseEmail } from '@/lib/services/emailService';
+import { deliverEmailJob } from '@/lib/services/emailQueueService';
+import { findEntity } from '@/lib/services/entityService';
+import { requireAdmin, getEntityScope, isInEntityScope } from '@/lib/routeAuth';
+import { amendVerificationFromAppeal } from '@/lib/services/verificationService';
 
 export async function POST(request, { params }) {
   try {
     // Authenticate admin
-    const token = extractTokenFromHeader(request);
-    if (!token) {
-      return NextResponse.json({
-        success: false,
-        message: 'Access token is required'
-      }, { status: 401 });
-    }
-
-    const decoded = verifyToken(token);
-
-    if (!['admin', 'hr_manager', 'super_admin'].includes(decoded.role)) {
-      return NextResponse.json({
-        success: false,
-        message: 'Admin access required'
-      }, { status: 403 });
-    }
-
-    // Check permissions
-    const hasPermission = decoded.permissions?.includes('manage_appeals');
-    if (!hasPermission) {
-      return NextResponse.json({
-        success: false,
-        message: 'Insufficient permissions to manage appeals'
-      }, { status: 403 });
-    }
+    const { decoded, response } = await requireAdmin(request, 'manage_appeals');
+    if (response) return response;
 
     // Parse and validate request body
     const body = await request.json();
@@ -51,25 +33,35 @@ export async function POST(request, { params }) {
       }, { status: 400 });
     }
 
-    const { status, hrResponse } = value;
+    const { status, hrResponse, amendRecord, amendedFields } = value;
     const { id: appealId } = await params;
 
     // Find appeal
     const appeal = await getAppealById(appealId);
 
-    if (!appeal) {
+    // Appeals outside the admin's entities are reported as not found
+    if (!appeal || !isInEntityScope(getEntityScope(decoded), appeal.entityName)) {
       return NextResponse.json({
         success: false,
         message: 'Appeal not found'
       }, { status: 404 });
     }
 
-    // Check if appeal is still pending
-    if (appeal.status !== 'pending') {
+    // Update appeal with response, only if it is still pending; an appeal reviewed
+    // by another admin in the meantime is left alone and its record not amended twice
+    const updatedAppeal = await reviewPendingAppeal(appealId, {
+      status: status,
+      hrResponse: hrResponse.trim(),
+      hrComments: hrResponse.trim(),
+      reviewedBy: decoded.id,
+      reviewedAt: new Date()
+    });
+
+    if (!updatedAppeal) {
       return NextResponse.json({
         success: false,
         message: 'This appeal has already been reviewed'
-      }, { status: 400 });
+      }, { status: 409 });
     }
 
     // Get verifier information - Log warning if missing but continue
@@ -79,23 +71,43 @@ export async function POST(request, { params }) {
       console.warn('[API] Warning: Verifier not found for appeal', appealId, 'Email will not be sent.');
     }
 
-    // Update appeal with response
-    const updatedAppeal = await updateAppeal(appealId, {
-      status: status,
-      hrResponse: hrResponse.trim(),
-      hrComments: hrResponse.trim(),
-      reviewedBy: decoded.id,
-      reviewedAt: new Date()
-    });
+    // Update the verification record lifecycle
+    const verificationRecord = await findVerificationRecord(appeal.verificationId);
+    let recordStatus = verificationRecord?.recordStatus || null;
+    let recordAmended = false;
+
+    if (verificationRecord && verificationRecord.recordStatus !== 'revoked') {
+      const hasPendingAppeals = await countPendingAppeals(appeal.verificationId, appealId) > 0;
+
+      if (status === 'approved' && amendRecord) {
+        const amendedRecord = await amendVerificationFromAppeal({
+          verificationRecord,
+          fields: amendedFields || appeal.mismatchedFields.map(f => f.fieldName),
+          reason: hrResponse.trim(),
+          changedBy: decoded.username || decoded.email || decoded.id,
+          appealId,
+          hasPendingAppeals
+        });
+        recordStatus = amendedRecord.recordStatus;
+        recordAmended = true;
+      } else if (verificationRecord.recordStatus === 'under_appeal' && !hasPendingAppeals) {
+        // Appeal closed without changes - return to the state before the appeal
+        recordStatus = verificationRecord.amendments?.length ? 'amended' : 'completed';
+        await updateVerificationRecord(appeal.verificationId, { recordStatus });
+      }
+    }
 
-    // Send email notification to verifier ONLY if verifier exists
-    let emailSent = false;
+    // Queue email notification to verifier ONLY if verifier exists; it is delivered
+    // after the response and failed deliveries are retried by the email queue
+    let emailQueued = false;
     if (verifier) {
       try {
-        await sendAppealResponseEmail(updatedAppeal, verifier.email);
-        emailSent = true;
+        const employee = await findEmployeeById(updatedAppeal.employeeId);
+        const emailJob = await sendAppealResponseEmail(updatedAppeal, verifier.email, await findEntity(employee?.entityName));
+        after(() => deliverEmailJob(emailJob._id));
+        emailQueued = true;
       } catch (emailError) {
-        console.error('Failed to send appeal response email:', emailError);
+        console.error('Failed to queue appeal response email:', emailError);
         // Continue with the response, but log the error
       }
     }
@@ -110,7 +122,9 @@ export async function POST(request, { params }) {
         employeeId: updatedAppeal.employeeId,
         verifierEmail: verifier ? verifier.email : null,
         reviewedAt: updatedAppeal.reviewedAt,
-        emailSent: emailSent
+        recordStatus,
+        recordAmended,
+        emailQueued
       }
     }, { status: 200 });
 
@@ -128,37 +142,15 @@ export async function POST(request, { params }) {
 export async function GET(request, { params }) {
   try {
     // Authenticate admin
-    const token = extractTokenFromHeader(request);
-    if (!token) {
-      return NextResponse.json({
-        success: false,
-        message: 'Access token is required'
-      }, { status: 401 });
-    }
-
-    const decoded = verifyToken(token);
-
-    if (!['admin', 'hr_manager', 'super_admin'].includes(decoded.role)) {
-      return NextResponse.json({
-        success: false,
-        message: 'Admin access required'
-      }, { status: 403 });
-    }
-
-    // Check permissions
-    const hasPermission = decoded.permissions?.includes('view_appeals');
-    if (!hasPermission) {
-      return NextResponse.json({
-        success: false,
-        message: 'Insufficient permissions to view appeals'
-      }, { status: 403 });
-    }
+    const { decoded, response } = await requireAdmin(request, 'view_appeals');
+    if (response) return response;
 
     const { id: appealId } = await params;
 
     // Find appeal
     const appeal = await getAppealById(appealId);
-    if (!appeal) {
+    // Appeals outside the admin's entities are reported as not found
+    if (!appeal || !isInEntityScope(getEntityScope(decoded), appeal.entityName)) {
       return NextResponse.json({
         success: false,
         message: 'Appeal not found'
@@ -185,7 +177,9 @@ export async function GET(request, { params }) {
             verificationId: verificationRecord.verificationId,
             comparisonResults: verificationRecord.comparisonResults,
             overallStatus: verificationRecord.overallStatus,
-            matchScore: verificationRecord.matchScore
+            matchScore: verificationRecord.matchScore,
+            recordStatus: verificationRecord.recordStatus || 'completed',
+            amendments: verificationRecord.amendments || []
           } : null,
           appealReason: appeal.appealReason,
           comments: appeal.appealReason,
@@ -0,0 +1,99 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { diffChanges, recordAudit } from '@/lib/services/auditService';
+import { ATTEMPT_POLICY_KEY, DEFAULT_ATTEMPT_POLICY, getAttemptPolicy, mergeAttemptPolicy } from '@/lib/services/attemptPolicyService';
+import { getSetting, saveSetting } from '@/lib/mongodb.data.service';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Get the verification attempt policy
+ * GET /api/admin/attempt-policy
+ */
+export async function GET(request) {
+  try {
+    const { response } = await requireAdmin(request, 'manage_settings');
+    if (response) return response;
+
+    const setting = await getSetting(ATTEMPT_POLICY_KEY);
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        policy: mergeAttemptPolicy(setting?.value),
+        isDefault: !setting,
+        updatedBy: setting?.updatedBy || null,
+        updatedAt: setting?.updatedAt || null
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get attempt policy error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch attempt policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Save the verification attempt policy
+ * New limits apply to the next failed attempt; existing blocks keep the expiry they were given.
+ * PUT /api/admin/attempt-policy
+ * Body: { maxAttempts, blockDurationHours, failureWindowHours, quietPeriodHours, contactEmail?, enumeration? }
+ */
+export async function PUT(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_settings');
+    if (response) return response;
+
+    const body = await request.json();
+    const { error, value } = schemas.attemptPolicy.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const before = await getAttemptPolicy();
+    const setting = await saveSetting(ATTEMPT_POLICY_KEY, value, decoded.username || decoded.id);
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'setting',
+      entityId: ATTEMPT_POLICY_KEY,
+      changes: diffChanges(before, setting.value, Object.keys(DEFAULT_ATTEMPT_POLICY))
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Attempt policy saved',
+      data: {
+        policy: setting.value,
+        isDefault: false,
+        updatedBy: setting.updatedBy,
+        updatedAt: setting.updatedAt
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Update attempt policy error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to save attempt policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import bcrypt from 'bcryptjs';
+import { requireAdmin } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { recordAudit } from '@/lib/services/auditService';
+import { findAdminById, updateAdmin, revokeUserSessions } from '@/lib/mongodb.data.service';
+
+/**
+ * Change the logged-in admin's password
+ * Also the only admin route open to accounts that still have a temporary password.
+ * Every other session of the admin is logged out.
+ * POST /api/admin/change-password
+ * Body: { currentPassword, newPassword }
+ */
+export async function POST(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, null, { allowPendingPasswordChange: true, allowPendingTwoFactor: true });
+    if (response) return response;
+
+    const body = await request.json();
+    const { error, value } = schemas.adminPasswordChange.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const admin = await findAdminById(decoded.id);
+    const isPasswordValid = admin.password?.startsWith('$2')
+      && await bcrypt.compare(value.currentPassword, admin.password);
+
+    if (!isPasswordValid) {
+      return NextResponse.json({
+        success: false,
+        message: 'Current password is incorrect'
+      }, { status: 400 });
+    }
+
+    const salt = await bcrypt.genSalt(12);
+    await updateAdmin(decoded.id, {
+      password: await bcrypt.hash(value.newPassword, salt),
+      mustChangePassword: false,
+      passwordChangedAt: new Date()
+    });
+
+    await revokeUserSessions('admin', decoded.id, {
+      revokedBy: admin.username,
+      reason: 'password_change',
+      exceptSessionId: decoded.sid
+    });
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'admin',
+      entityId: admin.username,
+      changes: admin.mustChangePassword
+        ? [{ field: 'mustChangePassword', from: true, to: false }]
+        : [],
+      metadata: { event: 'password_change' }
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Password changed successfully'
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Change admin password error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to change password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
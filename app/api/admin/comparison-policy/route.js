@@ -0,0 +1,97 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { DEFAULT_COMPARISON_POLICY } from '@/lib/services/comparisonService';
+import {
+  getActiveComparisonPolicy,
+  getComparisonPolicies,
+  addComparisonPolicy
+} from '@/lib/mongodb.data.service';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Get the active comparison policy and its version history
+ * GET /api/admin/comparison-policy
+ */
+export async function GET(request) {
+  try {
+    const { response } = await requireAdmin(request, 'manage_settings');
+    if (response) return response;
+
+    const [activePolicy, history] = await Promise.all([
+      getActiveComparisonPolicy(),
+      getComparisonPolicies()
+    ]);
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        policy: activePolicy || DEFAULT_COMPARISON_POLICY,
+        isDefault: !activePolicy,
+        history: history.map(p => ({
+          version: p.version,
+          isActive: p.isActive,
+          notes: p.notes,
+          createdBy: p.createdBy,
+          createdAt: p.createdAt
+        }))
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get comparison policy error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch comparison policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Save a new comparison policy version (becomes active immediately)
+ * PUT /api/admin/comparison-policy
+ * Body: { fields: [{ field, enabled, weight, toleranceDays, mandatory }], thresholds: { matched, partialMatch }, notes? }
+ */
+export async function PUT(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_settings');
+    if (response) return response;
+
+    const body = await request.json();
+    const { error, value } = schemas.comparisonPolicy.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const policy = await addComparisonPolicy({
+      ...value,
+      createdBy: decoded.username || decoded.email || decoded.id
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Comparison policy version ${policy.version} is now active`,
+      data: { policy }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Update comparison policy error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to save comparison policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -1,30 +1,16 @@
 import { NextResponse } from 'next/server';
-import { extractTokenFromHeader, verifyToken } from '@/lib/auth';
 import { getDashboardStats, findVerifierById } from '@/lib/mongodb.data.service';
+import { requireAdmin, getEntityScope } from '@/lib/routeAuth';
 
 export async function GET(request) {
   try {
     // Authenticate admin
-    const token = extractTokenFromHeader(request);
+    const { decoded, response } = await requireAdmin(request, 'view_dashboard');
+    if (response) return response;
 
-    if (!token) {
-      return NextResponse.json({
-        success: false,
-        message: 'Access token is required'
-      }, { status: 401 });
-    }
-
-    const decoded = verifyToken(token);
-
-    if (!['admin', 'hr_manager', 'super_admin'].includes(decoded.role)) {
-      return NextResponse.json({
-        success: false,
-        message: 'Admin access required'
-      }, { status: 403 });
-    }
-
-    // Get dashboard stats from MongoDB
-    const stats = await getDashboardStats();
+    // Get dashboard stats from MongoDB, limited to the admin's entities
+    const entityScope = getEntityScope(decoded);
+    const stats = await getDashboardStats({ entityNames: entityScope });
 
     // Get date ranges for statistics
     const now = new Date();
@@ -90,7 +76,11 @@ export async function GET(request) {
         totalAppeals: stats.totalAppeals,
         pendingAppeals: stats.pendingAppeals,
         totalVerifiers: stats.totalVerifiers,
-        activeVerifiers: stats.totalVerifiers,
+        activeVerifiers: stats.activeVerifiers,
+        pendingVerifiers: stats.pendingVerifiers,
+        pendingUnblockRequests: stats.pendingUnblockRequests,
+        openSecurityAlerts: stats.openSecurityAlerts,
+        deadEmailJobs: stats.deadEmailJobs,
         totalEmployees: stats.totalEmployees
       },
       breakdowns: {
@@ -109,7 +99,9 @@ export async function GET(request) {
         verifications: filledTrend
       },
       recentActivities: recentActivities.slice(0, 10),
-      pendingAppealsCount: stats.pendingAppeals
+      pendingAppealsCount: stats.pendingAppeals,
+      entityScope,
+      permissions: decoded.permissions
     };
 
     return NextResponse.json({
@@ -0,0 +1,62 @@
+import { NextResponse, after } from 'next/server';
+import { requireAdmin, getEntityScope, isInEntityScope } from '@/lib/routeAuth';
+import { recordAudit } from '@/lib/services/auditService';
+import { getEmailJob, requeueEmailJob, deliverEmailJob } from '@/lib/services/emailQueueService';
+
+/**
+ * Resend a dead-lettered (or still retrying) email
+ * The email gets a fresh set of attempts and is delivered after the response.
+ * POST /api/admin/email-jobs/[id]/resend
+ */
+export async function POST(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_email');
+    if (response) return response;
+
+    const { id } = await params;
+    const existing = await getEmailJob(id);
+
+    // Emails about entities outside the admin's scope are reported as not found
+    if (!existing || !isInEntityScope(getEntityScope(decoded), existing.job.entityName)) {
+      return NextResponse.json({
+        success: false,
+        message: 'Email not found'
+      }, { status: 404 });
+    }
+
+    const { job, error } = await requeueEmailJob(id, decoded.username || decoded.id);
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: error.message
+      }, { status: error.status });
+    }
+
+    after(() => deliverEmailJob(job._id));
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'email_job',
+      entityId: job._id.toString(),
+      changes: [{ field: 'status', from: existing.job.status, to: job.status }],
+      metadata: { to: job.to, subject: job.subject, previousAttempts: existing.job.attempts }
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Email to ${job.to} queued for resending`,
+      data: { id: job._id, status: job.status, nextAttemptAt: job.nextAttemptAt }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Resend email job error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to resend email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
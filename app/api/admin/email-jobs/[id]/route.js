@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, getEntityScope, isInEntityScope } from '@/lib/routeAuth';
+import { getEmailJob } from '@/lib/services/emailQueueService';
+
+/**
+ * One queued email, including its body and every delivery attempt
+ * GET /api/admin/email-jobs/[id]
+ */
+export async function GET(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'view_logs');
+    if (response) return response;
+
+    const { id } = await params;
+    const result = await getEmailJob(id);
+
+    // Emails about entities outside the admin's scope are reported as not found
+    if (!result || !isInEntityScope(getEntityScope(decoded), result.job.entityName)) {
+      return NextResponse.json({
+        success: false,
+        message: 'Email not found'
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: result
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get email job error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, getEntityScope } from '@/lib/routeAuth';
+import { getEmailJobs } from '@/lib/services/emailQueueService';
+
+export const dynamic = 'force-dynamic';
+
+const STATUSES = ['pending', 'processing', 'sent', 'dead'];
+
+/**
+ * Queued outbound emails, with counts per status
+ * Defaults to dead-lettered emails, the ones waiting for an admin to resend them.
+ * GET /api/admin/email-jobs?status=dead|pending|processing|sent|all&page=1&limit=20
+ */
+export async function GET(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'view_logs');
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status') || 'dead';
+    const page = Math.max(parseInt(searchParams.get('page') || '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '20', 10) || 20, 1), 100);
+
+    if (status !== 'all' && !STATUSES.includes(status)) {
+      return NextResponse.json({
+        success: false,
+        message: `Status must be one of: ${[...STATUSES, 'all'].join(', ')}`
+      }, { status: 400 });
+    }
+
+    const result = await getEmailJobs({
+      status: status === 'all' ? undefined : status,
+      entityNames: getEntityScope(decoded),
+      page,
+      limit
+    });
+
+    return NextResponse.json({
+      success: true,
+      data: result
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get email jobs error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch queued emails',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
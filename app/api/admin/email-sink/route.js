@@ -0,0 +1,89 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, getEntityScope } from '@/lib/routeAuth';
+import { isMemorySinkEnabled, getSentEmails, clearSentEmails } from '@/lib/services/emailSinkService';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Refuse unless EMAIL_PROVIDER includes the memory sink and the admin sees every entity
+ * The sink holds mail for all entities, including login codes.
+ */
+async function requireSinkAccess(request) {
+  const { decoded, response } = await requireAdmin(request, 'view_logs');
+  if (response) return { response };
+
+  if (!isMemorySinkEnabled()) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        message: 'The memory email sink is not enabled (set EMAIL_PROVIDER=memory)'
+      }, { status: 404 })
+    };
+  }
+
+  if (getEntityScope(decoded)) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        message: 'Only super admins can read the email sink'
+      }, { status: 403 })
+    };
+  }
+
+  return { decoded };
+}
+
+/**
+ * Emails kept by the memory sink in this server process, oldest first
+ * GET /api/admin/email-sink?to=someone@company.com
+ */
+export async function GET(request) {
+  try {
+    const { response } = await requireSinkAccess(request);
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const emails = getSentEmails(searchParams.get('to'));
+
+    return NextResponse.json({
+      success: true,
+      data: { emails, total: emails.length }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get email sink error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to read the email sink',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Empty the memory sink, e.g. between end-to-end test cases
+ * DELETE /api/admin/email-sink
+ */
+export async function DELETE(request) {
+  try {
+    const { response } = await requireSinkAccess(request);
+    if (response) return response;
+
+    clearSentEmails();
+
+    return NextResponse.json({
+      success: true,
+      message: 'Email sink cleared'
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Clear email sink error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to clear the email sink',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
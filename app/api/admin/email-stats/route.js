@@ -4,36 +4,14 @@
  */
 
 import { NextResponse } from 'next/server';
-import { extractTokenFromHeader, verifyToken } from '@/lib/auth';
+import { requireAdmin } from '@/lib/routeAuth';
 import { getEmailStats } from '@/lib/services/emailService';
 
 export async function GET(request) {
     try {
         // Verify admin authentication
-        const token = extractTokenFromHeader(request);
-        if (!token) {
-            return NextResponse.json(
-                { success: false, error: 'Access token required' },
-                { status: 401 }
-            );
-        }
-
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (tokenError) {
-            return NextResponse.json(
-                { success: false, error: 'Invalid token' },
-                { status: 401 }
-            );
-        }
-
-        if (!decoded || !['admin', 'hr_manager', 'super_admin'].includes(decoded.role)) {
-            return NextResponse.json(
-                { success: false, error: 'Admin access required' },
-                { status: 403 }
-            );
-        }
+        const { response } = await requireAdmin(request, 'view_logs');
+        if (response) return response;
 
         // Get days parameter (default: 7)
         const { searchParams } = new URL(request.url);
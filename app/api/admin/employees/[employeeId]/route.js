@@ -0,0 +1,208 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, getEntityScope, isInEntityScope } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { diffChanges, recordAudit } from '@/lib/services/auditService';
+import { validateEntityCode } from '@/lib/services/entityService';
+import {
+  findEmployeeById,
+  updateEmployee,
+  deleteEmployee,
+  countVerificationRecordsForEmployee,
+  getAuditLogs
+} from '@/lib/mongodb.data.service';
+import { EMPLOYEE_FIELDS } from '@/lib/models/Employee.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Get an employee with its change history
+ * GET /api/admin/employees/[employeeId]
+ */
+export async function GET(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'view_employees');
+    if (response) return response;
+
+    const { employeeId } = await params;
+
+    const employee = await findEmployeeById(employeeId);
+    if (!employee || !isInEntityScope(getEntityScope(decoded), employee.entityName)) {
+      return NextResponse.json({
+        success: false,
+        message: 'Employee not found'
+      }, { status: 404 });
+    }
+
+    const [history, verificationCount] = await Promise.all([
+      getAuditLogs({ entityType: 'employee', entityId: employeeId, limit: 50 }),
+      countVerificationRecordsForEmployee(employeeId)
+    ]);
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        employee,
+        verificationCount,
+        history: history.logs
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get employee error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch employee',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Update an employee record
+ * PUT /api/admin/employees/[employeeId]
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_employees');
+    if (response) return response;
+
+    const { employeeId } = await params;
+
+    const body = await request.json();
+    const { error, value } = schemas.employeeUpdate.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const existing = await findEmployeeById(employeeId);
+    if (!existing || !isInEntityScope(getEntityScope(decoded), existing.entityName)) {
+      return NextResponse.json({
+        success: false,
+        message: 'Employee not found'
+      }, { status: 404 });
+    }
+
+    // Existing records may stay on a deactivated entity, but cannot be moved onto one
+    if (value.entityName && value.entityName !== existing.entityName) {
+      if (!isInEntityScope(getEntityScope(decoded), value.entityName)) {
+        return NextResponse.json({
+          success: false,
+          message: `You do not have access to entity ${value.entityName}`
+        }, { status: 403 });
+      }
+
+      const entityError = await validateEntityCode(value.entityName);
+      if (entityError) {
+        return NextResponse.json({
+          success: false,
+          message: 'Validation failed',
+          errors: [{ field: 'entityName', message: entityError }]
+        }, { status: 400 });
+      }
+    }
+
+    // Dates may be updated one at a time, so check them against the stored record
+    const dateOfJoining = value.dateOfJoining || existing.dateOfJoining;
+    const dateOfLeaving = value.dateOfLeaving || existing.dateOfLeaving;
+    if (new Date(dateOfLeaving) <= new Date(dateOfJoining)) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'dateOfLeaving', message: 'Date of leaving must be after date of joining' }]
+      }, { status: 400 });
+    }
+
+    const employee = await updateEmployee(employeeId, value);
+    const changes = diffChanges(existing, employee, EMPLOYEE_FIELDS);
+
+    if (changes.length > 0) {
+      await recordAudit({
+        request,
+        actor: decoded,
+        action: 'update',
+        entityType: 'employee',
+        entityId: employeeId,
+        changes
+      });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: changes.length > 0 ? `Employee ${employeeId} updated` : 'No changes to save',
+      data: { employee, changes }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Update employee error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to update employee',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Delete an employee record
+ * Employees that already have verification records are kept so reports and appeals stay resolvable.
+ * DELETE /api/admin/employees/[employeeId]
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_employees');
+    if (response) return response;
+
+    const { employeeId } = await params;
+
+    const existing = await findEmployeeById(employeeId);
+    if (!existing || !isInEntityScope(getEntityScope(decoded), existing.entityName)) {
+      return NextResponse.json({
+        success: false,
+        message: 'Employee not found'
+      }, { status: 404 });
+    }
+
+    const verificationCount = await countVerificationRecordsForEmployee(employeeId);
+    if (verificationCount > 0) {
+      return NextResponse.json({
+        success: false,
+        message: `Employee ${employeeId} has ${verificationCount} verification record(s) and cannot be deleted`
+      }, { status: 409 });
+    }
+
+    await deleteEmployee(employeeId);
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'delete',
+      entityType: 'employee',
+      entityId: employeeId,
+      changes: diffChanges(existing, null, EMPLOYEE_FIELDS)
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Employee ${employeeId} deleted`
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Delete employee error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to delete employee',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
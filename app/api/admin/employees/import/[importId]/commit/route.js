@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { commitEmployeeImport } from '@/lib/services/employeeImportService';
+import {
+  findEmployeeImport,
+  claimEmployeeImportCommit,
+  updateEmployeeImport
+} from '@/lib/mongodb.data.service';
+
+/**
+ * Apply a previewed employee import to the employee master
+ * POST /api/admin/employees/import/[importId]/commit
+ */
+export async function POST(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_employees');
+    if (response) return response;
+
+    const { importId } = await params;
+
+    // Claiming the import first stops a double-submit from applying it twice
+    const employeeImport = await claimEmployeeImportCommit(
+      importId,
+      decoded.username || decoded.email || decoded.id
+    );
+
+    if (!employeeImport) {
+      const existing = await findEmployeeImport(importId);
+      return NextResponse.json({
+        success: false,
+        message: existing ? 'This import has already been committed' : 'Import not found'
+      }, { status: existing ? 409 : 404 });
+    }
+
+    const { rows, report } = await commitEmployeeImport(employeeImport, {
+      request,
+      actor: decoded
+    });
+
+    const committedImport = await updateEmployeeImport(importId, { rows, report });
+
+    return NextResponse.json({
+      success: true,
+      message: `Import ${importId} committed: ${report.created} created, ${report.updated} updated, ${report.unchanged} unchanged, ${report.skipped} skipped, ${report.failed} failed`,
+      data: committedImport
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Employee import commit error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to commit employee import',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { toCsv } from '@/lib/services/spreadsheetService';
+import { IMPORT_REPORT_HEADERS, toImportReportRows } from '@/lib/services/employeeImportService';
+import { findEmployeeImport } from '@/lib/mongodb.data.service';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Get an employee import's preview or report
+ * GET /api/admin/employees/import/[importId][?format=csv]
+ */
+export async function GET(request, { params }) {
+  try {
+    const { response } = await requireAdmin(request, 'view_employees');
+    if (response) return response;
+
+    const { importId } = await params;
+    const { searchParams } = new URL(request.url);
+
+    const employeeImport = await findEmployeeImport(importId);
+    if (!employeeImport) {
+      return NextResponse.json({
+        success: false,
+        message: 'Import not found'
+      }, { status: 404 });
+    }
+
+    if (searchParams.get('format') === 'csv') {
+      const csv = toCsv(IMPORT_REPORT_HEADERS, toImportReportRows(employeeImport.rows));
+      return new NextResponse(csv, {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${importId}_report.csv"`
+        }
+      });
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: employeeImport
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get employee import error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch employee import',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, getEntityScope } from '@/lib/routeAuth';
+import { parseSpreadsheet } from '@/lib/services/spreadsheetService';
+import { MAX_IMPORT_ROWS, buildImportPreview } from '@/lib/services/employeeImportService';
+import {
+  addEmployeeImport,
+  getEmployeeImports,
+  generateSequentialId
+} from '@/lib/mongodb.data.service';
+import EmployeeImport from '@/lib/models/EmployeeImport.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Upload an HRMS exit list and preview its diff against the employee master
+ * Nothing is written to the employee master until the import is committed.
+ * POST /api/admin/employees/import
+ * Form data: { file: File }
+ */
+export async function POST(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_employees');
+    if (response) return response;
+
+    const formData = await request.formData();
+    const file = formData.get('file');
+
+    let rows;
+    try {
+      rows = await parseSpreadsheet(file);
+    } catch (parseError) {
+      return NextResponse.json({
+        success: false,
+        message: parseError.message
+      }, { status: 400 });
+    }
+
+    if (rows.length === 0) {
+      return NextResponse.json({
+        success: false,
+        message: 'The uploaded file has no employee rows'
+      }, { status: 400 });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return NextResponse.json({
+        success: false,
+        message: `An import can contain at most ${MAX_IMPORT_ROWS} employees (file has ${rows.length})`
+      }, { status: 400 });
+    }
+
+    const preview = await buildImportPreview(rows, { entityNames: getEntityScope(decoded) });
+    const importId = await generateSequentialId('IMP', EmployeeImport);
+
+    const employeeImport = await addEmployeeImport({
+      importId,
+      fileName: file.name,
+      uploadedBy: decoded.username || decoded.email || decoded.id,
+      summary: preview.summary,
+      rows: preview.rows
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Previewed ${preview.summary.total} rows: ${preview.summary.new} new, ${preview.summary.changed} changed, ${preview.summary.unchanged} unchanged, ${preview.summary.invalid} invalid`,
+      data: employeeImport
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Employee import preview error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to preview employee import',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * List recent employee imports
+ * GET /api/admin/employees/import
+ */
+export async function GET(request) {
+  try {
+    const { response } = await requireAdmin(request, 'view_employees');
+    if (response) return response;
+
+    const imports = await getEmployeeImports();
+
+    return NextResponse.json({
+      success: true,
+      data: { imports }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get employee imports error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch employee imports',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,131 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, getEntityScope, isInEntityScope } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { diffChanges, recordAudit } from '@/lib/services/auditService';
+import { validateEntityCode } from '@/lib/services/entityService';
+import {
+  searchEmployees,
+  getEmployeeDepartments,
+  findEmployeeById,
+  addEmployee
+} from '@/lib/mongodb.data.service';
+import { EMPLOYEE_FIELDS } from '@/lib/models/Employee.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Search the employee master
+ * GET /api/admin/employees?search=&entityName=&department=&leftFrom=&leftTo=&page=1&limit=20
+ */
+export async function GET(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'view_employees');
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const page = Math.max(parseInt(searchParams.get('page') || '1'), 1);
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '20'), 1), 100);
+
+    const [result, departments] = await Promise.all([
+      searchEmployees({
+        search: searchParams.get('search')?.trim() || undefined,
+        entityName: searchParams.get('entityName') || undefined,
+        department: searchParams.get('department') || undefined,
+        leftFrom: searchParams.get('leftFrom') || undefined,
+        leftTo: searchParams.get('leftTo') || undefined,
+        page,
+        limit,
+        entityNames: getEntityScope(decoded)
+      }),
+      getEmployeeDepartments()
+    ]);
+
+    return NextResponse.json({
+      success: true,
+      data: { ...result, departments }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get employees error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch employees',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Add an employee to the master
+ * POST /api/admin/employees
+ */
+export async function POST(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_employees');
+    if (response) return response;
+
+    const body = await request.json();
+    const { error, value } = schemas.employeeCreate.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    if (!isInEntityScope(getEntityScope(decoded), value.entityName)) {
+      return NextResponse.json({
+        success: false,
+        message: `You do not have access to entity ${value.entityName}`
+      }, { status: 403 });
+    }
+
+    const entityError = await validateEntityCode(value.entityName);
+    if (entityError) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'entityName', message: entityError }]
+      }, { status: 400 });
+    }
+
+    if (await findEmployeeById(value.employeeId)) {
+      return NextResponse.json({
+        success: false,
+        message: `Employee ${value.employeeId} already exists`
+      }, { status: 409 });
+    }
+
+    const employee = await addEmployee(value);
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'create',
+      entityType: 'employee',
+      entityId: employee.employeeId,
+      changes: diffChanges(null, employee, EMPLOYEE_FIELDS)
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Employee ${employee.employeeId} added`,
+      data: { employee }
+    }, { status: 201 });
+
+  } catch (error) {
+    console.error('Create employee error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to add employee',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
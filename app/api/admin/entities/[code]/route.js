@@ -0,0 +1,136 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { diffChanges, recordAudit } from '@/lib/services/auditService';
+import { clearEntityCache } from '@/lib/services/entityService';
+import {
+  findEntityByCode,
+  updateEntity,
+  deleteEntity,
+  countEmployeesForEntity
+} from '@/lib/mongodb.data.service';
+import { ENTITY_FIELDS } from '@/lib/models/Entity.js';
+
+/**
+ * Update a group entity (the code itself cannot change)
+ * PUT /api/admin/entities/[code]
+ * Body: { legalName, shortName, branding?, exitTeam?, isActive? }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_settings');
+    if (response) return response;
+
+    const { code } = await params;
+    const existing = await findEntityByCode(code);
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        message: 'Entity not found'
+      }, { status: 404 });
+    }
+
+    const body = await request.json();
+    const { error, value } = schemas.entity.validate({ ...body, code: existing.code }, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const { code: _code, ...updateData } = value;
+    const entity = await updateEntity(existing.code, {
+      ...updateData,
+      updatedBy: decoded.username || decoded.id
+    });
+    clearEntityCache();
+
+    const changes = diffChanges(existing, entity, ENTITY_FIELDS);
+    if (changes.length > 0) {
+      await recordAudit({
+        request,
+        actor: decoded,
+        action: 'update',
+        entityType: 'entity',
+        entityId: entity.code,
+        changes
+      });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `Entity ${entity.code} updated`,
+      data: entity
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Update entity error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to update entity',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Delete a group entity
+ * Entities with employee records must be deactivated instead.
+ * DELETE /api/admin/entities/[code]
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_settings');
+    if (response) return response;
+
+    const { code } = await params;
+    const existing = await findEntityByCode(code);
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        message: 'Entity not found'
+      }, { status: 404 });
+    }
+
+    const employeeCount = await countEmployeesForEntity(existing.code);
+    if (employeeCount > 0) {
+      return NextResponse.json({
+        success: false,
+        message: `Entity ${existing.code} has ${employeeCount} employee record(s). Deactivate it instead.`
+      }, { status: 409 });
+    }
+
+    await deleteEntity(existing.code);
+    clearEntityCache();
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'delete',
+      entityType: 'entity',
+      entityId: existing.code,
+      changes: diffChanges(existing, null, ENTITY_FIELDS)
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Entity ${existing.code} deleted`
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Delete entity error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to delete entity',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
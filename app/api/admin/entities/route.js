@@ -0,0 +1,99 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { diffChanges, recordAudit } from '@/lib/services/auditService';
+import { clearEntityCache } from '@/lib/services/entityService';
+import { getEntities, addEntity } from '@/lib/mongodb.data.service';
+import { ENTITY_FIELDS } from '@/lib/models/Entity.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * List all group entities, including inactive ones
+ * GET /api/admin/entities
+ */
+export async function GET(request) {
+  try {
+    const { response } = await requireAdmin(request);
+    if (response) return response;
+
+    const entities = await getEntities();
+
+    return NextResponse.json({
+      success: true,
+      data: { entities }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get admin entities error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch entities',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Add a group entity
+ * POST /api/admin/entities
+ * Body: { code, legalName, shortName, branding?, exitTeam?, isActive? }
+ */
+export async function POST(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_settings');
+    if (response) return response;
+
+    const body = await request.json();
+    const { error, value } = schemas.entity.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const entity = await addEntity({
+      ...value,
+      createdBy: decoded.username || decoded.id
+    });
+    clearEntityCache();
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'create',
+      entityType: 'entity',
+      entityId: entity.code,
+      changes: diffChanges(null, entity, ENTITY_FIELDS)
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Entity ${entity.code} added`,
+      data: entity
+    }, { status: 201 });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return NextResponse.json({
+        success: false,
+        message: 'An entity with this code already exists'
+      }, { status: 409 });
+    }
+
+    console.error('Create entity error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to add entity',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
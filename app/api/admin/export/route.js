@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import { extractTokenFromHeader, verifyToken } from '@/lib/auth';
 import { getVerificationRecords, findVerifierById, getEmployees } from '@/lib/mongodb.data.service';
+import { requireAdmin, getEntityScope } from '@/lib/routeAuth';
 
 /**
  * Export verifications data as JSON (to be converted to Excel on client side)
@@ -13,27 +13,13 @@ import { getVerificationRecords, findVerifierById, getEmployees } from '@/lib/mo
 export async function GET(request) {
     try {
         // Authenticate admin
-        const token = extractTokenFromHeader(request);
+        const { decoded, response } = await requireAdmin(request, 'export_data');
+        if (response) return response;
 
-        if (!token) {
-            return NextResponse.json({
-                success: false,
-                message: 'Access token is required'
-            }, { status: 401 });
-        }
-
-        const decoded = verifyToken(token);
-
-        if (!['admin', 'hr_manager', 'super_admin'].includes(decoded.role)) {
-            return NextResponse.json({
-                success: false,
-                message: 'Admin access required'
-            }, { status: 403 });
-        }
-
-        // Get all verifications
-        const verifications = await getVerificationRecords();
-        const employees = await getEmployees();
+        // Get all verifications for the admin's entities
+        const entityNames = getEntityScope(decoded);
+        const verifications = await getVerificationRecords({ entityNames });
+        const employees = await getEmployees({ entityNames });
 
         // Create a map for quick employee lookup
         const employeeMap = {};
@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import {
+  findFieldAliasById,
+  updateFieldAlias,
+  deleteFieldAlias
+} from '@/lib/mongodb.data.service';
+
+/**
+ * Replace a synonym dictionary entry
+ * PUT /api/admin/field-aliases/[id]
+ * Body: { field, entityName?, canonicalValue, aliases: [] }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_settings');
+    if (response) return response;
+
+    const { id } = await params;
+    const existing = await findFieldAliasById(id);
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        message: 'Synonym entry not found'
+      }, { status: 404 });
+    }
+
+    const body = await request.json();
+    const { error, value } = schemas.fieldAlias.validate(body, { abortEarly: false });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const alias = await updateFieldAlias(id, {
+      ...value,
+      entityName: value.entityName || null,
+      aliases: [...new Set(value.aliases)],
+      updatedBy: decoded.username || decoded.id
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Synonym entry updated',
+      data: alias
+    }, { status: 200 });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return NextResponse.json({
+        success: false,
+        message: 'An entry for this canonical value already exists'
+      }, { status: 409 });
+    }
+
+    console.error('Update field alias error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to update synonym entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Delete a synonym dictionary entry
+ * DELETE /api/admin/field-aliases/[id]
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { response } = await requireAdmin(request, 'manage_settings');
+    if (response) return response;
+
+    const { id } = await params;
+    const existing = await findFieldAliasById(id);
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        message: 'Synonym entry not found'
+      }, { status: 404 });
+    }
+
+    await deleteFieldAlias(id);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Synonym entry deleted'
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Delete field alias error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to delete synonym entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
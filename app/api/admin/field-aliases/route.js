@@ -0,0 +1,89 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { getFieldAliases, addFieldAlias } from '@/lib/mongodb.data.service';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * List synonym dictionary entries
+ * GET /api/admin/field-aliases?field=designation&entityName=HIB
+ */
+export async function GET(request) {
+  try {
+    const { response } = await requireAdmin(request, 'manage_settings');
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const field = searchParams.get('field') || undefined;
+    const entityName = searchParams.get('entityName') || undefined;
+
+    const aliases = await getFieldAliases({ field, entityName });
+
+    return NextResponse.json({
+      success: true,
+      data: aliases
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get field aliases error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch synonym dictionary',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Add a synonym dictionary entry
+ * POST /api/admin/field-aliases
+ * Body: { field, entityName?, canonicalValue, aliases: [] }
+ */
+export async function POST(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_settings');
+    if (response) return response;
+
+    const body = await request.json();
+    const { error, value } = schemas.fieldAlias.validate(body, { abortEarly: false });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const alias = await addFieldAlias({
+      ...value,
+      entityName: value.entityName || null,
+      aliases: [...new Set(value.aliases)],
+      createdBy: decoded.username || decoded.id
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Synonym entry created',
+      data: alias
+    }, { status: 201 });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return NextResponse.json({
+        success: false,
+        message: 'An entry for this canonical value already exists. Edit it to add aliases.'
+      }, { status: 409 });
+    }
+
+    console.error('Create field alias error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to create synonym entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
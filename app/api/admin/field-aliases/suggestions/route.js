@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { buildAliasSuggestions } from '@/lib/services/fieldAliasService';
+import {
+  getAppealsByStatus,
+  getEmployees,
+  getFieldAliases
+} from '@/lib/mongodb.data.service';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Suggest new aliases from mismatches in approved appeals
+ * GET /api/admin/field-aliases/suggestions
+ */
+export async function GET(request) {
+  try {
+    const { response } = await requireAdmin(request, 'manage_settings');
+    if (response) return response;
+
+    const [appeals, employees, aliases] = await Promise.all([
+      getAppealsByStatus('approved'),
+      getEmployees(),
+      getFieldAliases()
+    ]);
+
+    const employeeEntities = {};
+    employees.forEach(emp => {
+      employeeEntities[emp.employeeId] = emp.entityName;
+    });
+
+    const suggestions = buildAliasSuggestions(appeals, employeeEntities, aliases);
+
+    return NextResponse.json({
+      success: true,
+      data: suggestions
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get alias suggestions error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to build alias suggestions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
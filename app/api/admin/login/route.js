@@ -1,7 +1,11 @@
 import { NextResponse } from 'next/server';
 import { schemas } from '@/lib/validation';
-import { generateToken } from '@/lib/auth';
-import { findAdminByUsername, updateAdminLastLogin, logAccess } from '@/lib/mongodb.data.service';
+import { findAdminByUsername, logAccess } from '@/lib/mongodb.data.service';
+import { enforceRateLimit } from '@/lib/routeAuth';
+import { getLockRemainingMs, recordFailedLogin } from '@/lib/services/loginLockoutService';
+import { getTwoFactorPolicy } from '@/lib/services/twoFactorService';
+import { createTwoFactorChallenge, completeAdminLogin } from '@/lib/services/adminLoginService';
+import { sessionTokenBody, setSessionCookies } from '@/lib/services/authCookieService';
 import bcrypt from 'bcryptjs';
 
 export async function POST(request) {
@@ -20,6 +24,13 @@ export async function POST(request) {
 
     const { username, password } = value;
 
+    // Throttle per client IP and per username before touching the password
+    const { response: rateLimited } = await enforceRateLimit(request, 'admin_login', {
+      identity: username,
+      role: 'admin'
+    });
+    if (rateLimited) return rateLimited;
+
     // Debug logging only in development
     if (process.env.NODE_ENV === 'development') {
       console.log('🔐 Admin login attempt for:', username);
@@ -50,12 +61,24 @@ export async function POST(request) {
       }, { status: 401 });
     }
 
-    // Check if account is active
-    if (!admin.isActive) {
+    // Locked accounts are refused without checking the password, with the same
+    // response as an unknown username so the lock does not confirm the account exists
+    if (getLockRemainingMs(admin) > 0) {
+      await logAccess({
+        email: admin.email,
+        role: 'admin',
+        action: 'LOGIN',
+        status: 'FAILURE',
+        failureReason: 'Account locked',
+        ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
+        userAgent: request.headers.get('user-agent') || 'unknown',
+        entityNames: admin.entities || []
+      });
+
       return NextResponse.json({
         success: false,
-        message: 'Your account has been deactivated. Please contact support.'
-      }, { status: 403 });
+        message: 'Invalid username or password'
+      }, { status: 401 });
     }
 
     // Verify password - only bcrypt hashed passwords are supported
@@ -80,67 +103,56 @@ export async function POST(request) {
         status: 'FAILURE',
         failureReason: 'Invalid password',
         ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
-        userAgent: request.headers.get('user-agent') || 'unknown'
+        userAgent: request.headers.get('user-agent') || 'unknown',
+        entityNames: admin.entities || []
       });
 
+      // Repeated failures lock the account and email the owner
+      await recordFailedLogin(admin, 'admin', request);
+
       return NextResponse.json({
         success: false,
         message: 'Invalid username or password'
       }, { status: 401 });
     }
 
-    // Update last login time
-    await updateAdminLastLogin(admin._id.toString());
-
-    // Log success
-    await logAccess({
-      email: admin.email,
-      role: 'admin',
-      action: 'LOGIN',
-      status: 'SUCCESS',
-      ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
-      userAgent: request.headers.get('user-agent') || 'unknown',
-      metadata: {
-        username: admin.username,
-        role: admin.role
-      }
-    });
+    // Only someone with the password learns that the account is deactivated
+    if (!admin.isActive) {
+      return NextResponse.json({
+        success: false,
+        message: 'Your account has been deactivated. Please contact support.'
+      }, { status: 403 });
+    }
 
-    // Generate JWT token
-    const token = generateToken({
-      id: admin._id.toString(),
-      username: admin.username,
-      email: admin.email,
-      fullName: admin.fullName,
-      role: admin.role,
-      permissions: admin.permissions
-    });
+    // Admins with 2FA finish at /api/admin/login/two-factor; no session is issued yet
+    if (admin.twoFactor?.enabled) {
+      return NextResponse.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: await createTwoFactorChallenge(admin)
+        }
+      }, { status: 200 });
+    }
 
-    // Return response without sensitive data
-    const adminResponse = {
-      id: admin._id.toString(),
-      username: admin.username,
-      email: admin.email,
-      fullName: admin.fullName,
-      role: admin.role,
-      department: admin.department,
-      permissions: admin.permissions,
-      lastLoginAt: new Date(),
-      createdAt: admin.createdAt
-    };
+    const { admin: profile, tokens } = await completeAdminLogin(admin, request, {
+      twoFactorPolicy: await getTwoFactorPolicy()
+    });
 
     if (process.env.NODE_ENV === 'development') {
       console.log('✅ Admin login successful:', admin.username);
     }
 
-    return NextResponse.json({
+    const response = NextResponse.json({
       success: true,
       message: 'Admin login successful',
       data: {
-        admin: adminResponse,
-        token
+        admin: profile,
+        ...sessionTokenBody(tokens)
       }
     }, { status: 200 });
+    return setSessionCookies(response, 'admin', tokens, request);
 
   } catch (error) {
     if (process.env.NODE_ENV === 'development') {
@@ -0,0 +1,140 @@
+import { NextResponse } from 'next/server';
+import { schemas } from '@/lib/validation';
+import { verifyChallengeToken } from '@/lib/auth';
+import { findAdminById, consumeAdminSecondFactor, logAccess } from '@/lib/mongodb.data.service';
+import { enforceRateLimit, accountLockedResponse } from '@/lib/routeAuth';
+import { getLockRemainingMs, recordFailedLogin } from '@/lib/services/loginLockoutService';
+import { checkSecondFactor, getTwoFactorPolicy } from '@/lib/services/twoFactorService';
+import { TWO_FACTOR_CHALLENGE_PURPOSE, completeAdminLogin } from '@/lib/services/adminLoginService';
+import { sessionTokenBody, setSessionCookies } from '@/lib/services/authCookieService';
+
+/**
+ * Second step of an admin login with 2FA enabled
+ * Exchanges the challenge from /api/admin/login and an authenticator or recovery
+ * code for a session. Each challenge, code and recovery code works once; wrong
+ * codes count towards the account lockout, and every recovery code used is
+ * written to the access log.
+ * POST /api/admin/login/two-factor
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { error, value } = schemas.adminTwoFactorLogin.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(value.challengeToken);
+    } catch (challengeError) {
+      challenge = null;
+    }
+
+    const admin = challenge?.purpose === TWO_FACTOR_CHALLENGE_PURPOSE
+      ? await findAdminById(challenge.id).catch(() => null)
+      : null;
+
+    // The nonce is cleared once the challenge is answered, so a token works only once
+    if (!admin || !admin.isActive || !admin.twoFactor?.enabled
+      || !challenge.jti || admin.twoFactor.challengeNonce !== challenge.jti) {
+      return NextResponse.json({
+        success: false,
+        code: 'CHALLENGE_EXPIRED',
+        message: 'Your login has expired. Please enter your username and password again.'
+      }, { status: 401 });
+    }
+
+    const { response: rateLimited } = await enforceRateLimit(request, 'admin_login', {
+      identity: admin.username,
+      email: admin.email,
+      role: 'admin'
+    });
+    if (rateLimited) return rateLimited;
+
+    if (getLockRemainingMs(admin) > 0) {
+      return accountLockedResponse(admin);
+    }
+
+    const ipAddress = request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown';
+    const userAgent = request.headers.get('user-agent') || 'unknown';
+    const result = checkSecondFactor(admin, value, challenge.jti);
+
+    // A code or recovery code spent by a concurrent request fails here
+    const updatedAdmin = result.valid
+      ? await consumeAdminSecondFactor(admin._id.toString(), result.condition, result.update)
+      : null;
+
+    if (!updatedAdmin) {
+      await logAccess({
+        email: admin.email,
+        role: 'admin',
+        action: 'LOGIN',
+        status: 'FAILURE',
+        failureReason: value.recoveryCode ? 'Invalid recovery code' : 'Invalid two-factor code',
+        ipAddress,
+        userAgent,
+        entityNames: admin.entities || []
+      });
+
+      const { lockedUntil } = await recordFailedLogin(admin, 'admin', request);
+      if (lockedUntil) return accountLockedResponse({ lockedUntil });
+
+      return NextResponse.json({
+        success: false,
+        message: value.recoveryCode ? 'That recovery code is not valid or has already been used' : 'Invalid authenticator code'
+      }, { status: 401 });
+    }
+
+    const remainingRecoveryCodes = updatedAdmin.twoFactor?.recoveryCodes?.length || 0;
+
+    if (result.method === 'recovery_code') {
+      await logAccess({
+        email: admin.email,
+        role: 'admin',
+        action: 'RECOVERY_CODE_USED',
+        status: 'SUCCESS',
+        ipAddress,
+        userAgent,
+        metadata: { remainingRecoveryCodes },
+        entityNames: admin.entities || []
+      });
+    }
+
+    const { admin: profile, tokens } = await completeAdminLogin(admin, request, {
+      twoFactorPolicy: await getTwoFactorPolicy(),
+      twoFactorMethod: result.method
+    });
+
+    const response = NextResponse.json({
+      success: true,
+      message: result.method === 'recovery_code'
+        ? `Login successful. You have ${remainingRecoveryCodes} recovery codes left.`
+        : 'Admin login successful',
+      data: {
+        admin: profile,
+        ...sessionTokenBody(tokens),
+        remainingRecoveryCodes
+      }
+    }, { status: 200 });
+    return setSessionCookies(response, 'admin', tokens, request);
+
+  } catch (error) {
+    console.error('Admin two-factor login error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Login failed. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
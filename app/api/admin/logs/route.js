@@ -1,43 +1,23 @@
 import { NextResponse } from 'next/server';
 import { getAccessLogs } from '@/lib/mongodb.data.service';
-import { extractTokenFromHeader, verifyToken } from '@/lib/auth';
+import { requireAdmin, getEntityScope } from '@/lib/routeAuth';
 
 export const dynamic = 'force-dynamic';
 
 export async function GET(request) {
-    // Auth check
-    const token = extractTokenFromHeader(request);
-
-    if (!token) {
-        return NextResponse.json({
-            success: false,
-            message: 'Access token is required'
-        }, { status: 401 });
-    }
-
     try {
-        const decoded = verifyToken(token);
-        if (decoded.role !== 'admin' && decoded.role !== 'hr_manager' && decoded.role !== 'super_admin') {
-            return NextResponse.json({
-                success: false,
-                message: 'Admin access required'
-            }, { status: 403 });
-        }
-    } catch (error) {
-        return NextResponse.json({
-            success: false,
-            message: 'Invalid or expired token'
-        }, { status: 401 });
-    }
+        // Auth check
+        const { decoded, response } = await requireAdmin(request, 'view_logs');
+        if (response) return response;
 
-    try {
         const { searchParams } = new URL(request.url);
         const page = parseInt(searchParams.get('page') || '1');
         const limit = parseInt(searchParams.get('limit') || '20');
         const status = searchParams.get('status');
         const role = searchParams.get('role');
+        const action = searchParams.get('action');
 
-        const result = await getAccessLogs({ page, limit, status, role });
+        const result = await getAccessLogs({ page, limit, status, role, action, entityNames: getEntityScope(decoded) });
 
         return NextResponse.json({
             success: true,
@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { diffChanges, recordAudit } from '@/lib/services/auditService';
+import { findSecurityAlert, updateSecurityAlert, updateVerifier } from '@/lib/mongodb.data.service';
+
+/**
+ * Acknowledge or resolve a security alert
+ * Suspended verifiers are reactivated from the verifier directory, not here.
+ * PUT /api/admin/security-alerts/[id]
+ * Body: { status: 'acknowledged' | 'resolved', note?, liftThrottle? }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_verifiers');
+    if (response) return response;
+
+    const { id } = await params;
+    const existing = await findSecurityAlert(id);
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        message: 'Security alert not found'
+      }, { status: 404 });
+    }
+
+    const body = await request.json();
+    const { error, value } = schemas.securityAlertUpdate.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    if (existing.status === 'resolved') {
+      return NextResponse.json({
+        success: false,
+        message: 'This alert has already been resolved'
+      }, { status: 409 });
+    }
+
+    if (value.liftThrottle) {
+      await updateVerifier(existing.verifierId, { lookupThrottledUntil: null });
+    }
+
+    const alert = await updateSecurityAlert(id, {
+      status: value.status,
+      resolutionNote: value.note || existing.resolutionNote,
+      reviewedBy: decoded.username || decoded.id,
+      reviewedAt: new Date()
+    });
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'security_alert',
+      entityId: alert.alertId,
+      changes: diffChanges(existing, alert, ['status', 'resolutionNote']),
+      metadata: { verifierId: alert.verifierId, liftThrottle: value.liftThrottle }
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Alert ${alert.alertId} ${alert.status}${value.liftThrottle ? ' and lookup throttle lifted' : ''}`,
+      data: alert
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Update security alert error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to update security alert',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
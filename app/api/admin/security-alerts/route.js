@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { getSecurityAlerts } from '@/lib/mongodb.data.service';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Security alerts raised by enumeration detection
+ * Verifiers are not tied to an entity, so alerts are not entity-scoped.
+ * GET /api/admin/security-alerts?status=open|acknowledged|resolved|all
+ */
+export async function GET(request) {
+  try {
+    const { response } = await requireAdmin(request, 'manage_verifiers');
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status') || 'open';
+
+    const alerts = await getSecurityAlerts({ status: status === 'all' ? undefined : status });
+
+    return NextResponse.json({
+      success: true,
+      data: { alerts }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get security alerts error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch security alerts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,118 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { diffChanges, recordAudit } from '@/lib/services/auditService';
+import { TWO_FACTOR_POLICY_KEY, DEFAULT_TWO_FACTOR_POLICY } from '@/lib/services/twoFactorService';
+import { getSetting, saveSetting, getAdmins } from '@/lib/mongodb.data.service';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Active admins per role who have not turned on 2FA
+ */
+async function countUnenrolledByRole() {
+  const admins = await getAdmins();
+  return admins
+    .filter(admin => admin.isActive && !admin.twoFactor?.enabled)
+    .reduce((counts, admin) => ({ ...counts, [admin.role]: (counts[admin.role] || 0) + 1 }), {});
+}
+
+/**
+ * Get the roles that must use two-factor authentication
+ * GET /api/admin/two-factor-policy
+ */
+export async function GET(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_admins');
+    if (response) return response;
+
+    const setting = await getSetting(TWO_FACTOR_POLICY_KEY);
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        policy: { ...DEFAULT_TWO_FACTOR_POLICY, ...(setting?.value || {}) },
+        unenrolledByRole: await countUnenrolledByRole(),
+        canEdit: decoded.role === 'super_admin',
+        updatedBy: setting?.updatedBy || null,
+        updatedAt: setting?.updatedAt || null
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch two-factor policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Set the roles that must use two-factor authentication (super admin only)
+ * Admins in a newly required role are sent to 2FA setup on their next request.
+ * PUT /api/admin/two-factor-policy
+ * Body: { requiredRoles }
+ */
+export async function PUT(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_admins');
+    if (response) return response;
+
+    if (decoded.role !== 'super_admin') {
+      return NextResponse.json({
+        success: false,
+        message: 'Only super admins can change the two-factor policy'
+      }, { status: 403 });
+    }
+
+    const body = await request.json();
+    const { error, value } = schemas.twoFactorPolicy.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const before = await getSetting(TWO_FACTOR_POLICY_KEY);
+    const setting = await saveSetting(TWO_FACTOR_POLICY_KEY, value, decoded.username || decoded.id);
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'setting',
+      entityId: TWO_FACTOR_POLICY_KEY,
+      changes: diffChanges({ ...DEFAULT_TWO_FACTOR_POLICY, ...(before?.value || {}) }, setting.value, Object.keys(DEFAULT_TWO_FACTOR_POLICY))
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Two-factor policy saved',
+      data: {
+        policy: setting.value,
+        unenrolledByRole: await countUnenrolledByRole(),
+        canEdit: true,
+        updatedBy: setting.updatedBy,
+        updatedAt: setting.updatedAt
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to save two-factor policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,94 @@
+import { NextResponse } from 'next/server';
+import bcrypt from 'bcryptjs';
+import { requireAdmin } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { recordAudit } from '@/lib/services/auditService';
+import { findAdminById, updateAdmin } from '@/lib/mongodb.data.service';
+import {
+  decryptSecret,
+  verifyTotp,
+  getTwoFactorPolicy,
+  isTwoFactorRequired,
+  buildTwoFactorResetUpdate
+} from '@/lib/services/twoFactorService';
+
+/**
+ * Turn off 2FA for the logged-in admin
+ * Needs the password and a current code, and is refused when the admin's role requires 2FA.
+ * POST /api/admin/two-factor/disable
+ * Body: { password, code }
+ */
+export async function POST(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request);
+    if (response) return response;
+
+    const body = await request.json();
+    const { error, value } = schemas.twoFactorDisable.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const admin = await findAdminById(decoded.id);
+    if (!admin.twoFactor?.enabled) {
+      return NextResponse.json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      }, { status: 409 });
+    }
+
+    if (isTwoFactorRequired(admin, await getTwoFactorPolicy())) {
+      return NextResponse.json({
+        success: false,
+        message: 'Your role requires two-factor authentication, so it cannot be turned off'
+      }, { status: 409 });
+    }
+
+    const isPasswordValid = admin.password?.startsWith('$2')
+      && await bcrypt.compare(value.password, admin.password);
+    const step = verifyTotp(decryptSecret(admin.twoFactor.secret), value.code, {
+      lastUsedStep: admin.twoFactor.lastUsedStep
+    });
+
+    if (!isPasswordValid || step === null) {
+      return NextResponse.json({
+        success: false,
+        message: 'Password or authenticator code is incorrect'
+      }, { status: 400 });
+    }
+
+    await updateAdmin(decoded.id, buildTwoFactorResetUpdate());
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'admin',
+      entityId: admin.username,
+      changes: [{ field: 'twoFactor.enabled', from: true, to: false }],
+      metadata: { event: 'two_factor_disabled' }
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Two-factor authentication has been turned off'
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to turn off two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,91 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { recordAudit } from '@/lib/services/auditService';
+import { findAdminById, updateAdmin } from '@/lib/mongodb.data.service';
+import { decryptSecret, verifyTotp, generateRecoveryCodes } from '@/lib/services/twoFactorService';
+
+/**
+ * Finish 2FA enrolment with a code from the pending secret
+ * Returns the recovery codes; they are only ever shown in this response.
+ * POST /api/admin/two-factor/enable
+ * Body: { code }
+ */
+export async function POST(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, null, { allowPendingTwoFactor: true });
+    if (response) return response;
+
+    const body = await request.json();
+    const { error, value } = schemas.twoFactorCode.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const admin = await findAdminById(decoded.id);
+    if (admin.twoFactor?.enabled) {
+      return NextResponse.json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      }, { status: 409 });
+    }
+
+    if (!admin.twoFactor?.pendingSecret) {
+      return NextResponse.json({
+        success: false,
+        message: 'Start the setup again to get a new QR code'
+      }, { status: 400 });
+    }
+
+    const step = verifyTotp(decryptSecret(admin.twoFactor.pendingSecret), value.code);
+    if (step === null) {
+      return NextResponse.json({
+        success: false,
+        message: 'That code does not match. Check the time on your device and try again.'
+      }, { status: 400 });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await updateAdmin(decoded.id, {
+      'twoFactor.enabled': true,
+      'twoFactor.secret': admin.twoFactor.pendingSecret,
+      'twoFactor.pendingSecret': null,
+      'twoFactor.recoveryCodes': hashes,
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.lastUsedStep': step
+    });
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'admin',
+      entityId: admin.username,
+      changes: [{ field: 'twoFactor.enabled', from: false, to: true }],
+      metadata: { event: 'two_factor_enabled' }
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Two-factor authentication is on. Save your recovery codes now; they will not be shown again.',
+      data: { recoveryCodes: codes }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,83 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { recordAudit } from '@/lib/services/auditService';
+import { findAdminById, updateAdmin } from '@/lib/mongodb.data.service';
+import { decryptSecret, verifyTotp, generateRecoveryCodes } from '@/lib/services/twoFactorService';
+
+/**
+ * Replace the logged-in admin's recovery codes
+ * Every earlier code stops working. Needs a current authenticator code.
+ * POST /api/admin/two-factor/recovery-codes
+ * Body: { code }
+ */
+export async function POST(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request);
+    if (response) return response;
+
+    const body = await request.json();
+    const { error, value } = schemas.twoFactorCode.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const admin = await findAdminById(decoded.id);
+    if (!admin.twoFactor?.enabled) {
+      return NextResponse.json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      }, { status: 409 });
+    }
+
+    const step = verifyTotp(decryptSecret(admin.twoFactor.secret), value.code, {
+      lastUsedStep: admin.twoFactor.lastUsedStep
+    });
+
+    if (step === null) {
+      return NextResponse.json({
+        success: false,
+        message: 'Invalid authenticator code'
+      }, { status: 400 });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await updateAdmin(decoded.id, {
+      'twoFactor.recoveryCodes': hashes,
+      'twoFactor.lastUsedStep': step
+    });
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'admin',
+      entityId: admin.username,
+      changes: [],
+      metadata: { event: 'recovery_codes_regenerated' }
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: 'New recovery codes generated. Save them now; the old ones no longer work.',
+      data: { recoveryCodes: codes }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to generate recovery codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
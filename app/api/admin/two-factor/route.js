@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { findAdminById } from '@/lib/mongodb.data.service';
+import { getTwoFactorPolicy, getTwoFactorStatus } from '@/lib/services/twoFactorService';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Two-factor status of the logged-in admin
+ * GET /api/admin/two-factor
+ */
+export async function GET(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, null, { allowPendingTwoFactor: true });
+    if (response) return response;
+
+    const admin = await findAdminById(decoded.id);
+
+    return NextResponse.json({
+      success: true,
+      data: getTwoFactorStatus(admin, await getTwoFactorPolicy())
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch two-factor status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { findAdminById, updateAdmin } from '@/lib/mongodb.data.service';
+import { generateSecret, encryptSecret, buildEnrolment } from '@/lib/services/twoFactorService';
+
+/**
+ * Start 2FA enrolment for the logged-in admin
+ * Generates a new secret held as pending until a code from it is confirmed at
+ * /api/admin/two-factor/enable. Starting again replaces the pending secret.
+ * POST /api/admin/two-factor/setup
+ */
+export async function POST(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, null, { allowPendingTwoFactor: true });
+    if (response) return response;
+
+    const admin = await findAdminById(decoded.id);
+    if (admin.twoFactor?.enabled) {
+      return NextResponse.json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      }, { status: 409 });
+    }
+
+    const secret = generateSecret();
+    await updateAdmin(decoded.id, { 'twoFactor.pendingSecret': encryptSecret(secret) });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter a code to confirm',
+      data: await buildEnrolment(secret, admin.username)
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
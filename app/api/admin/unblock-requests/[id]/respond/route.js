@@ -0,0 +1,102 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, getEntityScope, isInEntityScope } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { diffChanges, recordAudit } from '@/lib/services/auditService';
+import { sendUnblockDecisionEmail } from '@/lib/services/emailService';
+import { findEntity } from '@/lib/services/entityService';
+import {
+  findUnblockRequest,
+  updateUnblockRequest,
+  resetVerificationAttempt
+} from '@/lib/mongodb.data.service';
+
+/**
+ * Approve or deny an unblock request
+ * Approving resets the verifier's attempts for the employee.
+ * POST /api/admin/unblock-requests/[id]/respond
+ * Body: { decision: 'approve' | 'deny', note? }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_verifiers');
+    if (response) return response;
+
+    const { id } = await params;
+    const existing = await findUnblockRequest(id);
+
+    // Requests outside the admin's entities are reported as not found
+    if (!existing || !isInEntityScope(getEntityScope(decoded), existing.entityName)) {
+      return NextResponse.json({
+        success: false,
+        message: 'Unblock request not found'
+      }, { status: 404 });
+    }
+
+    const body = await request.json();
+    const { error, value } = schemas.unblockDecision.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    if (existing.status !== 'pending') {
+      return NextResponse.json({
+        success: false,
+        message: `This unblock request has already been ${existing.status}`
+      }, { status: 409 });
+    }
+
+    const approved = value.decision === 'approve';
+
+    if (approved) {
+      await resetVerificationAttempt(existing.verifierId, existing.employeeId);
+    }
+
+    const unblockRequest = await updateUnblockRequest(id, {
+      status: approved ? 'approved' : 'denied',
+      reviewNote: value.note || undefined,
+      reviewedBy: decoded.username || decoded.id,
+      reviewedAt: new Date()
+    });
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'unblock_request',
+      entityId: unblockRequest.requestId,
+      changes: diffChanges(existing, unblockRequest, ['status', 'reviewNote']),
+      metadata: { event: value.decision, verifierId: existing.verifierId, employeeId: existing.employeeId }
+    });
+
+    let emailSent = false;
+    try {
+      await sendUnblockDecisionEmail(unblockRequest, await findEntity(unblockRequest.entityName));
+      emailSent = true;
+    } catch (emailError) {
+      console.error('Failed to send unblock decision email:', emailError);
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `Unblock request ${unblockRequest.requestId} ${unblockRequest.status}`,
+      data: { ...unblockRequest, emailSent }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Unblock request response error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to respond to unblock request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
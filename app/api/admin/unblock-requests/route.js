@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, getEntityScope } from '@/lib/routeAuth';
+import { getUnblockRequests, getVerificationAttempt } from '@/lib/mongodb.data.service';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Unblock request queue with the attempt history behind each block
+ * GET /api/admin/unblock-requests?status=pending|approved|denied
+ */
+export async function GET(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_verifiers');
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status') || 'pending';
+
+    const unblockRequests = await getUnblockRequests({
+      status: status === 'all' ? undefined : status,
+      entityNames: getEntityScope(decoded)
+    });
+
+    const withAttempts = await Promise.all(unblockRequests.map(async (unblockRequest) => {
+      const attempt = await getVerificationAttempt(unblockRequest.verifierId, unblockRequest.employeeId);
+      return {
+        ...unblockRequest,
+        attempt: attempt ? {
+          attemptCount: attempt.attemptCount,
+          isBlocked: attempt.isBlocked,
+          blockedAt: attempt.blockedAt,
+          lastAttemptAt: attempt.lastAttemptAt,
+          history: attempt.history || []
+        } : null
+      };
+    }));
+
+    return NextResponse.json({
+      success: true,
+      data: { unblockRequests: withAttempts }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get unblock requests error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch unblock requests',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
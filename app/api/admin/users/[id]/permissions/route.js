@@ -0,0 +1,94 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, checkAdminTarget } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { diffChanges, recordAudit } from '@/lib/services/auditService';
+import { findAdminById, updateAdmin } from '@/lib/mongodb.data.service';
+import { PERMISSIONS, resolvePermissions, getUngrantablePermissions } from '@/lib/permissions';
+
+/**
+ * Set an admin's permission overrides
+ * Grants are added to the role defaults and revocations removed from them.
+ * Admins cannot change their own overrides, those of admins outside their entity
+ * scope, or give permissions they don't hold.
+ * PUT /api/admin/users/[id]/permissions
+ * Body: { permissions: [String], revokedPermissions: [String] }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_admins');
+    if (response) return response;
+
+    const { id } = await params;
+    const existing = await findAdminById(id).catch(() => null);
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        message: 'Admin not found'
+      }, { status: 404 });
+    }
+
+    const body = await request.json();
+    const { error, value } = schemas.adminPermissions.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const { response: forbidden } = checkAdminTarget(decoded, existing);
+    if (forbidden) return forbidden;
+
+    if (existing._id.toString() === decoded.id) {
+      return NextResponse.json({
+        success: false,
+        message: 'You cannot change your own permissions'
+      }, { status: 403 });
+    }
+
+    const ungrantable = getUngrantablePermissions(decoded.permissions, existing, { ...existing, ...value });
+    if (ungrantable.length > 0) {
+      return NextResponse.json({
+        success: false,
+        message: `You can only grant permissions you hold yourself: ${ungrantable.map(key => PERMISSIONS[key].label).join(', ')}`
+      }, { status: 403 });
+    }
+
+    const admin = await updateAdmin(id, value);
+
+    const changes = diffChanges(existing, admin, ['permissions', 'revokedPermissions']);
+    if (changes.length > 0) {
+      await recordAudit({
+        request,
+        actor: decoded,
+        action: 'update',
+        entityType: 'admin',
+        entityId: admin.username,
+        changes
+      });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `Permissions updated for ${admin.username}`,
+      data: {
+        ...admin,
+        effectivePermissions: resolvePermissions(admin)
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Update admin permissions error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to update permissions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, checkAdminTarget } from '@/lib/routeAuth';
+import { recordAudit } from '@/lib/services/auditService';
+import { createTemporaryPassword, deliverTemporaryPassword } from '@/lib/services/adminAccountService';
+import { findAdminById, updateAdmin, revokeUserSessions } from '@/lib/mongodb.data.service';
+
+/**
+ * Force a password reset
+ * Replaces the admin's password with an emailed temporary one and requires a
+ * new password on their next login. The password is only returned in the
+ * response when the email could not be sent, so the target may not hold
+ * permissions the acting admin lacks.
+ * POST /api/admin/users/[id]/reset-password
+ */
+export async function POST(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_admins');
+    if (response) return response;
+
+    const { id } = await params;
+    const existing = await findAdminById(id).catch(() => null);
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        message: 'Admin not found'
+      }, { status: 404 });
+    }
+
+    // The temporary password can end up with the actor, so they must already hold everything it unlocks
+    const { response: forbidden } = checkAdminTarget(decoded, existing, { samePermissions: true });
+    if (forbidden) return forbidden;
+
+    const { temporaryPassword, passwordHash } = await createTemporaryPassword();
+    const admin = await updateAdmin(id, {
+      password: passwordHash,
+      mustChangePassword: true
+    });
+
+    // Sessions opened with the old password end now
+    await revokeUserSessions('admin', admin._id, { revokedBy: decoded.username || decoded.id, reason: 'password_change' });
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'admin',
+      entityId: admin.username,
+      changes: [{ field: 'mustChangePassword', from: existing.mustChangePassword || false, to: true }],
+      metadata: { event: 'password_reset' }
+    });
+
+    const emailSent = await deliverTemporaryPassword(admin, temporaryPassword, 'reset');
+
+    return NextResponse.json({
+      success: true,
+      message: emailSent
+        ? `A temporary password has been emailed to ${admin.email}`
+        : `Password reset for ${admin.username}, but the email could not be sent`,
+      data: {
+        emailSent,
+        temporaryPassword: emailSent ? undefined : temporaryPassword
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Reset admin password error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to reset password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, checkAdminTarget } from '@/lib/routeAuth';
+import { recordAudit } from '@/lib/services/auditService';
+import { findAdminById, updateAdmin } from '@/lib/mongodb.data.service';
+import { resolvePermissions } from '@/lib/permissions';
+import { buildTwoFactorResetUpdate } from '@/lib/services/twoFactorService';
+
+/**
+ * Turn off 2FA for an admin who lost their authenticator and recovery codes
+ * If their role requires 2FA they are asked to enrol again after their next login.
+ * POST /api/admin/users/[id]/reset-two-factor
+ */
+export async function POST(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_admins');
+    if (response) return response;
+
+    const { id } = await params;
+    const existing = await findAdminById(id).catch(() => null);
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        message: 'Admin not found'
+      }, { status: 404 });
+    }
+
+    // Without 2FA the account is one password away from takeover, so treat it like a password reset
+    const { response: forbidden } = checkAdminTarget(decoded, existing, { samePermissions: true });
+    if (forbidden) return forbidden;
+
+    if (!existing.twoFactor?.enabled) {
+      return NextResponse.json({
+        success: false,
+        message: `${existing.username} does not have two-factor authentication enabled`
+      }, { status: 409 });
+    }
+
+    const admin = await updateAdmin(id, buildTwoFactorResetUpdate());
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'admin',
+      entityId: admin.username,
+      changes: [{ field: 'twoFactor.enabled', from: true, to: false }],
+      metadata: { event: 'two_factor_reset' }
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Two-factor authentication reset for ${admin.username}`,
+      data: {
+        ...admin,
+        effectivePermissions: resolvePermissions(admin)
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Reset admin two-factor error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to reset two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
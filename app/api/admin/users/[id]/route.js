@@ -0,0 +1,135 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, getEntityScope, isInEntityScope, checkAdminTarget } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { diffChanges, recordAudit } from '@/lib/services/auditService';
+import { validateEntityCode } from '@/lib/services/entityService';
+import { findAdminById, updateAdmin } from '@/lib/mongodb.data.service';
+import { PERMISSIONS, resolvePermissions, canManageRole, getUngrantablePermissions } from '@/lib/permissions';
+import { ADMIN_FIELDS } from '@/lib/models/Admin.js';
+
+/**
+ * Update an admin account (role, department, entities, name or active status)
+ * Deactivated admins are rejected on their next request. Admins other than super
+ * admins can only edit admins whose entities are all in their own scope and only
+ * assign entities from it, and nobody can change their own entities.
+ * PUT /api/admin/users/[id]
+ * Body: { fullName?, role?, department?, entities?, isActive? }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_admins');
+    if (response) return response;
+
+    const { id } = await params;
+    const existing = await findAdminById(id).catch(() => null);
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        message: 'Admin not found'
+      }, { status: 404 });
+    }
+
+    const body = await request.json();
+    const { error, value } = schemas.adminUpdate.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const { response: forbidden } = checkAdminTarget(decoded, existing);
+    if (forbidden) return forbidden;
+
+    if (!canManageRole(decoded.role, value.role)) {
+      return NextResponse.json({
+        success: false,
+        message: 'Only super admins can manage super admin accounts'
+      }, { status: 403 });
+    }
+
+    const isSelf = existing._id.toString() === decoded.id;
+    if (isSelf && (value.isActive === false || (value.role && value.role !== existing.role))) {
+      return NextResponse.json({
+        success: false,
+        message: 'You cannot deactivate your own account or change your own role'
+      }, { status: 400 });
+    }
+
+    const currentEntities = existing.entities || [];
+    const entitiesChanged = value.entities
+      && [...value.entities].sort().join(',') !== [...currentEntities].sort().join(',');
+    if (isSelf && entitiesChanged) {
+      return NextResponse.json({
+        success: false,
+        message: 'You cannot change your own entities'
+      }, { status: 403 });
+    }
+
+    // Only check entities that are newly assigned, so inactive ones can stay on the account
+    const addedEntities = (value.entities || []).filter(code => !currentEntities.includes(code));
+    const scope = getEntityScope(decoded);
+    const outOfScope = addedEntities.filter(code => !isInEntityScope(scope, code));
+    if (outOfScope.length > 0) {
+      return NextResponse.json({
+        success: false,
+        message: `You can only assign entities you are assigned to yourself: ${outOfScope.join(', ')}`
+      }, { status: 403 });
+    }
+
+    const ungrantable = getUngrantablePermissions(decoded.permissions, existing, { ...existing, ...value });
+    if (ungrantable.length > 0) {
+      return NextResponse.json({
+        success: false,
+        message: `This role would give permissions you don't hold yourself: ${ungrantable.map(key => PERMISSIONS[key].label).join(', ')}`
+      }, { status: 403 });
+    }
+
+    for (const code of addedEntities) {
+      const entityError = await validateEntityCode(code);
+      if (entityError) {
+        return NextResponse.json({
+          success: false,
+          message: entityError
+        }, { status: 400 });
+      }
+    }
+
+    const admin = await updateAdmin(id, value);
+
+    const changes = diffChanges(existing, admin, ADMIN_FIELDS);
+    if (changes.length > 0) {
+      await recordAudit({
+        request,
+        actor: decoded,
+        action: 'update',
+        entityType: 'admin',
+        entityId: admin.username,
+        changes
+      });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `Admin ${admin.username} updated`,
+      data: {
+        ...admin,
+        effectivePermissions: resolvePermissions(admin)
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Update admin error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to update admin',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
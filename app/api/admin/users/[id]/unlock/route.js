@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, checkAdminTarget } from '@/lib/routeAuth';
+import { diffChanges, recordAudit } from '@/lib/services/auditService';
+import { buildUnlockUpdate, hasLockoutState } from '@/lib/services/loginLockoutService';
+import { findAdminById, updateAdmin, logAccess } from '@/lib/mongodb.data.service';
+import { resolvePermissions } from '@/lib/permissions';
+
+/**
+ * Unlock an admin account locked after repeated failed logins
+ * Also clears the failure count, so the next lockout starts from the shortest duration.
+ * POST /api/admin/users/[id]/unlock
+ */
+export async function POST(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_admins');
+    if (response) return response;
+
+    const { id } = await params;
+    const existing = await findAdminById(id).catch(() => null);
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        message: 'Admin not found'
+      }, { status: 404 });
+    }
+
+    const { response: forbidden } = checkAdminTarget(decoded, existing);
+    if (forbidden) return forbidden;
+
+    if (!hasLockoutState(existing)) {
+      return NextResponse.json({
+        success: false,
+        message: `${existing.username} has no failed logins to clear`
+      }, { status: 409 });
+    }
+
+    const admin = await updateAdmin(id, buildUnlockUpdate());
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'admin',
+      entityId: admin.username,
+      changes: diffChanges(existing, admin, ['lockedUntil', 'failedLoginAttempts', 'lockoutCount']),
+      metadata: { event: 'unlock' }
+    });
+
+    await logAccess({
+      email: admin.email,
+      role: 'admin',
+      action: 'ACCOUNT_UNLOCKED',
+      status: 'SUCCESS',
+      ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
+      userAgent: request.headers.get('user-agent') || 'unknown',
+      metadata: { unlockedBy: decoded.username || decoded.id },
+      entityNames: admin.entities || []
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `${admin.username} has been unlocked`,
+      data: {
+        ...admin,
+        effectivePermissions: resolvePermissions(admin)
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Unlock admin error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to unlock admin',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,157 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, getEntityScope, isInEntityScope, isAdminInEntityScope } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { diffChanges, recordAudit } from '@/lib/services/auditService';
+import { validateEntityCode } from '@/lib/services/entityService';
+import { createTemporaryPassword, deliverTemporaryPassword } from '@/lib/services/adminAccountService';
+import { getAdmins, addAdmin } from '@/lib/mongodb.data.service';
+import { PERMISSIONS, ROLE_PERMISSIONS, resolvePermissions, canManageRole, getUngrantablePermissions } from '@/lib/permissions';
+import { ADMIN_FIELDS } from '@/lib/models/Admin.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * List admin accounts with their role defaults, overrides and effective permissions
+ * Admins other than super admins only see admins whose entities are all in their scope.
+ * GET /api/admin/users
+ */
+export async function GET(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_admins');
+    if (response) return response;
+
+    const scope = getEntityScope(decoded);
+    const admins = (await getAdmins()).filter(admin => isAdminInEntityScope(scope, admin));
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        admins: admins.map(admin => ({
+          ...admin,
+          effectivePermissions: resolvePermissions(admin)
+        })),
+        permissions: PERMISSIONS,
+        rolePermissions: ROLE_PERMISSIONS
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get admin users error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch admin users',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Invite an admin
+ * Creates the account with a temporary password and emails it; the new admin
+ * must change it on first login. The password is only returned in the response
+ * when the email could not be sent. Admins other than super admins can only
+ * assign entities and permissions they hold themselves.
+ * POST /api/admin/users
+ * Body: { username, email, fullName, role, department, entities?, permissions?, revokedPermissions? }
+ */
+export async function POST(request) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_admins');
+    if (response) return response;
+
+    const body = await request.json();
+    const { error, value } = schemas.adminCreate.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    if (!canManageRole(decoded.role, value.role)) {
+      return NextResponse.json({
+        success: false,
+        message: 'Only super admins can invite super admins'
+      }, { status: 403 });
+    }
+
+    const outOfScope = value.entities.filter(code => !isInEntityScope(getEntityScope(decoded), code));
+    if (outOfScope.length > 0) {
+      return NextResponse.json({
+        success: false,
+        message: `You can only assign entities you are assigned to yourself: ${outOfScope.join(', ')}`
+      }, { status: 403 });
+    }
+
+    const ungrantable = getUngrantablePermissions(decoded.permissions, null, value);
+    if (ungrantable.length > 0) {
+      return NextResponse.json({
+        success: false,
+        message: `This role would give permissions you don't hold yourself: ${ungrantable.map(key => PERMISSIONS[key].label).join(', ')}`
+      }, { status: 403 });
+    }
+
+    for (const code of value.entities) {
+      const entityError = await validateEntityCode(code);
+      if (entityError) {
+        return NextResponse.json({
+          success: false,
+          message: entityError
+        }, { status: 400 });
+      }
+    }
+
+    const { temporaryPassword, passwordHash } = await createTemporaryPassword();
+    const admin = await addAdmin({
+      ...value,
+      password: passwordHash,
+      mustChangePassword: true,
+      invitedBy: decoded.username || decoded.id
+    });
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'create',
+      entityType: 'admin',
+      entityId: admin.username,
+      changes: diffChanges(null, admin, ADMIN_FIELDS)
+    });
+
+    const emailSent = await deliverTemporaryPassword(admin, temporaryPassword, 'invite');
+
+    return NextResponse.json({
+      success: true,
+      message: emailSent
+        ? `Invitation sent to ${admin.email}`
+        : `Admin ${admin.username} created, but the invitation email could not be sent`,
+      data: {
+        admin: { ...admin, effectivePermissions: resolvePermissions(admin) },
+        emailSent,
+        temporaryPassword: emailSent ? undefined : temporaryPassword
+      }
+    }, { status: 201 });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return NextResponse.json({
+        success: false,
+        message: 'An admin with this username or email already exists'
+      }, { status: 409 });
+    }
+
+    console.error('Invite admin error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to invite admin',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,73 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, getEntityScope, isInEntityScope } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { findVerificationRecord } from '@/lib/mongodb.data.service';
+import { revokeVerificationRecord } from '@/lib/services/verificationService';
+
+/**
+ * Revoke a verification record so no further reports are issued for it
+ * POST /api/admin/verifications/[id]/revoke
+ * Body: { reason: string }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_appeals');
+    if (response) return response;
+
+    const { id } = await params;
+
+    const body = await request.json();
+    const { error, value } = schemas.verificationRevoke.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const verificationRecord = await findVerificationRecord(id);
+    if (!verificationRecord || !isInEntityScope(getEntityScope(decoded), verificationRecord.entityName)) {
+      return NextResponse.json({
+        success: false,
+        message: 'Verification record not found'
+      }, { status: 404 });
+    }
+
+    if (verificationRecord.recordStatus === 'revoked') {
+      return NextResponse.json({
+        success: false,
+        message: 'This verification has already been revoked'
+      }, { status: 400 });
+    }
+
+    const updatedRecord = await revokeVerificationRecord({
+      verificationRecord,
+      reason: value.reason,
+      changedBy: decoded.username || decoded.email || decoded.id
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Verification ${id} has been revoked`,
+      data: {
+        verificationId: updatedRecord.verificationId,
+        recordStatus: updatedRecord.recordStatus,
+        amendments: updatedRecord.amendments
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Revoke verification error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to revoke verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,71 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, getEntityScope } from '@/lib/routeAuth';
+import {
+  findVerifierById,
+  getVerificationRecordsByVerifier,
+  getAppealsByVerifier
+} from '@/lib/mongodb.data.service';
+import { getVerifierStatus } from '@/lib/services/verifierAccountService';
+
+/**
+ * Get a verifier with their verification and query history
+ * History is limited to the admin's entities.
+ * GET /api/admin/verifiers/[id]
+ */
+export async function GET(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_verifiers');
+    if (response) return response;
+
+    const { id } = await params;
+    const verifier = await findVerifierById(id).catch(() => null);
+    if (!verifier) {
+      return NextResponse.json({
+        success: false,
+        message: 'Verifier not found'
+      }, { status: 404 });
+    }
+
+    const entityNames = getEntityScope(decoded);
+    const [records, appeals] = await Promise.all([
+      getVerificationRecordsByVerifier(id, { entityNames }),
+      getAppealsByVerifier(id, { entityNames })
+    ]);
+
+    const { password, bypassToken, notifications, ...verifierData } = verifier;
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        verifier: { ...verifierData, status: getVerifierStatus(verifier) },
+        verifications: records
+          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+          .map(record => ({
+            verificationId: record.verificationId,
+            employeeId: record.employeeId,
+            entityName: record.entityName,
+            overallStatus: record.overallStatus,
+            recordStatus: record.recordStatus,
+            createdAt: record.createdAt
+          })),
+        appeals: appeals.map(appeal => ({
+          appealId: appeal.appealId,
+          verificationId: appeal.verificationId,
+          employeeId: appeal.employeeId,
+          entityName: appeal.entityName,
+          status: appeal.status,
+          createdAt: appeal.createdAt
+        }))
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get verifier error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch verifier',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,64 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { recordAudit } from '@/lib/services/auditService';
+import { isSessionActive } from '@/lib/services/sessionService';
+import { findVerifierById, findSessionById, revokeSession, logAccess } from '@/lib/mongodb.data.service';
+
+/**
+ * Log a verifier out of one session
+ * DELETE /api/admin/verifiers/[id]/sessions/[sessionId]
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_verifiers');
+    if (response) return response;
+
+    const { id, sessionId } = await params;
+    const verifier = await findVerifierById(id).catch(() => null);
+    const session = verifier ? await findSessionById(sessionId).catch(() => null) : null;
+
+    if (!session || session.userType !== 'verifier' || session.userId.toString() !== verifier._id.toString() || !isSessionActive(session)) {
+      return NextResponse.json({
+        success: false,
+        message: 'Session not found'
+      }, { status: 404 });
+    }
+
+    const revokedBy = decoded.username || decoded.id;
+    await revokeSession(sessionId, { revokedBy, reason: 'admin' });
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'verifier',
+      entityId: verifier.email,
+      changes: [{ field: 'activeSessions', from: session.device, to: null }],
+      metadata: { event: 'session_revoked', sessionId, ipAddress: session.ipAddress }
+    });
+
+    await logAccess({
+      email: verifier.email,
+      role: 'verifier',
+      action: 'SESSIONS_REVOKED',
+      status: 'SUCCESS',
+      ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
+      userAgent: request.headers.get('user-agent') || 'unknown',
+      metadata: { revoked: 1, revokedBy, sessionId, device: session.device }
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Logged ${verifier.companyName} out of ${session.device}`
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Revoke verifier session error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to revoke verifier session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,109 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { recordAudit } from '@/lib/services/auditService';
+import { formatSession } from '@/lib/services/sessionService';
+import { findVerifierById, getActiveSessions, revokeUserSessions, logAccess } from '@/lib/mongodb.data.service';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * List a verifier's active sessions
+ * GET /api/admin/verifiers/[id]/sessions
+ */
+export async function GET(request, { params }) {
+  try {
+    const { response } = await requireAdmin(request, 'manage_verifiers');
+    if (response) return response;
+
+    const { id } = await params;
+    const verifier = await findVerifierById(id).catch(() => null);
+    if (!verifier) {
+      return NextResponse.json({
+        success: false,
+        message: 'Verifier not found'
+      }, { status: 404 });
+    }
+
+    const sessions = await getActiveSessions('verifier', verifier._id);
+
+    return NextResponse.json({
+      success: true,
+      data: sessions.map(session => formatSession(session))
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get verifier sessions error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch verifier sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Log a verifier out everywhere, e.g. when their account may be compromised
+ * Their access tokens stop working at the next request; they can log in again.
+ * DELETE /api/admin/verifiers/[id]/sessions
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_verifiers');
+    if (response) return response;
+
+    const { id } = await params;
+    const verifier = await findVerifierById(id).catch(() => null);
+    if (!verifier) {
+      return NextResponse.json({
+        success: false,
+        message: 'Verifier not found'
+      }, { status: 404 });
+    }
+
+    const revokedBy = decoded.username || decoded.id;
+    const revoked = await revokeUserSessions('verifier', verifier._id, { revokedBy, reason: 'admin' });
+
+    if (revoked === 0) {
+      return NextResponse.json({
+        success: false,
+        message: `${verifier.companyName} has no active sessions`
+      }, { status: 409 });
+    }
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'verifier',
+      entityId: verifier.email,
+      changes: [{ field: 'activeSessions', from: revoked, to: 0 }],
+      metadata: { event: 'sessions_revoked' }
+    });
+
+    await logAccess({
+      email: verifier.email,
+      role: 'verifier',
+      action: 'SESSIONS_REVOKED',
+      status: 'SUCCESS',
+      ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
+      userAgent: request.headers.get('user-agent') || 'unknown',
+      metadata: { revoked, revokedBy, scope: 'all_sessions' }
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Logged ${verifier.companyName} out of ${revoked} session${revoked === 1 ? '' : 's'}`,
+      data: { revoked }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Revoke verifier sessions error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to revoke verifier sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,98 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import { diffChanges, recordAudit } from '@/lib/services/auditService';
+import { buildStatusUpdate, getVerifierStatus } from '@/lib/services/verifierAccountService';
+import { sendWelcomeEmail } from '@/lib/services/emailService';
+import { findVerifierById, updateVerifier, revokeUserSessions } from '@/lib/mongodb.data.service';
+
+/**
+ * Approve, reject, suspend or reactivate a verifier
+ * Suspensions take effect on the verifier's next request.
+ * POST /api/admin/verifiers/[id]/status
+ * Body: { action: 'approve' | 'reject' | 'suspend' | 'reactivate', reason? }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_verifiers');
+    if (response) return response;
+
+    const { id } = await params;
+    const existing = await findVerifierById(id).catch(() => null);
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        message: 'Verifier not found'
+      }, { status: 404 });
+    }
+
+    const body = await request.json();
+    const { error, value } = schemas.verifierStatusAction.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const { update, error: actionError } = buildStatusUpdate(existing, value.action, {
+      reason: value.reason,
+      changedBy: decoded.username || decoded.id
+    });
+
+    if (actionError) {
+      return NextResponse.json({
+        success: false,
+        message: actionError
+      }, { status: 409 });
+    }
+
+    const verifier = await updateVerifier(id, update);
+
+    // A suspended verifier is logged out everywhere straight away
+    if (value.action === 'suspend') {
+      await revokeUserSessions('verifier', verifier._id, { revokedBy: decoded.username || decoded.id, reason: 'account_disabled' });
+    }
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'verifier',
+      entityId: verifier.email,
+      changes: diffChanges(existing, verifier, ['approvalStatus', 'isActive', 'statusReason']),
+      metadata: { event: value.action }
+    });
+
+    // Registrations held for approval get the welcome email once approved
+    if (value.action === 'approve') {
+      try {
+        await sendWelcomeEmail(verifier);
+      } catch (emailError) {
+        console.log('Welcome email not sent (email service not configured):', emailError.message);
+      }
+    }
+
+    const { password, bypassToken, notifications, ...verifierData } = verifier;
+
+    return NextResponse.json({
+      success: true,
+      message: `${verifier.companyName} is now ${getVerifierStatus(verifier)}`,
+      data: { ...verifierData, status: getVerifierStatus(verifier) }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Update verifier status error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to update verifier status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,73 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { diffChanges, recordAudit } from '@/lib/services/auditService';
+import { buildUnlockUpdate, hasLockoutState } from '@/lib/services/loginLockoutService';
+import { getVerifierStatus } from '@/lib/services/verifierAccountService';
+import { findVerifierById, updateVerifier, logAccess } from '@/lib/mongodb.data.service';
+
+/**
+ * Unlock a verifier account locked after repeated failed logins
+ * Also clears the failure count, so the next lockout starts from the shortest duration.
+ * POST /api/admin/verifiers/[id]/unlock
+ */
+export async function POST(request, { params }) {
+  try {
+    const { decoded, response } = await requireAdmin(request, 'manage_verifiers');
+    if (response) return response;
+
+    const { id } = await params;
+    const existing = await findVerifierById(id).catch(() => null);
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        message: 'Verifier not found'
+      }, { status: 404 });
+    }
+
+    if (!hasLockoutState(existing)) {
+      return NextResponse.json({
+        success: false,
+        message: `${existing.companyName} has no failed logins to clear`
+      }, { status: 409 });
+    }
+
+    const verifier = await updateVerifier(id, buildUnlockUpdate());
+
+    await recordAudit({
+      request,
+      actor: decoded,
+      action: 'update',
+      entityType: 'verifier',
+      entityId: verifier.email,
+      changes: diffChanges(existing, verifier, ['lockedUntil', 'failedLoginAttempts', 'lockoutCount']),
+      metadata: { event: 'unlock' }
+    });
+
+    await logAccess({
+      email: verifier.email,
+      role: 'verifier',
+      action: 'ACCOUNT_UNLOCKED',
+      status: 'SUCCESS',
+      ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
+      userAgent: request.headers.get('user-agent') || 'unknown',
+      metadata: { unlockedBy: decoded.username || decoded.id }
+    });
+
+    const { password, bypassToken, notifications, ...verifierData } = verifier;
+
+    return NextResponse.json({
+      success: true,
+      message: `${verifier.companyName} has been unlocked`,
+      data: { ...verifierData, status: getVerifierStatus(verifier) }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Unlock verifier error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to unlock verifier',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/routeAuth';
+import { searchVerifiers } from '@/lib/mongodb.data.service';
+import { getVerifierStatus, isApprovalRequired } from '@/lib/services/verifierAccountService';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Search the verifier directory
+ * GET /api/admin/verifiers?search=&status=pending|active|suspended|rejected&page=1&limit=20
+ */
+export async function GET(request) {
+  try {
+    const { response } = await requireAdmin(request, 'manage_verifiers');
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const page = Math.max(parseInt(searchParams.get('page') || '1'), 1);
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '20'), 1), 100);
+
+    const result = await searchVerifiers({
+      search: searchParams.get('search')?.trim() || undefined,
+      status: searchParams.get('status') || undefined,
+      page,
+      limit
+    });
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        ...result,
+        verifiers: result.verifiers.map(verifier => ({ ...verifier, status: getVerifierStatus(verifier) })),
+        approvalRequired: isApprovalRequired()
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get verifiers error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch verifiers',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -1,35 +1,25 @@
-import { NextResponse } from 'next/server';
-import { extractTokenFromHeader, verifyToken } from '@/lib/auth';
+import { NextResponse, after } from 'next/server';
 import {
   findVerificationRecord,
+  updateVerificationRecord,
   addAppeal,
   getAppeals,
   findVerifierById,
+  findEmployeeById,
   generateSequentialId
 } from '@/lib/mongodb.data.service';
 import Appeal from '@/lib/models/Appeal.js';
 import { uploadFileToS3 } from '@/lib/services/fileService';
 import { sendAppealNotificationEmail } from '@/lib/services/emailService';
+import { deliverEmailJob } from '@/lib/services/emailQueueService';
+import { findEntity } from '@/lib/services/entityService';
+import { requireAdmin, requireVerifier, getEntityScope } from '@/lib/routeAuth';
 
 export async function POST(request) {
   try {
     // Authenticate the verifier
-    const token = extractTokenFromHeader(request);
-    if (!token) {
-      return NextResponse.json({
-        success: false,
-        message: 'Access token is required'
-      }, { status: 401 });
-    }
-
-    const decoded = verifyToken(token);
-
-    if (decoded.role !== 'verifier') {
-      return NextResponse.json({
-        success: false,
-        message: 'Verifier access required'
-      }, { status: 403 });
-    }
+    const { decoded, response } = await requireVerifier(request);
+    if (response) return response;
 
     // Parse form data (for file upload)
     const formData = await request.formData();
@@ -56,6 +46,13 @@ export async function POST(request) {
       }, { status: 404 });
     }
 
+    if (verificationRecord.recordStatus === 'revoked') {
+      return NextResponse.json({
+        success: false,
+        message: 'This verification has been revoked and can no longer be appealed'
+      }, { status: 400 });
+    }
+
     // Get mismatched fields from verification record
     const mismatchedFields = verificationRecord.comparisonResults
       .filter(result => !result.isMatch)
@@ -88,6 +85,10 @@ export async function POST(request) {
       console.log('[APPEAL] No file provided or file is empty');
     }
 
+    // Records created before entity scoping have no entityName; fall back to the employee
+    const employee = await findEmployeeById(verificationRecord.employeeId);
+    const entityName = verificationRecord.entityName || employee?.entityName;
+
     // Generate appeal ID
     const appealId = await generateSequentialId('APP', Appeal);
 
@@ -96,6 +97,7 @@ export async function POST(request) {
       appealId,
       verificationId,
       employeeId: verificationRecord.employeeId,
+      entityName,
       verifierId: decoded.id,
       appealReason: comments.trim(),
       documents: uploadedFileUrl ? [uploadedFileUrl] : [],
@@ -103,11 +105,16 @@ export async function POST(request) {
       mismatchedFields: mismatchedFields
     });
 
-    // Send notification email to HR/admin
+    // Record stays under appeal until HR responds
+    await updateVerificationRecord(verificationId, { recordStatus: 'under_appeal' });
+
+    // Queue notification email to the employee's exit team, delivered after the response;
+    // failed deliveries are retried by the email queue
     try {
-      await sendAppealNotificationEmail(appeal);
+      const emailJob = await sendAppealNotificationEmail(appeal, await findEntity(entityName));
+      after(() => deliverEmailJob(emailJob._id));
     } catch (emailError) {
-      console.error('Failed to send appeal notification email:', emailError);
+      console.error('Failed to queue appeal notification email:', emailError);
       // Continue, but log the error
     }
 
@@ -139,31 +146,16 @@ export async function POST(request) {
 export async function GET(request) {
   try {
     // This endpoint is for admins only
-    const token = extractTokenFromHeader(request);
-
-    if (!token) {
-      return NextResponse.json({
-        success: false,
-        message: 'Access token is required'
-      }, { status: 401 });
-    }
-
-    const decoded = verifyToken(token);
-
-    if (!['admin', 'hr_manager', 'super_admin'].includes(decoded.role)) {
-      return NextResponse.json({
-        success: false,
-        message: 'Admin access required'
-      }, { status: 403 });
-    }
+    const { decoded, response } = await requireAdmin(request, 'view_appeals');
+    if (response) return response;
 
     // Get query parameters
     const { searchParams } = new URL(request.url);
     const status = searchParams.get('status');
     const employeeId = searchParams.get('employeeId');
 
-    // Get all appeals from MongoDB
-    const appeals = await getAppeals();
+    // Get appeals for the admin's entities from MongoDB
+    const appeals = await getAppeals({ entityNames: getEntityScope(decoded) });
 
     // Filter appeals if criteria provided
     let filteredAppeals = appeals;
@@ -183,6 +175,7 @@ export async function GET(request) {
           appealId: appeal.appealId,
           verificationId: appeal.verificationId,
           employeeId: appeal.employeeId,
+          entityName: appeal.entityName,
           verifierInfo: verifier ? {
             companyName: verifier.companyName,
             email: verifier.email
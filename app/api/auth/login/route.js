@@ -1,7 +1,17 @@
 import { NextResponse } from 'next/server';
 import { schemas } from '@/lib/validation';
-import { generateToken } from '@/lib/auth';
 import { findVerifierByEmail, updateVerifier, logAccess } from '@/lib/mongodb.data.service';
+import { getVerifierAccessError } from '@/lib/services/verifierAccountService';
+import { enforceRateLimit } from '@/lib/routeAuth';
+import { resetRateLimit } from '@/lib/services/rateLimitService';
+import {
+  getLockRemainingMs,
+  recordFailedLogin,
+  buildUnlockUpdate,
+  hasLockoutState
+} from '@/lib/services/loginLockoutService';
+import { startSession } from '@/lib/services/sessionService';
+import { sessionTokenBody, setSessionCookies } from '@/lib/services/authCookieService';
 import bcrypt from 'bcryptjs';
 
 // Test mode is controlled by environment variable - disabled in production
@@ -24,6 +34,13 @@ export async function POST(request) {
     // Normal authentication flow
     const { email: normalEmail, password: normalPassword } = value;
 
+    // Throttle per client IP and per account before touching the password
+    const { response: rateLimited } = await enforceRateLimit(request, 'login', {
+      identity: normalEmail.toLowerCase(),
+      role: 'verifier'
+    });
+    if (rateLimited) return rateLimited;
+
     // Debug logging only in development
     if (process.env.NODE_ENV === 'development') {
       console.log('🔐 Login attempt for:', normalEmail.toLowerCase());
@@ -53,12 +70,23 @@ export async function POST(request) {
       }, { status: 401 });
     }
 
-    // Check if account is active
-    if (!verifier.isActive) {
+    // Locked accounts are refused without checking the password, with the same
+    // response as an unknown email so the lock does not confirm the account exists
+    if (getLockRemainingMs(verifier) > 0) {
+      await logAccess({
+        email: verifier.email,
+        role: 'verifier',
+        action: 'LOGIN',
+        status: 'FAILURE',
+        failureReason: 'Account locked',
+        ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
+        userAgent: request.headers.get('user-agent') || 'unknown'
+      });
+
       return NextResponse.json({
         success: false,
-        message: 'Your account has been deactivated. Please contact support.'
-      }, { status: 403 });
+        message: 'Invalid email or password'
+      }, { status: 401 });
     }
 
     // Verify password - only bcrypt hashed passwords are supported
@@ -86,15 +114,31 @@ export async function POST(request) {
         userAgent: request.headers.get('user-agent') || 'unknown'
       });
 
+      // Repeated failures lock the account and email the owner
+      await recordFailedLogin(verifier, 'verifier', request);
+
       return NextResponse.json({
         success: false,
         message: 'Invalid email or password'
       }, { status: 401 });
     }
 
+    // Only someone with the password learns whether the account is approved or suspended
+    const accessError = getVerifierAccessError(verifier);
+    if (accessError) {
+      return NextResponse.json({
+        success: false,
+        message: accessError.message
+      }, { status: accessError.status });
+    }
+
+    // A successful login clears the account's failed-attempt allowance
+    await resetRateLimit('login', verifier.email);
+
     // Update last login time
     const updatedVerifier = await updateVerifier(verifier._id.toString(), {
-      lastLoginAt: new Date()
+      lastLoginAt: new Date(),
+      ...(hasLockoutState(verifier) ? buildUnlockUpdate() : {})
     });
 
     // Log success
@@ -110,13 +154,8 @@ export async function POST(request) {
       }
     });
 
-    // Generate JWT token
-    const token = generateToken({
-      id: verifier._id.toString(),
-      email: verifier.email,
-      companyName: verifier.companyName,
-      role: 'verifier'
-    });
+    // Open a session: short-lived access token plus refresh token
+    const tokens = await startSession(verifier, 'verifier', request);
 
     // Return response without sensitive data
     const verifierResponse = {
@@ -128,14 +167,15 @@ export async function POST(request) {
       createdAt: verifier.createdAt
     };
 
-    return NextResponse.json({
+    const response = NextResponse.json({
       success: true,
       message: 'Login successful',
       data: {
         verifier: verifierResponse,
-        token
+        ...sessionTokenBody(tokens)
       }
     }, { status: 200 });
+    return setSessionCookies(response, 'verifier', tokens, request);
 
   } catch (error) {
     if (process.env.NODE_ENV === 'development') {
@@ -0,0 +1,94 @@
+import { NextResponse } from 'next/server';
+import { schemas } from '@/lib/validation';
+import { extractToken, verifyToken } from '@/lib/auth';
+import { hashRefreshToken, isSessionActive } from '@/lib/services/sessionService';
+import { clearSessionCookies, extractRefreshToken, isCsrfValid } from '@/lib/services/authCookieService';
+import { findSessionByRefreshTokenHash, findSessionById, revokeSession, logAccess } from '@/lib/mongodb.data.service';
+
+/**
+ * Find the caller's session from the refresh token, or failing that the access token
+ * @returns {Promise<{ session: Object|null, usedCookie: Boolean }>}
+ */
+async function findCallerSession(request, refresh) {
+  if (refresh.refreshToken) {
+    const session = await findSessionByRefreshTokenHash(hashRefreshToken(refresh.refreshToken));
+    if (session) return { session, usedCookie: refresh.source === 'cookie' };
+  }
+
+  const { token, source } = extractToken(request, refresh.userType);
+  if (!token) return { session: null, usedCookie: false };
+
+  try {
+    const { sid } = verifyToken(token);
+    return { session: sid ? await findSessionById(sid) : null, usedCookie: source === 'cookie' };
+  } catch (tokenError) {
+    return { session: null, usedCookie: false };
+  }
+}
+
+/**
+ * Log out: revoke the caller's session so its tokens stop working
+ * Always succeeds once the CSRF check passes, so the client can clear its
+ * session whatever the server state. The session's cookies are removed.
+ * POST /api/auth/logout
+ * Body: { refreshToken? }
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { error, value } = schemas.sessionLogout.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const refresh = extractRefreshToken(request, value.refreshToken);
+    const { session, usedCookie } = await findCallerSession(request, refresh);
+
+    if (usedCookie && !isCsrfValid(request)) {
+      return NextResponse.json({
+        success: false,
+        code: 'CSRF_TOKEN_INVALID',
+        message: 'Security check failed. Please reload the page and try again.'
+      }, { status: 403 });
+    }
+
+    if (isSessionActive(session)) {
+      await revokeSession(session._id, { revokedBy: session.email, reason: 'logout' });
+
+      await logAccess({
+        email: session.email,
+        role: session.userType,
+        action: 'LOGOUT',
+        status: 'SUCCESS',
+        ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
+        userAgent: request.headers.get('user-agent') || 'unknown',
+        metadata: { sessionId: session._id.toString() }
+      });
+    }
+
+    const response = NextResponse.json({
+      success: true,
+      message: 'Logged out'
+    }, { status: 200 });
+
+    const cookieType = session?.userType || refresh.userType;
+    return cookieType ? clearSessionCookies(response, cookieType) : response;
+
+  } catch (error) {
+    console.error('Logout error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to log out',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
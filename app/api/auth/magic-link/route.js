@@ -0,0 +1,98 @@
+import { NextResponse } from 'next/server';
+import { readMagicLinkToken, verifyMagicLink, MAGIC_LINK_ENABLED } from '@/lib/services/otp.service';
+import { logAccess } from '@/lib/mongodb.data.service';
+import { enforceRateLimit } from '@/lib/routeAuth';
+import { completeOtpLogin } from '@/lib/services/otpLoginService';
+import { sessionTokenBody, setSessionCookies } from '@/lib/services/authCookieService';
+
+/**
+ * Log a verifier in from the magic link in their OTP email
+ * Called by the /login/magic page rather than by the link itself, so mail
+ * scanners that fetch links cannot use it up. The link shares the expiry,
+ * attempts and browser binding of the code it was sent with, and using it
+ * uses up that code too.
+ * POST /api/auth/magic-link
+ * Body: { token: string }
+ */
+export async function POST(request) {
+    try {
+        if (!MAGIC_LINK_ENABLED) {
+            return NextResponse.json({
+                success: false,
+                message: 'Login links are not enabled. Please log in with your OTP.'
+            }, { status: 404 });
+        }
+
+        const body = await request.json().catch(() => ({}));
+        const link = typeof body.token === 'string' ? readMagicLinkToken(body.token) : null;
+
+        // Throttle per client IP (and per email once the token names one), in the
+        // bucket shared with send-otp and verify-otp
+        const { response: rateLimited } = await enforceRateLimit(request, 'otp', {
+            identity: link?.email,
+            role: 'verifier'
+        });
+        if (rateLimited) return rateLimited;
+
+        if (!link) {
+            return NextResponse.json({
+                success: false,
+                message: 'This login link is invalid or has expired. Please request a new one.'
+            }, { status: 400 });
+        }
+
+        const ipAddress = request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown';
+        const userAgent = request.headers.get('user-agent') || 'unknown';
+
+        const verifyResult = await verifyMagicLink(link.email, link.nonce, { ipAddress, userAgent });
+        if (!verifyResult.success) {
+            await logAccess({
+                email: link.email,
+                role: 'verifier',
+                action: 'LOGIN_MAGIC_LINK',
+                status: 'FAILURE',
+                failureReason: verifyResult.message,
+                ipAddress,
+                userAgent
+            });
+
+            return NextResponse.json({
+                success: false,
+                message: verifyResult.message
+            }, { status: 400 });
+        }
+
+        const login = await completeOtpLogin(link.email, request, { action: 'LOGIN_MAGIC_LINK' });
+        if (login.error) {
+            return NextResponse.json({
+                success: false,
+                message: login.error.message
+            }, { status: login.error.status });
+        }
+
+        const { verifier, tokens } = login;
+
+        const response = NextResponse.json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                ...sessionTokenBody(tokens),
+                verifier: {
+                    id: verifier._id.toString(),
+                    email: verifier.email,
+                    companyName: verifier.companyName
+                }
+            }
+        }, { status: 200 });
+        return setSessionCookies(response, 'verifier', tokens, request);
+
+    } catch (error) {
+        console.error('Magic link login error:', error);
+
+        return NextResponse.json({
+            success: false,
+            message: 'Login failed. Please try again.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        }, { status: 500 });
+    }
+}
@@ -1,26 +1,12 @@
 import { NextResponse } from 'next/server';
-import { extractTokenFromHeader, verifyToken } from '@/lib/auth';
+import { requireVerifier } from '@/lib/routeAuth';
 import { findVerifierById, updateVerifier } from '@/lib/mongodb.data.service';
 
 export async function GET(request) {
   try {
-    // Extract and verify token
-    const token = extractTokenFromHeader(request);
-    if (!token) {
-      return NextResponse.json({
-        success: false,
-        message: 'Access token is required'
-      }, { status: 401 });
-    }
-
-    const decoded = verifyToken(token);
-
-    if (decoded.role !== 'verifier') {
-      return NextResponse.json({
-        success: false,
-        message: 'Verifier access required'
-      }, { status: 403 });
-    }
+    // Authenticate the verifier
+    const { decoded, response } = await requireVerifier(request);
+    if (response) return response;
 
     // Get verifier details from MongoDB
     const verifier = await findVerifierById(decoded.id);
@@ -53,23 +39,9 @@ export async function GET(request) {
 
 export async function PUT(request) {
   try {
-    // Extract and verify token
-    const token = extractTokenFromHeader(request);
-    if (!token) {
-      return NextResponse.json({
-        success: false,
-        message: 'Access token is required'
-      }, { status: 401 });
-    }
-
-    const decoded = verifyToken(token);
-
-    if (decoded.role !== 'verifier') {
-      return NextResponse.json({
-        success: false,
-        message: 'Verifier access required'
-      }, { status: 403 });
-    }
+    // Authenticate the verifier
+    const { decoded, response } = await requireVerifier(request);
+    if (response) return response;
 
     const body = await request.json();
 
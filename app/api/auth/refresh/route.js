@@ -0,0 +1,94 @@
+import { NextResponse } from 'next/server';
+import { schemas } from '@/lib/validation';
+import { enforceRateLimit } from '@/lib/routeAuth';
+import { refreshSession } from '@/lib/services/sessionService';
+import {
+  sessionTokenBody,
+  setSessionCookies,
+  clearSessionCookies,
+  extractRefreshToken,
+  isCsrfValid
+} from '@/lib/services/authCookieService';
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * The old refresh token stops working; using it again later revokes the session.
+ * A token sent in the body is answered in the body; one read from the refresh
+ * token cookie is answered with new cookies and needs the CSRF header.
+ * POST /api/auth/refresh
+ * Body: { refreshToken? }
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { error, value } = schemas.sessionRefresh.validate(body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return NextResponse.json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+      }, { status: 400 });
+    }
+
+    const { refreshToken, source, userType } = extractRefreshToken(request, value.refreshToken);
+    if (!refreshToken) {
+      return NextResponse.json({
+        success: false,
+        code: 'SESSION_EXPIRED',
+        message: 'Your session has ended. Please log in again.'
+      }, { status: 401 });
+    }
+
+    if (source === 'cookie' && !isCsrfValid(request)) {
+      return NextResponse.json({
+        success: false,
+        code: 'CSRF_TOKEN_INVALID',
+        message: 'Security check failed. Please reload the page and try again.'
+      }, { status: 403 });
+    }
+
+    const { response: rateLimited } = await enforceRateLimit(request, 'refresh');
+    if (rateLimited) return rateLimited;
+
+    const result = await refreshSession(refreshToken, request);
+    if (result.error) {
+      const response = NextResponse.json({
+        success: false,
+        code: result.error.code,
+        message: result.error.message
+      }, { status: result.error.status });
+
+      // A rotated token means another tab already holds the new cookies
+      const ended = result.error.code !== 'REFRESH_TOKEN_ROTATED';
+      const cookieType = result.error.userType || userType;
+      return source === 'cookie' && ended && cookieType
+        ? clearSessionCookies(response, cookieType)
+        : response;
+    }
+
+    const response = NextResponse.json({
+      success: true,
+      message: 'Session refreshed',
+      data: source === 'cookie'
+        ? sessionTokenBody(result)
+        : { token: result.token, refreshToken: result.refreshToken, accessTokenExpiresAt: result.accessTokenExpiresAt }
+    }, { status: 200 });
+
+    return source === 'cookie'
+      ? setSessionCookies(response, result.userType, result, request)
+      : response;
+
+  } catch (error) {
+    console.error('Refresh session error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to refresh session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
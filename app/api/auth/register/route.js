@@ -1,7 +1,10 @@
 import { NextResponse } from 'next/server';
 import { schemas } from '@/lib/validation';
-import { generateToken } from '@/lib/auth';
 import { findVerifierByEmail, addVerifier } from '@/lib/mongodb.data.service';
+import { isApprovalRequired } from '@/lib/services/verifierAccountService';
+import { enforceRateLimit } from '@/lib/routeAuth';
+import { startSession } from '@/lib/services/sessionService';
+import { sessionTokenBody, setSessionCookies } from '@/lib/services/authCookieService';
 import bcrypt from 'bcryptjs';
 
 export async function POST(request) {
@@ -20,6 +23,12 @@ export async function POST(request) {
 
     const { companyName, email, password, isBgvAgency } = value;
 
+    // Throttle sign-ups per client IP and per email address
+    const { response: rateLimited } = await enforceRateLimit(request, 'register', {
+      identity: email.toLowerCase()
+    });
+    if (rateLimited) return rateLimited;
+
     // Check if verifier already exists
     const existingVerifier = await findVerifierByEmail(email.toLowerCase());
     if (existingVerifier) {
@@ -33,13 +42,15 @@ export async function POST(request) {
     const salt = await bcrypt.genSalt(12);
     const hashedPassword = await bcrypt.hash(password, salt);
 
-    // Create new verifier
+    // Create new verifier; with approval required the account waits in the admin queue
+    const approvalRequired = isApprovalRequired();
     const newVerifier = await addVerifier({
       companyName,
       email: email.toLowerCase(),
       password: hashedPassword,
       isEmailVerified: true, // Auto-verify for demo purposes
       isActive: true,
+      approvalStatus: approvalRequired ? 'pending' : 'approved',
       isBgvAgency: isBgvAgency || false
     });
 
@@ -64,15 +75,6 @@ export async function POST(request) {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken({
-      id: verifierObj._id.toString(),
-      email: verifierObj.email,
-      companyName: verifierObj.companyName,
-      role: 'verifier',
-      isBgvAgency: verifierObj.isBgvAgency || false
-    });
-
     // Return response without sensitive data
     const verifierResponse = {
       id: verifierObj._id.toString(),
@@ -83,6 +85,21 @@ export async function POST(request) {
       createdAt: verifierObj.createdAt
     };
 
+    // No token until HR approves; the welcome email is sent on approval
+    if (approvalRequired) {
+      return NextResponse.json({
+        success: true,
+        message: 'Registration received. You can log in once our HR team approves your account.',
+        data: {
+          verifier: verifierResponse,
+          pendingApproval: true
+        }
+      }, { status: 201 });
+    }
+
+    // Open a session: short-lived access token plus refresh token
+    const tokens = await startSession(verifierObj, 'verifier', request);
+
     // Send welcome email (optional - will fail gracefully if not configured)
     try {
       const { sendWelcomeEmail } = await import('@/lib/services/emailService');
@@ -91,14 +108,15 @@ export async function POST(request) {
       console.log('Welcome email not sent (email service not configured):', emailError.message);
     }
 
-    return NextResponse.json({
+    const response = NextResponse.json({
       success: true,
       message: 'Verifier registered successfully!',
       data: {
         verifier: verifierResponse,
-        token
+        ...sessionTokenBody(tokens)
       }
     }, { status: 201 });
+    return setSessionCookies(response, 'verifier', tokens, request);
 
   } catch (error) {
     console.error('Registration error:', error);
@@ -1,6 +1,15 @@
 import { NextResponse } from 'next/server';
-import { generateOTP, storeOTP, canRequestOTP, OTP_EXPIRY_MINUTES } from '@/lib/services/otp.service';
-import sgMail from '@sendgrid/mail';
+import {
+    generateOTP,
+    storeOTP,
+    canRequestOTP,
+    generateMagicLinkNonce,
+    createMagicLinkToken,
+    OTP_EXPIRY_MINUTES,
+    MAGIC_LINK_ENABLED
+} from '@/lib/services/otp.service';
+import { sendOTPEmail } from '@/lib/services/emailService';
+import { enforceRateLimit } from '@/lib/routeAuth';
 
 const isDev = process.env.NODE_ENV === 'development';
 
@@ -8,7 +17,8 @@ const isDev = process.env.NODE_ENV === 'development';
  * Send OTP to verifier email
  * POST /api/auth/send-otp
  * 
- * Uses SendGrid API for reliable email delivery
+ * Sent through the configured email provider (see EMAIL_PROVIDER). With MAGIC_LINK_LOGIN_ENABLED=true
+ * the email also carries a one-time login link (see /api/auth/magic-link).
  */
 export async function POST(request) {
     try {
@@ -42,6 +52,13 @@ export async function POST(request) {
             }, { status: 400 });
         }
 
+        // Throttle per client IP and per email, in the bucket shared with code and link logins
+        const { response: rateLimited } = await enforceRateLimit(request, 'otp', {
+            identity: email.toLowerCase(),
+            role: 'verifier'
+        });
+        if (rateLimited) return rateLimited;
+
         // Check rate limiting
         const rateLimitCheck = await canRequestOTP(email);
         if (!rateLimitCheck.canRequest) {
@@ -52,11 +69,15 @@ export async function POST(request) {
             }, { status: 429 });
         }
 
-        // Generate OTP
+        // Generate OTP, and the magic link nonce if links are enabled
         const otp = generateOTP();
+        const linkNonce = MAGIC_LINK_ENABLED ? generateMagicLinkNonce() : null;
 
-        // Store OTP in database
-        const storeResult = await storeOTP(email, otp);
+        // Store a hash of the OTP, bound to the browser and address asking for it
+        const storeResult = await storeOTP(email, otp, {
+            ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
+            userAgent: request.headers.get('user-agent') || 'unknown'
+        }, { linkNonce });
         if (!storeResult.success) {
             return NextResponse.json({
                 success: false,
@@ -64,14 +85,22 @@ export async function POST(request) {
             }, { status: 500 });
         }
 
-        // Send email via SendGrid
-        await sendEmailViaSendGrid(email, otp);
+        // The token goes in the fragment so it is not sent to servers or kept in their logs
+        const magicLink = linkNonce
+            ? `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/login/magic#token=${createMagicLinkToken(email, linkNonce)}`
+            : null;
+
+        // Send email via the configured provider (logged to EmailLog)
+        await sendOTPEmail(email, otp, magicLink);
 
         // Return success
         return NextResponse.json({
             success: true,
-            message: `OTP sent to ${email}. Valid for ${OTP_EXPIRY_MINUTES} minutes.`,
-            expiryMinutes: OTP_EXPIRY_MINUTES
+            message: magicLink
+                ? `OTP and login link sent to ${email}. Valid for ${OTP_EXPIRY_MINUTES} minutes.`
+                : `OTP sent to ${email}. Valid for ${OTP_EXPIRY_MINUTES} minutes.`,
+            expiryMinutes: OTP_EXPIRY_MINUTES,
+            magicLink: !!magicLink
         }, { status: 200 });
 
     } catch (error) {
@@ -84,81 +113,3 @@ export async function POST(request) {
         }, { status: 500 });
     }
 }
-
-/**
- * Send OTP email via SendGrid API
- */
-async function sendEmailViaSendGrid(email, otp) {
-    const apiKey = process.env.SENDGRID_API_KEY;
-
-    if (!apiKey) {
-        console.error('[OTP] ❌ SENDGRID_API_KEY not configured!');
-        throw new Error('SendGrid API key not configured');
-    }
-
-    sgMail.setApiKey(apiKey);
-
-    const fromEmail = process.env.FROM_EMAIL || 'noreply@example.com';
-    const companyName = process.env.COMPANY_NAME || 'Ex-Employee Verification Portal';
-
-    const htmlContent = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-                .header h1 { color: white; margin: 0; font-size: 24px; }
-                .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-                .otp-box { background: #667eea; color: white; font-size: 32px; font-weight: bold; padding: 20px; text-align: center; border-radius: 8px; letter-spacing: 8px; margin: 20px 0; }
-                .footer { text-align: center; color: #666; font-size: 12px; margin-top: 20px; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <h1>${companyName}</h1>
-                </div>
-                <div class="content">
-                    <p>Hello,</p>
-                    <p>Your one-time password (OTP) for login is:</p>
-                    <div class="otp-box">${otp}</div>
-                    <p>This OTP is valid for <strong>5 minutes</strong>.</p>
-                    <p>If you didn't request this OTP, please ignore this email.</p>
-                    <p>Best regards,<br>${companyName} Team</p>
-                </div>
-                <div class="footer">
-                    <p>This is an automated message. Please do not reply to this email.</p>
-                    <p>© ${new Date().getFullYear()} ${companyName}. All rights reserved.</p>
-                </div>
-            </div>
-        </body>
-        </html>
-    `;
-
-    const msg = {
-        to: email,
-        from: {
-            email: fromEmail,
-            name: companyName
-        },
-        subject: `Your OTP Code: ${otp}`,
-        html: htmlContent,
-        text: `Your OTP is: ${otp}. Valid for 5 minutes.`
-    };
-
-    console.log(`[OTP] Sending OTP to ${email} via SendGrid...`);
-
-    try {
-        const response = await sgMail.send(msg);
-        console.log(`[OTP] ✅ SendGrid email sent successfully to ${email}`);
-        return response;
-    } catch (error) {
-        console.error(`[OTP] ❌ SendGrid error:`, error.message);
-        if (error.response) {
-            console.error(`[OTP] SendGrid response:`, error.response.body);
-        }
-        throw error;
-    }
-}
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import { requireUser } from '@/lib/routeAuth';
+import { isSessionActive } from '@/lib/services/sessionService';
+import { findSessionById, revokeSession, logAccess } from '@/lib/mongodb.data.service';
+
+/**
+ * Log out one of the caller's sessions
+ * Revoking the current session works like logging out.
+ * DELETE /api/auth/sessions/[id]
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { decoded, userType, response } = await requireUser(request);
+    if (response) return response;
+
+    const { id } = await params;
+    const session = await findSessionById(id).catch(() => null);
+
+    if (!session || session.userType !== userType || session.userId.toString() !== decoded.id || !isSessionActive(session)) {
+      return NextResponse.json({
+        success: false,
+        message: 'Session not found'
+      }, { status: 404 });
+    }
+
+    await revokeSession(id, { revokedBy: decoded.email, reason: 'user' });
+
+    await logAccess({
+      email: decoded.email,
+      role: userType,
+      action: 'SESSIONS_REVOKED',
+      status: 'SUCCESS',
+      ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
+      userAgent: request.headers.get('user-agent') || 'unknown',
+      metadata: { revoked: 1, revokedBy: decoded.email, sessionId: id, device: session.device }
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Logged out ${session.device}`,
+      data: { current: id === decoded.sid }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to log out session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
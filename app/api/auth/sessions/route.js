@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server';
+import { requireUser } from '@/lib/routeAuth';
+import { formatSession } from '@/lib/services/sessionService';
+import { getActiveSessions, revokeUserSessions, logAccess } from '@/lib/mongodb.data.service';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * List the caller's active sessions (device, IP, last seen)
+ * GET /api/auth/sessions
+ */
+export async function GET(request) {
+  try {
+    const { decoded, userType, response } = await requireUser(request);
+    if (response) return response;
+
+    const sessions = await getActiveSessions(userType, decoded.id);
+
+    return NextResponse.json({
+      success: true,
+      data: sessions.map(session => formatSession(session, decoded.sid))
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Log out every other session of the caller, keeping the current one
+ * DELETE /api/auth/sessions
+ */
+export async function DELETE(request) {
+  try {
+    const { decoded, userType, response } = await requireUser(request);
+    if (response) return response;
+
+    const revoked = await revokeUserSessions(userType, decoded.id, {
+      revokedBy: decoded.email,
+      reason: 'user',
+      exceptSessionId: decoded.sid
+    });
+
+    if (revoked > 0) {
+      await logAccess({
+        email: decoded.email,
+        role: userType,
+        action: 'SESSIONS_REVOKED',
+        status: 'SUCCESS',
+        ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
+        userAgent: request.headers.get('user-agent') || 'unknown',
+        metadata: { revoked, revokedBy: decoded.email, scope: 'other_sessions' }
+      });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: revoked > 0
+        ? `Logged out of ${revoked} other session${revoked === 1 ? '' : 's'}`
+        : 'No other sessions to log out',
+      data: { revoked }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to log out other sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -1,9 +1,9 @@
 import { NextResponse } from 'next/server';
 import { verifyOTP } from '@/lib/services/otp.service';
-import { generateToken } from '@/lib/auth';
-import connectDB from '@/lib/db/mongodb';
-import Verifier from '@/lib/models/Verifier';
 import { logAccess } from '@/lib/mongodb.data.service';
+import { enforceRateLimit } from '@/lib/routeAuth';
+import { completeOtpLogin } from '@/lib/services/otpLoginService';
+import { sessionTokenBody, setSessionCookies } from '@/lib/services/authCookieService';
 
 /**
  * Verify OTP and login/register verifier
@@ -23,8 +23,18 @@ export async function POST(request) {
             }, { status: 400 });
         }
 
-        // Verify OTP
-        const verifyResult = await verifyOTP(email, otp);
+        // Throttle per client IP and per email, in the bucket shared with send-otp and magic-link
+        const { response: rateLimited } = await enforceRateLimit(request, 'otp', {
+            identity: email.toLowerCase(),
+            role: 'verifier'
+        });
+        if (rateLimited) return rateLimited;
+
+        const ipAddress = request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown';
+        const userAgent = request.headers.get('user-agent') || 'unknown';
+
+        // Verify OTP (only from the browser and address it was sent to)
+        const verifyResult = await verifyOTP(email, String(otp), { ipAddress, userAgent });
         if (!verifyResult.success) {
             // Log failure (Invalid OTP)
             await logAccess({
@@ -32,9 +42,9 @@ export async function POST(request) {
                 role: 'verifier',
                 action: 'LOGIN_OTP',
                 status: 'FAILURE',
-                failureReason: 'Invalid OTP',
-                ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
-                userAgent: request.headers.get('user-agent') || 'unknown'
+                failureReason: verifyResult.message,
+                ipAddress,
+                userAgent
             });
 
             return NextResponse.json({
@@ -43,59 +53,21 @@ export async function POST(request) {
             }, { status: 400 });
         }
 
-        // Connect to database
-        await connectDB();
-
-        // Check if verifier exists
-        let verifier = await Verifier.findOne({ email: email.toLowerCase() });
-
-        if (!verifier) {
-            // Auto-register new verifier
-            const emailDomain = email.split('@')[1];
-            const defaultCompanyName = companyName || emailDomain.split('.')[0].toUpperCase();
-
-            verifier = new Verifier({
-                email: email.toLowerCase(),
-                companyName: defaultCompanyName,
-                isActive: true,
-                createdAt: new Date(),
-                lastLogin: new Date()
-            });
-
-            await verifier.save();
-        } else {
-            // Update last login
-            verifier.lastLogin = new Date();
-            await verifier.save();
+        const login = await completeOtpLogin(email, request, { action: 'LOGIN_OTP', companyName });
+        if (login.error) {
+            return NextResponse.json({
+                success: false,
+                message: login.error.message
+            }, { status: login.error.status });
         }
 
-        // Log success
-        await logAccess({
-            email: verifier.email,
-            role: 'verifier',
-            action: 'LOGIN_OTP',
-            status: 'SUCCESS',
-            ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
-            userAgent: request.headers.get('user-agent') || 'unknown',
-            metadata: {
-                companyName: verifier.companyName,
-                isNewUser: !verifier.lastLoginAt // Rough check if new user
-            }
-        });
+        const { verifier, tokens } = login;
 
-        // Generate JWT token
-        const token = generateToken({
-            id: verifier._id.toString(),
-            email: verifier.email,
-            companyName: verifier.companyName,
-            role: 'verifier'
-        });
-
-        return NextResponse.json({
+        const response = NextResponse.json({
             success: true,
             message: 'Login successful',
             data: {
-                token,
+                ...sessionTokenBody(tokens),
                 verifier: {
                     id: verifier._id.toString(),
                     email: verifier.email,
@@ -103,6 +75,7 @@ export async function POST(request) {
                 }
             }
         }, { status: 200 });
+        return setSessionCookies(response, 'verifier', tokens, request);
 
     } catch (error) {
         console.error('Verify OTP error:', error);
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { processEmailQueue } from '@/lib/services/emailQueueService';
+
+export const dynamic = 'force-dynamic';
+
+function isAuthorized(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const provided = Buffer.from(request.headers.get('authorization') || '');
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Retry queued emails that are due
+ * Run on a schedule (e.g. the Vercel cron job in vercel.json), which sends
+ * Authorization: Bearer <CRON_SECRET>.
+ * GET /api/cron/email-queue
+ */
+export async function GET(request) {
+  try {
+    if (!isAuthorized(request)) {
+      return NextResponse.json({
+        success: false,
+        message: 'Unauthorized'
+      }, { status: 401 });
+    }
+
+    const summary = await processEmailQueue();
+
+    return NextResponse.json({
+      success: true,
+      data: summary
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Email queue processing error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to process email queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { getEntityDirectory } from '@/lib/services/entityService';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * List the active group entities (verification wizard dropdown)
+ * GET /api/entities
+ */
+export async function GET() {
+  try {
+    const entities = await getEntityDirectory();
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        entities: entities
+          .filter(entity => entity.isActive)
+          .map(entity => ({
+            code: entity.code,
+            legalName: entity.legalName,
+            shortName: entity.shortName
+          }))
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get entities error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch entities',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -1,5 +1,5 @@
 import { NextResponse } from 'next/server';
-import { extractTokenFromHeader, verifyToken } from '@/lib/auth';
+import { requireVerifier } from '@/lib/routeAuth';
 import {
   findVerificationRecord,
   updateVerificationRecord,
@@ -7,26 +7,13 @@ import {
 } from '@/lib/mongodb.data.service';
 import { generateVerificationReportPDF } from '@/lib/services/pdfService';
 import { sendVerificationReportEmail } from '@/lib/services/emailService';
+import { findEntity } from '@/lib/services/entityService';
 
 export async function POST(request) {
   try {
     // Authenticate verifier
-    const token = extractTokenFromHeader(request);
-    if (!token) {
-      return NextResponse.json({
-        success: false,
-        message: 'Access token is required'
-      }, { status: 401 });
-    }
-
-    const decoded = verifyToken(token);
-
-    if (decoded.role !== 'verifier') {
-      return NextResponse.json({
-        success: false,
-        message: 'Verifier access required'
-      }, { status: 403 });
-    }
+    const { decoded, response } = await requireVerifier(request);
+    if (response) return response;
 
     // Parse request body
     const body = await request.json();
@@ -49,6 +36,13 @@ export async function POST(request) {
       }, { status: 404 });
     }
 
+    if (verificationRecord.recordStatus === 'revoked') {
+      return NextResponse.json({
+        success: false,
+        message: 'This verification has been revoked. A report can no longer be issued for it.'
+      }, { status: 410 });
+    }
+
     // Find employee details
     const employee = await findEmployeeById(verificationRecord.employeeId);
     if (!employee) {
@@ -58,7 +52,7 @@ export async function POST(request) {
       }, { status: 404 });
     }
 
-    // Check if PDF already exists
+    // Check if PDF already exists (amendments clear it so the report is regenerated)
     if (verificationRecord.pdfReportUrl) {
       return NextResponse.json({
         success: true,
@@ -82,9 +76,14 @@ export async function POST(request) {
         label: getFieldLabel(result.field),
         verifierValue: result.verifierValue,
         companyValue: result.companyValue,
-        isMatch: result.isMatch
+        isMatch: result.isMatch,
+        matchType: result.matchType
       })),
-      summary: generateComparisonSummary(verificationRecord.comparisonResults)
+      summary: generateComparisonSummary(verificationRecord.comparisonResults),
+      recordStatus: verificationRecord.recordStatus || 'completed',
+      lastAmendedAt: verificationRecord.amendments?.length
+        ? verificationRecord.amendments[verificationRecord.amendments.length - 1].changedAt
+        : null
     };
 
     const employeeData = {
@@ -99,8 +98,9 @@ export async function POST(request) {
       fnfStatus: employee.fnfStatus
     };
 
-    // Generate PDF
-    const pdfResult = await generateVerificationReportPDF(verificationData, employeeData);
+    // Generate PDF on the employee's entity letterhead
+    const entity = await findEntity(employee.entityName);
+    const pdfResult = await generateVerificationReportPDF(verificationData, employeeData, entity);
 
     // Update verification record with PDF info
     await updateVerificationRecord(verificationId, {
@@ -122,7 +122,8 @@ export async function POST(request) {
             summary: verificationData.summary
           },
           decoded.email,
-          pdfResult.s3Url
+          pdfResult.s3Url,
+          entity
         );
       } catch (emailError) {
         console.error('Failed to send verification report email:', emailError);
@@ -155,22 +156,8 @@ export async function POST(request) {
 export async function GET(request) {
   try {
     // Authenticate verifier
-    const token = extractTokenFromHeader(request);
-    if (!token) {
-      return NextResponse.json({
-        success: false,
-        message: 'Access token is required'
-      }, { status: 401 });
-    }
-
-    const decoded = verifyToken(token);
-
-    if (decoded.role !== 'verifier') {
-      return NextResponse.json({
-        success: false,
-        message: 'Verifier access required'
-      }, { status: 403 });
-    }
+    const { decoded, response } = await requireVerifier(request);
+    if (response) return response;
 
     // Get query parameters
     const { searchParams } = new URL(request.url);
@@ -193,6 +180,13 @@ export async function GET(request) {
       }, { status: 404 });
     }
 
+    if (verificationRecord.recordStatus === 'revoked') {
+      return NextResponse.json({
+        success: false,
+        message: 'This verification has been revoked. A report can no longer be issued for it.'
+      }, { status: 410 });
+    }
+
     // Check if PDF exists
     if (!verificationRecord.pdfReportUrl) {
       return NextResponse.json({
@@ -0,0 +1,158 @@
+import { NextResponse } from 'next/server';
+import { requireVerifier } from '@/lib/routeAuth';
+import { parseSpreadsheet, toCsv } from '@/lib/services/spreadsheetService';
+import {
+  MAX_BULK_ROWS,
+  RESULT_HEADERS,
+  runBulkVerification,
+  toResultRows
+} from '@/lib/services/bulkVerificationService';
+import {
+  addVerificationBatch,
+  findVerificationBatch,
+  generateSequentialId
+} from '@/lib/mongodb.data.service';
+import VerificationBatch from '@/lib/models/VerificationBatch.js';
+
+/**
+ * Verify a batch of candidates from a CSV/XLSX upload
+ * POST /api/verify/bulk
+ * Form data: { file: File, consentGiven: 'true' }
+ */
+export async function POST(request) {
+  try {
+    const { decoded, response } = await requireVerifier(request, { lookup: true, rateLimit: 'verify' });
+    if (response) return response;
+
+    const formData = await request.formData();
+    const file = formData.get('file');
+    const consentGiven = formData.get('consentGiven') === 'true';
+
+    if (!consentGiven) {
+      return NextResponse.json({
+        success: false,
+        message: 'Consent is required to proceed with verification'
+      }, { status: 400 });
+    }
+
+    let rows;
+    try {
+      rows = await parseSpreadsheet(file);
+    } catch (parseError) {
+      return NextResponse.json({
+        success: false,
+        message: parseError.message
+      }, { status: 400 });
+    }
+
+    if (rows.length === 0) {
+      return NextResponse.json({
+        success: false,
+        message: 'The uploaded file has no candidate rows'
+      }, { status: 400 });
+    }
+
+    if (rows.length > MAX_BULK_ROWS) {
+      return NextResponse.json({
+        success: false,
+        message: `A batch can contain at most ${MAX_BULK_ROWS} candidates (file has ${rows.length})`
+      }, { status: 400 });
+    }
+
+    const batchId = await generateSequentialId('BAT', VerificationBatch);
+
+    const results = await runBulkVerification(rows, {
+      verifierId: decoded.id,
+      consentGiven,
+      batchId
+    });
+
+    const verifiedCount = results.filter(r => r.status === 'verified').length;
+
+    await addVerificationBatch({
+      batchId,
+      verifierId: decoded.id,
+      fileName: file.name,
+      totalRows: results.length,
+      verifiedCount,
+      errorCount: results.length - verifiedCount,
+      results
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Processed ${results.length} candidates: ${verifiedCount} verified, ${results.length - verifiedCount} with errors`,
+      data: {
+        batchId,
+        totalRows: results.length,
+        verifiedCount,
+        errorCount: results.length - verifiedCount,
+        results
+      }
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Bulk verification error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Bulk verification failed. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Fetch a batch's per-row results
+ * GET /api/verify/bulk?batchId=BAT001[&format=csv]
+ */
+export async function GET(request) {
+  try {
+    const { decoded, response } = await requireVerifier(request, { rateLimit: 'verify' });
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const batchId = searchParams.get('batchId');
+    const format = searchParams.get('format');
+
+    if (!batchId) {
+      return NextResponse.json({
+        success: false,
+        message: 'Batch ID is required'
+      }, { status: 400 });
+    }
+
+    const batch = await findVerificationBatch(batchId);
+    if (!batch || batch.verifierId !== decoded.id) {
+      return NextResponse.json({
+        success: false,
+        message: 'Batch not found or you do not have permission to access it'
+      }, { status: 404 });
+    }
+
+    if (format === 'csv') {
+      const csv = toCsv(RESULT_HEADERS, toResultRows(batch.results));
+      return new NextResponse(csv, {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${batchId}_results.csv"`
+        }
+      });
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: batch
+    }, { status: 200 });
+
+  } catch (error) {
+    console.error('Get bulk verification error:', error);
+
+    return NextResponse.json({
+      success: false,
+      message: 'Failed to fetch batch results',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }, { status: 500 });
+  }
+}
@@ -1,47 +1,22 @@
 import { NextResponse } from 'next/server';
-import { extractTokenFromHeader, verifyToken } from '@/lib/auth';
+import { requireVerifier } from '@/lib/routeAuth';
 import { schemas } from '@/lib/validation';
-import { compareEmployeeData, calculateFnFStatus } from '@/lib/services/comparisonService';
+import { calculateFnFStatus } from '@/lib/services/comparisonService';
+import { createVerificationRecord } from '@/lib/services/verificationService';
+import { LOOKUP_FAILED_MESSAGE } from '@/lib/services/attemptPolicyService';
 import {
   findEmployeeById,
-  addVerificationRecord,
   findVerificationRecord,
-  getVerificationRecordsByVerifier,
-  generateSequentialId
+  getVerificationRecordsByVerifier
 } from '@/lib/mongodb.data.service';
-import VerificationRecord from '@/lib/models/VerificationRecord.js';
 
 const isDev = process.env.NODE_ENV === 'development';
 
 export async function POST(request) {
   try {
     // Authenticate the verifier
-    const token = extractTokenFromHeader(request);
-
-    if (!token) {
-      return NextResponse.json({
-        success: false,
-        message: 'Access token is required'
-      }, { status: 401 });
-    }
-
-    // Verify token
-    let decoded;
-    try {
-      decoded = verifyToken(token);
-
-      if (decoded.role !== 'verifier') {
-        return NextResponse.json({
-          success: false,
-          message: 'Verifier access required'
-        }, { status: 403 });
-      }
-    } catch (tokenError) {
-      return NextResponse.json({
-        success: false,
-        message: 'Invalid or expired token'
-      }, { status: 401 });
-    }
+    const { decoded, response } = await requireVerifier(request, { lookup: true, rateLimit: 'verify' });
+    if (response) return response;
 
     // Parse and validate request body
     const body = await request.json();
@@ -62,35 +37,23 @@ export async function POST(request) {
     if (!employee) {
       return NextResponse.json({
         success: false,
-        message: `Employee with ID "${employeeId}" not found in our records`
-      }, { status: 404 });
+        message: LOOKUP_FAILED_MESSAGE
+      }, { status: 400 });
     }
 
     // Include employeeId in verification data for comparison
     const verificationData = { employeeId, ...otherFields };
 
-    // Perform detailed comparison
-    const comparisonResults = compareEmployeeData(verificationData, employee);
+    // Perform detailed comparison and create verification record
+    const { verificationRecord, comparisonResults } = await createVerificationRecord({
+      verifierId: decoded.id,
+      verificationData,
+      employee
+    });
 
     // Calculate F&F status
     const fnfStatus = calculateFnFStatus(employee.exitReason, employee.dateOfLeaving);
 
-    // Generate verification ID
-    const verificationId = await generateSequentialId('VER', VerificationRecord);
-
-    // Create verification record
-    const verificationRecord = await addVerificationRecord({
-      verificationId,
-      verifierId: decoded.id,
-      employeeId: employeeId.toUpperCase(),
-      submittedData: verificationData,
-      comparisonResults: comparisonResults.comparisonResults,
-      overallStatus: comparisonResults.overallStatus,
-      matchScore: comparisonResults.matchScore,
-      consentGiven: verificationData.consentGiven,
-      verificationCompletedAt: new Date()
-    });
-
     // Prepare response data
     const responseData = {
       verificationId: verificationRecord.verificationId,
@@ -112,10 +75,15 @@ export async function POST(request) {
         companyValue: result.companyValue,
         isMatch: result.isMatch,
         matchType: result.matchType,
+        similarity: result.similarity,
+        matchReason: result.matchReason,
+        canonicalValue: result.canonicalValue,
+        mandatory: result.mandatory,
         color: result.isMatch ? 'green' : 'red'
       })),
       overallStatus: comparisonResults.overallStatus,
       matchScore: comparisonResults.matchScore,
+      policyVersion: comparisonResults.policyVersion,
       fnfStatus: fnfStatus,
       summary: generateComparisonSummary(comparisonResults.comparisonResults),
       verifiedAt: verificationRecord.verificationCompletedAt
@@ -141,22 +109,8 @@ export async function POST(request) {
 export async function GET(request) {
   try {
     // Authenticate the verifier
-    const token = extractTokenFromHeader(request);
-    if (!token) {
-      return NextResponse.json({
-        success: false,
-        message: 'Access token is required'
-      }, { status: 401 });
-    }
-
-    const decoded = verifyToken(token);
-
-    if (decoded.role !== 'verifier') {
-      return NextResponse.json({
-        success: false,
-        message: 'Verifier access required'
-      }, { status: 403 });
-    }
+    const { decoded, response } = await requireVerifier(request, { rateLimit: 'verify' });
+    if (response) return response;
 
     // Get query parameters
     const { searchParams } = new URL(request.url);
@@ -195,6 +149,15 @@ export async function GET(request) {
           comparisonResults: verificationRecord.comparisonResults,
           overallStatus: verificationRecord.overallStatus,
           matchScore: verificationRecord.matchScore,
+          policyVersion: verificationRecord.policyVersion,
+          recordStatus: verificationRecord.recordStatus || 'completed',
+          amendments: (verificationRecord.amendments || []).map(a => ({
+            action: a.action,
+            amendedFields: a.amendedFields,
+            reason: a.reason,
+            appealId: a.appealId,
+            changedAt: a.changedAt
+          })),
           employeeData: {
             employeeId: employee.employeeId,
             name: employee.name,
@@ -222,6 +185,7 @@ export async function GET(request) {
           employeeId: record.employeeId,
           overallStatus: record.overallStatus,
           matchScore: record.matchScore,
+          recordStatus: record.recordStatus || 'completed',
           createdAt: record.createdAt,
           verificationCompletedAt: record.verificationCompletedAt
         })),
@@ -0,0 +1,91 @@
+import { NextResponse } from 'next/server';
+import { requireVerifier } from '@/lib/routeAuth';
+import { schemas } from '@/lib/validation';
+import {
+    findVerifierById,
+    findEmployeeById,
+    isVerificationBlocked,
+    findPendingUnblockRequest,
+    addUnblockRequest,
+    generateSequentialId
+} from '@/lib/mongodb.data.service';
+import UnblockRequest from '@/lib/models/UnblockRequest.js';
+
+/**
+ * Ask the exit team to reset a blocked employee lookup
+ * POST /api/verify/unblock-requests
+ * Body: { employeeId: string, justification: string }
+ */
+export async function POST(request) {
+    try {
+        const { decoded, response } = await requireVerifier(request, { rateLimit: 'verify' });
+        if (response) return response;
+
+        const body = await request.json();
+        const { error, value } = schemas.unblockRequest.validate(body, {
+            abortEarly: false,
+            stripUnknown: true
+        });
+
+        if (error) {
+            return NextResponse.json({
+                success: false,
+                message: 'Validation failed',
+                errors: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
+            }, { status: 400 });
+        }
+
+        const { employeeId, justification } = value;
+
+        if (!(await isVerificationBlocked(decoded.id, employeeId))) {
+            return NextResponse.json({
+                success: false,
+                message: 'Verification of this employee is not blocked'
+            }, { status: 400 });
+        }
+
+        const existing = await findPendingUnblockRequest(decoded.id, employeeId);
+        if (existing) {
+            return NextResponse.json({
+                success: false,
+                message: `Unblock request ${existing.requestId} is already awaiting review`,
+                data: { requestId: existing.requestId, status: existing.status, createdAt: existing.createdAt }
+            }, { status: 409 });
+        }
+
+        const verifier = await findVerifierById(decoded.id);
+        // The ID may not exist at all; the request is then visible to super admins only
+        const employee = await findEmployeeById(employeeId);
+
+        const requestId = await generateSequentialId('UNB', UnblockRequest);
+        const unblockRequest = await addUnblockRequest({
+            requestId,
+            verifierId: decoded.id,
+            verifierEmail: verifier.email,
+            companyName: verifier.companyName,
+            employeeId,
+            entityName: employee?.entityName,
+            justification,
+            status: 'pending'
+        });
+
+        return NextResponse.json({
+            success: true,
+            message: 'Unblock request submitted. You will be notified by email once the exit team has reviewed it.',
+            data: {
+                requestId: unblockRequest.requestId,
+                status: unblockRequest.status,
+                createdAt: unblockRequest.createdAt
+            }
+        }, { status: 201 });
+
+    } catch (error) {
+        console.error('Unblock request error:', error);
+
+        return NextResponse.json({
+            success: false,
+            message: 'Failed to submit unblock request',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        }, { status: 500 });
+    }
+}
@@ -1,47 +1,60 @@
 import { NextResponse } from 'next/server';
-import { extractTokenFromHeader, verifyToken } from '@/lib/auth';
+import { requireVerifier } from '@/lib/routeAuth';
 import {
     findEmployeeById,
     isVerificationBlocked,
-    incrementVerificationAttempt,
     resetVerificationAttempt,
-    getBlockedMessage
+    getVerificationAttempt,
+    getActiveComparisonPolicy,
+    findPendingUnblockRequest
 } from '@/lib/mongodb.data.service';
+import { isPlausibleNameMatch, DEFAULT_COMPARISON_POLICY } from '@/lib/services/comparisonService';
+import {
+    getAttemptPolicy,
+    getBlockContact,
+    getBlockedMessage,
+    recordFailedLookup,
+    LOOKUP_FAILED_MESSAGE
+} from '@/lib/services/attemptPolicyService';
+
+/**
+ * 403 response for a blocked verifier/employee pair
+ * Carries when the block lifts and the open unblock request (if any) so the wizard can show its status
+ */
+async function blockedResponse(verifierId, employeeId, entityName, policy) {
+    const [attempt, pendingRequest, contactEmail] = await Promise.all([
+        getVerificationAttempt(verifierId, employeeId),
+        findPendingUnblockRequest(verifierId, employeeId),
+        getBlockContact(entityName, policy)
+    ]);
+
+    return NextResponse.json({
+        success: false,
+        code: 'VERIFICATION_BLOCKED',
+        message: getBlockedMessage(attempt, contactEmail),
+        data: {
+            employeeId,
+            blockedUntil: attempt?.blockedUntil || null,
+            contactEmail,
+            unblockRequest: pendingRequest
+                ? { requestId: pendingRequest.requestId, status: pendingRequest.status, createdAt: pendingRequest.createdAt }
+                : null
+        }
+    }, { status: 403 });
+}
 
 /**
  * Validate that Employee ID and Name match before proceeding to next step
+ * An unknown ID, a name mismatch and a wrong entity all get the same 400 response;
+ * the reason is only recorded server-side.
  * POST /api/verify/validate-employee
  * Body: { employeeId: string, name: string }
  */
 export async function POST(request) {
     try {
         // Authenticate the verifier
-        const token = extractTokenFromHeader(request);
-
-        if (!token) {
-            return NextResponse.json({
-                success: false,
-                message: 'Access token is required'
-            }, { status: 401 });
-        }
-
-        // Verify token
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-
-            if (decoded.role !== 'verifier') {
-                return NextResponse.json({
-                    success: false,
-                    message: 'Verifier access required'
-                }, { status: 403 });
-            }
-        } catch (tokenError) {
-            return NextResponse.json({
-                success: false,
-                message: 'Invalid or expired token'
-            }, { status: 401 });
-        }
+        const { decoded, response } = await requireVerifier(request, { lookup: true, rateLimit: 'verify' });
+        if (response) return response;
 
         const verifierId = decoded.id; // Get verifier ID from token
 
@@ -58,73 +71,45 @@ export async function POST(request) {
         }
 
         const normalizedEmployeeId = employeeId.toUpperCase().trim();
-        const normalizedInputName = name.trim().toLowerCase();
+        const attemptPolicy = await getAttemptPolicy();
 
         // 1. Check if blocked BEFORE querying database
         const isBlocked = await isVerificationBlocked(verifierId, normalizedEmployeeId);
         if (isBlocked) {
-            return NextResponse.json({
-                success: false,
-                message: getBlockedMessage()
-            }, { status: 403 });
+            return await blockedResponse(verifierId, normalizedEmployeeId, entityName, attemptPolicy);
         }
 
         // Find employee in MongoDB
         const employee = await findEmployeeById(normalizedEmployeeId);
 
-        if (!employee) {
-            // Log failed attempt
-            await incrementVerificationAttempt(verifierId, normalizedEmployeeId);
+        // Name is checked for being close enough to the record (initials, order, spelling
+        // variants); exact wording is scored later by the comparison policy
+        const policy = (await getActiveComparisonPolicy()) || DEFAULT_COMPARISON_POLICY;
 
-            return NextResponse.json({
-                success: false,
-                message: `Employee with ID "${employeeId}" not found in our records. Please verify the Employee ID.`
-            }, { status: 404 });
+        let failureReason = null;
+        if (!employee) {
+            failureReason = 'employee_not_found';
+        } else if (!isPlausibleNameMatch(name, employee.name, policy)) {
+            failureReason = 'name_mismatch';
+        } else if (entityName && entityName !== employee.entityName) {
+            // Entity (for BGV cases) counts too, to prevent fishing for the right company
+            failureReason = 'entity_mismatch';
         }
 
-        // Check if name matches (case-insensitive)
-        const employeeName = employee.name?.trim().toLowerCase() || '';
-
-        if (normalizedInputName !== employeeName) {
-            // Log failed attempt
-            const attemptResult = await incrementVerificationAttempt(verifierId, normalizedEmployeeId);
+        if (failureReason) {
+            const attemptResult = await recordFailedLookup(verifierId, normalizedEmployeeId, failureReason, attemptPolicy);
 
             // Check if they just got blocked
             if (attemptResult.justBlocked) {
-                return NextResponse.json({
-                    success: false,
-                    message: getBlockedMessage()
-                }, { status: 403 });
+                return await blockedResponse(verifierId, normalizedEmployeeId, entityName, attemptPolicy);
             }
 
             return NextResponse.json({
                 success: false,
-                message: 'Employee ID and Name do not match. Please check the details and try again.'
+                message: LOOKUP_FAILED_MESSAGE
             }, { status: 400 });
         }
 
-        // Validate Entity/Company if provided (for BGV case)
-        if (entityName) {
-            const employeeEntity = employee.entityName;
-            if (entityName !== employeeEntity) {
-                // Should entity mismatch count as a failed attempt? 
-                // Usually yes, to prevent fishing for correct entity.
-                const attemptResult = await incrementVerificationAttempt(verifierId, normalizedEmployeeId);
-
-                if (attemptResult.justBlocked) {
-                    return NextResponse.json({
-                        success: false,
-                        message: getBlockedMessage()
-                    }, { status: 403 });
-                }
-
-                return NextResponse.json({
-                    success: false,
-                    message: `Employee verification failed for the selected company. This employee does not belong to ${entityName}.`
-                }, { status: 400 });
-            }
-        }
-
         // Success! Reset attempts
         await resetVerificationAttempt(verifierId, normalizedEmployeeId);
 
@@ -0,0 +1,99 @@
+"use client";
+
+import { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { motion } from 'framer-motion';
+import Icon from '@/components/Icon';
+import { initializeActivityTracking } from '@/lib/hooks/useInactivityTimeout';
+
+export default function MagicLinkLoginPage() {
+  const [error, setError] = useState(null);
+  const attempted = useRef(false);
+  const router = useRouter();
+
+  useEffect(() => {
+    // The link can only be used once, so never send it twice
+    if (attempted.current) return;
+    attempted.current = true;
+
+    const token = new URLSearchParams(window.location.hash.slice(1)).get('token');
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (!token) {
+      setError('This login link is incomplete. Please request a new one.');
+      return;
+    }
+
+    const logIn = async () => {
+      try {
+        const response = await fetch('/api/auth/magic-link', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ token }),
+        });
+
+        const data = await response.json();
+
+        if (!data.success) {
+          setError(data.message || 'This login link could not be used. Please request a new one.');
+          return;
+        }
+
+        localStorage.setItem('verifier_session', JSON.stringify({
+          ...data.data.verifier,
+          token: data.data.token,
+          refreshToken: data.data.refreshToken,
+          accessTokenExpiresAt: data.data.accessTokenExpiresAt,
+          userType: 'verifier'
+        }));
+
+        initializeActivityTracking();
+        window.dispatchEvent(new Event('local-storage-changed'));
+
+        router.replace('/verify');
+      } catch (err) {
+        console.error('Magic link login error:', err);
+        setError('An unexpected error occurred. Please try again.');
+      }
+    };
+
+    logIn();
+  }, [router]);
+
+  return (
+    <motion.div
+      className="flex items-center justify-center min-h-[calc(100vh-250px)] bg-base-200 py-12 px-4 sm:px-6 lg:px-8"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: 0.5 }}
+    >
+      <div className="card bg-base-100 shadow-2xl w-full max-w-md">
+        <div className="card-body items-center text-center p-10">
+          {error ? (
+            <>
+              <div className="inline-block bg-error/10 p-4 rounded-full">
+                <Icon name="AlertCircle" className="w-10 h-10 text-error" />
+              </div>
+              <h1 className="text-2xl font-bold mt-4">Login Link Not Valid</h1>
+              <p className="text-base-content/70 mt-2">{error}</p>
+              <Link href="/login" className="btn btn-primary mt-6">
+                Back to Login
+              </Link>
+            </>
+          ) : (
+            <>
+              <span className="loading loading-spinner loading-lg text-primary"></span>
+              <p className="mt-4 text-lg font-semibold text-base-content">
+                Logging you in...
+              </p>
+              <p className="text-base-content/70">Please wait a moment.</p>
+            </>
+          )}
+        </div>
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,25 @@
+"use client";
+
+import { motion } from 'framer-motion';
+import BulkVerificationUpload from "@/components/verify/BulkVerificationUpload";
+
+export default function BulkVerifyPage() {
+  return (
+    <motion.div
+      className="w-full max-w-6xl mx-auto"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: 0.5 }}
+    >
+      <div className="text-center mb-10">
+        <h1 className="text-4xl font-bold text-base-content tracking-tight">
+          Bulk Employee Verification
+        </h1>
+        <p className="mt-3 text-lg text-base-content/80 max-w-3xl mx-auto">
+          Upload a spreadsheet of candidates to verify them in one go and download the results per row.
+        </p>
+      </div>
+      <BulkVerificationUpload />
+    </motion.div>
+  );
+}
@@ -2,6 +2,19 @@
 
 import React, { useState, useEffect } from "react";
 import Icon from "@/components/Icon";
+import { authFetch } from "@/lib/api.service";
+
+// Access log actions other than LOGIN, with how they are shown in the table
+const ACTION_LABELS = {
+    ACCOUNT_LOCKED: { label: 'Account locked', className: 'badge-error badge-outline' },
+    ACCOUNT_UNLOCKED: { label: 'Account unlocked', className: 'badge-success badge-outline' },
+    RATE_LIMITED: { label: 'Rate limited', className: 'badge-warning badge-outline' },
+    RECOVERY_CODE_USED: { label: 'Recovery code used', className: 'badge-info badge-outline' },
+    LOGOUT: { label: 'Logout', className: 'badge-ghost' },
+    SESSIONS_REVOKED: { label: 'Sessions revoked', className: 'badge-warning badge-outline' },
+    REFRESH_TOKEN_REUSE: { label: 'Refresh token reuse', className: 'badge-error badge-outline' },
+    LOGIN_MAGIC_LINK: { label: 'Magic link login', className: 'badge-info badge-outline' }
+};
 
 /**
  * AccessLogList Component
@@ -11,17 +24,14 @@ const AccessLogList = () => {
     const [logs, setLogs] = useState([]);
     const [pagination, setPagination] = useState({ page: 1, limit: 10, total: 0, pages: 0 });
     const [loading, setLoading] = useState(false);
-    const [filter, setFilter] = useState({ status: 'ALL', role: 'ALL' });
+    const [filter, setFilter] = useState({ status: 'ALL', role: 'ALL', action: 'ALL' });
     const [error, setError] = useState(null);
 
     const fetchLogs = async (page = 1) => {
         setLoading(true);
         setError(null);
         try {
-            const sessionData = localStorage.getItem('admin_session');
-            const session = sessionData ? JSON.parse(sessionData) : null;
-
-            if (!session?.token) {
+            if (!localStorage.getItem('admin_session')) {
                 setError('Session expired. Please login again.');
                 return;
             }
@@ -30,14 +40,11 @@ const AccessLogList = () => {
                 page,
                 limit: pagination.limit,
                 ...(filter.status !== 'ALL' && { status: filter.status }),
-                ...(filter.role !== 'ALL' && { role: filter.role })
+                ...(filter.role !== 'ALL' && { role: filter.role }),
+                ...(filter.action !== 'ALL' && { action: filter.action })
             });
 
-            const response = await fetch(`/api/admin/logs?${queryParams}`, {
-                headers: {
-                    'Authorization': `Bearer ${session.token}`
-                }
-            });
+            const response = await authFetch(`/api/admin/logs?${queryParams}`);
 
             const data = await response.json();
 
@@ -126,6 +133,18 @@ const AccessLogList = () => {
                         <option value="verifier">Verifier</option>
                         <option value="admin">Admin</option>
                     </select>
+
+                    <select
+                        className="select select-bordered select-sm"
+                        value={filter.action}
+                        onChange={(e) => handleFilterChange('action', e.target.value)}
+                    >
+                        <option value="ALL">All Events</option>
+                        <option value="LOGIN">Logins</option>
+                        {Object.entries(ACTION_LABELS).map(([action, { label }]) => (
+                            <option key={action} value={action}>{label}</option>
+                        ))}
+                    </select>
                 </div>
 
                 <button
@@ -190,6 +209,11 @@ const AccessLogList = () => {
                                             {log.status === 'SUCCESS' ? <Icon name="Check" className="w-3 h-3 mr-1" /> : <Icon name="X" className="w-3 h-3 mr-1" />}
                                             {log.status}
                                         </span>
+                                        {log.action && log.action !== 'LOGIN' && (
+                                            <div className={`badge badge-sm mt-1 ${ACTION_LABELS[log.action]?.className || 'badge-ghost'}`}>
+                                                {ACTION_LABELS[log.action]?.label || log.action}
+                                            </div>
+                                        )}
                                     </td>
                                     <td className="font-mono text-xs text-base-content/70">
                                         {formatIP(log.ipAddress)}
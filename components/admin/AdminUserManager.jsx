@@ -0,0 +1,456 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Icon from "@/components/Icon";
+import PermissionManager from "@/components/admin/PermissionManager";
+import { adminUserAPI, handleError } from "@/lib/api.service";
+import { useEntities } from "@/lib/hooks/useEntities";
+
+const ROLES = ['hr_staff', 'hr_manager', 'super_admin'];
+
+const EMPTY_INVITE = {
+    username: '',
+    email: '',
+    fullName: '',
+    role: 'hr_staff',
+    department: '',
+    entities: []
+};
+
+const isLocked = (account) => account.lockedUntil && new Date(account.lockedUntil) > new Date();
+
+/**
+ * AdminUserManager Component
+ * Admin account console: invite admins, change role, department and entity
+ * access, deactivate accounts, force password resets, unlock locked-out
+ * accounts and edit permissions.
+ */
+const AdminUserManager = ({ showToast }) => {
+    const { entities } = useEntities({ includeInactive: true });
+    const [admins, setAdmins] = useState([]);
+    const [registry, setRegistry] = useState({ permissions: {}, rolePermissions: {} });
+    const [loading, setLoading] = useState(true);
+    const [inviteForm, setInviteForm] = useState(null); // null = closed
+    const [selectedId, setSelectedId] = useState(null);
+    const [editForm, setEditForm] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const fetchAdmins = async () => {
+        setLoading(true);
+        try {
+            const response = await adminUserAPI.getAdmins();
+            if (response.success) {
+                setAdmins(response.data.admins);
+                setRegistry({
+                    permissions: response.data.permissions,
+                    rolePermissions: response.data.rolePermissions
+                });
+            } else {
+                showToast?.(response.message || 'Failed to load admin users', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchAdmins();
+    }, []);
+
+    const selected = admins.find(admin => admin._id === selectedId);
+
+    const replaceAdmin = (updated) => {
+        setAdmins(prev => prev.map(admin => admin._id === updated._id ? updated : admin));
+    };
+
+    const showErrors = (response, fallback) => {
+        const details = response.data?.errors?.map(e => e.message).join(', ');
+        showToast?.(details || response.message || fallback, 'error');
+    };
+
+    // Shown when the email provider is down so the password can be handed over another way
+    const showTemporaryPassword = (response) => {
+        if (response.data?.temporaryPassword) {
+            alert(`${response.message}\n\nTemporary password: ${response.data.temporaryPassword}`);
+        }
+    };
+
+    const toggleEntity = (list, code) => (
+        list.includes(code) ? list.filter(c => c !== code) : [...list, code]
+    );
+
+    const handleSelect = (admin) => {
+        setSelectedId(admin._id);
+        setEditForm({
+            fullName: admin.fullName,
+            role: admin.role,
+            department: admin.department,
+            entities: admin.entities || []
+        });
+    };
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const response = await adminUserAPI.inviteAdmin(inviteForm);
+
+            if (!response.success) {
+                showErrors(response, 'Failed to invite admin');
+                return;
+            }
+
+            showToast?.(response.message, response.data.emailSent ? 'success' : 'warning');
+            showTemporaryPassword(response);
+            setInviteForm(null);
+            fetchAdmins();
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleUpdate = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const response = await adminUserAPI.updateAdmin(selectedId, editForm);
+
+            if (!response.success) {
+                showErrors(response, 'Failed to update admin');
+                return;
+            }
+
+            showToast?.(response.message, 'success');
+            replaceAdmin(response.data);
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleToggleActive = async (admin) => {
+        const action = admin.isActive ? 'Deactivate' : 'Reactivate';
+        if (!confirm(`${action} ${admin.fullName}?`)) return;
+
+        try {
+            const response = await adminUserAPI.updateAdmin(admin._id, { isActive: !admin.isActive });
+
+            if (!response.success) {
+                showErrors(response, `Failed to ${action.toLowerCase()} admin`);
+                return;
+            }
+
+            showToast?.(response.message, 'success');
+            replaceAdmin(response.data);
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    const handleResetPassword = async (admin) => {
+        if (!confirm(`Reset the password for ${admin.fullName}? They will have to choose a new one at next login.`)) return;
+
+        try {
+            const response = await adminUserAPI.resetPassword(admin._id);
+
+            if (!response.success) {
+                showErrors(response, 'Failed to reset password');
+                return;
+            }
+
+            showToast?.(response.message, response.data.emailSent ? 'success' : 'warning');
+            showTemporaryPassword(response);
+            replaceAdmin({ ...admin, mustChangePassword: true });
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    const handleUnlock = async (admin) => {
+        if (!confirm(`Unlock ${admin.fullName}? Their failed login count is cleared too.`)) return;
+
+        try {
+            const response = await adminUserAPI.unlock(admin._id);
+
+            if (!response.success) {
+                showErrors(response, 'Failed to unlock admin');
+                return;
+            }
+
+            showToast?.(response.message, 'success');
+            replaceAdmin(response.data);
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    const handleResetTwoFactor = async (admin) => {
+        if (!confirm(`Reset two-factor authentication for ${admin.fullName}? Use this when they have lost their device and recovery codes; they can then sign in with their password and enrol again.`)) return;
+
+        try {
+            const response = await adminUserAPI.resetTwoFactor(admin._id);
+
+            if (!response.success) {
+                showErrors(response, 'Failed to reset two-factor authentication');
+                return;
+            }
+
+            showToast?.(response.message, 'success');
+            replaceAdmin(response.data);
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    const renderEntityPicker = (selectedCodes, onChange) => (
+        <div className="flex flex-wrap gap-2">
+            {entities.map(entity => (
+                <label key={entity.code} className="label cursor-pointer gap-1 p-0">
+                    <input
+                        type="checkbox"
+                        className="checkbox checkbox-xs"
+                        checked={selectedCodes.includes(entity.code)}
+                        onChange={() => onChange(toggleEntity(selectedCodes, entity.code))}
+                    />
+                    <span className="label-text text-xs font-mono">{entity.code}</span>
+                </label>
+            ))}
+        </div>
+    );
+
+    if (loading && admins.length === 0) {
+        return (
+            <div className="flex justify-center p-8">
+                <span className="loading loading-spinner loading-lg text-primary"></span>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-wrap items-start justify-between gap-3">
+                <div>
+                    <h3 className="text-lg font-bold">Admin Accounts</h3>
+                    <p className="text-sm text-base-content/60">
+                        Invited admins receive a temporary password by email. Entity access is ignored for super admins.
+                    </p>
+                </div>
+                {!inviteForm && (
+                    <button className="btn btn-sm btn-primary" onClick={() => setInviteForm(EMPTY_INVITE)}>
+                        <Icon name="UserPlus" className="w-4 h-4" /> Invite Admin
+                    </button>
+                )}
+            </div>
+
+            {inviteForm && (
+                <form onSubmit={handleInvite} className="bg-base-200 p-4 rounded-lg space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                        <label className="form-control">
+                            <span className="label-text mb-1">Username</span>
+                            <input
+                                type="text"
+                                className="input input-bordered input-sm"
+                                value={inviteForm.username}
+                                onChange={(e) => setInviteForm(prev => ({ ...prev, username: e.target.value.toLowerCase() }))}
+                                required
+                            />
+                        </label>
+                        <label className="form-control">
+                            <span className="label-text mb-1">Email</span>
+                            <input
+                                type="email"
+                                className="input input-bordered input-sm"
+                                value={inviteForm.email}
+                                onChange={(e) => setInviteForm(prev => ({ ...prev, email: e.target.value }))}
+                                required
+                            />
+                        </label>
+                        <label className="form-control">
+                            <span className="label-text mb-1">Full name</span>
+                            <input
+                                type="text"
+                                className="input input-bordered input-sm"
+                                value={inviteForm.fullName}
+                                onChange={(e) => setInviteForm(prev => ({ ...prev, fullName: e.target.value }))}
+                                required
+                            />
+                        </label>
+                        <label className="form-control">
+                            <span className="label-text mb-1">Role</span>
+                            <select
+                                className="select select-bordered select-sm"
+                                value={inviteForm.role}
+                                onChange={(e) => setInviteForm(prev => ({ ...prev, role: e.target.value }))}
+                            >
+                                {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                            </select>
+                        </label>
+                        <label className="form-control">
+                            <span className="label-text mb-1">Department</span>
+                            <input
+                                type="text"
+                                className="input input-bordered input-sm"
+                                value={inviteForm.department}
+                                onChange={(e) => setInviteForm(prev => ({ ...prev, department: e.target.value }))}
+                                required
+                            />
+                        </label>
+                        <div className="form-control">
+                            <span className="label-text mb-1">Entities</span>
+                            {renderEntityPicker(inviteForm.entities, (codes) => setInviteForm(prev => ({ ...prev, entities: codes })))}
+                        </div>
+                    </div>
+                    <div className="flex justify-end gap-2">
+                        <button type="button" className="btn btn-sm btn-ghost" onClick={() => setInviteForm(null)}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn-sm btn-primary" disabled={saving}>
+                            {saving ? <span className="loading loading-spinner loading-xs"></span> : <Icon name="Send" className="w-4 h-4" />}
+                            Send Invitation
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            <div className="overflow-x-auto">
+                <table className="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>Admin</th>
+                            <th>Role</th>
+                            <th>Department</th>
+                            <th>Entities</th>
+                            <th>Last Login</th>
+                            <th>Status</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {admins.map(admin => (
+                            <tr key={admin._id} className={admin._id === selectedId ? 'bg-base-200' : ''}>
+                                <td>
+                                    <div className="font-medium">{admin.fullName}</div>
+                                    <div className="text-xs text-base-content/60">{admin.username} · {admin.email}</div>
+                                </td>
+                                <td><span className="badge badge-sm badge-outline">{admin.role}</span></td>
+                                <td>{admin.department}</td>
+                                <td className="text-xs font-mono">
+                                    {admin.role === 'super_admin' ? 'All' : (admin.entities || []).join(', ') || '-'}
+                                </td>
+                                <td className="text-xs">
+                                    {admin.lastLoginAt ? new Date(admin.lastLoginAt).toLocaleString('en-GB') : 'Never'}
+                                </td>
+                                <td>
+                                    <span className={`badge badge-sm ${admin.isActive ? 'badge-success' : 'badge-ghost'}`}>
+                                        {admin.isActive ? 'active' : 'inactive'}
+                                    </span>
+                                    {admin.mustChangePassword && <span className="badge badge-sm badge-warning ml-1">temp password</span>}
+                                    {admin.twoFactor?.enabled && <span className="badge badge-sm badge-info ml-1">2FA</span>}
+                                    {isLocked(admin) && (
+                                        <span className="badge badge-sm badge-error ml-1" title={`Until ${new Date(admin.lockedUntil).toLocaleString('en-GB')}`}>
+                                            locked
+                                        </span>
+                                    )}
+                                </td>
+                                <td className="text-right whitespace-nowrap">
+                                    <button className="btn btn-ghost btn-xs" title="Edit" onClick={() => handleSelect(admin)}>
+                                        <Icon name="Pencil" className="w-3 h-3" />
+                                    </button>
+                                    {isLocked(admin) && (
+                                        <button className="btn btn-ghost btn-xs text-warning" title="Unlock" onClick={() => handleUnlock(admin)}>
+                                            <Icon name="Unlock" className="w-3 h-3" />
+                                        </button>
+                                    )}
+                                    <button className="btn btn-ghost btn-xs" title="Reset password" onClick={() => handleResetPassword(admin)}>
+                                        <Icon name="RotateCcw" className="w-3 h-3" />
+                                    </button>
+                                    {admin.twoFactor?.enabled && (
+                                        <button className="btn btn-ghost btn-xs" title="Reset two-factor" onClick={() => handleResetTwoFactor(admin)}>
+                                            <Icon name="Smartphone" className="w-3 h-3" />
+                                        </button>
+                                    )}
+                                    <button
+                                        className={`btn btn-ghost btn-xs ${admin.isActive ? 'text-error' : 'text-success'}`}
+                                        title={admin.isActive ? 'Deactivate' : 'Reactivate'}
+                                        onClick={() => handleToggleActive(admin)}
+                                    >
+                                        <Icon name={admin.isActive ? 'UserX' : 'UserCheck'} className="w-3 h-3" />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {selected && editForm && (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 border-t border-base-300 pt-6">
+                    <form onSubmit={handleUpdate} className="space-y-4">
+                        <div className="flex items-start justify-between gap-3">
+                            <h4 className="font-semibold">{selected.username}</h4>
+                            <button type="button" className="btn btn-ghost btn-xs" onClick={() => setSelectedId(null)}>
+                                <Icon name="X" className="w-3 h-3" />
+                            </button>
+                        </div>
+                        <label className="form-control">
+                            <span className="label-text mb-1">Full name</span>
+                            <input
+                                type="text"
+                                className="input input-bordered input-sm"
+                                value={editForm.fullName}
+                                onChange={(e) => setEditForm(prev => ({ ...prev, fullName: e.target.value }))}
+                                required
+                            />
+                        </label>
+                        <div className="grid grid-cols-2 gap-3">
+                            <label className="form-control">
+                                <span className="label-text mb-1">Role</span>
+                                <select
+                                    className="select select-bordered select-sm"
+                                    value={editForm.role}
+                                    onChange={(e) => setEditForm(prev => ({ ...prev, role: e.target.value }))}
+                                >
+                                    {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                                </select>
+                            </label>
+                            <label className="form-control">
+                                <span className="label-text mb-1">Department</span>
+                                <input
+                                    type="text"
+                                    className="input input-bordered input-sm"
+                                    value={editForm.department}
+                                    onChange={(e) => setEditForm(prev => ({ ...prev, department: e.target.value }))}
+                                    required
+                                />
+                            </label>
+                        </div>
+                        <div className="form-control">
+                            <span className="label-text mb-1">Entities</span>
+                            {renderEntityPicker(editForm.entities, (codes) => setEditForm(prev => ({ ...prev, entities: codes })))}
+                        </div>
+                        <div className="flex justify-end">
+                            <button type="submit" className="btn btn-sm btn-primary" disabled={saving}>
+                                {saving ? <span className="loading loading-spinner loading-xs"></span> : <Icon name="Save" className="w-4 h-4" />}
+                                Save Account
+                            </button>
+                        </div>
+                    </form>
+
+                    <PermissionManager
+                        admin={selected}
+                        registry={registry}
+                        onSaved={replaceAdmin}
+                        showToast={showToast}
+                    />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AdminUserManager;
@@ -13,6 +13,9 @@ export default function AppealDetail({ appealId }) {
   const [isUpdating, setIsUpdating] = useState(false);
   const [hrResponseText, setHrResponseText] = useState('');
   const [selectedAction, setSelectedAction] = useState('approved');
+  const [amendRecord, setAmendRecord] = useState(true);
+  const [revokeReason, setRevokeReason] = useState('');
+  const [isRevoking, setIsRevoking] = useState(false);
   const [toast, setToast] = useState({ show: false, message: '', type: '' });
 
   useEffect(() => {
@@ -48,7 +51,7 @@ export default function AppealDetail({ appealId }) {
   const handleUpdateStatus = async (newStatus, hrResponse) => {
     setIsUpdating(true);
     try {
-      const response = await appealAPI.respondToAppeal(appealId, newStatus, hrResponse);
+      const response = await appealAPI.respondToAppeal(appealId, newStatus, hrResponse, newStatus === 'approved' && amendRecord);
 
       if (response.success) {
         setAppeal(prev => ({ ...prev, status: newStatus, hrResponse }));
@@ -67,6 +70,48 @@ export default function AppealDetail({ appealId }) {
     }
   };
 
+  const handleRevoke = async () => {
+    const verificationId = appeal.verificationInfo?.verificationId;
+    if (!verificationId || !confirm(`Revoke verification ${verificationId}? Reports will no longer be issued for it.`)) return;
+
+    setIsRevoking(true);
+    try {
+      const response = await appealAPI.revokeVerification(verificationId, revokeReason);
+
+      if (response.success) {
+        setAppeal(prev => ({
+          ...prev,
+          verificationInfo: {
+            ...prev.verificationInfo,
+            recordStatus: response.data.recordStatus,
+            amendments: response.data.amendments
+          }
+        }));
+        setRevokeReason('');
+        showToast(response.message, 'success');
+      } else {
+        showToast(response.message || 'Failed to revoke verification', 'error');
+      }
+    } catch (error) {
+      handleError(error, showToast);
+    } finally {
+      setIsRevoking(false);
+    }
+  };
+
+  const getRecordStatusBadge = (recordStatus) => {
+    switch (recordStatus) {
+      case 'under_appeal':
+        return 'badge-warning';
+      case 'amended':
+        return 'badge-info';
+      case 'revoked':
+        return 'badge-error';
+      default:
+        return 'badge-success';
+    }
+  };
+
   const getStatusBadge = (status) => {
     switch (status?.toLowerCase()) {
       case 'pending':
@@ -154,6 +199,67 @@ export default function AppealDetail({ appealId }) {
             <p className="bg-base-200 p-4 rounded-lg whitespace-pre-wrap text-base-content/90">{appeal.comments || appeal.appealReason || 'No comments provided'}</p>
           </div>
 
+          {/* Verification record lifecycle */}
+          {appeal.verificationInfo && (
+            <>
+              <div className="divider"></div>
+              <div className="mb-6">
+                <div className="flex justify-between items-center mb-3">
+                  <h3 className="text-lg font-semibold flex items-center gap-2">
+                    <Icon name="FileCheck" className="w-5 h-5" />
+                    Verification Record
+                    <span className="font-mono text-sm text-base-content/70">{appeal.verificationInfo.verificationId}</span>
+                  </h3>
+                  <span className={`badge ${getRecordStatusBadge(appeal.verificationInfo.recordStatus)} capitalize`}>
+                    {(appeal.verificationInfo.recordStatus || 'completed').replace('_', ' ')}
+                  </span>
+                </div>
+
+                {appeal.verificationInfo.amendments?.length > 0 ? (
+                  <ul className="space-y-2 mb-4">
+                    {appeal.verificationInfo.amendments.map((amendment, index) => (
+                      <li key={index} className="bg-base-200 p-3 rounded-lg text-sm">
+                        <p className="font-semibold capitalize">
+                          {amendment.action === 'revoke' ? 'Revoked' : 'Amended'}
+                          {amendment.amendedFields?.length > 0 && ` (${amendment.amendedFields.join(', ')})`}
+                          {amendment.appealId && <span className="font-mono text-xs text-base-content/60 ml-2">{amendment.appealId}</span>}
+                        </p>
+                        <p className="text-base-content/80">{amendment.reason}</p>
+                        <p className="text-xs text-base-content/60 mt-1">
+                          {amendment.changedBy} &middot; {new Date(amendment.changedAt).toLocaleString('en-GB')}
+                          {amendment.previousOverallStatus && ` · was ${amendment.previousOverallStatus} (${amendment.previousMatchScore}%)`}
+                        </p>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-sm text-base-content/60 mb-4">No amendments have been made to this record.</p>
+                )}
+
+                {appeal.verificationInfo.recordStatus !== 'revoked' && (
+                  <div className="flex flex-col md:flex-row gap-2">
+                    <input
+                      type="text"
+                      className="input input-bordered input-sm flex-1"
+                      placeholder="Reason for revoking this verification"
+                      value={revokeReason}
+                      onChange={(e) => setRevokeReason(e.target.value)}
+                      maxLength={1000}
+                    />
+                    <button
+                      className="btn btn-sm btn-outline btn-error"
+                      onClick={handleRevoke}
+                      disabled={isRevoking || revokeReason.trim().length < 5}
+                    >
+                      {isRevoking ? <span className="loading loading-spinner loading-xs"></span> : <Icon name="Ban" className="w-4 h-4" />}
+                      Revoke Verification
+                    </button>
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+
           {/* Show HR Response for closed appeals */}
           {appeal.status !== 'pending' && appeal.hrResponse && (
             <>
@@ -295,6 +401,22 @@ export default function AppealDetail({ appealId }) {
                   </select>
                 </div>
 
+                {selectedAction === 'approved' && (
+                  <div className="form-control mb-4">
+                    <label className="label cursor-pointer justify-start gap-3">
+                      <input
+                        type="checkbox"
+                        className="checkbox checkbox-sm checkbox-success"
+                        checked={amendRecord}
+                        onChange={(e) => setAmendRecord(e.target.checked)}
+                      />
+                      <span className="label-text">
+                        Amend verification record (mark the queried fields as matched and regenerate the report)
+                      </span>
+                    </label>
+                  </div>
+                )}
+
                 <div className="form-control mb-4">
                   <label className="label">
                     <span className="label-text font-semibold">HR Comments <span className="text-error">*</span></span>
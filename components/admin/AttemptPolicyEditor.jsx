@@ -0,0 +1,220 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Icon from "@/components/Icon";
+import { settingsAPI, handleError } from "@/lib/api.service";
+
+const NUMBER_FIELDS = [
+    { key: 'maxAttempts', label: 'Failed attempts before block', min: 1, max: 20, help: 'Per verifier and employee ID' },
+    { key: 'blockDurationHours', label: 'Block duration (hours)', min: 0, help: '0 = until HR approves an unblock request' },
+    { key: 'failureWindowHours', label: 'Count failures within (hours)', min: 0, help: '0 = every failure since the last successful lookup or unblock' },
+    { key: 'quietPeriodHours', label: 'Reset counts after quiet period (hours)', min: 0, help: '0 = counts never reset on their own' }
+];
+
+const ENUMERATION_FIELDS = [
+    { key: 'windowMinutes', label: 'Detection window (minutes)', min: 5 },
+    { key: 'maxDistinctFailures', label: 'Distinct employee IDs failed', min: 2 },
+    { key: 'maxFailureRate', label: 'Failure rate (0-1)', min: 0.1, max: 1, step: 0.05 },
+    { key: 'minLookups', label: 'Failure rate applies from (lookups)', min: 2 },
+    { key: 'burstMinutes', label: 'Burst window (minutes)', min: 1, max: 60 },
+    { key: 'burstMaxFailures', label: 'Failures within burst window', min: 2 },
+    { key: 'sequentialRunLength', label: 'Consecutive IDs failed', min: 2 },
+    { key: 'throttleMinutes', label: 'Throttle duration (minutes)', min: 1 }
+];
+
+/**
+ * AttemptPolicyEditor Component
+ * Lets admins set how many failed employee lookups block a verifier,
+ * how long blocks last, when failure counts start over and when a verifier
+ * probing many employee IDs is flagged, throttled or suspended.
+ */
+const AttemptPolicyEditor = ({ showToast }) => {
+    const [policy, setPolicy] = useState(null);
+    const [meta, setMeta] = useState({ isDefault: true, updatedBy: null, updatedAt: null });
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    const applyResponse = (data) => {
+        setPolicy(data.policy);
+        setMeta({ isDefault: data.isDefault, updatedBy: data.updatedBy, updatedAt: data.updatedAt });
+    };
+
+    const fetchPolicy = async () => {
+        setLoading(true);
+        try {
+            const response = await settingsAPI.getAttemptPolicy();
+
+            if (response.success) {
+                applyResponse(response.data);
+            } else {
+                showToast?.(response.message || 'Failed to fetch attempt policy', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchPolicy();
+    }, []);
+
+    const updateEnumeration = (key, value) => {
+        setPolicy(prev => ({ ...prev, enumeration: { ...prev.enumeration, [key]: value } }));
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const response = await settingsAPI.updateAttemptPolicy({
+                ...Object.fromEntries(NUMBER_FIELDS.map(({ key }) => [key, Number(policy[key])])),
+                contactEmail: policy.contactEmail || '',
+                enumeration: {
+                    ...Object.fromEntries(ENUMERATION_FIELDS.map(({ key }) => [key, Number(policy.enumeration[key])])),
+                    enabled: !!policy.enumeration.enabled,
+                    action: policy.enumeration.action
+                }
+            });
+
+            if (response.success) {
+                showToast?.(response.message, 'success');
+                applyResponse(response.data);
+            } else {
+                const details = response.data?.errors?.map(e => e.message).join(', ');
+                showToast?.(details || response.message || 'Failed to save attempt policy', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (loading && !policy) {
+        return (
+            <div className="flex justify-center p-8">
+                <span className="loading loading-spinner loading-lg text-primary"></span>
+            </div>
+        );
+    }
+
+    if (!policy) return null;
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <div>
+                    <h3 className="text-lg font-bold">Verification Attempt Policy</h3>
+                    <p className="text-sm text-base-content/60">
+                        {meta.isDefault
+                            ? 'Using built-in defaults (no policy saved yet)'
+                            : `Last saved by ${meta.updatedBy || 'unknown'} on ${new Date(meta.updatedAt).toLocaleString()}`}
+                    </p>
+                </div>
+                <button className="btn btn-ghost btn-sm" onClick={fetchPolicy} disabled={loading}>
+                    <Icon name="RefreshCw" className="w-4 h-4" /> Reload
+                </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {NUMBER_FIELDS.map(({ key, label, min, max, help }) => (
+                    <label key={key} className="form-control">
+                        <span className="label-text mb-1">{label}</span>
+                        <input
+                            type="number"
+                            min={min}
+                            max={max}
+                            className="input input-bordered input-sm"
+                            value={policy[key]}
+                            onChange={(e) => setPolicy(prev => ({ ...prev, [key]: e.target.value }))}
+                        />
+                        <span className="label-text-alt text-base-content/60 mt-1">{help}</span>
+                    </label>
+                ))}
+                <label className="form-control md:col-span-2">
+                    <span className="label-text mb-1">Fallback contact email</span>
+                    <input
+                        type="email"
+                        className="input input-bordered input-sm"
+                        placeholder="Defaults to the portal support address"
+                        value={policy.contactEmail || ''}
+                        onChange={(e) => setPolicy(prev => ({ ...prev, contactEmail: e.target.value }))}
+                    />
+                    <span className="label-text-alt text-base-content/60 mt-1">
+                        Blocked verifiers are shown the exit team email of the entity they selected (see Entities); this address is used when the entity has none.
+                    </span>
+                </label>
+            </div>
+
+            <div className="divider"></div>
+
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <div>
+                    <h4 className="font-semibold">Enumeration Detection</h4>
+                    <p className="text-sm text-base-content/60">
+                        Catches one verifier probing many employee IDs. Any threshold reached within the window raises a security alert.
+                    </p>
+                </div>
+                <label className="label cursor-pointer gap-2">
+                    <span className="label-text">Enabled</span>
+                    <input
+                        type="checkbox"
+                        className="toggle toggle-sm toggle-success"
+                        checked={!!policy.enumeration.enabled}
+                        onChange={(e) => updateEnumeration('enabled', e.target.checked)}
+                    />
+                </label>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                {ENUMERATION_FIELDS.map(({ key, label, min, max, step }) => (
+                    <label key={key} className="form-control">
+                        <span className="label-text mb-1">{label}</span>
+                        <input
+                            type="number"
+                            min={min}
+                            max={max}
+                            step={step}
+                            className="input input-bordered input-sm"
+                            value={policy.enumeration[key]}
+                            disabled={!policy.enumeration.enabled}
+                            onChange={(e) => updateEnumeration(key, e.target.value)}
+                        />
+                    </label>
+                ))}
+                <label className="form-control">
+                    <span className="label-text mb-1">Automatic action</span>
+                    <select
+                        className="select select-bordered select-sm"
+                        value={policy.enumeration.action}
+                        disabled={!policy.enumeration.enabled}
+                        onChange={(e) => updateEnumeration('action', e.target.value)}
+                    >
+                        <option value="flag">Alert only</option>
+                        <option value="throttle">Pause lookups (throttle)</option>
+                        <option value="suspend">Suspend account</option>
+                    </select>
+                </label>
+            </div>
+
+            <p className="text-xs text-base-content/60">
+                Changes apply to the next failed attempt. Existing blocks keep the expiry they were given.
+            </p>
+
+            <div className="flex justify-end">
+                <button
+                    className="btn"
+                    style={{ backgroundColor: '#007A3D', borderColor: '#007A3D', color: 'white' }}
+                    onClick={handleSave}
+                    disabled={saving}
+                >
+                    {saving ? <span className="loading loading-spinner loading-sm"></span> : <Icon name="Save" className="w-4 h-4" />}
+                    Save Policy
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default AttemptPolicyEditor;
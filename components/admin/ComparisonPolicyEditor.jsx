@@ -0,0 +1,334 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Icon from "@/components/Icon";
+import { authFetch } from "@/lib/api.service";
+
+const FIELD_LABELS = {
+    employeeId: 'Employee ID',
+    name: 'Name',
+    entityName: 'Entity Name',
+    dateOfJoining: 'Date of Joining',
+    dateOfLeaving: 'Date of Leaving',
+    designation: 'Designation',
+    exitReason: 'Exit Reason'
+};
+
+const DATE_FIELDS = ['dateOfJoining', 'dateOfLeaving'];
+
+/**
+ * ComparisonPolicyEditor Component
+ * Lets admins edit per-field weights, tolerances, mandatory flags and status thresholds.
+ * Saving creates a new policy version.
+ */
+const ComparisonPolicyEditor = ({ showToast }) => {
+    const [policy, setPolicy] = useState(null);
+    const [history, setHistory] = useState([]);
+    const [isDefault, setIsDefault] = useState(false);
+    const [notes, setNotes] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const hasSession = () => !!localStorage.getItem('admin_session');
+
+    const fetchPolicy = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            if (!hasSession()) {
+                setError('Session expired. Please login again.');
+                return;
+            }
+
+            const response = await authFetch('/api/admin/comparison-policy');
+            const data = await response.json();
+
+            if (data.success) {
+                setPolicy(data.data.policy);
+                setHistory(data.data.history);
+                setIsDefault(data.data.isDefault);
+            } else {
+                setError(data.message || 'Failed to fetch comparison policy');
+            }
+        } catch (err) {
+            console.error('Error fetching comparison policy:', err);
+            setError('An error occurred while fetching the comparison policy');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchPolicy();
+    }, []);
+
+    const updateRule = (field, key, value) => {
+        setPolicy(prev => ({
+            ...prev,
+            fields: prev.fields.map(rule => rule.field === field ? { ...rule, [key]: value } : rule)
+        }));
+    };
+
+    const updateThreshold = (key, value) => {
+        setPolicy(prev => ({
+            ...prev,
+            thresholds: { ...prev.thresholds, [key]: value }
+        }));
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            if (!hasSession()) {
+                showToast?.('Session expired. Please login again.', 'error');
+                return;
+            }
+
+            const response = await authFetch('/api/admin/comparison-policy', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    fields: policy.fields.map(({ field, enabled, weight, toleranceDays, mandatory, matchThreshold, partialThreshold }) => ({
+                        field,
+                        enabled,
+                        weight: Number(weight),
+                        toleranceDays: Number(toleranceDays) || 0,
+                        mandatory,
+                        ...(field === 'name' && {
+                            matchThreshold: Number(matchThreshold ?? 0.85),
+                            partialThreshold: Number(partialThreshold ?? 0.6)
+                        })
+                    })),
+                    thresholds: {
+                        matched: Number(policy.thresholds.matched),
+                        partialMatch: Number(policy.thresholds.partialMatch)
+                    },
+                    notes
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                showToast?.(data.message, 'success');
+                setNotes('');
+                fetchPolicy();
+            } else {
+                const details = data.errors?.map(e => e.message).join(', ');
+                showToast?.(details || data.message || 'Failed to save policy', 'error');
+            }
+        } catch (err) {
+            console.error('Error saving comparison policy:', err);
+            showToast?.('An error occurred while saving the policy', 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (loading && !policy) {
+        return (
+            <div className="flex justify-center p-8">
+                <span className="loading loading-spinner loading-lg text-primary"></span>
+            </div>
+        );
+    }
+
+    if (error) {
+        return (
+            <div className="alert alert-error">
+                <Icon name="AlertCircle" className="w-5 h-5" />
+                <span>{error}</span>
+            </div>
+        );
+    }
+
+    if (!policy) return null;
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <div>
+                    <h3 className="text-lg font-bold">Comparison Policy</h3>
+                    <p className="text-sm text-base-content/60">
+                        {isDefault ? 'Using built-in defaults (no policy saved yet)' : `Active version: v${policy.version}`}
+                    </p>
+                </div>
+                <button className="btn btn-ghost btn-sm" onClick={fetchPolicy} disabled={loading}>
+                    <Icon name="RefreshCw" className="w-4 h-4" /> Reload
+                </button>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>Field</th>
+                            <th>Enabled</th>
+                            <th>Weight</th>
+                            <th>Tolerance</th>
+                            <th>Mandatory</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {policy.fields.map(rule => (
+                            <tr key={rule.field}>
+                                <td className="font-medium">{FIELD_LABELS[rule.field] || rule.field}</td>
+                                <td>
+                                    <input
+                                        type="checkbox"
+                                        className="toggle toggle-sm toggle-success"
+                                        checked={rule.enabled !== false}
+                                        onChange={(e) => updateRule(rule.field, 'enabled', e.target.checked)}
+                                    />
+                                </td>
+                                <td>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.5"
+                                        className="input input-bordered input-sm w-24"
+                                        value={rule.weight}
+                                        onChange={(e) => updateRule(rule.field, 'weight', e.target.value)}
+                                    />
+                                </td>
+                                <td>
+                                    {DATE_FIELDS.includes(rule.field) ? (
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            className="input input-bordered input-sm w-24"
+                                            value={rule.toleranceDays ?? 0}
+                                            onChange={(e) => updateRule(rule.field, 'toleranceDays', e.target.value)}
+                                        />
+                                    ) : rule.field === 'name' ? (
+                                        <div className="flex items-center gap-2 text-xs">
+                                            <span>match ≥</span>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                max="1"
+                                                step="0.05"
+                                                className="input input-bordered input-sm w-20"
+                                                value={rule.matchThreshold ?? 0.85}
+                                                onChange={(e) => updateRule(rule.field, 'matchThreshold', e.target.value)}
+                                            />
+                                            <span>partial ≥</span>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                max="1"
+                                                step="0.05"
+                                                className="input input-bordered input-sm w-20"
+                                                value={rule.partialThreshold ?? 0.6}
+                                                onChange={(e) => updateRule(rule.field, 'partialThreshold', e.target.value)}
+                                            />
+                                        </div>
+                                    ) : (
+                                        <span className="text-base-content/40">-</span>
+                                    )}
+                                </td>
+                                <td>
+                                    <input
+                                        type="checkbox"
+                                        className="checkbox checkbox-sm checkbox-error"
+                                        checked={!!rule.mandatory}
+                                        onChange={(e) => updateRule(rule.field, 'mandatory', e.target.checked)}
+                                    />
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <label className="form-control">
+                    <span className="label-text mb-1">Matched at score ≥ (%)</span>
+                    <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        className="input input-bordered input-sm"
+                        value={policy.thresholds.matched}
+                        onChange={(e) => updateThreshold('matched', e.target.value)}
+                    />
+                </label>
+                <label className="form-control">
+                    <span className="label-text mb-1">Partial match at score ≥ (%)</span>
+                    <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        className="input input-bordered input-sm"
+                        value={policy.thresholds.partialMatch}
+                        onChange={(e) => updateThreshold('partialMatch', e.target.value)}
+                    />
+                </label>
+            </div>
+
+            <label className="form-control">
+                <span className="label-text mb-1">Change notes (optional)</span>
+                <input
+                    type="text"
+                    className="input input-bordered input-sm"
+                    placeholder="e.g. Allow ±30 days on joining date"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    maxLength={500}
+                />
+            </label>
+
+            <p className="text-xs text-base-content/60">
+                Score is the weighted share of matching fields; a partially matching name earns credit in proportion to its similarity (0-1).
+                A mismatch on any mandatory field always results in Mismatch.
+                Saving creates a new version; existing verification records keep the version they were scored with.
+            </p>
+
+            <div className="flex justify-end">
+                <button
+                    className="btn"
+                    style={{ backgroundColor: '#007A3D', borderColor: '#007A3D', color: 'white' }}
+                    onClick={handleSave}
+                    disabled={saving}
+                >
+                    {saving ? <span className="loading loading-spinner loading-sm"></span> : <Icon name="Save" className="w-4 h-4" />}
+                    Save as New Version
+                </button>
+            </div>
+
+            {history.length > 0 && (
+                <div>
+                    <h4 className="font-semibold mb-2">Version History</h4>
+                    <div className="overflow-x-auto">
+                        <table className="table table-xs">
+                            <thead>
+                                <tr>
+                                    <th>Version</th>
+                                    <th>Saved</th>
+                                    <th>By</th>
+                                    <th>Notes</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {history.map(entry => (
+                                    <tr key={entry.version}>
+                                        <td>
+                                            v{entry.version}
+                                            {entry.isActive && <span className="badge badge-success badge-xs ml-2">active</span>}
+                                        </td>
+                                        <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                                        <td>{entry.createdBy || '-'}</td>
+                                        <td>{entry.notes || '-'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ComparisonPolicyEditor;
@@ -0,0 +1,230 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Icon from "@/components/Icon";
+import { emailJobAPI, handleError } from "@/lib/api.service";
+
+const STATUS_TABS = ['dead', 'pending', 'processing', 'sent'];
+
+const STATUS_BADGES = {
+    pending: 'badge-warning',
+    processing: 'badge-info',
+    sent: 'badge-success',
+    dead: 'badge-error'
+};
+
+const TYPE_LABELS = {
+    appeal_notification: 'Query notification',
+    appeal_response: 'Query response'
+};
+
+const formatDateTime = (value) => value ? new Date(value).toLocaleString('en-GB') : '-';
+
+/**
+ * EmailQueueList Component
+ * Outbound emails in the delivery queue. Dead-lettered emails ran out of retry
+ * attempts and can be resent from here by admins with manage_email; each email
+ * expands to show its attempts.
+ */
+const EmailQueueList = ({ showToast, canResend = false }) => {
+    const [jobs, setJobs] = useState([]);
+    const [counts, setCounts] = useState({});
+    const [status, setStatus] = useState('dead');
+    const [page, setPage] = useState(1);
+    const [pages, setPages] = useState(1);
+    const [loading, setLoading] = useState(false);
+    const [submitting, setSubmitting] = useState(null);
+    const [expanded, setExpanded] = useState(null);
+    const [attempts, setAttempts] = useState([]);
+
+    const fetchJobs = async () => {
+        setLoading(true);
+        try {
+            const response = await emailJobAPI.getJobs(status, page);
+
+            if (response.success) {
+                setJobs(response.data.jobs);
+                setCounts(response.data.counts);
+                setPages(response.data.pagination.pages || 1);
+            } else {
+                showToast?.(response.message || 'Failed to fetch queued emails', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchJobs();
+    }, [status, page]); // Re-fetch when the status tab or page changes
+
+    const changeStatus = (newStatus) => {
+        setStatus(newStatus);
+        setPage(1);
+        setExpanded(null);
+    };
+
+    const toggleAttempts = async (job) => {
+        if (expanded === job._id) {
+            setExpanded(null);
+            return;
+        }
+
+        setExpanded(job._id);
+        setAttempts([]);
+        try {
+            const response = await emailJobAPI.getJob(job._id);
+
+            if (response.success) {
+                setAttempts(response.data.attempts);
+            } else {
+                showToast?.(response.message || 'Failed to fetch delivery attempts', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    const handleResend = async (job) => {
+        if (!confirm(`Resend "${job.subject}" to ${job.to}?`)) return;
+
+        setSubmitting(job._id);
+        try {
+            const response = await emailJobAPI.resend(job._id);
+
+            if (response.success) {
+                showToast?.(response.message, 'success');
+                fetchJobs();
+            } else {
+                showToast?.(response.message || 'Failed to resend email', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setSubmitting(null);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <div role="tablist" className="tabs tabs-boxed tabs-sm w-fit">
+                    {STATUS_TABS.map(tab => (
+                        <a
+                            key={tab}
+                            role="tab"
+                            className={`tab capitalize ${status === tab ? 'tab-active' : ''}`}
+                            onClick={() => changeStatus(tab)}
+                        >
+                            {tab === 'dead' ? 'Failed' : tab}
+                            {counts[tab] > 0 && <span className="ml-1 text-xs">({counts[tab]})</span>}
+                        </a>
+                    ))}
+                </div>
+                <p className="text-xs text-base-content/60">
+                    Failed deliveries are retried automatically with increasing delays. Emails that run out of attempts are listed under Failed.
+                </p>
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center p-8">
+                    <span className="loading loading-spinner loading-md"></span>
+                </div>
+            ) : jobs.length === 0 ? (
+                <p className="text-center py-8 text-base-content/60">
+                    No {status === 'dead' ? 'failed' : status} emails
+                </p>
+            ) : (
+                <div className="space-y-3">
+                    {jobs.map(job => (
+                        <div key={job._id} className="border border-base-300 rounded-lg p-4 space-y-3">
+                            <div className="flex flex-wrap items-start justify-between gap-3">
+                                <div>
+                                    <div className="flex items-center gap-2">
+                                        <Icon name={job.status === 'dead' ? 'MailX' : 'Mail'} className="w-5 h-5" />
+                                        <span className="font-semibold">{job.subject}</span>
+                                        <span className={`badge badge-sm ${STATUS_BADGES[job.status]}`}>
+                                            {job.status === 'dead' ? 'failed' : job.status}
+                                        </span>
+                                    </div>
+                                    <div className="text-sm mt-1">
+                                        <span className="font-medium">{job.to}</span>{' '}
+                                        <span className="text-base-content/60">
+                                            {TYPE_LABELS[job.emailType] || job.emailType}
+                                            {job.reference?.id && ` · ${job.reference.id}`}
+                                        </span>
+                                    </div>
+                                    <div className="text-xs text-base-content/60">
+                                        Queued {formatDateTime(job.createdAt)} · {job.attempts}/{job.maxAttempts} attempts
+                                        {job.status === 'pending' && job.attempts > 0 && ` · next try ${formatDateTime(job.nextAttemptAt)}`}
+                                        {job.status === 'sent' && ` · sent via ${job.provider} ${formatDateTime(job.sentAt)}`}
+                                        {job.resentBy && ` · resent by ${job.resentBy} ${formatDateTime(job.resentAt)}`}
+                                    </div>
+                                </div>
+                                <div className="flex gap-1">
+                                    <button
+                                        className="btn btn-xs btn-ghost"
+                                        onClick={() => toggleAttempts(job)}
+                                    >
+                                        <Icon name={expanded === job._id ? 'ChevronUp' : 'ChevronDown'} className="w-3 h-3" /> Attempts
+                                    </button>
+                                    {canResend && (job.status === 'dead' || job.status === 'pending') && (
+                                        <button
+                                            className="btn btn-xs btn-primary"
+                                            disabled={submitting === job._id}
+                                            onClick={() => handleResend(job)}
+                                        >
+                                            <Icon name="RotateCcw" className="w-3 h-3" /> Resend
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+
+                            {job.lastError && (
+                                <div className="text-xs text-error break-words">{job.lastError}</div>
+                            )}
+
+                            {expanded === job._id && (
+                                attempts.length === 0 ? (
+                                    <p className="text-xs text-base-content/60">No delivery attempts recorded yet</p>
+                                ) : (
+                                    <table className="table table-xs">
+                                        <tbody>
+                                            {attempts.map(attempt => (
+                                                <tr key={attempt._id}>
+                                                    <td className="whitespace-nowrap w-44">{formatDateTime(attempt.createdAt)}</td>
+                                                    <td className="font-medium w-24">{attempt.provider}</td>
+                                                    <td>
+                                                        <span className={`badge badge-xs ${attempt.status === 'sent' ? 'badge-success' : 'badge-error'}`}>
+                                                            {attempt.status}
+                                                        </span>
+                                                    </td>
+                                                    <td className="break-words">{attempt.error || attempt.messageId}</td>
+                                                    <td className="text-right text-base-content/60 whitespace-nowrap">{attempt.responseTime}ms</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                )
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {pages > 1 && (
+                <div className="flex justify-center">
+                    <div className="join">
+                        <button className="join-item btn btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>«</button>
+                        <button className="join-item btn btn-sm no-animation bg-base-100">Page {page} of {pages}</button>
+                        <button className="join-item btn btn-sm" disabled={page >= pages} onClick={() => setPage(page + 1)}>»</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default EmailQueueList;
@@ -0,0 +1,354 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Icon from "@/components/Icon";
+import { employeeAPI, handleError } from "@/lib/api.service";
+
+const TEMPLATE_HEADERS = [
+    'Employee ID',
+    'Name',
+    'Email',
+    'Entity Name',
+    'Date of Joining',
+    'Date of Leaving',
+    'Designation',
+    'Exit Reason',
+    'FnF Status',
+    'Department'
+];
+
+const ACTION_BADGES = {
+    new: 'badge-success',
+    changed: 'badge-info',
+    unchanged: 'badge-ghost',
+    invalid: 'badge-error'
+};
+
+const RESULT_BADGES = {
+    created: 'badge-success',
+    updated: 'badge-info',
+    unchanged: 'badge-ghost',
+    skipped: 'badge-warning',
+    failed: 'badge-error'
+};
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '-';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+        return new Date(value).toLocaleDateString('en-GB');
+    }
+    return String(value);
+};
+
+/**
+ * EmployeeImportPanel Component
+ * Uploads an HRMS exit list, shows the new / changed / unchanged / invalid diff
+ * against the employee master, and commits it on confirmation.
+ */
+const EmployeeImportPanel = ({ showToast, onCommitted }) => {
+    const [file, setFile] = useState(null);
+    const [employeeImport, setEmployeeImport] = useState(null);
+    const [recentImports, setRecentImports] = useState([]);
+    const [actionFilter, setActionFilter] = useState('all');
+    const [isLoading, setIsLoading] = useState(false);
+    const [isCommitting, setIsCommitting] = useState(false);
+
+    const fetchRecentImports = async () => {
+        try {
+            const response = await employeeAPI.getImports();
+            if (response.success) {
+                setRecentImports(response.data.imports);
+            }
+        } catch (err) {
+            console.error('Error fetching employee imports:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchRecentImports();
+    }, []);
+
+    const downloadBlob = (blob, fileName) => {
+        const url = window.URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        window.URL.revokeObjectURL(url);
+    };
+
+    const handleDownloadTemplate = () => {
+        const sample = ['EMP001', 'John Doe', 'john.doe@example.com', 'TVSCSHIB', '15/01/2020', '31/03/2023', 'Executive', 'Resigned', 'Completed', 'Operations'];
+        const csv = `${TEMPLATE_HEADERS.join(',')}\n${sample.join(',')}\n`;
+        downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), 'employee_import_template.csv');
+    };
+
+    const handleFileChange = (e) => {
+        const selectedFile = e.target.files[0];
+        if (!selectedFile) return;
+
+        const extension = selectedFile.name.split('.').pop().toLowerCase();
+        if (!['csv', 'xlsx'].includes(extension)) {
+            showToast?.('Only CSV and XLSX files are allowed', 'error');
+            e.target.value = '';
+            return;
+        }
+
+        if (selectedFile.size > 5 * 1024 * 1024) {
+            showToast?.('File size must be less than 5MB', 'error');
+            e.target.value = '';
+            return;
+        }
+
+        setFile(selectedFile);
+        setEmployeeImport(null);
+    };
+
+    const handlePreview = async () => {
+        if (!file) {
+            showToast?.('Please choose a CSV or XLSX file to upload.', 'error');
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            const response = await employeeAPI.previewImport(file);
+
+            if (response.success) {
+                setEmployeeImport(response.data);
+                setActionFilter('all');
+                fetchRecentImports();
+            } else {
+                showToast?.(response.message || 'Import preview failed', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleCommit = async () => {
+        const { summary } = employeeImport;
+        if (!confirm(`Apply ${summary.new} new and ${summary.changed} changed employee records?`)) return;
+
+        setIsCommitting(true);
+        try {
+            const response = await employeeAPI.commitImport(employeeImport.importId);
+
+            if (response.success) {
+                setEmployeeImport(response.data);
+                showToast?.(response.message, response.data.report.failed > 0 ? 'warning' : 'success');
+                fetchRecentImports();
+                onCommitted?.();
+            } else {
+                showToast?.(response.message || 'Failed to commit import', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setIsCommitting(false);
+        }
+    };
+
+    const handleOpenImport = async (importId) => {
+        try {
+            const response = await employeeAPI.getImport(importId);
+            if (response.success) {
+                setEmployeeImport(response.data);
+                setActionFilter('all');
+            } else {
+                showToast?.(response.message || 'Failed to load import', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    const handleDownloadReport = async (importId) => {
+        try {
+            const blob = await employeeAPI.downloadImportReport(importId);
+            downloadBlob(blob, `${importId}_report.csv`);
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    const isCommitted = employeeImport?.status === 'committed';
+    const visibleRows = (employeeImport?.rows || []).filter(row => actionFilter === 'all' || row.action === actionFilter);
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col md:flex-row md:items-end gap-4 bg-base-200 p-4 rounded-lg">
+                <div className="flex-1">
+                    <h3 className="text-lg font-bold">Import from HRMS</h3>
+                    <p className="text-sm text-base-content/60">
+                        CSV or XLSX exit list. Columns: {TEMPLATE_HEADERS.join(', ')}. Rows are matched on Employee ID;
+                        re-importing the same file changes nothing.
+                    </p>
+                    <input
+                        type="file"
+                        accept=".csv,.xlsx"
+                        className="file-input file-input-bordered file-input-sm w-full max-w-md mt-3"
+                        onChange={handleFileChange}
+                    />
+                </div>
+                <div className="flex gap-2">
+                    <button className="btn btn-sm btn-ghost" onClick={handleDownloadTemplate}>
+                        <Icon name="FileDown" className="w-4 h-4" /> Template
+                    </button>
+                    <button className="btn btn-sm btn-primary" onClick={handlePreview} disabled={isLoading || !file}>
+                        {isLoading ? <span className="loading loading-spinner loading-xs"></span> : <Icon name="FileSearch" className="w-4 h-4" />}
+                        Preview Changes
+                    </button>
+                </div>
+            </div>
+
+            {employeeImport && (
+                <div className="space-y-4">
+                    <div className="flex flex-wrap items-center justify-between gap-3">
+                        <div>
+                            <h4 className="font-semibold">
+                                {employeeImport.importId}
+                                <span className="font-normal text-base-content/60 ml-2">{employeeImport.fileName}</span>
+                                <span className={`badge badge-sm ml-2 ${isCommitted ? 'badge-success' : 'badge-warning'}`}>
+                                    {isCommitted ? 'committed' : 'preview'}
+                                </span>
+                            </h4>
+                            {isCommitted && (
+                                <p className="text-xs text-base-content/60">
+                                    {employeeImport.report.created} created, {employeeImport.report.updated} updated, {employeeImport.report.unchanged} unchanged,
+                                    {' '}{employeeImport.report.skipped} skipped, {employeeImport.report.failed} failed
+                                </p>
+                            )}
+                        </div>
+                        <div className="flex gap-2">
+                            <button className="btn btn-sm btn-ghost" onClick={() => handleDownloadReport(employeeImport.importId)}>
+                                <Icon name="Download" className="w-4 h-4" /> Report
+                            </button>
+                            {!isCommitted && (
+                                <button
+                                    className="btn btn-sm btn-success"
+                                    onClick={handleCommit}
+                                    disabled={isCommitting || employeeImport.summary.new + employeeImport.summary.changed === 0}
+                                >
+                                    {isCommitting ? <span className="loading loading-spinner loading-xs"></span> : <Icon name="Check" className="w-4 h-4" />}
+                                    Commit Import
+                                </button>
+                            )}
+                        </div>
+                    </div>
+
+                    <div role="tablist" className="tabs tabs-boxed tabs-sm w-fit">
+                        {['all', 'new', 'changed', 'unchanged', 'invalid'].map(action => (
+                            <a
+                                key={action}
+                                role="tab"
+                                className={`tab capitalize ${actionFilter === action ? 'tab-active' : ''}`}
+                                onClick={() => setActionFilter(action)}
+                            >
+                                {action} ({action === 'all' ? employeeImport.summary.total : employeeImport.summary[action]})
+                            </a>
+                        ))}
+                    </div>
+
+                    <div className="overflow-x-auto max-h-[28rem] overflow-y-auto">
+                        <table className="table table-sm table-pin-rows">
+                            <thead>
+                                <tr>
+                                    <th>Row</th>
+                                    <th>Employee ID</th>
+                                    <th>Name</th>
+                                    <th>Preview</th>
+                                    <th>Details</th>
+                                    {isCommitted && <th>Result</th>}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {visibleRows.length === 0 ? (
+                                    <tr>
+                                        <td colSpan={isCommitted ? 6 : 5} className="text-center text-base-content/60 py-6">No rows</td>
+                                    </tr>
+                                ) : visibleRows.map(row => (
+                                    <tr key={row.rowNumber}>
+                                        <td>{row.rowNumber}</td>
+                                        <td className="font-mono text-xs">{row.employeeId || '-'}</td>
+                                        <td>{row.name || '-'}</td>
+                                        <td>
+                                            <span className={`badge badge-sm ${ACTION_BADGES[row.action]}`}>{row.action}</span>
+                                        </td>
+                                        <td className="text-xs">
+                                            {row.action === 'invalid' && (
+                                                <span className="text-error">{row.validationErrors.join('; ')}</span>
+                                            )}
+                                            {row.action === 'changed' && (
+                                                <ul>
+                                                    {row.changes.map(change => (
+                                                        <li key={change.field}>
+                                                            {change.field}:{' '}
+                                                            <span className="line-through text-base-content/60">{formatValue(change.from)}</span>
+                                                            {' → '}{formatValue(change.to)}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                        </td>
+                                        {isCommitted && (
+                                            <td>
+                                                <span className={`badge badge-sm ${RESULT_BADGES[row.result] || 'badge-ghost'}`}>{row.result}</span>
+                                                {row.result === 'failed' && <p className="text-xs text-error">{row.resultMessage}</p>}
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {recentImports.length > 0 && (
+                <div>
+                    <h4 className="font-semibold mb-2">Recent Imports</h4>
+                    <div className="overflow-x-auto">
+                        <table className="table table-xs">
+                            <thead>
+                                <tr>
+                                    <th>Import</th>
+                                    <th>File</th>
+                                    <th>Uploaded</th>
+                                    <th>Status</th>
+                                    <th>New / Changed / Unchanged / Invalid</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {recentImports.map(item => (
+                                    <tr key={item.importId}>
+                                        <td className="font-mono">{item.importId}</td>
+                                        <td>{item.fileName}</td>
+                                        <td>{new Date(item.createdAt).toLocaleString('en-GB')} by {item.uploadedBy}</td>
+                                        <td>{item.status}</td>
+                                        <td>{item.summary.new} / {item.summary.changed} / {item.summary.unchanged} / {item.summary.invalid}</td>
+                                        <td className="text-right whitespace-nowrap">
+                                            <button className="btn btn-ghost btn-xs" onClick={() => handleOpenImport(item.importId)}>
+                                                <Icon name="Eye" className="w-3 h-3" />
+                                            </button>
+                                            <button className="btn btn-ghost btn-xs" onClick={() => handleDownloadReport(item.importId)}>
+                                                <Icon name="Download" className="w-3 h-3" />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default EmployeeImportPanel;
@@ -0,0 +1,480 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Icon from "@/components/Icon";
+import { employeeAPI, handleError } from "@/lib/api.service";
+import { useEntities } from "@/lib/hooks/useEntities";
+
+const FIELD_LABELS = {
+    employeeId: 'Employee ID',
+    name: 'Name',
+    email: 'Email',
+    entityName: 'Entity',
+    dateOfJoining: 'Date of Joining',
+    dateOfLeaving: 'Date of Leaving',
+    designation: 'Designation',
+    exitReason: 'Exit Reason',
+    fnfStatus: 'F&F Status',
+    department: 'Department'
+};
+
+const EMPTY_FILTERS = { search: '', entityName: '', department: '', leftFrom: '', leftTo: '' };
+
+const EMPTY_FORM = {
+    employeeId: '',
+    name: '',
+    email: '',
+    entityName: '',
+    dateOfJoining: '',
+    dateOfLeaving: '',
+    designation: '',
+    exitReason: '',
+    fnfStatus: 'Pending',
+    department: ''
+};
+
+const toDateInput = (value) => value ? new Date(value).toISOString().slice(0, 10) : '';
+
+const formatDate = (value) => value ? new Date(value).toLocaleDateString('en-GB') : '-';
+
+const formatAuditValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '-';
+    return ['dateOfJoining', 'dateOfLeaving'].includes(field) ? formatDate(value) : String(value);
+};
+
+/**
+ * EmployeeManager Component
+ * Searches, adds, edits and deletes employee master records.
+ * Every change is written to the audit trail shown alongside the record.
+ */
+const EmployeeManager = ({ showToast }) => {
+    const [employees, setEmployees] = useState([]);
+    const [departments, setDepartments] = useState([]);
+    const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, pages: 0 });
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [searchInput, setSearchInput] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const [editing, setEditing] = useState(null); // null = closed, { isNew, form, history, verificationCount }
+    const [saving, setSaving] = useState(false);
+    const { entities } = useEntities({ includeInactive: true });
+
+    const fetchEmployees = async (page = 1) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const params = Object.fromEntries(
+                Object.entries({ ...filters, page, limit: pagination.limit }).filter(([, value]) => value !== '')
+            );
+            const response = await employeeAPI.getEmployees(params);
+
+            if (response.success) {
+                setEmployees(response.data.employees);
+                setPagination(response.data.pagination);
+                setDepartments(response.data.departments);
+            } else {
+                setError(response.message || 'Failed to fetch employees');
+            }
+        } catch (err) {
+            console.error('Error fetching employees:', err);
+            setError('An error occurred while fetching employees');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchEmployees(1);
+    }, [filters]); // Re-fetch when filters change
+
+    const handleFilterChange = (key, value) => {
+        setFilters(prev => ({ ...prev, [key]: value }));
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        handleFilterChange('search', searchInput.trim());
+    };
+
+    const handlePageChange = (newPage) => {
+        if (newPage >= 1 && newPage <= pagination.pages) {
+            fetchEmployees(newPage);
+        }
+    };
+
+    const openNew = () => {
+        const defaultEntity = entities.find(entity => entity.isActive)?.code || '';
+        setEditing({ isNew: true, form: { ...EMPTY_FORM, entityName: defaultEntity }, history: [], verificationCount: 0 });
+    };
+
+    const openEdit = async (employee) => {
+        try {
+            const response = await employeeAPI.getEmployee(employee.employeeId);
+            if (!response.success) {
+                showToast?.(response.message || 'Failed to load employee', 'error');
+                return;
+            }
+
+            const { employee: record, history, verificationCount } = response.data;
+            setEditing({
+                isNew: false,
+                form: {
+                    ...record,
+                    dateOfJoining: toDateInput(record.dateOfJoining),
+                    dateOfLeaving: toDateInput(record.dateOfLeaving)
+                },
+                history,
+                verificationCount
+            });
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    const updateForm = (key, value) => {
+        setEditing(prev => ({ ...prev, form: { ...prev.form, [key]: value } }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const { employeeId, ...fields } = editing.form;
+            const payload = Object.fromEntries(
+                Object.keys(EMPTY_FORM)
+                    .filter(key => key !== 'employeeId')
+                    .map(key => [key, fields[key]])
+            );
+
+            const response = editing.isNew
+                ? await employeeAPI.updateEmployee(null, { employeeId, ...payload })
+                : await employeeAPI.updateEmployee(employeeId, payload);
+
+            if (response.success) {
+                showToast?.(response.message, 'success');
+                setEditing(null);
+                fetchEmployees(editing.isNew ? 1 : pagination.page);
+            } else {
+                const details = response.data?.errors?.map(e => e.message).join(', ');
+                showToast?.(details || response.message || 'Failed to save employee', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        const { employeeId } = editing.form;
+        if (!confirm(`Delete employee ${employeeId}? This cannot be undone.`)) return;
+
+        setSaving(true);
+        try {
+            const response = await employeeAPI.deleteEmployee(employeeId);
+            showToast?.(response.message, response.success ? 'success' : 'error');
+            if (response.success) {
+                setEditing(null);
+                fetchEmployees(pagination.page);
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const renderInput = (key, type = 'text') => (
+        <label className="form-control" key={key}>
+            <span className="label-text mb-1">{FIELD_LABELS[key]}</span>
+            <input
+                type={type}
+                className="input input-bordered input-sm"
+                value={editing.form[key] ?? ''}
+                onChange={(e) => updateForm(key, e.target.value)}
+                disabled={key === 'employeeId' && !editing.isNew}
+                required
+            />
+        </label>
+    );
+
+    return (
+        <div className="space-y-4">
+            {/* Filters */}
+            <div className="flex flex-wrap gap-3 items-end justify-between bg-base-100 p-4 rounded-lg shadow-sm">
+                <form onSubmit={handleSearch} className="flex flex-wrap gap-3 items-end">
+                    <label className="form-control">
+                        <span className="label-text text-xs mb-1">Search</span>
+                        <input
+                            type="text"
+                            className="input input-bordered input-sm w-56"
+                            placeholder="ID, name or email"
+                            value={searchInput}
+                            onChange={(e) => setSearchInput(e.target.value)}
+                        />
+                    </label>
+                    <label className="form-control">
+                        <span className="label-text text-xs mb-1">Entity</span>
+                        <select
+                            className="select select-bordered select-sm"
+                            value={filters.entityName}
+                            onChange={(e) => handleFilterChange('entityName', e.target.value)}
+                        >
+                            <option value="">All Entities</option>
+                            {entities.map(entity => (
+                                <option key={entity.code} value={entity.code}>{entity.shortName}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="form-control">
+                        <span className="label-text text-xs mb-1">Department</span>
+                        <select
+                            className="select select-bordered select-sm"
+                            value={filters.department}
+                            onChange={(e) => handleFilterChange('department', e.target.value)}
+                        >
+                            <option value="">All Departments</option>
+                            {departments.map(department => (
+                                <option key={department} value={department}>{department}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="form-control">
+                        <span className="label-text text-xs mb-1">Left from</span>
+                        <input
+                            type="date"
+                            className="input input-bordered input-sm"
+                            value={filters.leftFrom}
+                            onChange={(e) => handleFilterChange('leftFrom', e.target.value)}
+                        />
+                    </label>
+                    <label className="form-control">
+                        <span className="label-text text-xs mb-1">Left to</span>
+                        <input
+                            type="date"
+                            className="input input-bordered input-sm"
+                            value={filters.leftTo}
+                            onChange={(e) => handleFilterChange('leftTo', e.target.value)}
+                        />
+                    </label>
+                    <button type="submit" className="btn btn-sm btn-ghost">
+                        <Icon name="Search" className="w-4 h-4" />
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-sm btn-ghost"
+                        onClick={() => { setSearchInput(''); setFilters(EMPTY_FILTERS); }}
+                    >
+                        Clear
+                    </button>
+                </form>
+
+                <button className="btn btn-sm btn-primary" onClick={openNew}>
+                    <Icon name="UserPlus" className="w-4 h-4" /> Add Employee
+                </button>
+            </div>
+
+            {/* Error Message */}
+            {error && (
+                <div className="alert alert-error">
+                    <Icon name="AlertTriangle" className="w-5 h-5" />
+                    <span>{error}</span>
+                </div>
+            )}
+
+            {/* Employees Table */}
+            <div className="overflow-x-auto bg-base-100 rounded-lg shadow">
+                <table className="table w-full">
+                    <thead className="bg-base-200">
+                        <tr>
+                            <th>Employee ID</th>
+                            <th>Name</th>
+                            <th>Entity</th>
+                            <th>Department</th>
+                            <th>Designation</th>
+                            <th>Date of Leaving</th>
+                            <th>F&F</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {loading ? (
+                            <tr>
+                                <td colSpan="8" className="text-center py-8">
+                                    <span className="loading loading-spinner loading-md"></span>
+                                </td>
+                            </tr>
+                        ) : employees.length === 0 ? (
+                            <tr>
+                                <td colSpan="8" className="text-center py-8 text-base-content/60">
+                                    No employees found matching your criteria
+                                </td>
+                            </tr>
+                        ) : (
+                            employees.map(employee => (
+                                <tr key={employee.employeeId} className="hover">
+                                    <td className="font-mono text-sm">{employee.employeeId}</td>
+                                    <td>
+                                        <div className="font-medium">{employee.name}</div>
+                                        <div className="text-xs text-base-content/60">{employee.email}</div>
+                                    </td>
+                                    <td>{employee.entityName}</td>
+                                    <td>{employee.department}</td>
+                                    <td>{employee.designation}</td>
+                                    <td className="whitespace-nowrap">{formatDate(employee.dateOfLeaving)}</td>
+                                    <td>
+                                        <span className={`badge badge-sm ${employee.fnfStatus === 'Completed' ? 'badge-success text-white' : 'badge-warning'}`}>
+                                            {employee.fnfStatus}
+                                        </span>
+                                    </td>
+                                    <td className="text-right">
+                                        <button className="btn btn-ghost btn-xs" onClick={() => openEdit(employee)}>
+                                            <Icon name="Pencil" className="w-3 h-3" />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* Pagination */}
+            <div className="flex justify-between items-center mt-4">
+                <span className="text-sm text-base-content/60">{pagination.total} employees</span>
+                <div className="join">
+                    <button
+                        className="join-item btn btn-sm"
+                        disabled={pagination.page <= 1 || loading}
+                        onClick={() => handlePageChange(pagination.page - 1)}
+                    >
+                        «
+                    </button>
+                    <button className="join-item btn btn-sm no-animation bg-base-100">
+                        Page {pagination.page} of {pagination.pages || 1}
+                    </button>
+                    <button
+                        className="join-item btn btn-sm"
+                        disabled={pagination.page >= pagination.pages || loading}
+                        onClick={() => handlePageChange(pagination.page + 1)}
+                    >
+                        »
+                    </button>
+                </div>
+            </div>
+
+            {/* Add / Edit Modal */}
+            {editing && (
+                <div className="modal modal-open">
+                    <div className="modal-box max-w-3xl">
+                        <h3 className="font-bold text-lg mb-4">
+                            {editing.isNew ? 'Add Employee' : `Edit ${editing.form.employeeId}`}
+                        </h3>
+
+                        <form onSubmit={handleSave} className="space-y-4">
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                                {renderInput('employeeId')}
+                                {renderInput('name')}
+                                {renderInput('email', 'email')}
+                                <label className="form-control">
+                                    <span className="label-text mb-1">{FIELD_LABELS.entityName}</span>
+                                    <select
+                                        className="select select-bordered select-sm"
+                                        value={editing.form.entityName}
+                                        onChange={(e) => updateForm('entityName', e.target.value)}
+                                    >
+                                        {entities
+                                            .filter(entity => entity.isActive || entity.code === editing.form.entityName)
+                                            .map(entity => (
+                                                <option key={entity.code} value={entity.code}>
+                                                    {entity.shortName}{entity.isActive ? '' : ' (inactive)'}
+                                                </option>
+                                            ))}
+                                    </select>
+                                </label>
+                                {renderInput('dateOfJoining', 'date')}
+                                {renderInput('dateOfLeaving', 'date')}
+                                {renderInput('designation')}
+                                {renderInput('exitReason')}
+                                {renderInput('department')}
+                                <label className="form-control">
+                                    <span className="label-text mb-1">{FIELD_LABELS.fnfStatus}</span>
+                                    <select
+                                        className="select select-bordered select-sm"
+                                        value={editing.form.fnfStatus}
+                                        onChange={(e) => updateForm('fnfStatus', e.target.value)}
+                                    >
+                                        <option value="Pending">Pending</option>
+                                        <option value="Completed">Completed</option>
+                                    </select>
+                                </label>
+                            </div>
+
+                            <div className="modal-action">
+                                {!editing.isNew && (
+                                    <button
+                                        type="button"
+                                        className="btn btn-sm btn-outline btn-error mr-auto"
+                                        onClick={handleDelete}
+                                        disabled={saving || editing.verificationCount > 0}
+                                        title={editing.verificationCount > 0 ? 'Employees with verification records cannot be deleted' : undefined}
+                                    >
+                                        <Icon name="Trash2" className="w-4 h-4" /> Delete
+                                    </button>
+                                )}
+                                <button type="button" className="btn btn-sm btn-ghost" onClick={() => setEditing(null)}>
+                                    Cancel
+                                </button>
+                                <button type="submit" className="btn btn-sm btn-primary" disabled={saving}>
+                                    {saving ? <span className="loading loading-spinner loading-xs"></span> : <Icon name="Save" className="w-4 h-4" />}
+                                    Save
+                                </button>
+                            </div>
+                        </form>
+
+                        {!editing.isNew && (
+                            <div className="mt-6">
+                                <h4 className="font-semibold mb-2 flex items-center gap-2">
+                                    <Icon name="History" className="w-4 h-4" />
+                                    Change History
+                                </h4>
+                                {editing.history.length === 0 ? (
+                                    <p className="text-sm text-base-content/60">No recorded changes.</p>
+                                ) : (
+                                    <ul className="space-y-2 max-h-60 overflow-y-auto">
+                                        {editing.history.map(entry => (
+                                            <li key={entry._id} className="bg-base-200 p-3 rounded-lg text-xs">
+                                                <p className="font-semibold">
+                                                    <span className="capitalize">{entry.action}</span> by {entry.actorName || entry.actorId}
+                                                    <span className="font-normal text-base-content/60 ml-2">
+                                                        {new Date(entry.createdAt).toLocaleString('en-GB')}
+                                                    </span>
+                                                </p>
+                                                {entry.action === 'update' && (
+                                                    <ul className="mt-1 space-y-0.5">
+                                                        {entry.changes.map(change => (
+                                                            <li key={change.field}>
+                                                                {FIELD_LABELS[change.field] || change.field}:{' '}
+                                                                <span className="line-through text-base-content/60">{formatAuditValue(change.field, change.from)}</span>
+                                                                {' → '}
+                                                                <span>{formatAuditValue(change.field, change.to)}</span>
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                )}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                    <div className="modal-backdrop" onClick={() => setEditing(null)}></div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default EmployeeManager;
@@ -0,0 +1,332 @@
+"use client";
+
+import React, { useState } from "react";
+import Icon from "@/components/Icon";
+import { entityAPI, handleError } from "@/lib/api.service";
+import { useEntities } from "@/lib/hooks/useEntities";
+
+const EMPTY_FORM = {
+    code: '',
+    legalName: '',
+    shortName: '',
+    branding: { letterheadTitle: '', letterheadSubtitle: '', primaryColor: '#007A3D', logoUrl: '' },
+    exitTeam: { name: '', email: '', phone: '' },
+    isActive: true
+};
+
+/**
+ * EntityManager Component
+ * Maintains the group entities employees belong to: legal name, letterhead
+ * branding and the exit team contact used in reports and emails.
+ */
+const EntityManager = ({ showToast }) => {
+    const { entities, loading, error, refresh } = useEntities({ includeInactive: true });
+    const [form, setForm] = useState(null); // null = closed
+    const [isNew, setIsNew] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    const handleAdd = () => {
+        setIsNew(true);
+        setForm(EMPTY_FORM);
+    };
+
+    const handleEdit = (entity) => {
+        setIsNew(false);
+        setForm({
+            code: entity.code,
+            legalName: entity.legalName,
+            shortName: entity.shortName,
+            branding: { ...EMPTY_FORM.branding, ...entity.branding },
+            exitTeam: { ...EMPTY_FORM.exitTeam, ...entity.exitTeam },
+            isActive: entity.isActive
+        });
+    };
+
+    const updateForm = (key, value) => {
+        setForm(prev => ({ ...prev, [key]: value }));
+    };
+
+    const updateNested = (group, key, value) => {
+        setForm(prev => ({ ...prev, [group]: { ...prev[group], [key]: value } }));
+    };
+
+    const saveEntity = async (code, payload) => {
+        const response = await entityAPI.saveEntity(code, payload);
+
+        if (!response.success) {
+            const details = response.data?.errors?.map(e => e.message).join(', ');
+            showToast?.(details || response.message || 'Failed to save entity', 'error');
+            return false;
+        }
+
+        showToast?.(response.message, 'success');
+        return true;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const { code, ...payload } = form;
+            const saved = await saveEntity(isNew ? null : code, isNew ? form : payload);
+            if (saved) {
+                setForm(null);
+                refresh();
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleToggleActive = async (entity) => {
+        const action = entity.isActive ? 'Deactivate' : 'Activate';
+        if (!confirm(`${action} ${entity.legalName}?`)) return;
+
+        try {
+            const { legalName, shortName, branding, exitTeam } = entity;
+            const saved = await saveEntity(entity.code, { legalName, shortName, branding, exitTeam, isActive: !entity.isActive });
+            if (saved) refresh();
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    const handleDelete = async (entity) => {
+        if (!confirm(`Delete ${entity.legalName}? This cannot be undone.`)) return;
+
+        try {
+            const response = await entityAPI.deleteEntity(entity.code);
+            showToast?.(response.message, response.success ? 'success' : 'error');
+            if (response.success) refresh();
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    if (loading && entities.length === 0) {
+        return (
+            <div className="flex justify-center p-8">
+                <span className="loading loading-spinner loading-lg text-primary"></span>
+            </div>
+        );
+    }
+
+    if (error) {
+        return (
+            <div className="alert alert-error">
+                <Icon name="AlertCircle" className="w-5 h-5" />
+                <span>{error}</span>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-wrap items-start justify-between gap-3">
+                <div>
+                    <h3 className="text-lg font-bold">Entities</h3>
+                    <p className="text-sm text-base-content/60">
+                        Group companies employees belong to. Inactive entities stay on existing records but cannot be chosen for new ones.
+                    </p>
+                </div>
+                {!form && (
+                    <button className="btn btn-sm btn-primary" onClick={handleAdd}>
+                        <Icon name="Plus" className="w-4 h-4" /> Add Entity
+                    </button>
+                )}
+            </div>
+
+            {form && (
+                <form onSubmit={handleSubmit} className="bg-base-200 p-4 rounded-lg space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                        <label className="form-control">
+                            <span className="label-text mb-1">Code</span>
+                            <input
+                                type="text"
+                                className="input input-bordered input-sm font-mono"
+                                placeholder="TVSCSHIB"
+                                value={form.code}
+                                onChange={(e) => updateForm('code', e.target.value.toUpperCase())}
+                                disabled={!isNew}
+                                required
+                            />
+                        </label>
+                        <label className="form-control">
+                            <span className="label-text mb-1">Legal name</span>
+                            <input
+                                type="text"
+                                className="input input-bordered input-sm"
+                                value={form.legalName}
+                                onChange={(e) => updateForm('legalName', e.target.value)}
+                                required
+                            />
+                        </label>
+                        <label className="form-control">
+                            <span className="label-text mb-1">Short name</span>
+                            <input
+                                type="text"
+                                className="input input-bordered input-sm"
+                                value={form.shortName}
+                                onChange={(e) => updateForm('shortName', e.target.value)}
+                                required
+                            />
+                        </label>
+                    </div>
+
+                    <div>
+                        <h4 className="font-semibold text-sm mb-2">Letterhead</h4>
+                        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                            <label className="form-control">
+                                <span className="label-text mb-1">Title</span>
+                                <input
+                                    type="text"
+                                    className="input input-bordered input-sm"
+                                    placeholder="Defaults to the legal name"
+                                    value={form.branding.letterheadTitle}
+                                    onChange={(e) => updateNested('branding', 'letterheadTitle', e.target.value)}
+                                />
+                            </label>
+                            <label className="form-control">
+                                <span className="label-text mb-1">Subtitle / address</span>
+                                <input
+                                    type="text"
+                                    className="input input-bordered input-sm"
+                                    value={form.branding.letterheadSubtitle}
+                                    onChange={(e) => updateNested('branding', 'letterheadSubtitle', e.target.value)}
+                                />
+                            </label>
+                            <label className="form-control">
+                                <span className="label-text mb-1">Primary colour</span>
+                                <input
+                                    type="color"
+                                    className="input input-bordered input-sm w-full"
+                                    value={form.branding.primaryColor}
+                                    onChange={(e) => updateNested('branding', 'primaryColor', e.target.value)}
+                                />
+                            </label>
+                            <label className="form-control">
+                                <span className="label-text mb-1">Logo URL</span>
+                                <input
+                                    type="url"
+                                    className="input input-bordered input-sm"
+                                    value={form.branding.logoUrl}
+                                    onChange={(e) => updateNested('branding', 'logoUrl', e.target.value)}
+                                />
+                            </label>
+                        </div>
+                    </div>
+
+                    <div>
+                        <h4 className="font-semibold text-sm mb-2">Exit team contact</h4>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                            <label className="form-control">
+                                <span className="label-text mb-1">Name</span>
+                                <input
+                                    type="text"
+                                    className="input input-bordered input-sm"
+                                    value={form.exitTeam.name}
+                                    onChange={(e) => updateNested('exitTeam', 'name', e.target.value)}
+                                />
+                            </label>
+                            <label className="form-control">
+                                <span className="label-text mb-1">Email</span>
+                                <input
+                                    type="email"
+                                    className="input input-bordered input-sm"
+                                    placeholder="Query notifications are sent here"
+                                    value={form.exitTeam.email}
+                                    onChange={(e) => updateNested('exitTeam', 'email', e.target.value)}
+                                />
+                            </label>
+                            <label className="form-control">
+                                <span className="label-text mb-1">Phone</span>
+                                <input
+                                    type="tel"
+                                    className="input input-bordered input-sm"
+                                    value={form.exitTeam.phone}
+                                    onChange={(e) => updateNested('exitTeam', 'phone', e.target.value)}
+                                />
+                            </label>
+                        </div>
+                    </div>
+
+                    <div className="flex flex-wrap items-center justify-between gap-3">
+                        <label className="label cursor-pointer gap-2">
+                            <input
+                                type="checkbox"
+                                className="toggle toggle-sm toggle-success"
+                                checked={form.isActive}
+                                onChange={(e) => updateForm('isActive', e.target.checked)}
+                            />
+                            <span className="label-text">Active</span>
+                        </label>
+                        <div className="flex gap-2">
+                            <button type="button" className="btn btn-sm btn-ghost" onClick={() => setForm(null)}>
+                                Cancel
+                            </button>
+                            <button type="submit" className="btn btn-sm btn-primary" disabled={saving}>
+                                {saving ? <span className="loading loading-spinner loading-xs"></span> : <Icon name="Save" className="w-4 h-4" />}
+                                {isNew ? 'Add Entity' : 'Save Changes'}
+                            </button>
+                        </div>
+                    </div>
+                </form>
+            )}
+
+            <div className="overflow-x-auto">
+                <table className="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>Code</th>
+                            <th>Legal Name</th>
+                            <th>Short Name</th>
+                            <th>Exit Team</th>
+                            <th>Status</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entities.length === 0 ? (
+                            <tr>
+                                <td colSpan="6" className="text-center text-base-content/60 py-6">No entities yet</td>
+                            </tr>
+                        ) : entities.map(entity => (
+                            <tr key={entity.code}>
+                                <td className="font-mono text-xs">
+                                    <span
+                                        className="inline-block w-3 h-3 rounded-full mr-2 align-middle"
+                                        style={{ backgroundColor: entity.branding?.primaryColor || '#007A3D' }}
+                                    ></span>
+                                    {entity.code}
+                                </td>
+                                <td className="font-medium">{entity.legalName}</td>
+                                <td>{entity.shortName}</td>
+                                <td className="text-xs">{entity.exitTeam?.email || <span className="text-base-content/60">Default support address</span>}</td>
+                                <td>
+                                    <span className={`badge badge-sm ${entity.isActive ? 'badge-success' : 'badge-ghost'}`}>
+                                        {entity.isActive ? 'active' : 'inactive'}
+                                    </span>
+                                </td>
+                                <td className="text-right whitespace-nowrap">
+                                    <button className="btn btn-ghost btn-xs" onClick={() => handleEdit(entity)}>
+                                        <Icon name="Pencil" className="w-3 h-3" />
+                                    </button>
+                                    <button className="btn btn-ghost btn-xs" onClick={() => handleToggleActive(entity)}>
+                                        <Icon name={entity.isActive ? 'EyeOff' : 'Eye'} className="w-3 h-3" />
+                                    </button>
+                                    <button className="btn btn-ghost btn-xs text-error" onClick={() => handleDelete(entity)}>
+                                        <Icon name="Trash2" className="w-3 h-3" />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default EntityManager;
@@ -2,6 +2,7 @@
 
 import { useState } from 'react';
 import Icon from '@/components/Icon';
+import { authFetch } from '@/lib/api.service';
 
 /**
  * Excel Export Button Component
@@ -14,21 +15,16 @@ export default function ExcelExportButton() {
         setIsExporting(true);
 
         try {
-            // Get admin token
-            const sessionData = localStorage.getItem('admin_session');
-            const session = sessionData ? JSON.parse(sessionData) : null;
-
-            if (!session?.token) {
+            if (!localStorage.getItem('admin_session')) {
                 alert('Please log in again');
                 return;
             }
 
             // Fetch export data from API
-            const response = await fetch('/api/admin/export', {
+            const response = await authFetch('/api/admin/export', {
                 method: 'GET',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${session.token}`
+                    'Content-Type': 'application/json'
                 }
             });
 
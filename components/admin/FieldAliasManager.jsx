@@ -0,0 +1,353 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Icon from "@/components/Icon";
+import { authFetch } from "@/lib/api.service";
+import { useEntities } from "@/lib/hooks/useEntities";
+
+const FIELD_LABELS = {
+    designation: 'Designation',
+    exitReason: 'Exit Reason'
+};
+
+const EMPTY_FORM = { id: null, field: 'designation', entityName: '', canonicalValue: '', aliases: '' };
+
+/**
+ * FieldAliasManager Component
+ * Maintains designation / exit reason synonym dictionaries and
+ * offers aliases suggested by approved appeals.
+ */
+const FieldAliasManager = ({ showToast }) => {
+    const [entries, setEntries] = useState([]);
+    const [suggestions, setSuggestions] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const { entities } = useEntities({ includeInactive: true });
+
+    const hasSession = () => !!localStorage.getItem('admin_session');
+
+    const fetchData = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            if (!hasSession()) {
+                setError('Session expired. Please login again.');
+                return;
+            }
+
+            const [entriesResponse, suggestionsResponse] = await Promise.all([
+                authFetch('/api/admin/field-aliases'),
+                authFetch('/api/admin/field-aliases/suggestions')
+            ]);
+            const entriesData = await entriesResponse.json();
+            const suggestionsData = await suggestionsResponse.json();
+
+            if (entriesData.success) {
+                setEntries(entriesData.data);
+            } else {
+                setError(entriesData.message || 'Failed to fetch synonym dictionary');
+            }
+
+            if (suggestionsData.success) {
+                setSuggestions(suggestionsData.data);
+            }
+        } catch (err) {
+            console.error('Error fetching synonym dictionary:', err);
+            setError('An error occurred while fetching the synonym dictionary');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchData();
+    }, []);
+
+    const saveEntry = async ({ id, ...payload }) => {
+        if (!hasSession()) {
+            showToast?.('Session expired. Please login again.', 'error');
+            return false;
+        }
+
+        const response = await authFetch(`/api/admin/field-aliases${id ? `/${id}` : ''}`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            const details = data.errors?.map(e => e.message).join(', ');
+            showToast?.(details || data.message || 'Failed to save synonym entry', 'error');
+            return false;
+        }
+
+        showToast?.(data.message, 'success');
+        return true;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const saved = await saveEntry({
+                id: form.id,
+                field: form.field,
+                entityName: form.entityName || null,
+                canonicalValue: form.canonicalValue,
+                aliases: form.aliases.split(',').map(a => a.trim()).filter(Boolean)
+            });
+            if (saved) {
+                setForm(EMPTY_FORM);
+                fetchData();
+            }
+        } catch (err) {
+            console.error('Error saving synonym entry:', err);
+            showToast?.('An error occurred while saving the synonym entry', 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleEdit = (entry) => {
+        setForm({
+            id: entry._id,
+            field: entry.field,
+            entityName: entry.entityName || '',
+            canonicalValue: entry.canonicalValue,
+            aliases: entry.aliases.join(', ')
+        });
+    };
+
+    const handleDelete = async (entry) => {
+        if (!confirm(`Delete the synonym entry for "${entry.canonicalValue}"?`)) return;
+
+        try {
+            if (!hasSession()) return;
+
+            const response = await authFetch(`/api/admin/field-aliases/${entry._id}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+
+            showToast?.(data.message, data.success ? 'success' : 'error');
+            if (data.success) fetchData();
+        } catch (err) {
+            console.error('Error deleting synonym entry:', err);
+            showToast?.('An error occurred while deleting the synonym entry', 'error');
+        }
+    };
+
+    // Add a suggested alias to the matching entry, or create the entry
+    const handleAcceptSuggestion = async (suggestion) => {
+        const existing = entries.find(entry =>
+            entry.field === suggestion.field &&
+            (entry.entityName || null) === (suggestion.entityName || null) &&
+            entry.canonicalValue === suggestion.canonicalValue
+        );
+
+        setSaving(true);
+        try {
+            const saved = await saveEntry({
+                id: existing?._id,
+                field: suggestion.field,
+                entityName: suggestion.entityName,
+                canonicalValue: suggestion.canonicalValue,
+                aliases: [...(existing?.aliases || []), suggestion.alias]
+            });
+            if (saved) fetchData();
+        } catch (err) {
+            console.error('Error accepting suggestion:', err);
+            showToast?.('An error occurred while adding the alias', 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (loading && entries.length === 0) {
+        return (
+            <div className="flex justify-center p-8">
+                <span className="loading loading-spinner loading-lg text-primary"></span>
+            </div>
+        );
+    }
+
+    if (error) {
+        return (
+            <div className="alert alert-error">
+                <Icon name="AlertCircle" className="w-5 h-5" />
+                <span>{error}</span>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h3 className="text-lg font-bold">Synonym Dictionary</h3>
+                <p className="text-sm text-base-content/60">
+                    Values listed as aliases are treated as equal to the canonical value when comparing designation and exit reason.
+                </p>
+            </div>
+
+            <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end bg-base-200 p-4 rounded-lg">
+                <label className="form-control">
+                    <span className="label-text mb-1">Field</span>
+                    <select
+                        className="select select-bordered select-sm"
+                        value={form.field}
+                        onChange={(e) => setForm({ ...form, field: e.target.value })}
+                    >
+                        {Object.entries(FIELD_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="form-control">
+                    <span className="label-text mb-1">Entity</span>
+                    <select
+                        className="select select-bordered select-sm"
+                        value={form.entityName}
+                        onChange={(e) => setForm({ ...form, entityName: e.target.value })}
+                    >
+                        <option value="">All entities</option>
+                        {entities.map(entity => (
+                            <option key={entity.code} value={entity.code}>{entity.shortName}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="form-control">
+                    <span className="label-text mb-1">Canonical value</span>
+                    <input
+                        type="text"
+                        className="input input-bordered input-sm"
+                        placeholder="Senior Software Engineer"
+                        value={form.canonicalValue}
+                        onChange={(e) => setForm({ ...form, canonicalValue: e.target.value })}
+                        required
+                    />
+                </label>
+                <label className="form-control">
+                    <span className="label-text mb-1">Aliases (comma separated)</span>
+                    <input
+                        type="text"
+                        className="input input-bordered input-sm"
+                        placeholder="Sr. Software Engineer, Sr SWE"
+                        value={form.aliases}
+                        onChange={(e) => setForm({ ...form, aliases: e.target.value })}
+                        required
+                    />
+                </label>
+                <div className="flex gap-2">
+                    <button type="submit" className="btn btn-sm btn-primary" disabled={saving}>
+                        <Icon name={form.id ? 'Save' : 'Plus'} className="w-4 h-4" />
+                        {form.id ? 'Update' : 'Add'}
+                    </button>
+                    {form.id && (
+                        <button type="button" className="btn btn-sm btn-ghost" onClick={() => setForm(EMPTY_FORM)}>
+                            Cancel
+                        </button>
+                    )}
+                </div>
+            </form>
+
+            <div className="overflow-x-auto">
+                <table className="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>Field</th>
+                            <th>Entity</th>
+                            <th>Canonical Value</th>
+                            <th>Aliases</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.length === 0 ? (
+                            <tr>
+                                <td colSpan="5" className="text-center text-base-content/60 py-6">No synonym entries yet</td>
+                            </tr>
+                        ) : entries.map(entry => (
+                            <tr key={entry._id}>
+                                <td>{FIELD_LABELS[entry.field]}</td>
+                                <td>{entry.entityName || 'All'}</td>
+                                <td className="font-medium">{entry.canonicalValue}</td>
+                                <td>
+                                    <div className="flex flex-wrap gap-1">
+                                        {entry.aliases.map(alias => (
+                                            <span key={alias} className="badge badge-outline badge-sm">{alias}</span>
+                                        ))}
+                                    </div>
+                                </td>
+                                <td className="text-right whitespace-nowrap">
+                                    <button className="btn btn-ghost btn-xs" onClick={() => handleEdit(entry)}>
+                                        <Icon name="Pencil" className="w-3 h-3" />
+                                    </button>
+                                    <button className="btn btn-ghost btn-xs text-error" onClick={() => handleDelete(entry)}>
+                                        <Icon name="Trash2" className="w-3 h-3" />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div>
+                <h4 className="font-semibold mb-1 flex items-center gap-2">
+                    <Icon name="Lightbulb" className="w-4 h-4 text-warning" />
+                    Suggested from approved queries
+                </h4>
+                <p className="text-xs text-base-content/60 mb-3">
+                    Mismatches HR has already accepted in appeals. Adding one makes future verifications treat the values as equivalent.
+                </p>
+                {suggestions.length === 0 ? (
+                    <p className="text-sm text-base-content/60">No suggestions right now.</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="table table-sm">
+                            <thead>
+                                <tr>
+                                    <th>Field</th>
+                                    <th>Entity</th>
+                                    <th>Record Value</th>
+                                    <th>Submitted As</th>
+                                    <th>Appeals</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {suggestions.map(suggestion => (
+                                    <tr key={`${suggestion.field}-${suggestion.entityName}-${suggestion.canonicalValue}-${suggestion.alias}`}>
+                                        <td>{FIELD_LABELS[suggestion.field]}</td>
+                                        <td>{suggestion.entityName || 'All'}</td>
+                                        <td className="font-medium">{suggestion.canonicalValue}</td>
+                                        <td>{suggestion.alias}</td>
+                                        <td>
+                                            <span className="tooltip" data-tip={suggestion.appealIds.join(', ')}>
+                                                {suggestion.occurrences}
+                                            </span>
+                                        </td>
+                                        <td className="text-right">
+                                            <button
+                                                className="btn btn-xs btn-outline btn-success"
+                                                onClick={() => handleAcceptSuggestion(suggestion)}
+                                                disabled={saving}
+                                            >
+                                                <Icon name="Plus" className="w-3 h-3" /> Add Alias
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default FieldAliasManager;
@@ -0,0 +1,130 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Icon from "@/components/Icon";
+import { adminUserAPI, handleError } from "@/lib/api.service";
+
+/**
+ * PermissionManager Component
+ * Grants or revokes individual permissions for one admin on top of their
+ * role defaults.
+ */
+const PermissionManager = ({ admin, registry, onSaved, showToast }) => {
+    const [overrides, setOverrides] = useState({ permissions: [], revokedPermissions: [] });
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        setOverrides({
+            permissions: admin.permissions || [],
+            revokedPermissions: admin.revokedPermissions || []
+        });
+    }, [admin]);
+
+    const roleDefaults = registry.rolePermissions[admin.role] || [];
+
+    const isGranted = (permission) => {
+        if (overrides.revokedPermissions.includes(permission)) return false;
+        return roleDefaults.includes(permission) || overrides.permissions.includes(permission);
+    };
+
+    // Toggling a role default records a revocation; toggling anything else records a grant
+    const handleToggle = (permission) => {
+        const without = (list) => list.filter(p => p !== permission);
+        const isDefault = roleDefaults.includes(permission);
+
+        setOverrides(prev => {
+            if (isDefault) {
+                return {
+                    permissions: without(prev.permissions),
+                    revokedPermissions: prev.revokedPermissions.includes(permission)
+                        ? without(prev.revokedPermissions)
+                        : [...prev.revokedPermissions, permission]
+                };
+            }
+            return {
+                permissions: prev.permissions.includes(permission)
+                    ? without(prev.permissions)
+                    : [...prev.permissions, permission],
+                revokedPermissions: without(prev.revokedPermissions)
+            };
+        });
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const response = await adminUserAPI.updatePermissions(admin._id, overrides);
+
+            if (response.success) {
+                showToast?.(response.message, 'success');
+                onSaved?.(response.data);
+            } else {
+                const details = response.data?.errors?.map(e => e.message).join(', ');
+                showToast?.(details || response.message || 'Failed to update permissions', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-start justify-between gap-3">
+                <div>
+                    <h4 className="font-semibold">Permissions</h4>
+                    <p className="text-sm text-base-content/60">
+                        Role defaults come from <span className="font-mono">{admin.role}</span>.
+                        Changes apply on the admin's next request.
+                    </p>
+                </div>
+                <button className="btn btn-sm btn-primary" onClick={handleSave} disabled={saving}>
+                    {saving ? <span className="loading loading-spinner loading-xs"></span> : <Icon name="Save" className="w-4 h-4" />}
+                    Save Permissions
+                </button>
+            </div>
+
+            <table className="table table-sm">
+                <thead>
+                    <tr>
+                        <th>Permission</th>
+                        <th>Source</th>
+                        <th className="text-right">Granted</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {Object.entries(registry.permissions).map(([key, permission]) => {
+                        const isDefault = roleDefaults.includes(key);
+                        const isRevoked = overrides.revokedPermissions.includes(key);
+                        const isExtra = overrides.permissions.includes(key) && !isDefault;
+
+                        return (
+                            <tr key={key}>
+                                <td>
+                                    <div className="font-medium">{permission.label}</div>
+                                    <div className="text-xs text-base-content/60">{permission.description}</div>
+                                </td>
+                                <td>
+                                    {isRevoked && <span className="badge badge-sm badge-error">revoked</span>}
+                                    {isExtra && <span className="badge badge-sm badge-info">granted</span>}
+                                    {isDefault && !isRevoked && <span className="badge badge-sm badge-ghost">role default</span>}
+                                </td>
+                                <td className="text-right">
+                                    <input
+                                        type="checkbox"
+                                        className="toggle toggle-sm toggle-success"
+                                        checked={isGranted(key)}
+                                        onChange={() => handleToggle(key)}
+                                    />
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default PermissionManager;
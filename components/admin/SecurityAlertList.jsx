@@ -0,0 +1,188 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Icon from "@/components/Icon";
+import { securityAlertAPI, handleError } from "@/lib/api.service";
+
+const STATUS_TABS = ['open', 'acknowledged', 'resolved'];
+
+const ACTION_BADGES = {
+    flagged: 'badge-info',
+    throttled: 'badge-warning',
+    suspended: 'badge-error'
+};
+
+const RULE_LABELS = {
+    distinct_failures: 'Distinct IDs failed',
+    failure_rate: 'Failure rate',
+    burst: 'Burst of failures',
+    sequential_ids: 'Sequential IDs'
+};
+
+const formatDateTime = (value) => value ? new Date(value).toLocaleString('en-GB') : '-';
+
+/**
+ * SecurityAlertList Component
+ * Alerts raised when a verifier's failed lookups look like employee ID
+ * enumeration, with what was done automatically and acknowledge/resolve actions.
+ */
+const SecurityAlertList = ({ showToast }) => {
+    const [alerts, setAlerts] = useState([]);
+    const [status, setStatus] = useState('open');
+    const [loading, setLoading] = useState(false);
+    const [submitting, setSubmitting] = useState(null);
+
+    const fetchAlerts = async () => {
+        setLoading(true);
+        try {
+            const response = await securityAlertAPI.getAlerts(status);
+
+            if (response.success) {
+                setAlerts(response.data.alerts);
+            } else {
+                showToast?.(response.message || 'Failed to fetch security alerts', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchAlerts();
+    }, [status]); // Re-fetch when the status tab changes
+
+    const isThrottled = (alert) => alert.actionTaken === 'throttled' && new Date(alert.throttledUntil) > new Date();
+
+    const handleUpdate = async (alert, newStatus) => {
+        const note = newStatus === 'resolved' ? prompt(`Resolution note for ${alert.alertId}:`) : '';
+        if (note === null) return;
+
+        const liftThrottle = newStatus === 'resolved' && isThrottled(alert)
+            && confirm(`Lift the lookup throttle on ${alert.companyName || alert.verifierEmail} now?`);
+
+        setSubmitting(alert.alertId);
+        try {
+            const response = await securityAlertAPI.updateAlert(alert.alertId, {
+                status: newStatus,
+                note: note.trim(),
+                liftThrottle
+            });
+
+            if (response.success) {
+                showToast?.(response.message, 'success');
+                fetchAlerts();
+            } else {
+                const details = response.data?.errors?.map(e => e.message).join(', ');
+                showToast?.(details || response.message || 'Failed to update alert', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setSubmitting(null);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <div role="tablist" className="tabs tabs-boxed tabs-sm w-fit">
+                    {STATUS_TABS.map(tab => (
+                        <a
+                            key={tab}
+                            role="tab"
+                            className={`tab capitalize ${status === tab ? 'tab-active' : ''}`}
+                            onClick={() => setStatus(tab)}
+                        >
+                            {tab}
+                        </a>
+                    ))}
+                </div>
+                <p className="text-xs text-base-content/60">
+                    Thresholds and the automatic action are set under Attempt Limits. Suspended verifiers are reactivated from the Verifiers page.
+                </p>
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center p-8">
+                    <span className="loading loading-spinner loading-md"></span>
+                </div>
+            ) : alerts.length === 0 ? (
+                <p className="text-center py-8 text-base-content/60">No {status} security alerts</p>
+            ) : (
+                <div className="space-y-3">
+                    {alerts.map(alert => (
+                        <div key={alert.alertId} className="border border-base-300 rounded-lg p-4 space-y-3">
+                            <div className="flex flex-wrap items-start justify-between gap-3">
+                                <div>
+                                    <div className="flex items-center gap-2">
+                                        <Icon name="ShieldAlert" className="w-5 h-5 text-error" />
+                                        <span className="font-mono font-semibold">{alert.alertId}</span>
+                                        <span className={`badge badge-sm ${ACTION_BADGES[alert.actionTaken]}`}>{alert.actionTaken}</span>
+                                    </div>
+                                    <div className="text-sm mt-1">
+                                        <span className="font-medium">{alert.companyName}</span>{' '}
+                                        <span className="text-base-content/60">{alert.verifierEmail}</span>
+                                    </div>
+                                    <div className="text-xs text-base-content/60">
+                                        Raised {formatDateTime(alert.createdAt)}
+                                        {isThrottled(alert) && ` · lookups paused until ${formatDateTime(alert.throttledUntil)}`}
+                                    </div>
+                                </div>
+                                <div className="flex gap-1">
+                                    {alert.status === 'open' && (
+                                        <button
+                                            className="btn btn-xs btn-outline"
+                                            disabled={submitting === alert.alertId}
+                                            onClick={() => handleUpdate(alert, 'acknowledged')}
+                                        >
+                                            <Icon name="Eye" className="w-3 h-3" /> Acknowledge
+                                        </button>
+                                    )}
+                                    {alert.status !== 'resolved' && (
+                                        <button
+                                            className="btn btn-xs btn-success"
+                                            disabled={submitting === alert.alertId}
+                                            onClick={() => handleUpdate(alert, 'resolved')}
+                                        >
+                                            <Icon name="Check" className="w-3 h-3" /> Resolve
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+
+                            <table className="table table-xs">
+                                <tbody>
+                                    {alert.signals.map(signal => (
+                                        <tr key={signal.rule}>
+                                            <td className="font-medium w-48">{RULE_LABELS[signal.rule] || signal.rule}</td>
+                                            <td>{signal.detail}</td>
+                                            <td className="text-right text-base-content/60 whitespace-nowrap">
+                                                {signal.value} / threshold {signal.threshold}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+
+                            {alert.sampleEmployeeIds?.length > 0 && (
+                                <div className="text-xs text-base-content/60 break-words">
+                                    Failed IDs: <span className="font-mono">{alert.sampleEmployeeIds.join(', ')}</span>
+                                </div>
+                            )}
+
+                            {alert.resolutionNote && (
+                                <div className="text-sm">
+                                    <span className="font-medium">{alert.reviewedBy}:</span> {alert.resolutionNote}
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SecurityAlertList;
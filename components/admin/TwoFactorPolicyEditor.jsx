@@ -0,0 +1,147 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Icon from "@/components/Icon";
+import { settingsAPI, handleError } from "@/lib/api.service";
+
+const ROLES = [
+    { key: 'hr_staff', label: 'HR staff' },
+    { key: 'hr_manager', label: 'HR managers' },
+    { key: 'super_admin', label: 'Super admins' }
+];
+
+/**
+ * TwoFactorPolicyEditor Component
+ * Shows which admin roles must use two-factor authentication and how many
+ * admins in each role have not set it up. Only super admins can change it.
+ */
+const TwoFactorPolicyEditor = ({ showToast }) => {
+    const [requiredRoles, setRequiredRoles] = useState(null);
+    const [meta, setMeta] = useState({ unenrolledByRole: {}, canEdit: false, updatedBy: null, updatedAt: null });
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    const applyResponse = (data) => {
+        setRequiredRoles(data.policy.requiredRoles);
+        setMeta({
+            unenrolledByRole: data.unenrolledByRole,
+            canEdit: data.canEdit,
+            updatedBy: data.updatedBy,
+            updatedAt: data.updatedAt
+        });
+    };
+
+    const fetchPolicy = async () => {
+        setLoading(true);
+        try {
+            const response = await settingsAPI.getTwoFactorPolicy();
+
+            if (response.success) {
+                applyResponse(response.data);
+            } else {
+                showToast?.(response.message || 'Failed to fetch two-factor policy', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchPolicy();
+    }, []);
+
+    const toggleRole = (role, required) => {
+        setRequiredRoles(prev => required ? [...prev, role] : prev.filter(r => r !== role));
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const response = await settingsAPI.updateTwoFactorPolicy({ requiredRoles });
+
+            if (response.success) {
+                showToast?.(response.message, 'success');
+                applyResponse(response.data);
+            } else {
+                const details = response.data?.errors?.map(e => e.message).join(', ');
+                showToast?.(details || response.message || 'Failed to save two-factor policy', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (loading && !requiredRoles) {
+        return (
+            <div className="flex justify-center p-8">
+                <span className="loading loading-spinner loading-lg text-primary"></span>
+            </div>
+        );
+    }
+
+    if (!requiredRoles) return null;
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <div>
+                    <h3 className="text-lg font-bold">Two-Factor Policy</h3>
+                    <p className="text-sm text-base-content/60">
+                        {meta.updatedAt
+                            ? `Last saved by ${meta.updatedBy || 'unknown'} on ${new Date(meta.updatedAt).toLocaleString()}`
+                            : 'Two-factor authentication is optional for every role'}
+                    </p>
+                </div>
+                <button className="btn btn-ghost btn-sm" onClick={fetchPolicy} disabled={loading}>
+                    <Icon name="RefreshCw" className="w-4 h-4" /> Reload
+                </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {ROLES.map(({ key, label }) => (
+                    <label key={key} className="label cursor-pointer justify-start gap-3 border rounded-lg p-3">
+                        <input
+                            type="checkbox"
+                            className="toggle toggle-sm toggle-success"
+                            checked={requiredRoles.includes(key)}
+                            disabled={!meta.canEdit}
+                            onChange={(e) => toggleRole(key, e.target.checked)}
+                        />
+                        <span>
+                            <span className="label-text font-semibold block">Require for {label}</span>
+                            <span className="label-text-alt text-base-content/60">
+                                {meta.unenrolledByRole[key] || 0} active without 2FA
+                            </span>
+                        </span>
+                    </label>
+                ))}
+            </div>
+
+            <p className="text-xs text-base-content/60">
+                Admins in a required role who have not set up 2FA are sent to set it up before they can do anything else.
+            </p>
+
+            {meta.canEdit ? (
+                <div className="flex justify-end">
+                    <button
+                        className="btn"
+                        style={{ backgroundColor: '#007A3D', borderColor: '#007A3D', color: 'white' }}
+                        onClick={handleSave}
+                        disabled={saving}
+                    >
+                        {saving ? <span className="loading loading-spinner loading-sm"></span> : <Icon name="Save" className="w-4 h-4" />}
+                        Save Policy
+                    </button>
+                </div>
+            ) : (
+                <p className="text-sm text-base-content/60">Only super admins can change this policy.</p>
+            )}
+        </div>
+    );
+};
+
+export default TwoFactorPolicyEditor;
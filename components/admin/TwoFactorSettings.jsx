@@ -0,0 +1,332 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Icon from "@/components/Icon";
+import { twoFactorAPI, handleError } from "@/lib/api.service";
+
+/**
+ * TwoFactorSettings Component
+ * Lets the logged-in admin enrol an authenticator app by QR code, turn 2FA off
+ * (unless their role requires it) and replace their recovery codes. New recovery
+ * codes are only ever shown once, straight after they are generated.
+ */
+const TwoFactorSettings = ({ showToast, onEnabled }) => {
+    const [status, setStatus] = useState(null);
+    const [enrolment, setEnrolment] = useState(null);
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [code, setCode] = useState('');
+    const [disableForm, setDisableForm] = useState({ password: '', code: '' });
+    const [loading, setLoading] = useState(false);
+    const [working, setWorking] = useState(false);
+
+    const fetchStatus = async () => {
+        setLoading(true);
+        try {
+            const response = await twoFactorAPI.getStatus();
+
+            if (response.success) {
+                setStatus(response.data);
+            } else {
+                showToast?.(response.message || 'Failed to fetch two-factor status', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchStatus();
+    }, []);
+
+    const showFailure = (response, fallback) => {
+        const details = response.data?.errors?.map(e => e.message).join(', ');
+        showToast?.(details || response.message || fallback, 'error');
+    };
+
+    const handleSetup = async () => {
+        setWorking(true);
+        try {
+            const response = await twoFactorAPI.setup();
+
+            if (response.success) {
+                setEnrolment(response.data);
+                setCode('');
+            } else {
+                showFailure(response, 'Failed to start two-factor setup');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleEnable = async (e) => {
+        e.preventDefault();
+        setWorking(true);
+        try {
+            const response = await twoFactorAPI.enable(code);
+
+            if (response.success) {
+                showToast?.(response.message, 'success');
+                setRecoveryCodes(response.data.recoveryCodes);
+                setEnrolment(null);
+                setCode('');
+                await fetchStatus();
+                onEnabled?.();
+            } else {
+                showFailure(response, 'Failed to enable two-factor authentication');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleRegenerate = async (e) => {
+        e.preventDefault();
+        setWorking(true);
+        try {
+            const response = await twoFactorAPI.regenerateRecoveryCodes(code);
+
+            if (response.success) {
+                showToast?.(response.message, 'success');
+                setRecoveryCodes(response.data.recoveryCodes);
+                setCode('');
+                await fetchStatus();
+            } else {
+                showFailure(response, 'Failed to generate recovery codes');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleDisable = async (e) => {
+        e.preventDefault();
+        if (!window.confirm('Turn off two-factor authentication? Your account will be protected by your password only.')) return;
+
+        setWorking(true);
+        try {
+            const response = await twoFactorAPI.disable(disableForm.password, disableForm.code);
+
+            if (response.success) {
+                showToast?.(response.message, 'success');
+                setDisableForm({ password: '', code: '' });
+                setRecoveryCodes(null);
+                await fetchStatus();
+            } else {
+                showFailure(response, 'Failed to turn off two-factor authentication');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const copyRecoveryCodes = async () => {
+        try {
+            await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+            showToast?.('Recovery codes copied', 'success');
+        } catch (err) {
+            showToast?.('Could not copy. Select the codes and copy them manually.', 'error');
+        }
+    };
+
+    if (loading && !status) {
+        return (
+            <div className="flex justify-center p-8">
+                <span className="loading loading-spinner loading-lg text-primary"></span>
+            </div>
+        );
+    }
+
+    if (!status) return null;
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <div>
+                    <h3 className="text-lg font-bold flex items-center gap-2">
+                        Authenticator App
+                        {status.enabled
+                            ? <span className="badge badge-success badge-sm">On</span>
+                            : <span className="badge badge-ghost badge-sm">Off</span>}
+                        {status.required && <span className="badge badge-warning badge-sm">Required for your role</span>}
+                    </h3>
+                    <p className="text-sm text-base-content/60">
+                        {status.enabled
+                            ? `Turned on ${new Date(status.enabledAt).toLocaleString()} · ${status.recoveryCodesRemaining} recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left`
+                            : 'After your password, you will be asked for a 6-digit code from an authenticator app such as Google Authenticator, Microsoft Authenticator or 1Password.'}
+                    </p>
+                </div>
+            </div>
+
+            {status.required && !status.enabled && (
+                <div className="alert alert-warning">
+                    <Icon name="AlertTriangle" className="w-5 h-5" />
+                    <span>Your role requires two-factor authentication. Set it up to continue using the admin portal.</span>
+                </div>
+            )}
+
+            {recoveryCodes && (
+                <div className="border border-warning rounded-lg p-4 space-y-3">
+                    <div>
+                        <h4 className="font-semibold">Your recovery codes</h4>
+                        <p className="text-sm text-base-content/70">
+                            Each code signs you in once if you lose your device. Store them somewhere safe; they will not be shown again.
+                        </p>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+                        {recoveryCodes.map(recoveryCode => (
+                            <span key={recoveryCode} className="bg-base-200 rounded px-2 py-1">{recoveryCode}</span>
+                        ))}
+                    </div>
+                    <div className="flex gap-2">
+                        <button className="btn btn-sm btn-outline" onClick={copyRecoveryCodes}>
+                            <Icon name="Copy" className="w-4 h-4" /> Copy
+                        </button>
+                        <button className="btn btn-sm btn-ghost" onClick={() => setRecoveryCodes(null)}>
+                            I have saved them
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {!status.enabled && !enrolment && (
+                <button
+                    className="btn"
+                    style={{ backgroundColor: '#007A3D', borderColor: '#007A3D', color: 'white' }}
+                    onClick={handleSetup}
+                    disabled={working}
+                >
+                    {working ? <span className="loading loading-spinner loading-sm"></span> : <Icon name="ShieldCheck" className="w-4 h-4" />}
+                    Set Up Two-Factor Authentication
+                </button>
+            )}
+
+            {!status.enabled && enrolment && (
+                <form onSubmit={handleEnable} className="grid grid-cols-1 md:grid-cols-2 gap-6 items-start">
+                    <div className="flex flex-col items-center gap-3">
+                        <img src={enrolment.qrCode} alt="Two-factor QR code" className="w-56 h-56 border rounded-lg bg-white p-2" />
+                        <div className="text-center">
+                            <p className="text-xs text-base-content/60">Can't scan? Enter this key manually:</p>
+                            <code className="text-sm break-all">{enrolment.secret}</code>
+                        </div>
+                    </div>
+                    <div className="space-y-4">
+                        <ol className="list-decimal list-inside text-sm space-y-1 text-base-content/80">
+                            <li>Open your authenticator app and add an account.</li>
+                            <li>Scan the QR code or enter the key.</li>
+                            <li>Type the 6-digit code the app shows.</li>
+                        </ol>
+                        <label className="form-control">
+                            <span className="label-text mb-1">Authentication code</span>
+                            <input
+                                type="text"
+                                inputMode="numeric"
+                                autoComplete="one-time-code"
+                                placeholder="123456"
+                                className="input input-bordered font-mono tracking-widest"
+                                value={code}
+                                onChange={(e) => setCode(e.target.value)}
+                                required
+                            />
+                        </label>
+                        <div className="flex gap-2">
+                            <button type="submit" className="btn btn-primary" disabled={working}>
+                                {working ? <span className="loading loading-spinner loading-sm"></span> : <Icon name="Check" className="w-4 h-4" />}
+                                Confirm
+                            </button>
+                            <button type="button" className="btn btn-ghost" onClick={() => setEnrolment(null)} disabled={working}>
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                </form>
+            )}
+
+            {status.enabled && (
+                <>
+                    <div className="divider"></div>
+
+                    <form onSubmit={handleRegenerate} className="space-y-3">
+                        <div>
+                            <h4 className="font-semibold">New recovery codes</h4>
+                            <p className="text-sm text-base-content/60">
+                                Replaces all of your recovery codes. Use this if you have used most of them or think they have been seen by someone else.
+                            </p>
+                        </div>
+                        <div className="flex flex-wrap items-end gap-2">
+                            <label className="form-control">
+                                <span className="label-text mb-1">Authentication code</span>
+                                <input
+                                    type="text"
+                                    inputMode="numeric"
+                                    autoComplete="one-time-code"
+                                    className="input input-bordered input-sm font-mono"
+                                    value={code}
+                                    onChange={(e) => setCode(e.target.value)}
+                                    required
+                                />
+                            </label>
+                            <button type="submit" className="btn btn-sm btn-outline" disabled={working}>
+                                <Icon name="RefreshCw" className="w-4 h-4" /> Generate
+                            </button>
+                        </div>
+                    </form>
+
+                    {!status.required && (
+                        <>
+                            <div className="divider"></div>
+
+                            <form onSubmit={handleDisable} className="space-y-3">
+                                <div>
+                                    <h4 className="font-semibold">Turn off two-factor authentication</h4>
+                                    <p className="text-sm text-base-content/60">
+                                        Confirm with your password and a code from your authenticator app.
+                                    </p>
+                                </div>
+                                <div className="flex flex-wrap items-end gap-2">
+                                    <label className="form-control">
+                                        <span className="label-text mb-1">Password</span>
+                                        <input
+                                            type="password"
+                                            className="input input-bordered input-sm"
+                                            value={disableForm.password}
+                                            onChange={(e) => setDisableForm(prev => ({ ...prev, password: e.target.value }))}
+                                            required
+                                        />
+                                    </label>
+                                    <label className="form-control">
+                                        <span className="label-text mb-1">Authentication code</span>
+                                        <input
+                                            type="text"
+                                            inputMode="numeric"
+                                            autoComplete="one-time-code"
+                                            className="input input-bordered input-sm font-mono"
+                                            value={disableForm.code}
+                                            onChange={(e) => setDisableForm(prev => ({ ...prev, code: e.target.value }))}
+                                            required
+                                        />
+                                    </label>
+                                    <button type="submit" className="btn btn-sm btn-error btn-outline" disabled={working}>
+                                        Turn Off
+                                    </button>
+                                </div>
+                            </form>
+                        </>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default TwoFactorSettings;
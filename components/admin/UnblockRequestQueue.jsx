@@ -0,0 +1,210 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Icon from "@/components/Icon";
+import { unblockRequestAPI, handleError } from "@/lib/api.service";
+
+const STATUS_TABS = ['pending', 'approved', 'denied'];
+
+const STATUS_BADGES = {
+    pending: 'badge-warning',
+    approved: 'badge-success',
+    denied: 'badge-ghost'
+};
+
+const ATTEMPT_REASONS = {
+    employee_not_found: 'Employee ID not found',
+    name_mismatch: 'Name did not match',
+    entity_mismatch: 'Wrong entity selected'
+};
+
+const formatDateTime = (value) => value ? new Date(value).toLocaleString('en-GB') : '-';
+
+/**
+ * UnblockRequestQueue Component
+ * Lists verifiers blocked on an employee lookup who asked for their attempts
+ * to be reset, with the failed attempts behind each block.
+ */
+const UnblockRequestQueue = ({ showToast }) => {
+    const [requests, setRequests] = useState([]);
+    const [status, setStatus] = useState('pending');
+    const [loading, setLoading] = useState(false);
+    const [expanded, setExpanded] = useState(null);
+    const [submitting, setSubmitting] = useState(null);
+
+    const fetchRequests = async () => {
+        setLoading(true);
+        try {
+            const response = await unblockRequestAPI.getRequests(status);
+
+            if (response.success) {
+                setRequests(response.data.unblockRequests);
+            } else {
+                showToast?.(response.message || 'Failed to fetch unblock requests', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchRequests();
+    }, [status]); // Re-fetch when the status tab changes
+
+    const handleDecision = async (request, decision) => {
+        const note = prompt(
+            decision === 'approve'
+                ? `Note to ${request.companyName || request.verifierEmail} (optional):`
+                : `Reason for denying ${request.requestId} (sent to the verifier):`
+        );
+        if (note === null) return;
+        if (decision === 'deny' && !note.trim()) {
+            showToast?.('A reason is required to deny a request', 'error');
+            return;
+        }
+
+        setSubmitting(request.requestId);
+        try {
+            const response = await unblockRequestAPI.respond(request.requestId, decision, note.trim());
+
+            if (response.success) {
+                showToast?.(response.message, 'success');
+                fetchRequests();
+            } else {
+                const details = response.data?.errors?.map(e => e.message).join(', ');
+                showToast?.(details || response.message || 'Failed to respond to unblock request', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setSubmitting(null);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <div role="tablist" className="tabs tabs-boxed tabs-sm w-fit">
+                {STATUS_TABS.map(tab => (
+                    <a
+                        key={tab}
+                        role="tab"
+                        className={`tab capitalize ${status === tab ? 'tab-active' : ''}`}
+                        onClick={() => setStatus(tab)}
+                    >
+                        {tab}
+                    </a>
+                ))}
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="table w-full">
+                    <thead className="bg-base-200">
+                        <tr>
+                            <th>Request</th>
+                            <th>Verifier</th>
+                            <th>Employee</th>
+                            <th>Justification</th>
+                            <th>Attempts</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {loading ? (
+                            <tr>
+                                <td colSpan="6" className="text-center py-8">
+                                    <span className="loading loading-spinner loading-md"></span>
+                                </td>
+                            </tr>
+                        ) : requests.length === 0 ? (
+                            <tr>
+                                <td colSpan="6" className="text-center py-8 text-base-content/60">
+                                    No {status} unblock requests
+                                </td>
+                            </tr>
+                        ) : (
+                            requests.map(request => (
+                                <React.Fragment key={request.requestId}>
+                                    <tr className="hover align-top">
+                                        <td>
+                                            <div className="font-mono">{request.requestId}</div>
+                                            <div className="text-xs text-base-content/60">{formatDateTime(request.createdAt)}</div>
+                                            <span className={`badge badge-sm mt-1 ${STATUS_BADGES[request.status]}`}>{request.status}</span>
+                                        </td>
+                                        <td>
+                                            <div className="font-medium">{request.companyName}</div>
+                                            <div className="text-xs text-base-content/60">{request.verifierEmail}</div>
+                                        </td>
+                                        <td>
+                                            <div className="font-mono">{request.employeeId}</div>
+                                            <div className="text-xs text-base-content/60">{request.entityName || 'Unknown ID'}</div>
+                                        </td>
+                                        <td className="max-w-sm whitespace-pre-line text-sm">
+                                            {request.justification}
+                                            {request.reviewNote && (
+                                                <div className="text-xs text-base-content/60 mt-1">
+                                                    {request.reviewedBy}: {request.reviewNote}
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <button
+                                                className="btn btn-ghost btn-xs"
+                                                onClick={() => setExpanded(expanded === request.requestId ? null : request.requestId)}
+                                            >
+                                                {request.attempt?.attemptCount ?? 0}
+                                                {request.attempt?.isBlocked && <span className="badge badge-error badge-xs">blocked</span>}
+                                                <Icon name={expanded === request.requestId ? 'ChevronUp' : 'ChevronDown'} className="w-3 h-3" />
+                                            </button>
+                                        </td>
+                                        <td className="text-right whitespace-nowrap space-x-1">
+                                            {request.status === 'pending' && (
+                                                <>
+                                                    <button
+                                                        className="btn btn-xs btn-success"
+                                                        disabled={submitting === request.requestId}
+                                                        onClick={() => handleDecision(request, 'approve')}
+                                                    >
+                                                        <Icon name="Unlock" className="w-3 h-3" /> Approve
+                                                    </button>
+                                                    <button
+                                                        className="btn btn-xs btn-error btn-outline"
+                                                        disabled={submitting === request.requestId}
+                                                        onClick={() => handleDecision(request, 'deny')}
+                                                    >
+                                                        <Icon name="X" className="w-3 h-3" /> Deny
+                                                    </button>
+                                                </>
+                                            )}
+                                        </td>
+                                    </tr>
+                                    {expanded === request.requestId && (
+                                        <tr>
+                                            <td colSpan="6" className="bg-base-200/50">
+                                                <h4 className="font-semibold text-sm mb-2">Attempt History</h4>
+                                                {request.attempt?.history?.length ? (
+                                                    <ul className="text-sm space-y-1">
+                                                        {[...request.attempt.history].reverse().map((entry, index) => (
+                                                            <li key={index}>
+                                                                {formatDateTime(entry.at)} — {ATTEMPT_REASONS[entry.reason] || entry.reason}
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                ) : (
+                                                    <p className="text-sm text-base-content/60">No attempts recorded</p>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    )}
+                                </React.Fragment>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default UnblockRequestQueue;
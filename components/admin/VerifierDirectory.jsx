@@ -0,0 +1,445 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Icon from "@/components/Icon";
+import { verifierAPI, handleError } from "@/lib/api.service";
+
+const STATUS_TABS = ['pending', 'active', 'suspended', 'rejected'];
+
+const STATUS_BADGES = {
+    pending: 'badge-warning',
+    active: 'badge-success',
+    suspended: 'badge-error',
+    rejected: 'badge-ghost'
+};
+
+// Actions offered for each status, and whether HR must give a reason
+const STATUS_ACTIONS = {
+    pending: [
+        { action: 'approve', label: 'Approve', icon: 'Check', className: 'btn-success' },
+        { action: 'reject', label: 'Reject', icon: 'X', className: 'btn-error btn-outline', reasonRequired: true }
+    ],
+    active: [
+        { action: 'suspend', label: 'Suspend', icon: 'Ban', className: 'btn-error btn-outline', reasonRequired: true }
+    ],
+    suspended: [
+        { action: 'reactivate', label: 'Reactivate', icon: 'RotateCcw', className: 'btn-success' }
+    ],
+    rejected: [
+        { action: 'approve', label: 'Approve', icon: 'Check', className: 'btn-success' }
+    ]
+};
+
+const formatDate = (value) => value ? new Date(value).toLocaleDateString('en-GB') : '-';
+
+const isLocked = (verifier) => verifier.lockedUntil && new Date(verifier.lockedUntil) > new Date();
+
+/**
+ * VerifierDirectory Component
+ * Searches verifier accounts, works the pending-approval queue and suspends or
+ * reactivates verifiers or unlocks them after a login lockout. Selecting a
+ * verifier shows their verification and query history.
+ */
+const VerifierDirectory = ({ showToast }) => {
+    const [verifiers, setVerifiers] = useState([]);
+    const [statusCounts, setStatusCounts] = useState({});
+    const [approvalRequired, setApprovalRequired] = useState(false);
+    const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, pages: 0 });
+    const [status, setStatus] = useState('pending');
+    const [search, setSearch] = useState('');
+    const [searchInput, setSearchInput] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [detail, setDetail] = useState(null); // { verifier, verifications, appeals }
+    const [detailSessions, setDetailSessions] = useState([]);
+
+    const fetchVerifiers = async (page = 1) => {
+        setLoading(true);
+        try {
+            const params = { status, page, limit: pagination.limit };
+            if (search) params.search = search;
+            const response = await verifierAPI.getVerifiers(params);
+
+            if (response.success) {
+                setVerifiers(response.data.verifiers);
+                setPagination(response.data.pagination);
+                setStatusCounts(response.data.statusCounts);
+                setApprovalRequired(response.data.approvalRequired);
+            } else {
+                showToast?.(response.message || 'Failed to fetch verifiers', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchVerifiers(1);
+    }, [status, search]); // Re-fetch when filters change
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        setSearch(searchInput.trim());
+    };
+
+    const handlePageChange = (newPage) => {
+        if (newPage >= 1 && newPage <= pagination.pages) {
+            fetchVerifiers(newPage);
+        }
+    };
+
+    const openDetail = async (verifier) => {
+        try {
+            const [response, sessionsResponse] = await Promise.all([
+                verifierAPI.getVerifier(verifier._id),
+                verifierAPI.getSessions(verifier._id)
+            ]);
+            if (response.success) {
+                setDetail(response.data);
+                setDetailSessions(sessionsResponse.success ? sessionsResponse.data : []);
+            } else {
+                showToast?.(response.message || 'Failed to load verifier', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    const handleAction = async (verifier, { action, label, reasonRequired }) => {
+        let reason = '';
+        if (reasonRequired) {
+            reason = prompt(`Reason to ${action} ${verifier.companyName}:`);
+            if (!reason?.trim()) return;
+        } else if (!confirm(`${label} ${verifier.companyName}?`)) {
+            return;
+        }
+
+        try {
+            const response = await verifierAPI.updateStatus(verifier._id, action, reason.trim());
+
+            if (!response.success) {
+                showToast?.(response.message || `Failed to ${action} verifier`, 'error');
+                return;
+            }
+
+            showToast?.(response.message, 'success');
+            if (detail?.verifier._id === verifier._id) {
+                setDetail(prev => ({ ...prev, verifier: response.data }));
+                // Suspending logs the verifier out everywhere
+                if (action === 'suspend') setDetailSessions([]);
+            }
+            fetchVerifiers(pagination.page);
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    const handleUnlock = async (verifier) => {
+        if (!confirm(`Unlock ${verifier.companyName}? Their failed login count is cleared too.`)) return;
+
+        try {
+            const response = await verifierAPI.unlock(verifier._id);
+
+            if (!response.success) {
+                showToast?.(response.message || 'Failed to unlock verifier', 'error');
+                return;
+            }
+
+            showToast?.(response.message, 'success');
+            if (detail?.verifier._id === verifier._id) {
+                setDetail(prev => ({ ...prev, verifier: response.data }));
+            }
+            fetchVerifiers(pagination.page);
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    const handleRevokeSessions = async (verifier) => {
+        if (!confirm(`Log ${verifier.companyName} out of every session? Use this if their account may be compromised; they can log in again.`)) return;
+
+        try {
+            const response = await verifierAPI.revokeSessions(verifier._id);
+
+            if (!response.success) {
+                showToast?.(response.message || 'Failed to revoke sessions', 'error');
+                return;
+            }
+
+            showToast?.(response.message, 'success');
+            setDetailSessions([]);
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    const handleRevokeSession = async (verifier, session) => {
+        if (!confirm(`Log ${verifier.companyName} out of ${session.device} (${session.ipAddress})?`)) return;
+
+        try {
+            const response = await verifierAPI.revokeSession(verifier._id, session.id);
+
+            if (!response.success) {
+                showToast?.(response.message || 'Failed to revoke session', 'error');
+                return;
+            }
+
+            showToast?.(response.message, 'success');
+            setDetailSessions(prev => prev.filter(s => s.id !== session.id));
+        } catch (err) {
+            handleError(err, showToast);
+        }
+    };
+
+    const renderActions = (verifier, size = 'btn-xs') => (
+        <>
+            {isLocked(verifier) && (
+                <button className={`btn ${size} btn-warning btn-outline`} onClick={() => handleUnlock(verifier)}>
+                    <Icon name="Unlock" className="w-3 h-3" /> Unlock
+                </button>
+            )}
+            {(STATUS_ACTIONS[verifier.status] || []).map(option => (
+                <button
+                    key={option.action}
+                    className={`btn ${size} ${option.className}`}
+                    onClick={() => handleAction(verifier, option)}
+                >
+                    <Icon name={option.icon} className="w-3 h-3" /> {option.label}
+                </button>
+            ))}
+        </>
+    );
+
+    return (
+        <div className="space-y-6">
+            {!approvalRequired && (
+                <div className="alert alert-info text-sm">
+                    <Icon name="Info" className="w-5 h-5" />
+                    <span>New registrations are approved automatically. Set REQUIRE_VERIFIER_APPROVAL=true to hold them for review.</span>
+                </div>
+            )}
+
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div role="tablist" className="tabs tabs-boxed tabs-sm w-fit">
+                    {STATUS_TABS.map(tab => (
+                        <a
+                            key={tab}
+                            role="tab"
+                            className={`tab capitalize ${status === tab ? 'tab-active' : ''}`}
+                            onClick={() => setStatus(tab)}
+                        >
+                            {tab} ({statusCounts[tab] ?? 0})
+                        </a>
+                    ))}
+                </div>
+                <form onSubmit={handleSearch} className="join">
+                    <input
+                        type="text"
+                        className="input input-bordered input-sm join-item"
+                        placeholder="Company or email"
+                        value={searchInput}
+                        onChange={(e) => setSearchInput(e.target.value)}
+                    />
+                    <button type="submit" className="btn btn-sm join-item">
+                        <Icon name="Search" className="w-4 h-4" />
+                    </button>
+                </form>
+            </div>
+
+            <div className="overflow-x-auto bg-base-100 rounded-lg shadow">
+                <table className="table w-full">
+                    <thead className="bg-base-200">
+                        <tr>
+                            <th>Company</th>
+                            <th>Type</th>
+                            <th>Registered</th>
+                            <th>Last Login</th>
+                            <th>Status</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {loading ? (
+                            <tr>
+                                <td colSpan="6" className="text-center py-8">
+                                    <span className="loading loading-spinner loading-md"></span>
+                                </td>
+                            </tr>
+                        ) : verifiers.length === 0 ? (
+                            <tr>
+                                <td colSpan="6" className="text-center py-8 text-base-content/60">
+                                    No {status} verifiers
+                                </td>
+                            </tr>
+                        ) : (
+                            verifiers.map(verifier => (
+                                <tr key={verifier._id} className="hover">
+                                    <td>
+                                        <div className="font-medium">{verifier.companyName}</div>
+                                        <div className="text-xs text-base-content/60">{verifier.email}</div>
+                                    </td>
+                                    <td className="text-sm">{verifier.isBgvAgency ? 'BGV agency' : 'Employer'}</td>
+                                    <td className="whitespace-nowrap">{formatDate(verifier.createdAt)}</td>
+                                    <td className="whitespace-nowrap">{formatDate(verifier.lastLoginAt)}</td>
+                                    <td>
+                                        <span className={`badge badge-sm ${STATUS_BADGES[verifier.status]}`}>{verifier.status}</span>
+                                        {isLocked(verifier) && (
+                                            <span className="badge badge-sm badge-error ml-1" title={`Until ${new Date(verifier.lockedUntil).toLocaleString('en-GB')}`}>
+                                                locked
+                                            </span>
+                                        )}
+                                        {verifier.statusReason && (
+                                            <div className="text-xs text-base-content/60 max-w-xs truncate" title={verifier.statusReason}>
+                                                {verifier.statusReason}
+                                            </div>
+                                        )}
+                                    </td>
+                                    <td className="text-right whitespace-nowrap space-x-1">
+                                        {renderActions(verifier)}
+                                        <button className="btn btn-ghost btn-xs" onClick={() => openDetail(verifier)}>
+                                            <Icon name="History" className="w-3 h-3" />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* Pagination */}
+            <div className="flex justify-between items-center">
+                <span className="text-sm text-base-content/60">{pagination.total} verifiers</span>
+                <div className="join">
+                    <button
+                        className="join-item btn btn-sm"
+                        disabled={pagination.page <= 1 || loading}
+                        onClick={() => handlePageChange(pagination.page - 1)}
+                    >
+                        «
+                    </button>
+                    <button className="join-item btn btn-sm no-animation bg-base-100">
+                        Page {pagination.page} of {pagination.pages || 1}
+                    </button>
+                    <button
+                        className="join-item btn btn-sm"
+                        disabled={pagination.page >= pagination.pages || loading}
+                        onClick={() => handlePageChange(pagination.page + 1)}
+                    >
+                        »
+                    </button>
+                </div>
+            </div>
+
+            {/* Verifier History Modal */}
+            {detail && (
+                <div className="modal modal-open">
+                    <div className="modal-box max-w-4xl">
+                        <div className="flex items-start justify-between gap-4 mb-4">
+                            <div>
+                                <h3 className="font-bold text-lg">{detail.verifier.companyName}</h3>
+                                <p className="text-sm text-base-content/60">
+                                    {detail.verifier.email} · registered {formatDate(detail.verifier.createdAt)}
+                                </p>
+                                <span className={`badge badge-sm mt-1 ${STATUS_BADGES[detail.verifier.status]}`}>{detail.verifier.status}</span>
+                            </div>
+                            <div className="flex gap-1">{renderActions(detail.verifier, 'btn-sm')}</div>
+                        </div>
+
+                        {detail.verifier.statusHistory?.length > 0 && (
+                            <div className="mb-4">
+                                <h4 className="font-semibold mb-2">Account History</h4>
+                                <ul className="text-sm space-y-1">
+                                    {[...detail.verifier.statusHistory].reverse().map((change, index) => (
+                                        <li key={index}>
+                                            <span className="capitalize font-medium">{change.action}</span> by {change.changedBy} on {formatDate(change.changedAt)}
+                                            {change.reason && <span className="text-base-content/60"> — {change.reason}</span>}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        <div className="mb-4">
+                            <div className="flex items-center justify-between gap-2 mb-2">
+                                <h4 className="font-semibold">Active Sessions ({detailSessions.length})</h4>
+                                {detailSessions.length > 0 && (
+                                    <button className="btn btn-xs btn-error btn-outline" onClick={() => handleRevokeSessions(detail.verifier)}>
+                                        <Icon name="LogOut" className="w-3 h-3" /> Log Out Everywhere
+                                    </button>
+                                )}
+                            </div>
+                            <table className="table table-xs">
+                                <tbody>
+                                    {detailSessions.length === 0 ? (
+                                        <tr><td className="text-base-content/60">Not signed in anywhere</td></tr>
+                                    ) : detailSessions.map(session => (
+                                        <tr key={session.id}>
+                                            <td>{session.device}</td>
+                                            <td className="font-mono">{session.ipAddress}</td>
+                                            <td>Last seen {new Date(session.lastSeenAt).toLocaleString('en-GB')}</td>
+                                            <td className="text-right">
+                                                <button className="btn btn-ghost btn-xs text-error" title="Log out" onClick={() => handleRevokeSession(detail.verifier, session)}>
+                                                    <Icon name="LogOut" className="w-3 h-3" />
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                            <div>
+                                <h4 className="font-semibold mb-2">Verifications ({detail.verifications.length})</h4>
+                                <div className="max-h-64 overflow-y-auto">
+                                    <table className="table table-xs">
+                                        <tbody>
+                                            {detail.verifications.length === 0 ? (
+                                                <tr><td className="text-base-content/60">No verifications</td></tr>
+                                            ) : detail.verifications.map(record => (
+                                                <tr key={record.verificationId}>
+                                                    <td className="font-mono">{record.verificationId}</td>
+                                                    <td>{record.employeeId}</td>
+                                                    <td>{record.overallStatus}</td>
+                                                    <td>{formatDate(record.createdAt)}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                            <div>
+                                <h4 className="font-semibold mb-2">Queries ({detail.appeals.length})</h4>
+                                <div className="max-h-64 overflow-y-auto">
+                                    <table className="table table-xs">
+                                        <tbody>
+                                            {detail.appeals.length === 0 ? (
+                                                <tr><td className="text-base-content/60">No queries</td></tr>
+                                            ) : detail.appeals.map(appeal => (
+                                                <tr key={appeal.appealId}>
+                                                    <td className="font-mono">{appeal.appealId}</td>
+                                                    <td>{appeal.employeeId}</td>
+                                                    <td>{appeal.status}</td>
+                                                    <td>{formatDate(appeal.createdAt)}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        </div>
+
+                        <div className="modal-action">
+                            <button className="btn btn-sm" onClick={() => setDetail(null)}>Close</button>
+                        </div>
+                    </div>
+                    <div className="modal-backdrop" onClick={() => setDetail(null)}></div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default VerifierDirectory;
@@ -0,0 +1,174 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import Icon from "@/components/Icon";
+import { sessionAPI, endStoredSession, handleError } from "@/lib/api.service";
+
+/**
+ * ActiveSessions Component
+ * Lists the logged-in user's sessions (device, IP, last seen) and lets them log
+ * out any one of them, or every session except this one. Works for verifiers
+ * and admins; sessionKey says which stored session is this browser's.
+ */
+const ActiveSessions = ({ showToast, sessionKey }) => {
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [working, setWorking] = useState(false);
+    const router = useRouter();
+
+    const fetchSessions = async () => {
+        setLoading(true);
+        try {
+            const response = await sessionAPI.getSessions();
+
+            if (response.success) {
+                setSessions(response.data);
+            } else {
+                showToast?.(response.message || 'Failed to fetch sessions', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchSessions();
+    }, []);
+
+    const handleRevoke = async (session) => {
+        const prompt = session.current
+            ? 'Log out of this browser?'
+            : `Log out ${session.device} (${session.ipAddress})?`;
+        if (!confirm(prompt)) return;
+
+        setWorking(true);
+        try {
+            const response = await sessionAPI.revokeSession(session.id);
+
+            if (!response.success) {
+                showToast?.(response.message || 'Failed to log out session', 'error');
+                return;
+            }
+
+            if (response.data?.current) {
+                await endStoredSession(sessionKey);
+                window.dispatchEvent(new Event('local-storage-changed'));
+                router.push('/');
+                return;
+            }
+
+            showToast?.(response.message, 'success');
+            setSessions(prev => prev.filter(s => s.id !== session.id));
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleRevokeOthers = async () => {
+        if (!confirm('Log out every other session? Anyone using them will have to log in again.')) return;
+
+        setWorking(true);
+        try {
+            const response = await sessionAPI.revokeOtherSessions();
+
+            if (response.success) {
+                showToast?.(response.message, 'success');
+                setSessions(prev => prev.filter(s => s.current));
+            } else {
+                showToast?.(response.message || 'Failed to log out other sessions', 'error');
+            }
+        } catch (err) {
+            handleError(err, showToast);
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    if (loading && sessions.length === 0) {
+        return (
+            <div className="flex justify-center p-8">
+                <span className="loading loading-spinner loading-lg text-primary"></span>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <div>
+                    <h3 className="text-lg font-bold">Active Sessions</h3>
+                    <p className="text-sm text-base-content/60">
+                        Browsers and devices signed in to your account. Log out any you do not recognise.
+                    </p>
+                </div>
+                <div className="flex gap-2">
+                    <button className="btn btn-ghost btn-sm" onClick={fetchSessions} disabled={loading}>
+                        <Icon name="RefreshCw" className="w-4 h-4" /> Reload
+                    </button>
+                    <button
+                        className="btn btn-outline btn-error btn-sm"
+                        onClick={handleRevokeOthers}
+                        disabled={working || sessions.filter(s => !s.current).length === 0}
+                    >
+                        <Icon name="LogOut" className="w-4 h-4" /> Log Out Other Sessions
+                    </button>
+                </div>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>Device</th>
+                            <th>IP Address</th>
+                            <th>Signed In</th>
+                            <th>Last Seen</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sessions.map(session => (
+                            <tr key={session.id}>
+                                <td>
+                                    <div className="font-medium flex items-center gap-2">
+                                        <Icon name="Monitor" className="w-4 h-4 text-base-content/60" />
+                                        {session.device}
+                                        {session.current && <span className="badge badge-success badge-sm">this browser</span>}
+                                    </div>
+                                    <div className="text-xs text-base-content/60 max-w-xs truncate" title={session.userAgent}>
+                                        {session.userAgent}
+                                    </div>
+                                </td>
+                                <td className="text-xs font-mono">{session.ipAddress}</td>
+                                <td className="text-xs">{new Date(session.createdAt).toLocaleString('en-GB')}</td>
+                                <td className="text-xs">{new Date(session.lastSeenAt).toLocaleString('en-GB')}</td>
+                                <td className="text-right">
+                                    <button
+                                        className="btn btn-ghost btn-xs text-error"
+                                        title="Log out"
+                                        onClick={() => handleRevoke(session)}
+                                        disabled={working}
+                                    >
+                                        <Icon name="LogOut" className="w-3 h-3" />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                        {sessions.length === 0 && (
+                            <tr>
+                                <td colSpan={5} className="text-center text-base-content/60">No active sessions</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default ActiveSessions;
@@ -11,6 +11,10 @@ const LoginForm = ({ userType, onLoginSuccess }) => {
   const [password, setPassword] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [toast, setToast] = useState({ message: "", type: "", show: false });
+  // Set when the admin's password was accepted and an authenticator code is needed
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const router = useRouter();
 
   const showToast = (message, type) => {
@@ -21,6 +25,49 @@ const LoginForm = ({ userType, onLoginSuccess }) => {
     setToast({ ...toast, show: false });
   };
 
+  const completeLogin = (data, successMessage = "Login successful! Redirecting...") => {
+    // Store session for UI state with proper format
+    const sessionKey = userType === "admin" ? "admin_session" : "verifier_session";
+
+    // The tokens themselves are httpOnly cookies unless the server runs in bearer mode
+    const sessionData = userType === "admin"
+      ? {
+        ...data.data.admin,
+        token: data.data.token,
+        refreshToken: data.data.refreshToken,
+        accessTokenExpiresAt: data.data.accessTokenExpiresAt,
+        userType: "admin"
+      }
+      : {
+        ...data.data.verifier,
+        token: data.data.token,
+        refreshToken: data.data.refreshToken,
+        accessTokenExpiresAt: data.data.accessTokenExpiresAt,
+        userType: "verifier"
+      };
+
+    localStorage.setItem(sessionKey, JSON.stringify(sessionData));
+
+    // Initialize activity tracking for session timeout
+    initializeActivityTracking();
+
+    // Dispatch event to notify other components like Header
+    window.dispatchEvent(new Event("local-storage-changed"));
+
+    // Admins on a temporary password must pick a new one first, then set up 2FA if their role requires it
+    let destination = onLoginSuccess;
+    if (userType === "admin" && data.data.admin.mustChangePassword) {
+      destination = "/admin/change-password";
+    } else if (userType === "admin" && data.data.admin.twoFactorSetupRequired) {
+      destination = "/admin/two-factor";
+    }
+
+    showToast(successMessage, "success");
+    setTimeout(() => {
+      router.push(destination);
+    }, 1500);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
@@ -52,35 +99,11 @@ const LoginForm = ({ userType, onLoginSuccess }) => {
 
       const data = await response.json();
 
-      if (data.success) {
-        // Store session for UI state with proper format
-        const sessionKey = userType === "admin" ? "admin_session" : "verifier_session";
-
-        // Use the token from the backend response
-        const sessionData = userType === "admin"
-          ? {
-            ...data.data.admin,
-            token: data.data.token,
-            userType: "admin"
-          }
-          : {
-            ...data.data.verifier,
-            token: data.data.token,
-            userType: "verifier"
-          };
-
-        localStorage.setItem(sessionKey, JSON.stringify(sessionData));
-
-        // Initialize activity tracking for session timeout
-        initializeActivityTracking();
-
-        // Dispatch event to notify other components like Header
-        window.dispatchEvent(new Event("local-storage-changed"));
-
-        showToast("Login successful! Redirecting...", "success");
-        setTimeout(() => {
-          router.push(onLoginSuccess);
-        }, 1500);
+      if (data.success && data.data.twoFactorRequired) {
+        setChallengeToken(data.data.challengeToken);
+        showToast(data.message || "Enter the code from your authenticator app.", "success");
+      } else if (data.success) {
+        completeLogin(data);
       } else {
         showToast(data.message || "Invalid credentials. Please check your username/email and password.", "error");
       }
@@ -92,6 +115,105 @@ const LoginForm = ({ userType, onLoginSuccess }) => {
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    try {
+      const response = await fetch('/api/admin/login/two-factor', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(useRecoveryCode
+          ? { challengeToken, recoveryCode: twoFactorCode }
+          : { challengeToken, code: twoFactorCode }),
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        completeLogin(data, useRecoveryCode
+          ? `Recovery code accepted (${data.data.remainingRecoveryCodes} left). Redirecting...`
+          : undefined);
+      } else if (data.code === "CHALLENGE_EXPIRED") {
+        cancelTwoFactor();
+        showToast(data.message, "error");
+      } else {
+        setTwoFactorCode("");
+        showToast(data.message || "Invalid code. Please try again.", "error");
+      }
+    } catch (error) {
+      console.error("Two-factor login error:", error);
+      showToast("An unexpected error occurred. Please try again.", "error");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode("");
+    setUseRecoveryCode(false);
+    setPassword("");
+  };
+
+  if (challengeToken) {
+    return (
+      <>
+        {toast.show && <Toast message={toast.message} type={toast.type} onClose={closeToast} />}
+        <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
+          <p className="text-sm text-base-content/70">
+            {useRecoveryCode
+              ? "Enter one of the recovery codes you saved when you set up two-factor authentication. Each code works once."
+              : "Enter the 6-digit code from your authenticator app."}
+          </p>
+          <div className="form-control">
+            <label className="label">
+              <span className="label-text font-semibold">
+                {useRecoveryCode ? "Recovery Code" : "Authentication Code"}
+              </span>
+            </label>
+            <div className="relative">
+              <Icon name="ShieldCheck" className="w-5 h-5 absolute left-3 top-1/2 -translate-y-1/2 text-base-content/40" />
+              <input
+                type="text"
+                inputMode={useRecoveryCode ? "text" : "numeric"}
+                autoComplete="one-time-code"
+                placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+                className="input input-bordered w-full pl-10 font-mono tracking-widest"
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                disabled={isLoading}
+                autoFocus
+                required
+              />
+            </div>
+          </div>
+          <button
+            type="button"
+            className="btn btn-link btn-sm px-0"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setTwoFactorCode("");
+            }}
+            disabled={isLoading}
+          >
+            {useRecoveryCode ? "Use authenticator app instead" : "Lost your device? Use a recovery code"}
+          </button>
+          <div className="form-control mt-6 gap-2">
+            <button type="submit" className="btn w-full" style={{ backgroundColor: '#007A3D', borderColor: '#007A3D', color: 'white', fontFamily: "'Montserrat', sans-serif" }} disabled={isLoading}>
+              {isLoading ? <span className="loading loading-spinner"></span> : "Verify"}
+            </button>
+            <button type="button" className="btn btn-ghost w-full" onClick={cancelTwoFactor} disabled={isLoading}>
+              Back to login
+            </button>
+          </div>
+        </form>
+      </>
+    );
+  }
+
   return (
     <>
       {toast.show && <Toast message={toast.message} type={toast.type} onClose={closeToast} />}
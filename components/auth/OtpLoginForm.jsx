@@ -12,6 +12,7 @@ const OtpLoginForm = ({ onLoginSuccess }) => {
     const [otp, setOtp] = useState("");
     const [isLoading, setIsLoading] = useState(false);
     const [cooldown, setCooldown] = useState(0);
+    const [magicLinkSent, setMagicLinkSent] = useState(false);
     const [toast, setToast] = useState({ message: "", type: "", show: false });
     const router = useRouter();
 
@@ -56,6 +57,7 @@ const OtpLoginForm = ({ onLoginSuccess }) => {
                 showToast(data.message || "OTP sent to your email!", "success");
                 setStep(2);
                 setCooldown(60); // 60 seconds cooldown
+                setMagicLinkSent(!!data.magicLink);
             } else {
                 showToast(data.message || "Failed to send OTP", "error");
                 if (data.cooldownSeconds) {
@@ -96,6 +98,8 @@ const OtpLoginForm = ({ onLoginSuccess }) => {
                 const sessionData = {
                     ...data.data.verifier,
                     token: data.data.token,
+                    refreshToken: data.data.refreshToken,
+                    accessTokenExpiresAt: data.data.accessTokenExpiresAt,
                     userType: "verifier"
                 };
 
@@ -140,6 +144,7 @@ const OtpLoginForm = ({ onLoginSuccess }) => {
             if (data.success) {
                 showToast("New OTP sent to your email!", "success");
                 setCooldown(60);
+                setMagicLinkSent(!!data.magicLink);
                 setOtp(""); // Clear previous OTP
             } else {
                 showToast(data.message || "Failed to resend OTP", "error");
@@ -240,6 +245,12 @@ const OtpLoginForm = ({ onLoginSuccess }) => {
                                 OTP expires in 5 minutes
                             </span>
                         </label>
+                        {magicLinkSent && (
+                            <p className="text-sm text-base-content/70 flex items-center gap-2">
+                                <Icon name="Link" className="w-4 h-4" />
+                                Or open the login link in the email, in this browser.
+                            </p>
+                        )}
                     </div>
 
                     <div className="form-control mt-6">
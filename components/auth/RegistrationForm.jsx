@@ -67,7 +67,9 @@ const RegistrationForm = ({ showToast }) => {
       // use default export's `auth` object
       const response = await apiService.auth.register(companyName, email, password, isBgvAgency);
 
-      if (response?.success) {
+      if (response?.success && response.data?.pendingApproval) {
+        showToast(response.message, "success");
+      } else if (response?.success) {
         showToast("Registration successful! Redirecting to login...", "success");
 
         setTimeout(() => {
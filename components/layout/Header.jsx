@@ -4,6 +4,7 @@ import React, { useState, useEffect } from 'react';
 import Link from 'next/link';
 import { useRouter } from 'next/navigation';
 import { findVerifierById, clearVerifierNotifications } from '@/lib/data.service';
+import { endStoredSession } from '@/lib/api.service';
 import Icon from '@/components/Icon';
 
 const Header = () => {
@@ -67,13 +68,9 @@ const Header = () => {
     };
   }, []);
 
-  const handleLogout = () => {
-    if (user?.type === 'admin') {
-      localStorage.removeItem('admin_session');
-    } else {
-      localStorage.removeItem('verifier_session');
-    }
-    
+  const handleLogout = async () => {
+    await endStoredSession(user?.type === 'admin' ? 'admin_session' : 'verifier_session');
+
     window.dispatchEvent(new Event('local-storage-changed'));
     
     setUser(null);
@@ -109,7 +106,10 @@ const Header = () => {
                   {user.type === 'admin' ? (
                     <li><Link href="/admin/dashboard" className="btn btn-ghost text-white hover:bg-white/10">Dashboard</Link></li>
                   ) : (
-                    <li><Link href="/verify" className="btn btn-ghost text-white hover:bg-white/10">Verify Employee</Link></li>
+                    <>
+                      <li><Link href="/verify" className="btn btn-ghost text-white hover:bg-white/10">Verify Employee</Link></li>
+                      <li><Link href="/verify/sessions" className="btn btn-ghost text-white hover:bg-white/10">Sessions</Link></li>
+                    </>
                   )}
                 </>
               ) : (
@@ -191,6 +191,7 @@ const Header = () => {
                         )}
                       </li>
                       <li><Link href="/verify">Verify Employee</Link></li>
+                      <li><Link href="/verify/sessions">Sessions</Link></li>
                     </>
                   )}
                   <div className="divider my-1"></div>
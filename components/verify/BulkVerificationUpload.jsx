@@ -0,0 +1,244 @@
+"use client";
+
+import React, { useState } from "react";
+import Link from "next/link";
+import { motion } from "framer-motion";
+import apiService, { handleError } from "@/lib/api.service.js";
+import Icon from "@/components/Icon";
+import Toast from "@/components/ui/Toast";
+
+const TEMPLATE_HEADERS = [
+  'Employee ID',
+  'Name',
+  'Entity Name',
+  'Date of Joining',
+  'Date of Leaving',
+  'Designation',
+  'Exit Reason'
+];
+
+const BulkVerificationUpload = () => {
+  const [file, setFile] = useState(null);
+  const [consentGiven, setConsentGiven] = useState(false);
+  const [batch, setBatch] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isDownloadLoading, setIsDownloadLoading] = useState(false);
+  const [toast, setToast] = useState({ show: false, message: '', type: '' });
+
+  const showToast = (message, type) => {
+    setToast({ message, type, show: true });
+  };
+
+  const closeToast = () => {
+    setToast({ ...toast, show: false });
+  };
+
+  const handleFileChange = (e) => {
+    const selectedFile = e.target.files[0];
+    if (!selectedFile) return;
+
+    const extension = selectedFile.name.split('.').pop().toLowerCase();
+    if (!['csv', 'xlsx'].includes(extension)) {
+      showToast('Only CSV and XLSX files are allowed', 'error');
+      e.target.value = '';
+      return;
+    }
+
+    if (selectedFile.size > 5 * 1024 * 1024) {
+      showToast('File size must be less than 5MB', 'error');
+      e.target.value = '';
+      return;
+    }
+
+    setFile(selectedFile);
+    setBatch(null);
+  };
+
+  const downloadBlob = (blob, fileName) => {
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  };
+
+  const handleDownloadTemplate = () => {
+    const sample = ['EMP001', 'John Doe', 'TVSCSHIB', '15/01/2020', '31/03/2023', 'Executive', 'Resigned'];
+    const csv = `${TEMPLATE_HEADERS.join(',')}\n${sample.join(',')}\n`;
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), 'bulk_verification_template.csv');
+  };
+
+  const handleSubmit = async () => {
+    if (!consentGiven) {
+      showToast('Please provide consent to proceed.', 'error');
+      return;
+    }
+
+    if (!file) {
+      showToast('Please choose a CSV or XLSX file to upload.', 'error');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await apiService.verification.submitBulk(file, consentGiven);
+
+      if (response.success) {
+        setBatch(response.data);
+        showToast(response.message, response.data.errorCount > 0 ? 'warning' : 'success');
+      } else {
+        showToast(response.message || 'Bulk verification failed', 'error');
+      }
+    } catch (error) {
+      handleError(error, showToast);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDownloadResults = async () => {
+    setIsDownloadLoading(true);
+    try {
+      const blob = await apiService.verification.downloadBulkResults(batch.batchId);
+      downloadBlob(blob, `${batch.batchId}_results.csv`);
+    } catch (error) {
+      handleError(error, showToast);
+    } finally {
+      setIsDownloadLoading(false);
+    }
+  };
+
+  return (
+    <div className="card bg-base-100 shadow-xl">
+      {toast.show && <Toast message={toast.message} type={toast.type} onClose={closeToast} />}
+
+      <div className="card-body">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h2 className="card-title text-2xl">Upload Candidates</h2>
+            <p className="text-sm text-base-content/70">
+              CSV or XLSX, up to 200 candidates. Columns: {TEMPLATE_HEADERS.join(', ')}. Dates as DD/MM/YYYY or YYYY-MM-DD.
+            </p>
+          </div>
+          <button className="btn btn-outline btn-sm" onClick={handleDownloadTemplate}>
+            <Icon name="FileDown" className="w-4 h-4" /> Template
+          </button>
+        </div>
+
+        <input
+          type="file"
+          accept=".csv,.xlsx"
+          className="file-input file-input-bordered w-full mt-4"
+          onChange={handleFileChange}
+          disabled={isLoading}
+        />
+
+        <label className="label cursor-pointer justify-start gap-3 mt-2">
+          <input
+            type="checkbox"
+            checked={consentGiven}
+            onChange={(e) => setConsentGiven(e.target.checked)}
+            className="checkbox checkbox-primary shrink-0"
+          />
+          <span className="label-text text-sm leading-relaxed">
+            I confirm that I have received consent from every candidate in this file to verify their employment details
+          </span>
+        </label>
+
+        <div className="card-actions justify-between items-center mt-4">
+          <Link href="/verify" className="btn btn-ghost">
+            <Icon name="ArrowLeft" className="w-4 h-4" /> Single Verification
+          </Link>
+          <button
+            className="btn"
+            style={{ backgroundColor: '#007A3D', borderColor: '#007A3D', color: 'white' }}
+            disabled={!consentGiven || !file || isLoading}
+            onClick={handleSubmit}
+          >
+            {isLoading ? (
+              <><span className="loading loading-spinner loading-sm"></span> Verifying...</>
+            ) : (
+              <><Icon name="Upload" className="w-4 h-4" /> Verify Batch</>
+            )}
+          </button>
+        </div>
+
+        {batch && (
+          <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} className="mt-8">
+            <div className="stats shadow w-full">
+              <div className="stat">
+                <div className="stat-title">Batch</div>
+                <div className="stat-value text-lg">{batch.batchId}</div>
+              </div>
+              <div className="stat">
+                <div className="stat-title">Verified</div>
+                <div className="stat-value text-success">{batch.verifiedCount}</div>
+              </div>
+              <div className="stat">
+                <div className="stat-title">Errors</div>
+                <div className="stat-value text-error">{batch.errorCount}</div>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto mt-4">
+              <table className="table table-zebra table-sm">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Employee ID</th>
+                    <th>Name</th>
+                    <th>Result</th>
+                    <th>Verification ID</th>
+                    <th>Score</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {batch.results.map(result => (
+                    <tr key={result.rowNumber}>
+                      <td>{result.rowNumber}</td>
+                      <td className="font-mono">{result.employeeId || '-'}</td>
+                      <td>{result.name || '-'}</td>
+                      <td>
+                        {result.status === 'verified' ? (
+                          <span className={`badge ${result.overallStatus === 'matched' ? 'badge-success' : 'badge-warning'}`}>
+                            {result.overallStatus}
+                          </span>
+                        ) : (
+                          <span className="badge badge-error">error</span>
+                        )}
+                      </td>
+                      <td className="font-mono">{result.verificationId || '-'}</td>
+                      <td>{result.matchScore !== undefined ? `${result.matchScore}%` : '-'}</td>
+                      <td className="text-xs">
+                        {result.status === 'verified'
+                          ? (result.mismatchedFields?.length ? `Mismatched: ${result.mismatchedFields.join(', ')}` : 'All fields match')
+                          : result.error}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex justify-end mt-4">
+              <button className="btn btn-outline" onClick={handleDownloadResults} disabled={isDownloadLoading}>
+                {isDownloadLoading ? (
+                  <span className="loading loading-spinner loading-sm"></span>
+                ) : (
+                  <Icon name="Download" className="w-4 h-4" />
+                )}
+                Download Results (CSV)
+              </button>
+            </div>
+          </motion.div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkVerificationUpload;
@@ -3,7 +3,22 @@
 import React from 'react';
 import Icon from '@/components/Icon';
 
-const ComparisonRow = ({ field, label, verifierValue, companyValue, isMatch, color, matchType }) => {
+const MATCH_REASON_LABELS = {
+  reordered: 'name order differs',
+  initials_match: 'initials',
+  phonetic: 'spelling variant',
+  fuzzy: 'similar spelling'
+};
+
+const ComparisonRow = ({ field, label, verifierValue, companyValue, isMatch, color, matchType, similarity, matchReason, canonicalValue }) => {
+  const getMatchNote = () => {
+    if (matchType === 'synonym' && canonicalValue) return `Equivalent to "${canonicalValue}"`;
+    if (matchType === 'amended') return 'Accepted by HR after review';
+    if (similarity === undefined || similarity === null || matchType === 'exact') return null;
+    const reason = MATCH_REASON_LABELS[matchReason];
+    return `${Math.round(similarity * 100)}% similar${reason ? ` (${reason})` : ''}`;
+  };
+
   const getStatusBadge = () => {
     if (matchType === 'not_provided') {
       return (
@@ -21,6 +36,13 @@ const ComparisonRow = ({ field, label, verifierValue, companyValue, isMatch, col
           <span>Match</span>
         </div>
       );
+    } else if (matchType === 'partial') {
+      return (
+        <div className="badge badge-warning gap-2 text-warning-content py-3 px-4">
+          <Icon name="AlertTriangle" className="w-4 h-4" />
+          <span>Partial Match</span>
+        </div>
+      );
     } else {
       return (
         <div className="badge badge-error gap-2 text-error-content py-3 px-4">
@@ -34,6 +56,7 @@ const ComparisonRow = ({ field, label, verifierValue, companyValue, isMatch, col
   const getRowClass = () => {
     if (matchType === 'not_provided') return 'bg-yellow-50 border-l-4 border-yellow-400';
     if (isMatch) return 'bg-green-50 border-l-4 border-green-400';
+    if (matchType === 'partial') return 'bg-yellow-50 border-l-4 border-yellow-400';
     return 'bg-red-50 border-l-4 border-red-400';
   };
 
@@ -43,6 +66,9 @@ const ComparisonRow = ({ field, label, verifierValue, companyValue, isMatch, col
       <td className="py-4">{verifierValue}</td>
       <td className="py-4">
         {getStatusBadge()}
+        {getMatchNote() && (
+          <p className="text-xs text-base-content/60 mt-1">{getMatchNote()}</p>
+        )}
       </td>
     </tr>
   );
@@ -2,14 +2,15 @@
 
 import React, { useState, useEffect } from "react";
 import { useRouter } from "next/navigation";
+import Link from "next/link";
 import { motion } from "framer-motion";
 import apiService from "@/lib/api.service.js";
-import { reportAPI, handleError } from "@/lib/api.service.js";
+import { reportAPI, handleError, refreshExpiringSessions, getSessionExpiry, authFetch } from "@/lib/api.service.js";
 import Icon from "@/components/Icon";
 import Toast from "@/components/ui/Toast";
 import ComparisonRow from "@/components/verify/ComparisonRow";
 import AppealModal from "@/components/verify/AppealModal";
-import { VERIFICATION_COMPANIES } from "@/lib/data/companies";
+import { useEntities } from "@/lib/hooks/useEntities";
 
 const VerificationWizard = () => {
   const [step, setStep] = useState(1);
@@ -27,10 +28,14 @@ const VerificationWizard = () => {
   const [consentGiven, setConsentGiven] = useState(false);
   const [verificationResult, setVerificationResult] = useState(null);
   const [isAppealModalOpen, setIsAppealModalOpen] = useState(false);
+  const { entities } = useEntities();
   const [toast, setToast] = useState({ show: false, message: '', type: '' });
   const [isLoading, setIsLoading] = useState(false);
   const [isDownloadLoading, setIsDownloadLoading] = useState(false);
   const [isValidating, setIsValidating] = useState(false);
+  const [blocked, setBlocked] = useState(null); // { employeeId, unblockRequest } after too many failed attempts
+  const [unblockJustification, setUnblockJustification] = useState('');
+  const [isRequestingUnblock, setIsRequestingUnblock] = useState(false);
   const [verifier, setVerifier] = useState(null);
   const router = useRouter();
 
@@ -49,55 +54,25 @@ const VerificationWizard = () => {
         const parsedSession = JSON.parse(sessionData);
         console.log('VerificationWizard: Parsed session:', parsedSession);
 
-        // Validate token exists
-        if (!parsedSession.token) {
-          console.error('VerificationWizard: No token in session');
+        // The tokens live in httpOnly cookies; the stored session says when the access token runs out
+        const expiresAt = getSessionExpiry(parsedSession);
+        if (!expiresAt) {
+          console.error('VerificationWizard: No token expiry in session');
           localStorage.removeItem('verifier_session');
-          showToast('Your session is invalid (no token), please log in again.', 'error');
+          showToast('Your session is invalid, please log in again.', 'error');
           router.push('/login');
           return;
         }
 
-        // Validate token is a proper JWT (has 3 parts)
-        const tokenParts = parsedSession.token.split('.');
-        if (tokenParts.length !== 3) {
-          console.error('VerificationWizard: Invalid token format');
+        if (expiresAt < Date.now()) {
+          console.error('VerificationWizard: Token expired');
           localStorage.removeItem('verifier_session');
-          showToast('Your session is corrupted, please log in again.', 'error');
+          showToast('Your session has expired, please log in again.', 'error');
           router.push('/login');
           return;
         }
 
-        // Check token expiry (decode payload and check exp)
-        try {
-          const payload = JSON.parse(atob(tokenParts[1]));
-          const now = Math.floor(Date.now() / 1000);
-
-          if (payload.exp && payload.exp < now) {
-            console.error('VerificationWizard: Token expired');
-            localStorage.removeItem('verifier_session');
-            showToast('Your session has expired, please log in again.', 'error');
-            router.push('/login');
-            return;
-          }
-
-          // Check if role is verifier
-          if (payload.role !== 'verifier') {
-            console.error('VerificationWizard: Invalid role in token:', payload.role);
-            localStorage.removeItem('verifier_session');
-            showToast('Invalid session role, please log in again as a verifier.', 'error');
-            router.push('/login');
-            return;
-          }
-
-          console.log('VerificationWizard: Token valid, expires at:', new Date(payload.exp * 1000));
-        } catch (decodeError) {
-          console.error('VerificationWizard: Failed to decode token:', decodeError);
-          localStorage.removeItem('verifier_session');
-          showToast('Your session is corrupted, please log in again.', 'error');
-          router.push('/login');
-          return;
-        }
+        console.log('VerificationWizard: Session valid, access token expires at:', new Date(expiresAt));
 
         setVerifier(parsedSession);
         setFormData(prev => ({ ...prev, companyName: parsedSession.companyName || '' }));
@@ -109,7 +84,8 @@ const VerificationWizard = () => {
       }
     };
 
-    validateAndSetSession();
+    // An expired access token is renewed first; the checks below only fail if that is not possible
+    refreshExpiringSessions().finally(validateAndSetSession);
   }, [router]);
 
   const showToast = (message, type) => {
@@ -179,14 +155,11 @@ const VerificationWizard = () => {
     if (step === 2) {
       setIsValidating(true);
       try {
-        const sessionData = localStorage.getItem('verifier_session');
-        const session = sessionData ? JSON.parse(sessionData) : null;
-
-        const response = await fetch('/api/verify/validate-employee', {
+        const response = await authFetch('/api/verify/validate-employee', {
           method: 'POST',
+          sessionKey: 'verifier_session',
           headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${session?.token || ''}`
+            'Content-Type': 'application/json'
           },
           body: JSON.stringify({
             employeeId: formData.employeeId.trim(),
@@ -198,6 +171,9 @@ const VerificationWizard = () => {
         const data = await response.json();
 
         if (!data.success) {
+          if (data.code === 'VERIFICATION_BLOCKED') {
+            setBlocked(data.data);
+          }
           showToast(data.message || 'Employee ID and Name do not match. Please check and try again', 'error');
           setIsValidating(false);
           return;
@@ -222,6 +198,34 @@ const VerificationWizard = () => {
     setStep(step - 1);
   };
 
+  const handleUnblockRequest = async () => {
+    if (unblockJustification.trim().length < 20) {
+      showToast('Please explain in at least 20 characters why this lookup should be unblocked.', 'error');
+      return;
+    }
+
+    setIsRequestingUnblock(true);
+    try {
+      const response = await apiService.verification.requestUnblock(blocked.employeeId, unblockJustification.trim());
+
+      // A 409 carries the request that is already open - show it the same way
+      const openRequest = response.success ? response.data : response.data?.data;
+
+      if (openRequest?.requestId) {
+        setBlocked(prev => ({ ...prev, unblockRequest: openRequest }));
+        setUnblockJustification('');
+        showToast(response.message, response.success ? 'success' : 'info');
+      } else {
+        const details = response.data?.errors?.map(e => e.message).join(', ');
+        showToast(details || response.message || 'Failed to submit unblock request', 'error');
+      }
+    } catch (error) {
+      handleError(error, showToast);
+    } finally {
+      setIsRequestingUnblock(false);
+    }
+  };
+
   const handleVerificationSubmit = async () => {
     setIsLoading(true);
 
@@ -266,6 +270,7 @@ const VerificationWizard = () => {
       exitReason: ''
     });
     setVerificationResult(null);
+    setBlocked(null);
   };
 
 
@@ -350,6 +355,12 @@ const VerificationWizard = () => {
                   Next <Icon name="ArrowRight" className="w-4 h-4" />
                 </button>
               </div>
+
+              <div className="text-center mt-4">
+                <Link href="/verify/bulk" className="link link-hover text-sm text-base-content/70">
+                  Verifying many candidates? Upload a CSV/XLSX file instead
+                </Link>
+              </div>
             </div >
           </motion.div >
         );
@@ -382,9 +393,9 @@ const VerificationWizard = () => {
                         required
                       >
                         <option value="">Select company for verification</option>
-                        {VERIFICATION_COMPANIES.map((company) => (
-                          <option key={company.id} value={company.id}>
-                            {company.name}
+                        {entities.map((entity) => (
+                          <option key={entity.code} value={entity.code}>
+                            {entity.legalName}
                           </option>
                         ))}
                       </select>
@@ -428,13 +439,50 @@ const VerificationWizard = () => {
                     disabled={verifier?.isBgvAgency}
                   >
                     <option value="">Select Entity</option>
-                    <option value="TVSCSHIB">TVS Credit Services Limited</option>
-                    <option value="Harita Receivables and Collection Services LLP">Harita Receivables and Collection Services LLP</option>
-                    <option value="HIB">Harita Insurance Broking LLP</option>
+                    {entities.map((entity) => (
+                      <option key={entity.code} value={entity.code}>
+                        {entity.legalName}
+                      </option>
+                    ))}
                   </select>
                 </div>
               </div>
 
+              {/* Blocked after too many failed attempts: offer an unblock request */}
+              {blocked && blocked.employeeId === formData.employeeId.trim().toUpperCase() && (
+                <div className="alert alert-warning mt-6 flex-col items-start">
+                  <div className="flex items-center gap-2 font-semibold">
+                    <Icon name="Lock" className="w-5 h-5" />
+                    Verification of {blocked.employeeId} is blocked
+                  </div>
+                  {blocked.unblockRequest ? (
+                    <p className="text-sm">
+                      Unblock request <strong>{blocked.unblockRequest.requestId}</strong> was submitted on{' '}
+                      {new Date(blocked.unblockRequest.createdAt).toLocaleDateString('en-GB')} and is awaiting review.
+                      You will be notified by email once the exit team has decided.
+                    </p>
+                  ) : (
+                    <div className="w-full space-y-2">
+                      <p className="text-sm">
+                        If the details you entered are correct, explain why and the exit team can reset your attempts.
+                      </p>
+                      <textarea
+                        className="textarea textarea-bordered w-full bg-base-100"
+                        rows={3}
+                        maxLength={1000}
+                        placeholder="e.g., The candidate's relieving letter shows this ID and name; please check for a spelling difference."
+                        value={unblockJustification}
+                        onChange={(e) => setUnblockJustification(e.target.value)}
+                      />
+                      <button className="btn btn-sm btn-warning" onClick={handleUnblockRequest} disabled={isRequestingUnblock}>
+                        {isRequestingUnblock ? <span className="loading loading-spinner loading-xs"></span> : <Icon name="Send" className="w-4 h-4" />}
+                        Request Unblock
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+
               <div className="card-actions justify-between mt-6">
                 <button className="btn" style={{ backgroundColor: '#E6F3EF', color: '#007A3D', fontFamily: "'Montserrat', sans-serif" }} onClick={handleBack}>
                   <Icon name="ArrowLeft" className="w-4 h-4" /> Back
@@ -5,79 +5,39 @@
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || '';
 
-// Store token in localStorage for client-side persistence
-const getToken = () => {
-  if (typeof window !== 'undefined') {
-    const adminSession = localStorage.getItem('admin_session');
-    const verifierSession = localStorage.getItem('verifier_session');
-
-    // Determine which session to prioritize based on current page URL
-    const currentPath = window.location.pathname;
-    const isVerifyPage = currentPath.startsWith('/verify') || currentPath === '/login' || currentPath === '/';
-    const isAdminPage = currentPath.startsWith('/admin');
-
-    // Prioritize verifier session on verify pages
-    if (isVerifyPage && verifierSession) {
-      try {
-        const verifierData = JSON.parse(verifierSession);
-        if (verifierData.token) {
-          return verifierData.token;
-        }
-      } catch (e) {
-        localStorage.removeItem('verifier_session');
-      }
-    }
-
-    // Prioritize admin session on admin pages
-    if (isAdminPage && adminSession) {
-      try {
-        const adminData = JSON.parse(adminSession);
-        if (adminData.token) {
-          return adminData.token;
-        }
-      } catch (e) {
-        localStorage.removeItem('admin_session');
-      }
-    }
+const SESSION_KEYS = ['admin_session', 'verifier_session'];
+const SESSION_TYPES = { admin_session: 'admin', verifier_session: 'verifier' };
+const CSRF_COOKIE = 'csrf_token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Refresh this long before the access token expires
+const REFRESH_AHEAD_MS = 2 * 60 * 1000;
+const refreshesInFlight = {};
+
+const readSession = (sessionKey) => {
+  try {
+    return JSON.parse(localStorage.getItem(sessionKey) || 'null');
+  } catch (e) {
+    localStorage.removeItem(sessionKey);
+    return null;
+  }
+};
 
-    // Fallback: Try admin session first (for general pages)
-    if (adminSession) {
-      try {
-        const adminData = JSON.parse(adminSession);
-        if (adminData.token) {
-          return adminData.token;
-        }
-      } catch (e) {
-        localStorage.removeItem('admin_session');
-      }
-    }
+// Which stored session the current page acts for: the verifier's on verify pages,
+// otherwise the admin's, falling back to whichever exists
+const getSessionKey = () => {
+  if (typeof window === 'undefined') return null;
 
-    // Fallback: Try verifier session
-    if (verifierSession) {
-      try {
-        const verifierData = JSON.parse(verifierSession);
-        if (verifierData.token) {
-          return verifierData.token;
-        }
-      } catch (e) {
-        localStorage.removeItem('verifier_session');
-      }
-    }
+  const currentPath = window.location.pathname;
+  const isVerifyPage = currentPath.startsWith('/verify') || currentPath === '/login' || currentPath === '/';
+  const order = isVerifyPage ? ['verifier_session', 'admin_session'] : ['admin_session', 'verifier_session'];
 
-    // Fallback to old token method
-    const fallbackToken = localStorage.getItem('auth_token');
-    if (fallbackToken) {
-      return fallbackToken;
-    }
-  }
-  return null;
+  return order.find(key => readSession(key)) || null;
 };
 
-
-const setToken = (token) => {
-  if (typeof window !== 'undefined') {
-    localStorage.setItem('auth_token', token);
-  }
+// Stored access token; only present when the server runs in bearer mode
+const getToken = () => {
+  const sessionKey = getSessionKey();
+  return sessionKey ? readSession(sessionKey)?.token || null : null;
 };
 
 const removeToken = () => {
@@ -105,49 +65,200 @@ async function parseResponseSafely(response) {
   }
 }
 
+const readCsrfToken = () => {
+  const cookie = document.cookie.split('; ').find(part => part.startsWith(`${CSRF_COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.slice(CSRF_COOKIE.length + 1)) : null;
+};
+
+// Headers tying a request to a stored session. The tokens themselves travel in
+// httpOnly cookies; a bearer header is only sent in bearer mode.
+const sessionHeaders = (sessionKey, method = 'GET') => {
+  if (!sessionKey) return {};
+
+  const headers = { 'X-Session-Type': SESSION_TYPES[sessionKey] };
+
+  const token = readSession(sessionKey)?.token;
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  if (!SAFE_METHODS.includes(method.toUpperCase())) {
+    const csrfToken = readCsrfToken();
+    if (csrfToken) {
+      headers['X-CSRF-Token'] = csrfToken;
+    }
+  }
+
+  return headers;
+};
+
+// Expiry of a JWT access token in milliseconds, or null if it cannot be read
+const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * When a stored session's access token expires
+ * @param {Object} session - Parsed admin_session or verifier_session
+ * @returns {Number|null} Milliseconds since the epoch, or null if unknown
+ */
+export function getSessionExpiry(session) {
+  if (session?.accessTokenExpiresAt) {
+    return new Date(session.accessTokenExpiresAt).getTime();
+  }
+  return session?.token ? getTokenExpiry(session.token) : null;
+}
+
+async function requestRefresh(sessionKey) {
+  const session = readSession(sessionKey);
+  if (!session) return false;
+
+  const response = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+    method: 'POST',
+    credentials: 'same-origin',
+    headers: { 'Content-Type': 'application/json', ...sessionHeaders(sessionKey, 'POST') },
+    body: JSON.stringify(session.refreshToken ? { refreshToken: session.refreshToken } : {}),
+  });
+  const parsed = await parseResponseSafely(response);
+
+  if (response.ok && parsed?.success) {
+    // Re-read so changes made while the request was out are kept
+    const latest = readSession(sessionKey) || session;
+    localStorage.setItem(sessionKey, JSON.stringify({ ...latest, ...parsed.data }));
+    return true;
+  }
+
+  // Another tab refreshed first and has already stored the new tokens or set the new cookies
+  if (parsed?.code === 'REFRESH_TOKEN_ROTATED') {
+    if (!session.refreshToken) return true;
+    const latest = readSession(sessionKey);
+    return !!latest?.refreshToken && latest.refreshToken !== session.refreshToken;
+  }
+
+  return false;
+}
+
+/**
+ * Refresh a stored session's access token
+ * Concurrent calls for the same session share one request.
+ * @param {String} sessionKey - 'admin_session' | 'verifier_session'
+ * @returns {Promise<Boolean>} false if the session has ended
+ */
+export function refreshStoredSession(sessionKey) {
+  if (typeof window === 'undefined') return Promise.resolve(false);
+
+  if (!refreshesInFlight[sessionKey]) {
+    refreshesInFlight[sessionKey] = requestRefresh(sessionKey).finally(() => {
+      delete refreshesInFlight[sessionKey];
+    });
+  }
+  return refreshesInFlight[sessionKey];
+}
+
+/**
+ * Refresh stored sessions whose access token is about to expire
+ * Called periodically while the user is active, so requests made straight
+ * after a quiet spell do not start with a 401.
+ */
+export async function refreshExpiringSessions() {
+  if (typeof window === 'undefined') return;
+
+  for (const sessionKey of SESSION_KEYS) {
+    const expiresAt = getSessionExpiry(readSession(sessionKey));
+    if (expiresAt && expiresAt - Date.now() < REFRESH_AHEAD_MS) {
+      await refreshStoredSession(sessionKey).catch(error => console.error('Session refresh failed:', error));
+    }
+  }
+}
+
+/**
+ * Log out a stored session on the server, then forget it locally
+ * The server also clears the session's cookies. Server errors are ignored: the
+ * local session is cleared either way.
+ * @param {String} sessionKey - 'admin_session' | 'verifier_session'
+ */
+export async function endStoredSession(sessionKey) {
+  if (typeof window === 'undefined') return;
+
+  const session = readSession(sessionKey);
+  const headers = sessionHeaders(sessionKey, 'POST');
+  localStorage.removeItem(sessionKey);
+  if (!session) return;
+
+  try {
+    await fetch(`${API_BASE_URL}/api/auth/logout`, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(session.refreshToken ? { refreshToken: session.refreshToken } : {}),
+    });
+  } catch (error) {
+    console.error('Logout request failed:', error);
+  }
+}
+
+/**
+ * fetch() an API route as the current page's session
+ * Sends the session cookies with the session type and CSRF headers, and repeats
+ * the request once after refreshing an expired session. For uploads, downloads
+ * and other callers that need the raw Response; everything else uses apiRequest.
+ * @param {String} url - Path starting with /api
+ * @param {Object} [options] - fetch options, plus sessionKey to act as a specific session
+ * @returns {Promise<Response>}
+ */
+export async function authFetch(url, options = {}, isRetry = false) {
+  const { sessionKey: requestedKey, ...fetchOptions } = options;
+  const sessionKey = requestedKey || getSessionKey();
+
+  const response = await fetch(`${API_BASE_URL}${url}`, {
+    credentials: 'same-origin',
+    ...fetchOptions,
+    headers: {
+      ...sessionHeaders(sessionKey, fetchOptions.method),
+      ...fetchOptions.headers,
+    },
+  });
+
+  // Expired access token — refresh the session once and repeat the request
+  if (response.status === 401 && sessionKey && !isRetry && await refreshStoredSession(sessionKey)) {
+    return authFetch(url, options, true);
+  }
+
+  return response;
+}
+
 // Generic API request function (more forgiving on non-2xx responses)
 async function apiRequest(endpoint, options = {}) {
-  const token = getToken();
+  const sessionKey = getSessionKey();
 
   console.log(`API Request to ${endpoint}:`, {
-    hasToken: !!token,
-    tokenPreview: token ? `${token.substring(0, 20)}...` : 'none',
+    session: sessionKey || 'none',
     endpoint
   });
 
   const config = {
+    ...options,
     headers: {
       'Content-Type': 'application/json',
       ...options.headers,
     },
-    ...options,
   };
 
-  // Add authorization header if token exists
-  if (token) {
-    config.headers = {
-      ...config.headers,
-      Authorization: `Bearer ${token}`,
-    };
-    console.log('[apiRequest] Authorization header set:', {
-      header: `Bearer ${token.substring(0, 20)}...`,
-      headerExists: !!config.headers.Authorization
-    });
-  } else {
-    console.log('[apiRequest] NO TOKEN - Authorization header NOT set');
-  }
-
-  const url = `${API_BASE_URL}/api${endpoint}`;
+  const url = `/api${endpoint}`;
 
   console.log('[apiRequest] Final request config:', {
     url,
     method: config.method || 'GET',
-    hasAuthHeader: !!config.headers.Authorization,
     headers: Object.keys(config.headers)
   });
 
   try {
-    const response = await fetch(url, config);
+    const response = await authFetch(url, config);
 
     console.log(`API Response from ${endpoint}:`, {
       status: response.status,
@@ -222,10 +333,12 @@ const authAPI = {
       return data;
     }
 
-    // Normal success shape — store token if present
-    if (data && data.data?.token) {
+    // Normal success shape — store the session if one was opened
+    if (data && data.data?.accessTokenExpiresAt) {
       const sessionData = {
         token: data.data.token,
+        refreshToken: data.data.refreshToken,
+        accessTokenExpiresAt: data.data.accessTokenExpiresAt,
         verifier: data.data.verifier,
         role: 'verifier'
       };
@@ -246,10 +359,12 @@ const authAPI = {
       body: JSON.stringify({ email, password }),
     });
 
-    if (data && data.data?.token) {
+    if (data && data.data?.accessTokenExpiresAt) {
       // Store complete verifier session
       const sessionData = {
         token: data.data.token,
+        refreshToken: data.data.refreshToken,
+        accessTokenExpiresAt: data.data.accessTokenExpiresAt,
         verifier: data.data.verifier,
         testMode: data.data.testMode || false,
         role: 'verifier'
@@ -271,9 +386,11 @@ const authAPI = {
       body: JSON.stringify({ username, password }),
     });
 
-    if (data && data.data?.token) {
+    if (data && data.data?.accessTokenExpiresAt) {
       const sessionData = {
         token: data.data.token,
+        refreshToken: data.data.refreshToken,
+        accessTokenExpiresAt: data.data.accessTokenExpiresAt,
         admin: data.data.admin,
         role: data.data.admin?.role || 'admin'
       };
@@ -292,24 +409,46 @@ const authAPI = {
     return authRequest('/auth/me');
   },
 
-  // Logout
-  logout: () => {
+  // Logout: revoke the session on the server and clear it locally
+  logout: async () => {
+    const isAdminPage = typeof window !== 'undefined' && window.location.pathname.startsWith('/admin');
+    await endStoredSession(isAdminPage ? 'admin_session' : 'verifier_session');
     removeToken();
-    // Optionally call logout endpoint if available
-    return Promise.resolve();
   },
 
   // Check if user is authenticated
   isAuthenticated: () => {
-    return !!getToken();
+    return !!getSessionKey();
   },
 
-  // Get current token
+  // Get current token (bearer mode only; in cookie mode scripts cannot read it)
   getToken: () => {
     return getToken();
   }
 };
 
+// Session APIs for the logged-in verifier or admin
+const sessionAPI = {
+  // Get the caller's active sessions
+  getSessions: async () => {
+    return apiRequest('/auth/sessions');
+  },
+
+  // Log out one of the caller's sessions
+  revokeSession: async (id) => {
+    return apiRequest(`/auth/sessions/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Log out every session except the current one
+  revokeOtherSessions: async () => {
+    return apiRequest('/auth/sessions', {
+      method: 'DELETE',
+    });
+  },
+};
+
 // Verification API
 const verificationAPI = {
   // Submit verification request
@@ -329,35 +468,66 @@ const verificationAPI = {
   getVerificationDetails: async (verificationId) => {
     return apiRequest(`/verify/request?id=${verificationId}`);
   },
+
+  // Ask the exit team to unblock an employee after too many failed attempts
+  requestUnblock: async (employeeId, justification) => {
+    return apiRequest('/verify/unblock-requests', {
+      method: 'POST',
+      body: JSON.stringify({ employeeId, justification }),
+    });
+  },
+
+  // Submit a CSV/XLSX file of candidates for bulk verification
+  submitBulk: async (file, consentGiven) => {
+    if (!getSessionKey()) {
+      return { success: false, message: 'You are not logged in. Please log in again.' };
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('consentGiven', String(!!consentGiven));
+
+    const response = await authFetch('/api/verify/bulk', {
+      method: 'POST',
+      body: formData,
+    });
+
+    const parsed = await parseResponseSafely(response);
+    if (!response.ok) {
+      if (parsed && typeof parsed === 'object') {
+        return { success: false, message: parsed.message || JSON.stringify(parsed), data: parsed };
+      }
+      return { success: false, message: typeof parsed === 'string' && parsed ? parsed : 'Bulk verification failed' };
+    }
+
+    return parsed && typeof parsed === 'object' ? parsed : { success: true, data: parsed };
+  },
+
+  // Download the per-row results of a bulk batch as CSV (returns a Blob)
+  downloadBulkResults: async (batchId) => {
+    const params = new URLSearchParams({ batchId, format: 'csv' }).toString();
+
+    const response = await authFetch(`/api/verify/bulk?${params}`);
+
+    if (!response.ok) {
+      const parsed = await parseResponseSafely(response);
+      throw new Error(parsed?.message || 'Failed to download batch results');
+    }
+
+    return response.blob();
+  },
 };
 
 // Appeal API
 const appealAPI = {
   // Submit appeal with file upload
   submitAppeal: async (appealData, file) => {
-    // For appeals, we MUST use verifier token (not admin token)
-    // Directly read from verifier_session to ensure correct token
-    let token = null;
-    if (typeof window !== 'undefined') {
-      const verifierSession = localStorage.getItem('verifier_session');
-      if (verifierSession) {
-        try {
-          const parsed = JSON.parse(verifierSession);
-          token = parsed.token;
-          console.log('[appealAPI.submitAppeal] Using verifier token from verifier_session');
-        } catch (e) {
-          console.error('[appealAPI.submitAppeal] Failed to parse verifier_session:', e);
-        }
-      }
-    }
-
-    // Fallback to getToken() if no verifier session found
-    if (!token) {
-      token = getToken();
-      console.log('[appealAPI.submitAppeal] Fallback to getToken()');
-    }
+    // For appeals, we MUST act as the verifier (not the admin), whichever page this is
+    const sessionKey = typeof window !== 'undefined' && localStorage.getItem('verifier_session')
+      ? 'verifier_session'
+      : getSessionKey();
 
-    if (!token) {
+    if (!sessionKey) {
       return { success: false, message: 'You are not logged in. Please log in again.' };
     }
 
@@ -368,12 +538,10 @@ const appealAPI = {
       formData.append('supportingDocument', file);
     }
 
-    const response = await fetch(`${API_BASE_URL}/api/appeals`, {
+    const response = await authFetch('/api/appeals', {
       method: 'POST',
-      headers: {
-        Authorization: `Bearer ${token}`,
-      },
       body: formData,
+      sessionKey,
     });
 
     if (!response.ok) {
@@ -403,10 +571,18 @@ const appealAPI = {
   },
 
   // Respond to appeal (admin)
-  respondToAppeal: async (appealId, status, hrResponse) => {
+  respondToAppeal: async (appealId, status, hrResponse, amendRecord = true) => {
     return apiRequest(`/admin/appeals/${appealId}/respond`, {
       method: 'POST',
-      body: JSON.stringify({ status, hrResponse }),
+      body: JSON.stringify({ status, hrResponse, amendRecord }),
+    });
+  },
+
+  // Revoke a verification record (admin)
+  revokeVerification: async (verificationId, reason) => {
+    return apiRequest(`/admin/verifications/${verificationId}/revoke`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
     });
   },
 };
@@ -444,6 +620,11 @@ const employeeAPI = {
     return apiRequest(`/admin/employees${params ? `?${params}` : ''}`);
   },
 
+  // Get employee with change history
+  getEmployee: async (employeeId) => {
+    return apiRequest(`/admin/employees/${employeeId}`);
+  },
+
   // Add/update employee
   updateEmployee: async (employeeId, employeeData) => {
     return apiRequest(`/admin/employees${employeeId ? `/${employeeId}` : ''}`, {
@@ -451,6 +632,324 @@ const employeeAPI = {
       body: JSON.stringify(employeeData),
     });
   },
+
+  // Delete employee
+  deleteEmployee: async (employeeId) => {
+    return apiRequest(`/admin/employees/${employeeId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Upload an HRMS exit list (CSV/XLSX) and get its diff preview
+  previewImport: async (file) => {
+    if (!getSessionKey()) {
+      return { success: false, message: 'You are not logged in. Please log in again.' };
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    const response = await authFetch('/api/admin/employees/import', {
+      method: 'POST',
+      body: formData,
+    });
+
+    const parsed = await parseResponseSafely(response);
+    if (!response.ok) {
+      if (parsed && typeof parsed === 'object') {
+        return { success: false, message: parsed.message || JSON.stringify(parsed), data: parsed };
+      }
+      return { success: false, message: typeof parsed === 'string' && parsed ? parsed : 'Import preview failed' };
+    }
+
+    return parsed && typeof parsed === 'object' ? parsed : { success: true, data: parsed };
+  },
+
+  // Get recent imports
+  getImports: async () => {
+    return apiRequest('/admin/employees/import');
+  },
+
+  // Get an import's preview or report
+  getImport: async (importId) => {
+    return apiRequest(`/admin/employees/import/${importId}`);
+  },
+
+  // Apply a previewed import
+  commitImport: async (importId) => {
+    return apiRequest(`/admin/employees/import/${importId}/commit`, {
+      method: 'POST',
+    });
+  },
+
+  // Download an import's per-row report as CSV (returns a Blob)
+  downloadImportReport: async (importId) => {
+    const response = await authFetch(`/api/admin/employees/import/${importId}?format=csv`);
+
+    if (!response.ok) {
+      const parsed = await parseResponseSafely(response);
+      throw new Error(parsed?.message || 'Failed to download import report');
+    }
+
+    return response.blob();
+  },
+};
+
+// Entity API
+const entityAPI = {
+  // Get active entities (public, for dropdowns)
+  getEntities: async () => {
+    return apiRequest('/entities');
+  },
+
+  // Get all entities including inactive ones (admin)
+  getAllEntities: async () => {
+    return apiRequest('/admin/entities');
+  },
+
+  // Add/update entity (admin)
+  saveEntity: async (code, entityData) => {
+    return apiRequest(`/admin/entities${code ? `/${code}` : ''}`, {
+      method: code ? 'PUT' : 'POST',
+      body: JSON.stringify(entityData),
+    });
+  },
+
+  // Delete entity (admin)
+  deleteEntity: async (code) => {
+    return apiRequest(`/admin/entities/${code}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Verifier directory APIs (admin)
+const verifierAPI = {
+  // Search verifiers by company / email and status
+  getVerifiers: async (filters = {}) => {
+    const params = new URLSearchParams(filters).toString();
+    return apiRequest(`/admin/verifiers${params ? `?${params}` : ''}`);
+  },
+
+  // Get verifier with verification and query history
+  getVerifier: async (id) => {
+    return apiRequest(`/admin/verifiers/${id}`);
+  },
+
+  // Approve, reject, suspend or reactivate a verifier
+  updateStatus: async (id, action, reason = '') => {
+    return apiRequest(`/admin/verifiers/${id}/status`, {
+      method: 'POST',
+      body: JSON.stringify({ action, reason }),
+    });
+  },
+
+  // Clear a login lockout and the failed login count
+  unlock: async (id) => {
+    return apiRequest(`/admin/verifiers/${id}/unlock`, {
+      method: 'POST',
+    });
+  },
+
+  // Get a verifier's active sessions
+  getSessions: async (id) => {
+    return apiRequest(`/admin/verifiers/${id}/sessions`);
+  },
+
+  // Log a verifier out of every session
+  revokeSessions: async (id) => {
+    return apiRequest(`/admin/verifiers/${id}/sessions`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Log a verifier out of one session
+  revokeSession: async (id, sessionId) => {
+    return apiRequest(`/admin/verifiers/${id}/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Unblock request APIs (admin)
+const unblockRequestAPI = {
+  // Get unblock requests with attempt history
+  getRequests: async (status = 'pending') => {
+    return apiRequest(`/admin/unblock-requests?status=${status}`);
+  },
+
+  // Approve or deny an unblock request
+  respond: async (requestId, decision, note = '') => {
+    return apiRequest(`/admin/unblock-requests/${requestId}/respond`, {
+      method: 'POST',
+      body: JSON.stringify({ decision, note }),
+    });
+  },
+};
+
+// Security alert APIs (admin)
+const securityAlertAPI = {
+  // Get security alerts by status
+  getAlerts: async (status = 'open') => {
+    return apiRequest(`/admin/security-alerts?status=${status}`);
+  },
+
+  // Acknowledge or resolve an alert, optionally lifting the verifier's lookup throttle
+  updateAlert: async (alertId, update) => {
+    return apiRequest(`/admin/security-alerts/${alertId}`, {
+      method: 'PUT',
+      body: JSON.stringify(update),
+    });
+  },
+};
+
+// Outbound email queue APIs (admin)
+const emailJobAPI = {
+  // Get queued emails by status (dead by default)
+  getJobs: async (status = 'dead', page = 1) => {
+    return apiRequest(`/admin/email-jobs?status=${status}&page=${page}`);
+  },
+
+  // Get one email with its delivery attempts
+  getJob: async (id) => {
+    return apiRequest(`/admin/email-jobs/${id}`);
+  },
+
+  // Resend a dead-lettered email with fresh attempts
+  resend: async (id) => {
+    return apiRequest(`/admin/email-jobs/${id}/resend`, {
+      method: 'POST',
+    });
+  },
+};
+
+// Portal settings APIs (admin)
+const settingsAPI = {
+  // Get the verification attempt policy
+  getAttemptPolicy: async () => {
+    return apiRequest('/admin/attempt-policy');
+  },
+
+  // Save the verification attempt policy
+  updateAttemptPolicy: async (policy) => {
+    return apiRequest('/admin/attempt-policy', {
+      method: 'PUT',
+      body: JSON.stringify(policy),
+    });
+  },
+
+  // Get the roles that must use two-factor authentication
+  getTwoFactorPolicy: async () => {
+    return apiRequest('/admin/two-factor-policy');
+  },
+
+  // Save the roles that must use two-factor authentication (super admin)
+  updateTwoFactorPolicy: async (policy) => {
+    return apiRequest('/admin/two-factor-policy', {
+      method: 'PUT',
+      body: JSON.stringify(policy),
+    });
+  },
+};
+
+// Two-factor authentication APIs for the logged-in admin
+const twoFactorAPI = {
+  // Get whether 2FA is on, required and how many recovery codes are left
+  getStatus: async () => {
+    return apiRequest('/admin/two-factor');
+  },
+
+  // Start enrolment: returns the secret and QR code for an authenticator app
+  setup: async () => {
+    return apiRequest('/admin/two-factor/setup', {
+      method: 'POST',
+    });
+  },
+
+  // Confirm enrolment with a code from the app; returns recovery codes
+  enable: async (code) => {
+    return apiRequest('/admin/two-factor/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  // Turn 2FA off (not allowed when the admin's role requires it)
+  disable: async (password, code) => {
+    return apiRequest('/admin/two-factor/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code }),
+    });
+  },
+
+  // Replace the recovery codes
+  regenerateRecoveryCodes: async (code) => {
+    return apiRequest('/admin/two-factor/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+};
+
+// Admin user APIs
+const adminUserAPI = {
+  // Get admin accounts with the permission registry (admin)
+  getAdmins: async () => {
+    return apiRequest('/admin/users');
+  },
+
+  // Invite an admin with a temporary password (admin)
+  inviteAdmin: async (adminData) => {
+    return apiRequest('/admin/users', {
+      method: 'POST',
+      body: JSON.stringify(adminData),
+    });
+  },
+
+  // Update role, department, entities or active status (admin)
+  updateAdmin: async (id, updateData) => {
+    return apiRequest(`/admin/users/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(updateData),
+    });
+  },
+
+  // Email a temporary password and require a new one at next login (admin)
+  resetPassword: async (id) => {
+    return apiRequest(`/admin/users/${id}/reset-password`, {
+      method: 'POST',
+    });
+  },
+
+  // Clear a login lockout and the failed login count (admin)
+  unlock: async (id) => {
+    return apiRequest(`/admin/users/${id}/unlock`, {
+      method: 'POST',
+    });
+  },
+
+  // Turn off an admin's 2FA so they can enrol a new device (admin)
+  resetTwoFactor: async (id) => {
+    return apiRequest(`/admin/users/${id}/reset-two-factor`, {
+      method: 'POST',
+    });
+  },
+
+  // Change the logged-in admin's own password
+  changePassword: async (currentPassword, newPassword) => {
+    return apiRequest('/admin/change-password', {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
+  },
+
+  // Set permission overrides for an admin (admin)
+  updatePermissions: async (id, overrides) => {
+    return apiRequest(`/admin/users/${id}/permissions`, {
+      method: 'PUT',
+      body: JSON.stringify(overrides),
+    });
+  },
 };
 
 // Utility function for authenticated requests
@@ -488,19 +987,37 @@ const handleAPIError = (error, showToast) => {
 // Export for use in components
 export default {
   auth: authAPI,
+  session: sessionAPI,
   verification: verificationAPI,
   appeal: appealAPI,
   report: reportAPI,
   dashboard: dashboardAPI,
   employee: employeeAPI,
+  entity: entityAPI,
+  adminUser: adminUserAPI,
+  verifier: verifierAPI,
+  unblockRequest: unblockRequestAPI,
+  settings: settingsAPI,
+  twoFactor: twoFactorAPI,
+  securityAlert: securityAlertAPI,
+  emailJob: emailJobAPI,
   handleError: handleAPIError,
 };
 
 // Also export named exports for convenience
 export {
+  sessionAPI,
   appealAPI,
   reportAPI,
   dashboardAPI,
   employeeAPI,
+  entityAPI,
+  adminUserAPI,
+  verifierAPI,
+  unblockRequestAPI,
+  settingsAPI,
+  twoFactorAPI,
+  securityAlertAPI,
+  emailJobAPI,
   handleAPIError as handleError,
 };
@@ -2,15 +2,16 @@ import jwt from 'jsonwebtoken';
 
 // JWT Secret - MUST be set in production environment
 const JWT_SECRET = process.env.JWT_SECRET || (process.env.NODE_ENV === 'development' ? 'dev-secret-key-change-in-production' : null);
-const JWT_EXPIRES_IN = '7d';
+// Access tokens are short-lived; sessions are kept going with refresh tokens (lib/services/sessionService.js)
+const JWT_EXPIRES_IN = process.env.ACCESS_TOKEN_TTL || '15m';
 
 if (!JWT_SECRET) {
   throw new Error('JWT_SECRET environment variable is required in production');
 }
 
 /**
- * Generate JWT token for user
- * @param {Object} payload - User data to encode
+ * Generate JWT access token for user
+ * @param {Object} payload - User data to encode, including the session ID as `sid`
  * @returns {String} JWT token
  */
 export function generateToken(payload) {
@@ -40,32 +41,141 @@ export function verifyToken(token) {
 }
 
 /**
- * Extract token from Authorization header
- * Works with both Express-style and Next.js App Router requests
- * @param {Object} req - Request object (Express or Next.js)
- * @returns {String|null} JWT token or null
+ * When a token expires, read without verifying it
+ * @param {String} token - JWT token
+ * @returns {Date|null}
+ */
+export function getTokenExpiry(token) {
+  const decoded = jwt.decode(token);
+  return decoded?.exp ? new Date(decoded.exp * 1000) : null;
+}
+
+/**
+ * Generate a short-lived token for the admin login's second step
+ * Signed for its own audience, so verifyToken refuses it as an access token.
+ * @param {Object} payload - { id, purpose }
+ * @param {String} [expiresIn]
+ * @returns {String} JWT token
+ */
+export function generateChallengeToken(payload, expiresIn = '5m') {
+  return jwt.sign(payload, JWT_SECRET, {
+    expiresIn,
+    issuer: 'employee-verification-portal',
+    audience: 'login-challenge'
+  });
+}
+
+/**
+ * Verify a login challenge token
+ * @param {String} token - Token from generateChallengeToken
+ * @returns {Object} Decoded payload
  */
-export function extractTokenFromHeader(req) {
-  let authHeader;
+export function verifyChallengeToken(token) {
+  try {
+    return jwt.verify(token, JWT_SECRET, {
+      issuer: 'employee-verification-portal',
+      audience: 'login-challenge'
+    });
+  } catch (error) {
+    throw new Error('Invalid or expired login challenge');
+  }
+}
 
+// Cookies holding each user type's tokens when AUTH_MODE is 'cookie' (lib/services/authCookieService.js)
+export const AUTH_COOKIES = {
+  admin: { access: 'admin_access_token', refresh: 'admin_refresh_token' },
+  verifier: { access: 'verifier_access_token', refresh: 'verifier_refresh_token' }
+};
+
+// Header the client uses to say which of its sessions a request belongs to
+export const SESSION_TYPE_HEADER = 'x-session-type';
+
+function readHeader(req, name) {
   // Check if it's a Next.js App Router Request (Web API)
   if (req.headers && typeof req.headers.get === 'function') {
-    authHeader = req.headers.get('authorization') || req.headers.get('Authorization');
+    return req.headers.get(name);
   }
   // Check if it's Express-style request
-  else if (req.headers && typeof req.headers === 'object') {
-    authHeader = req.headers.authorization || req.headers.Authorization;
-  } else {
-    return null;
+  if (req.headers && typeof req.headers === 'object') {
+    return req.headers[name] || req.headers[name.charAt(0).toUpperCase() + name.slice(1)];
   }
+  return null;
+}
 
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    return authHeader.substring(7);
+/**
+ * Read a cookie from the request's Cookie header
+ * @param {Object} req - Request object (Express or Next.js)
+ * @param {String} name - Cookie name
+ * @returns {String|null}
+ */
+export function readCookie(req, name) {
+  const header = readHeader(req, 'cookie');
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+    if (part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch (decodeError) {
+        return null;
+      }
+    }
   }
+  return null;
+}
+
+/**
+ * Which user type's cookies a request is after
+ * Taken from the X-Session-Type header the client sends, else from the route.
+ * @param {Object} req - Request object (Express or Next.js)
+ * @returns {String|null} 'admin' | 'verifier', or null if it cannot tell
+ */
+export function getRequestedSessionType(req) {
+  const hint = readHeader(req, SESSION_TYPE_HEADER);
+  if (hint === 'admin' || hint === 'verifier') return hint;
 
+  const url = req.nextUrl?.pathname || req.originalUrl || req.url || '';
+  if (/^(https?:\/\/[^/]+)?\/api\/admin(\/|$)/.test(url)) return 'admin';
   return null;
 }
 
+/**
+ * Extract the access token and where it came from
+ * A bearer header wins; otherwise the access token cookie of the given user type
+ * (or, if none is given, the type the request asks for) is used.
+ * @param {Object} req - Request object (Express or Next.js)
+ * @param {String} [userType] - 'admin' | 'verifier'
+ * @returns {{ token: String|null, source: String|null }} source is 'header' or 'cookie'
+ */
+export function extractToken(req, userType = null) {
+  const authHeader = readHeader(req, 'authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return { token: authHeader.substring(7), source: 'header' };
+  }
+
+  const type = userType || getRequestedSessionType(req);
+  const candidates = type ? [type] : ['verifier', 'admin'];
+  for (const candidate of candidates) {
+    const token = readCookie(req, AUTH_COOKIES[candidate].access);
+    if (token) return { token, source: 'cookie' };
+  }
+
+  return { token: null, source: null };
+}
+
+/**
+ * Extract token from Authorization header, or failing that the access token cookie
+ * Works with both Express-style and Next.js App Router requests
+ * @param {Object} req - Request object (Express or Next.js)
+ * @param {String} [userType] - 'admin' | 'verifier', to pick the cookie
+ * @returns {String|null} JWT token or null
+ */
+export function extractTokenFromHeader(req, userType = null) {
+  return extractToken(req, userType).token;
+}
+
 /**
  * Authentication middleware for API routes
  */
@@ -96,7 +206,7 @@ export function authenticate(req, res, next) {
  */
 export function authenticateAdmin(req, res, next) {
   try {
-    const token = extractTokenFromHeader(req);
+    const token = extractTokenFromHeader(req, 'admin');
 
     if (!token) {
       return res.status(401).json({
@@ -152,7 +262,7 @@ export function hasPermission(permission) {
  */
 export function authenticateVerifier(req, res, next) {
   try {
-    const token = extractTokenFromHeader(req);
+    const token = extractTokenFromHeader(req, 'verifier');
 
     if (!token) {
       return res.status(401).json({
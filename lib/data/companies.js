@@ -1,41 +1,33 @@
 /**
- * Predefined list of companies for verification requests
- * These are the companies that verifiers can select when making verification requests
+ * Default group entities
+ * Seeded into the `entities` collection the first time it is read, so a fresh
+ * database starts with the entities the portal originally shipped with.
+ * Once seeded, entities are managed from the admin portal (Entity model).
  */
 
-export const VERIFICATION_COMPANIES = [
+export const DEFAULT_ENTITIES = [
     {
-        id: 'TVSCSHIB',
-        name: 'TVS Credit Services Limited',
-        shortName: 'TVS Credit'
+        code: 'TVSCSHIB',
+        legalName: 'TVS Credit Services Limited',
+        shortName: 'TVS Credit',
+        branding: {
+            letterheadTitle: 'TVS Credit Services Limited',
+            letterheadSubtitle: 'Official Employment Verification System',
+            primaryColor: '#007A3D'
+        },
+        isActive: true
     },
     {
-        id: 'HIB',
-        name: 'Hinduja Leyland Finance',
-        shortName: 'HIB'
+        code: 'HIB',
+        legalName: 'Harita Insurance Broking LLP',
+        shortName: 'HIB',
+        branding: {
+            letterheadTitle: 'Harita Insurance Broking LLP',
+            letterheadSubtitle: 'Official Employment Verification System',
+            primaryColor: '#007A3D'
+        },
+        isActive: true
     }
 ];
 
-/**
- * Get company by ID
- * @param {string} companyId - Company ID
- * @returns {Object|null} Company object or null if not found
- */
-export function getCompanyById(companyId) {
-    return VERIFICATION_COMPANIES.find(c => c.id === companyId) || null;
-}
-
-/**
- * Get company by name
- * @param {string} companyName - Company name (full or short)
- * @returns {Object|null} Company object or null if not found
- */
-export function getCompanyByName(companyName) {
-    const normalizedName = companyName.toLowerCase();
-    return VERIFICATION_COMPANIES.find(
-        c => c.name.toLowerCase() === normalizedName ||
-            c.shortName.toLowerCase() === normalizedName
-    ) || null;
-}
-
-export default VERIFICATION_COMPANIES;
+export default DEFAULT_ENTITIES;
@@ -0,0 +1,45 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { entityAPI } from '@/lib/api.service';
+
+/**
+ * Custom hook to load the group entity list for dropdowns and admin screens
+ * @param {Object} [options]
+ * @param {Boolean} [options.includeInactive] - Load every entity (admin only) instead of active ones
+ * @returns {{ entities: Array<Object>, loading: Boolean, error: String|null, refresh: Function }}
+ */
+export function useEntities({ includeInactive = false } = {}) {
+    const [entities, setEntities] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const refresh = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const response = includeInactive
+                ? await entityAPI.getAllEntities()
+                : await entityAPI.getEntities();
+
+            if (response.success) {
+                setEntities(response.data.entities);
+            } else {
+                setError(response.message || 'Failed to load entities');
+            }
+        } catch (err) {
+            console.error('Error fetching entities:', err);
+            setError(err.message || 'Failed to load entities');
+        } finally {
+            setLoading(false);
+        }
+    }, [includeInactive]);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    return { entities, loading, error, refresh };
+}
+
+export default useEntities;
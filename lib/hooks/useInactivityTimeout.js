@@ -2,6 +2,7 @@
 
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { useRouter } from 'next/navigation';
+import { endStoredSession, refreshExpiringSessions } from '@/lib/api.service';
 
 // Configuration constants
 const INACTIVITY_TIMEOUT = 60 * 60 * 1000; // 1 hour in milliseconds
@@ -52,9 +53,9 @@ export function useInactivityTimeout() {
     const logout = useCallback(() => {
         if (typeof window === 'undefined') return;
 
-        // Clear sessions
-        localStorage.removeItem(VERIFIER_SESSION_KEY);
-        localStorage.removeItem(ADMIN_SESSION_KEY);
+        // Revoke sessions on the server and clear them locally
+        endStoredSession(VERIFIER_SESSION_KEY);
+        endStoredSession(ADMIN_SESSION_KEY);
         localStorage.removeItem(LAST_ACTIVITY_KEY);
 
         // Clear intervals
@@ -118,6 +119,11 @@ export function useInactivityTimeout() {
             setShowWarning(false);
             setTimeRemaining(WARNING_THRESHOLD);
         }
+
+        // Keep short-lived access tokens fresh while the user is still active
+        if (remainingTime > 0) {
+            refreshExpiringSessions();
+        }
     }, [checkLoginStatus, updateActivity, logout]);
 
     // Set up activity event listeners
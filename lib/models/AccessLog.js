@@ -42,6 +42,11 @@ const AccessLogSchema = new mongoose.Schema({
     metadata: {
         type: Object
     },
+    // Entities the event belongs to (an admin's entities for admin logins); empty = portal-wide
+    entityNames: {
+        type: [String],
+        index: true
+    },
     timestamp: {
         type: Date,
         default: Date.now,
@@ -5,6 +5,19 @@
 
 import mongoose from 'mongoose';
 
+// Account fields super admins can change (audited on every edit)
+export const ADMIN_FIELDS = [
+    'username',
+    'email',
+    'fullName',
+    'role',
+    'department',
+    'entities',
+    'permissions',
+    'revokedPermissions',
+    'isActive'
+];
+
 const AdminSchema = new mongoose.Schema({
     username: {
         type: String,
@@ -35,17 +48,84 @@ const AdminSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    // Granted on top of the role defaults in lib/permissions.js
     permissions: {
         type: [String],
         default: [],
     },
+    // Role defaults taken away from this admin
+    revokedPermissions: {
+        type: [String],
+        default: [],
+    },
+    // Entity codes this admin can see; ignored for super_admin, who sees every entity
+    entities: {
+        type: [String],
+        default: [],
+    },
     isActive: {
         type: Boolean,
         default: true,
     },
+    // Progressive lockout after repeated failed logins (see loginLockoutService)
+    failedLoginAttempts: {
+        type: Number,
+        default: 0,
+    },
+    failedLoginWindowStart: {
+        type: Date,
+    },
+    // Kept after expiry so the next lockout within a day lasts longer
+    lockedUntil: {
+        type: Date,
+    },
+    lockoutCount: {
+        type: Number,
+        default: 0,
+    },
     lastLoginAt: {
         type: Date,
     },
+    // Set for invited admins and after a forced reset; cleared when the admin picks a new password
+    mustChangePassword: {
+        type: Boolean,
+        default: false,
+    },
+    passwordChangedAt: {
+        type: Date,
+    },
+    invitedBy: {
+        type: String,
+    },
+    // TOTP second factor (see twoFactorService); secrets are encrypted, recovery codes hashed
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false,
+        },
+        secret: {
+            type: String,
+        },
+        // Generated at setup, promoted to secret once the admin confirms a code
+        pendingSecret: {
+            type: String,
+        },
+        recoveryCodes: {
+            type: [String],
+            default: [],
+        },
+        enabledAt: {
+            type: Date,
+        },
+        // Last time step accepted, so a code cannot be replayed
+        lastUsedStep: {
+            type: Number,
+        },
+        // Nonce of the outstanding login challenge; cleared when it is used
+        challengeNonce: {
+            type: String,
+        },
+    },
     testMode: {
         type: Boolean,
         default: false,
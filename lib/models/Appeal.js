@@ -26,6 +26,11 @@ const AppealSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    // Copied from the verification record for entity-scoped admin views
+    entityName: {
+        type: String,
+        index: true,
+    },
     appealReason: {
         type: String,
         required: true,
@@ -0,0 +1,59 @@
+/**
+ * AuditLog Model
+ * Append-only trail of changes admins make to master data
+ */
+
+import mongoose from 'mongoose';
+
+const AuditChangeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const AuditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete'],
+        required: true,
+        index: true
+    },
+    entityType: {
+        type: String,
+        required: true,
+        index: true
+    },
+    entityId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    changes: [AuditChangeSchema],
+    actorId: {
+        type: String,
+        required: true
+    },
+    actorName: {
+        type: String
+    },
+    actorRole: {
+        type: String
+    },
+    ipAddress: {
+        type: String
+    },
+    metadata: {
+        type: Object
+    }
+}, {
+    timestamps: true,
+    collection: 'audit_logs',
+});
+
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+// Prevent model recompilation in development
+export default mongoose.models.AuditLog || mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,92 @@
+/**
+ * ComparisonPolicy Model
+ * Admin-editable rules used to score verifier submissions against employee records.
+ * Policies are immutable once saved; every edit creates a new version.
+ */
+
+import mongoose from 'mongoose';
+
+const FieldRuleSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true,
+        enum: ['employeeId', 'name', 'entityName', 'dateOfJoining', 'dateOfLeaving', 'designation', 'exitReason'],
+    },
+    enabled: {
+        type: Boolean,
+        default: true,
+    },
+    weight: {
+        type: Number,
+        default: 1,
+        min: 0,
+    },
+    // Only used for date fields
+    toleranceDays: {
+        type: Number,
+        default: 1,
+        min: 0,
+    },
+    // Only used for name: similarity (0-1) counted as a match / earning partial credit
+    matchThreshold: {
+        type: Number,
+        min: 0,
+        max: 1,
+    },
+    partialThreshold: {
+        type: Number,
+        min: 0,
+        max: 1,
+    },
+    // A mismatch on a mandatory field forces overallStatus 'mismatch'
+    mandatory: {
+        type: Boolean,
+        default: false,
+    },
+}, { _id: false });
+
+const ComparisonPolicySchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    fields: {
+        type: [FieldRuleSchema],
+        default: [],
+    },
+    thresholds: {
+        // Minimum weighted score for 'matched'
+        matched: {
+            type: Number,
+            default: 100,
+            min: 0,
+            max: 100,
+        },
+        // Minimum weighted score for 'partial_match'
+        partialMatch: {
+            type: Number,
+            default: 70,
+            min: 0,
+            max: 100,
+        },
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true,
+    },
+    notes: {
+        type: String,
+    },
+    createdBy: {
+        type: String,
+    },
+}, {
+    timestamps: true,
+    collection: 'comparison_policies',
+});
+
+// Prevent model recompilation in development
+export default mongoose.models.ComparisonPolicy || mongoose.model('ComparisonPolicy', ComparisonPolicySchema);
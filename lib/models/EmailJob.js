@@ -0,0 +1,114 @@
+/**
+ * Email Job Model
+ * An outbound email waiting in, or finished with, the email queue. Each
+ * delivery attempt goes through the configured provider chain and is written
+ * to EmailLog with a link back to its job. Failed attempts are retried with
+ * exponential backoff; after maxAttempts the job is dead-lettered until an
+ * admin resends it. Delivered jobs are dropped 30 days after sending.
+ */
+
+import mongoose from 'mongoose';
+
+const EmailJobSchema = new mongoose.Schema({
+    to: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    subject: {
+        type: String,
+        required: true,
+    },
+    html: {
+        type: String,
+        required: true,
+    },
+    text: {
+        type: String,
+        default: null,
+    },
+    emailType: {
+        type: String,
+        default: 'other',
+    },
+    // What the email is about, e.g. { kind: 'appeal', id: 'APP000001' }
+    reference: {
+        kind: {
+            type: String,
+            default: null,
+        },
+        id: {
+            type: String,
+            default: null,
+        },
+    },
+    // Entity the email concerns, for entity-scoped admins; null for portal-wide mail
+    entityName: {
+        type: String,
+        default: null,
+    },
+    // pending: waiting for its next attempt; processing: claimed by a worker;
+    // sent: delivered; dead: out of attempts, waiting for an admin to resend it
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'sent', 'dead'],
+        default: 'pending',
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5,
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // A claimed job whose worker died is picked up again once this passes
+    lockedUntil: {
+        type: Date,
+        default: null,
+    },
+    lastError: {
+        type: String,
+        default: null,
+    },
+    provider: {
+        type: String,
+        default: null,
+    },
+    messageId: {
+        type: String,
+        default: null,
+    },
+    sentAt: {
+        type: Date,
+        default: null,
+    },
+    deadAt: {
+        type: Date,
+        default: null,
+    },
+    resentBy: {
+        type: String,
+        default: null,
+    },
+    resentAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+    collection: 'email_jobs',
+});
+
+EmailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailJobSchema.index({ 'reference.kind': 1, 'reference.id': 1 });
+
+// Only delivered jobs have sentAt, so pending and dead jobs are never expired
+EmailJobSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Prevent model recompilation in development
+export default mongoose.models.EmailJob || mongoose.model('EmailJob', EmailJobSchema);
@@ -6,14 +6,14 @@
 import mongoose from 'mongoose';
 
 const emailLogSchema = new mongoose.Schema({
+    // Name of any registered provider (see registerEmailProvider in emailProvider.js)
     provider: {
         type: String,
-        enum: ['sendgrid', 'brevo', 'resend'],
         required: true
     },
     emailType: {
         type: String,
-        enum: ['otp', 'welcome', 'verification_report', 'appeal_notification', 'appeal_response', 'other'],
+        enum: ['otp', 'welcome', 'verification_report', 'appeal_notification', 'appeal_response', 'admin_invite', 'admin_password_reset', 'unblock_decision', 'account_locked', 'other'],
         required: true
     },
     recipient: {
@@ -41,6 +41,12 @@ const emailLogSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    // Queued email this attempt belongs to; null for emails sent directly
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EmailJob',
+        default: null
+    },
     metadata: {
         type: mongoose.Schema.Types.Mixed,
         default: {}
@@ -53,6 +59,7 @@ const emailLogSchema = new mongoose.Schema({
 emailLogSchema.index({ provider: 1, status: 1 });
 emailLogSchema.index({ createdAt: -1 });
 emailLogSchema.index({ emailType: 1 });
+emailLogSchema.index({ job: 1, createdAt: 1 });
 
 // Static method to get provider statistics
 emailLogSchema.statics.getProviderStats = async function (startDate, endDate) {
@@ -5,6 +5,12 @@
 
 import mongoose from 'mongoose';
 
+// Editable master-data fields (everything except the employee ID key)
+export const EMPLOYEE_FIELDS = [
+    'name', 'email', 'entityName', 'dateOfJoining', 'dateOfLeaving',
+    'designation', 'exitReason', 'fnfStatus', 'department'
+];
+
 const EmployeeSchema = new mongoose.Schema({
     employeeId: {
         type: String,
@@ -24,7 +30,7 @@ const EmployeeSchema = new mongoose.Schema({
     entityName: {
         type: String,
         required: true,
-        enum: ['TVSCSHIB', 'HIB'],
+        index: true, // Entity.code
     },
     dateOfJoining: {
         type: Date,
@@ -0,0 +1,83 @@
+/**
+ * EmployeeImport Model
+ * An HRMS exit-list upload: the previewed diff against the employee master and,
+ * once committed, the import report
+ */
+
+import mongoose from 'mongoose';
+
+const ImportChangeSchema = new mongoose.Schema({
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const ImportRowSchema = new mongoose.Schema({
+    rowNumber: Number,
+    employeeId: String,
+    name: String,
+    action: {
+        type: String,
+        enum: ['new', 'changed', 'unchanged', 'invalid'],
+    },
+    changes: [ImportChangeSchema],
+    data: mongoose.Schema.Types.Mixed, // validated employee values applied on commit
+    validationErrors: [String],
+    result: {
+        type: String,
+        enum: ['created', 'updated', 'unchanged', 'skipped', 'failed'],
+    },
+    resultMessage: String,
+}, { _id: false });
+
+const EmployeeImportSchema = new mongoose.Schema({
+    importId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    fileName: {
+        type: String,
+    },
+    status: {
+        type: String,
+        enum: ['previewed', 'committed'],
+        default: 'previewed',
+        index: true,
+    },
+    uploadedBy: {
+        type: String,
+        required: true,
+    },
+    committedBy: {
+        type: String,
+    },
+    committedAt: {
+        type: Date,
+    },
+    summary: {
+        total: { type: Number, default: 0 },
+        new: { type: Number, default: 0 },
+        changed: { type: Number, default: 0 },
+        unchanged: { type: Number, default: 0 },
+        invalid: { type: Number, default: 0 },
+    },
+    report: {
+        created: { type: Number, default: 0 },
+        updated: { type: Number, default: 0 },
+        unchanged: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 },
+    },
+    rows: {
+        type: [ImportRowSchema],
+        default: [],
+    },
+}, {
+    timestamps: true,
+    collection: 'employee_imports',
+});
+
+// Prevent model recompilation in development
+export default mongoose.models.EmployeeImport || mongoose.model('EmployeeImport', EmployeeImportSchema);
@@ -0,0 +1,66 @@
+/**
+ * Entity Model
+ * A group company that employees belong to, with its letterhead branding
+ * and the exit team that handles verification queries
+ */
+
+import mongoose from 'mongoose';
+
+// Editable fields (everything except the code employees reference)
+export const ENTITY_FIELDS = ['legalName', 'shortName', 'branding', 'exitTeam', 'isActive'];
+
+const EntitySchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+        index: true,
+    },
+    legalName: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    shortName: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    branding: {
+        letterheadTitle: String,
+        letterheadSubtitle: String, // tagline or registered address
+        primaryColor: {
+            type: String,
+            default: '#007A3D',
+        },
+        logoUrl: String,
+    },
+    exitTeam: {
+        name: String,
+        email: {
+            type: String,
+            lowercase: true,
+            trim: true,
+        },
+        phone: String,
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true,
+    },
+    createdBy: {
+        type: String,
+    },
+    updatedBy: {
+        type: String,
+    },
+}, {
+    timestamps: true,
+    collection: 'entities',
+});
+
+// Prevent model recompilation in development
+export default mongoose.models.Entity || mongoose.model('Entity', EntitySchema);
@@ -0,0 +1,45 @@
+/**
+ * FieldAlias Model
+ * Admin-managed synonyms for free-text fields (designation, exit reason).
+ * Any alias or the canonical value itself is treated as equivalent during comparison.
+ */
+
+import mongoose from 'mongoose';
+
+const FieldAliasSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true,
+        enum: ['designation', 'exitReason'],
+        index: true,
+    },
+    // Entity the dictionary entry applies to; null applies to all entities
+    entityName: {
+        type: String,
+        default: null,
+        index: true,
+    },
+    canonicalValue: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    aliases: {
+        type: [String],
+        default: [],
+    },
+    createdBy: {
+        type: String,
+    },
+    updatedBy: {
+        type: String,
+    },
+}, {
+    timestamps: true,
+    collection: 'field_aliases',
+});
+
+FieldAliasSchema.index({ field: 1, entityName: 1, canonicalValue: 1 }, { unique: true });
+
+// Prevent model recompilation in development
+export default mongoose.models.FieldAlias || mongoose.model('FieldAlias', FieldAliasSchema);
@@ -0,0 +1,58 @@
+/**
+ * Otp Model
+ * The pending email login code for a verifier, one document per email. Only
+ * salted hashes of the code (and of the magic link nonce, if one was sent) are
+ * kept, together with a fingerprint of the browser and address that asked for
+ * it. Expired codes are dropped by the TTL index.
+ */
+
+import mongoose from 'mongoose';
+
+const OtpSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+    },
+    codeHash: {
+        type: String,
+        required: true,
+    },
+    salt: {
+        type: String,
+        required: true,
+    },
+    // Salted hash of the magic link's nonce, when the email carried a login link
+    linkHash: {
+        type: String,
+        default: null,
+    },
+    // Hash of the requesting IP address and user agent; the code only works from there
+    fingerprint: {
+        type: String,
+        required: true,
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    // Set on every request (not only the first), for the resend cooldown
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, {
+    collection: 'otps',
+});
+
+// Remove codes as soon as they expire
+OtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Prevent model recompilation in development
+export default mongoose.models.Otp || mongoose.model('Otp', OtpSchema);
@@ -0,0 +1,33 @@
+/**
+ * RateLimitBucket Model
+ * Hit counters for the shared rate limiter when RATE_LIMIT_STORE=mongodb,
+ * one document per bucket key (e.g. "login:ip:203.0.113.7"). Expired windows are
+ * dropped by the TTL index.
+ */
+
+import mongoose from 'mongoose';
+
+const RateLimitBucketSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    totalHits: {
+        type: Number,
+        default: 0,
+    },
+    resetTime: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true,
+    collection: 'rate_limit_buckets',
+});
+
+// Remove buckets once their window has ended
+RateLimitBucketSchema.index({ resetTime: 1 }, { expireAfterSeconds: 0 });
+
+// Prevent model recompilation in development
+export default mongoose.models.RateLimitBucket || mongoose.model('RateLimitBucket', RateLimitBucketSchema);
@@ -0,0 +1,93 @@
+/**
+ * SecurityAlert Model
+ * Suspicious verifier activity raised for admin review, e.g. a verifier
+ * probing many employee IDs (see lib/services/enumerationDetectionService.js)
+ */
+
+import mongoose from 'mongoose';
+
+// One rule that fired: measured value against the policy threshold
+const AlertSignalSchema = new mongoose.Schema({
+    rule: {
+        type: String,
+        required: true,
+        enum: ['distinct_failures', 'failure_rate', 'burst', 'sequential_ids'],
+    },
+    value: {
+        type: Number,
+        required: true,
+    },
+    threshold: {
+        type: Number,
+        required: true,
+    },
+    detail: {
+        type: String,
+    },
+}, { _id: false });
+
+const SecurityAlertSchema = new mongoose.Schema({
+    alertId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['employee_enumeration'],
+    },
+    verifierId: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    verifierEmail: {
+        type: String,
+    },
+    companyName: {
+        type: String,
+    },
+    signals: {
+        type: [AlertSignalSchema],
+        default: [],
+    },
+    // Employee IDs that failed inside the detection window (capped)
+    sampleEmployeeIds: {
+        type: [String],
+        default: [],
+    },
+    // What was done automatically when the alert was raised
+    actionTaken: {
+        type: String,
+        enum: ['flagged', 'throttled', 'suspended'],
+        required: true,
+    },
+    throttledUntil: {
+        type: Date,
+    },
+    status: {
+        type: String,
+        enum: ['open', 'acknowledged', 'resolved'],
+        default: 'open',
+        index: true,
+    },
+    resolutionNote: {
+        type: String,
+    },
+    reviewedBy: {
+        type: String,
+    },
+    reviewedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+    collection: 'security_alerts',
+});
+
+SecurityAlertSchema.index({ verifierId: 1, type: 1, status: 1 });
+
+// Prevent model recompilation in development
+export default mongoose.models.SecurityAlert || mongoose.model('SecurityAlert', SecurityAlertSchema);
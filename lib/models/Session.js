@@ -0,0 +1,87 @@
+/**
+ * Session Model
+ * One document per login of a verifier or admin. Holds the hash of the current
+ * refresh token, which is replaced on every refresh; access tokens carry the
+ * session ID so revoking the session cuts them off too. Expired sessions are
+ * dropped by the TTL index.
+ */
+
+import mongoose from 'mongoose';
+
+const SessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true,
+    },
+    userType: {
+        type: String,
+        enum: ['admin', 'verifier'],
+        required: true,
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // Hash of the token the current one replaced; presenting it again means it was copied
+    previousRefreshTokenHash: {
+        type: String,
+        default: null,
+        index: true,
+    },
+    rotatedAt: {
+        type: Date,
+        default: null,
+    },
+    ipAddress: {
+        type: String,
+        default: 'unknown',
+    },
+    userAgent: {
+        type: String,
+        default: 'unknown',
+    },
+    // Short label such as "Chrome on Windows"
+    device: {
+        type: String,
+        default: 'Unknown device',
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedBy: {
+        type: String,
+        default: null,
+    },
+    // logout | user | admin | password_change | refresh_token_reuse | account_disabled
+    revokedReason: {
+        type: String,
+        default: null,
+    },
+}, {
+    timestamps: true,
+    collection: 'sessions',
+});
+
+SessionSchema.index({ userType: 1, userId: 1, revokedAt: 1 });
+
+// Remove sessions once the refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Prevent model recompilation in development
+export default mongoose.models.Session || mongoose.model('Session', SessionSchema);
@@ -0,0 +1,30 @@
+/**
+ * Setting Model
+ * Admin-editable portal settings stored as one document per key
+ * (e.g. the verification attempt policy). Defaults live in the service that owns each key.
+ */
+
+import mongoose from 'mongoose';
+
+const SettingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+    updatedBy: {
+        type: String,
+    },
+}, {
+    timestamps: true,
+    collection: 'settings',
+    minimize: false,
+});
+
+// Prevent model recompilation in development
+export default mongoose.models.Setting || mongoose.model('Setting', SettingSchema);
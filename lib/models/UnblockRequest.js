@@ -0,0 +1,64 @@
+/**
+ * UnblockRequest Model
+ * A blocked verifier's request to reset their attempts for one employee
+ */
+
+import mongoose from 'mongoose';
+
+const UnblockRequestSchema = new mongoose.Schema({
+    requestId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    verifierId: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    verifierEmail: {
+        type: String,
+        required: true,
+    },
+    companyName: {
+        type: String,
+    },
+    employeeId: {
+        type: String,
+        required: true,
+    },
+    // From the employee record when the ID exists, for entity-scoped admin views
+    entityName: {
+        type: String,
+        index: true,
+    },
+    justification: {
+        type: String,
+        required: true,
+    },
+    status: {
+        type: String,
+        required: true,
+        enum: ['pending', 'approved', 'denied'],
+        default: 'pending',
+        index: true,
+    },
+    reviewNote: {
+        type: String,
+    },
+    reviewedBy: {
+        type: String,
+    },
+    reviewedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+    collection: 'unblock_requests',
+});
+
+UnblockRequestSchema.index({ verifierId: 1, employeeId: 1, status: 1 });
+
+// Prevent model recompilation in development
+export default mongoose.models.UnblockRequest || mongoose.model('UnblockRequest', UnblockRequestSchema);
@@ -1,13 +1,25 @@
 /**
  * VerificationAttempt Model
  * Tracks failed verification attempts per verifier+employee combination
- * Blocks verification after MAX_ATTEMPTS consecutive failures
+ * Blocks verification once the attempt policy's limit is reached (lib/services/attemptPolicyService.js)
  */
 
 import mongoose from 'mongoose';
 
-const MAX_ATTEMPTS = 3;
-const EXIT_TEAM_EMAIL = 'biswajit.dash@codemate.ai';
+// Also the upper bound for the policy's maxAttempts, since failures are counted from history
+const MAX_HISTORY = 20;
+
+// One failed attempt: employee_not_found | name_mismatch | entity_mismatch
+const AttemptEntrySchema = new mongoose.Schema({
+    reason: {
+        type: String,
+        required: true
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
 
 const VerificationAttemptSchema = new mongoose.Schema({
     verifierId: {
@@ -20,6 +32,7 @@ const VerificationAttemptSchema = new mongoose.Schema({
         required: true,
         index: true,
     },
+    // Failures since the last reset; blocking only counts those inside the policy's window
     attemptCount: {
         type: Number,
         default: 0,
@@ -31,10 +44,23 @@ const VerificationAttemptSchema = new mongoose.Schema({
     blockedAt: {
         type: Date,
     },
+    // When the block lifts by itself; unset means until HR unblocks (blocks made before expiry existed)
+    blockedUntil: {
+        type: Date,
+    },
+    // Failures up to this point no longer count (successful lookup, HR unblock, expiry or quiet period)
+    countResetAt: {
+        type: Date,
+    },
     lastAttemptAt: {
         type: Date,
         default: Date.now,
     },
+    // Most recent failures (last MAX_HISTORY), kept across resets for the unblock queue
+    history: {
+        type: [AttemptEntrySchema],
+        default: [],
+    },
 }, {
     timestamps: true,
     collection: 'verification_attempts',
@@ -43,21 +69,9 @@ const VerificationAttemptSchema = new mongoose.Schema({
 // Compound index for efficient lookups
 VerificationAttemptSchema.index({ verifierId: 1, employeeId: 1 }, { unique: true });
 
-// Static method to get blocked message
-VerificationAttemptSchema.statics.getBlockedMessage = function () {
-    return `Maximum attempts reached. Please reach out to exit team - ${EXIT_TEAM_EMAIL}`;
-};
-
-// Static method to get max attempts
-VerificationAttemptSchema.statics.getMaxAttempts = function () {
-    return MAX_ATTEMPTS;
-};
-
 // Export constants for use elsewhere
 export const VERIFICATION_ATTEMPT_CONFIG = {
-    MAX_ATTEMPTS,
-    EXIT_TEAM_EMAIL,
-    BLOCKED_MESSAGE: `Maximum attempts reached. Please reach out to exit team - ${EXIT_TEAM_EMAIL}`
+    MAX_HISTORY
 };
 
 export default mongoose.models.VerificationAttempt || mongoose.model('VerificationAttempt', VerificationAttemptSchema);
@@ -0,0 +1,60 @@
+/**
+ * VerificationBatch Model
+ * Represents a bulk verification upload and its per-row outcome
+ */
+
+import mongoose from 'mongoose';
+
+const BatchRowResultSchema = new mongoose.Schema({
+    rowNumber: Number,
+    employeeId: String,
+    name: String,
+    status: {
+        type: String,
+        enum: ['verified', 'error'],
+    },
+    verificationId: String,
+    overallStatus: String,
+    matchScore: Number,
+    mismatchedFields: [String],
+    error: String,
+}, { _id: false });
+
+const VerificationBatchSchema = new mongoose.Schema({
+    batchId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    verifierId: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    fileName: {
+        type: String,
+    },
+    totalRows: {
+        type: Number,
+        default: 0,
+    },
+    verifiedCount: {
+        type: Number,
+        default: 0,
+    },
+    errorCount: {
+        type: Number,
+        default: 0,
+    },
+    results: {
+        type: [BatchRowResultSchema],
+        default: [],
+    },
+}, {
+    timestamps: true,
+    collection: 'verification_batches',
+});
+
+// Prevent model recompilation in development
+export default mongoose.models.VerificationBatch || mongoose.model('VerificationBatch', VerificationBatchSchema);
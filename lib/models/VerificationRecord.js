@@ -11,6 +11,44 @@ const ComparisonResultSchema = new mongoose.Schema({
     companyValue: String,
     isMatch: Boolean,
     matchType: String,
+    similarity: Number,
+    matchReason: String,
+    canonicalValue: String,
+    weight: Number,
+    mandatory: Boolean,
+}, { _id: false });
+
+// Append-only history entry; holds the state of the record before the change
+const AmendmentSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        required: true,
+        enum: ['amend', 'revoke'],
+    },
+    previousRecordStatus: String,
+    previousOverallStatus: String,
+    previousMatchScore: Number,
+    previousComparisonResults: {
+        type: [ComparisonResultSchema],
+        default: [],
+    },
+    amendedFields: {
+        type: [String],
+        default: [],
+    },
+    reason: {
+        type: String,
+        required: true,
+    },
+    appealId: String,
+    changedBy: {
+        type: String,
+        required: true,
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now,
+    },
 }, { _id: false });
 
 const VerificationRecordSchema = new mongoose.Schema({
@@ -25,6 +63,11 @@ const VerificationRecordSchema = new mongoose.Schema({
         required: true,
         index: true,
     },
+    // Employee's entity at verification time, so admin views can be scoped by entity
+    entityName: {
+        type: String,
+        index: true,
+    },
     verifierId: {
         type: String,
         required: true,
@@ -53,9 +96,32 @@ const VerificationRecordSchema = new mongoose.Schema({
         type: Boolean,
         required: true,
     },
+    // Lifecycle of the record after creation
+    recordStatus: {
+        type: String,
+        enum: ['completed', 'under_appeal', 'amended', 'revoked'],
+        default: 'completed',
+        index: true,
+    },
+    amendments: {
+        type: [AmendmentSchema],
+        default: [],
+    },
     pdfReportUrl: {
         type: String,
     },
+    pdfReportPath: {
+        type: String,
+    },
+    batchId: {
+        type: String,
+        index: true,
+    },
+    // Comparison policy version applied (0 = built-in default)
+    policyVersion: {
+        type: Number,
+        default: 0,
+    },
     verificationCompletedAt: {
         type: Date,
         default: Date.now,
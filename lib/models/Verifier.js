@@ -5,6 +5,26 @@
 
 import mongoose from 'mongoose';
 
+// One approve / reject / suspend / reactivate decision by an admin
+const VerifierStatusChangeSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['approved', 'rejected', 'suspended', 'reactivated'],
+        required: true
+    },
+    reason: {
+        type: String
+    },
+    changedBy: {
+        type: String,
+        required: true
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const VerifierSchema = new mongoose.Schema({
     companyName: {
         type: String,
@@ -25,10 +45,29 @@ const VerifierSchema = new mongoose.Schema({
         type: Boolean,
         default: false,
     },
+    // false while suspended; see statusReason for why
     isActive: {
         type: Boolean,
         default: true,
     },
+    // pending when REQUIRE_VERIFIER_APPROVAL is on and HR has not reviewed the registration yet
+    approvalStatus: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'approved',
+        index: true,
+    },
+    statusReason: {
+        type: String,
+    },
+    statusHistory: {
+        type: [VerifierStatusChangeSchema],
+        default: [],
+    },
+    // Set by enumeration detection; employee lookups are refused until then
+    lookupThrottledUntil: {
+        type: Date,
+    },
     verificationRequests: {
         type: [String],
         default: [],
@@ -37,6 +76,22 @@ const VerifierSchema = new mongoose.Schema({
         type: Array,
         default: [],
     },
+    // Progressive lockout after repeated failed logins (see loginLockoutService)
+    failedLoginAttempts: {
+        type: Number,
+        default: 0,
+    },
+    failedLoginWindowStart: {
+        type: Date,
+    },
+    // Kept after expiry so the next lockout within a day lasts longer
+    lockedUntil: {
+        type: Date,
+    },
+    lockoutCount: {
+        type: Number,
+        default: 0,
+    },
     lastLoginAt: {
         type: Date,
     },
@@ -10,4 +10,17 @@ export { default as VerificationRecord } from './VerificationRecord.js';
 export { default as Appeal } from './Appeal.js';
 export { default as VerificationAttempt } from './VerificationAttempt.js';
 export { default as AccessLog } from './AccessLog.js';
+export { default as VerificationBatch } from './VerificationBatch.js';
+export { default as ComparisonPolicy } from './ComparisonPolicy.js';
+export { default as FieldAlias } from './FieldAlias.js';
 
+export { default as AuditLog } from './AuditLog.js';
+export { default as EmployeeImport } from './EmployeeImport.js';
+export { default as Entity } from './Entity.js';
+export { default as UnblockRequest } from './UnblockRequest.js';
+export { default as Setting } from './Setting.js';
+export { default as SecurityAlert } from './SecurityAlert.js';
+export { default as RateLimitBucket } from './RateLimitBucket.js';
+export { default as Session } from './Session.js';
+export { default as Otp } from './Otp.js';
+export { default as EmailJob } from './EmailJob.js';
@@ -4,176 +4,913 @@
  * This replaces file-based storage for server-side API routes
  */
 
+import mongoose from 'mongoose';
 import connectDB from './db/mongodb.js';
-import { Employee, Verifier, Admin, VerificationRecord, Appeal, AccessLog } from './models/index.js';
+import { Employee, Verifier, Admin, VerificationRecord, Appeal, AccessLog, VerificationBatch, ComparisonPolicy, FieldAlias, AuditLog, EmployeeImport, Entity, UnblockRequest, Setting, SecurityAlert, RateLimitBucket, Session, EmailJob } from './models/index.js';
+import { DEFAULT_ENTITIES } from './data/companies.js';
 
 // Ensure DB connection before operations
 async function ensureConnection() {
     await connectDB();
 }
 
+// Query restricting a field to an admin's entity scope (null scope = no restriction)
+function entityScopeQuery(entityNames, field = 'entityName') {
+    return entityNames ? { [field]: { $in: entityNames } } : {};
+}
+
 // ==================== VERIFIER OPERATIONS ====================
 
 /**
- * Get all verifiers
+ * Get all verifiers
+ */
+export async function getVerifiers() {
+    await ensureConnection();
+    return await Verifier.find({}).lean();
+}
+
+/**
+ * Add a new verifier
+ */
+export async function addVerifier(verifierData) {
+    await ensureConnection();
+    const verifier = new Verifier(verifierData);
+    return await verifier.save();
+}
+
+/**
+ * Find verifier by email
+ */
+export async function findVerifierByEmail(email) {
+    await ensureConnection();
+    return await Verifier.findOne({ email: email.toLowerCase() }).lean();
+}
+
+/**
+ * Find verifier by ID
+ */
+export async function findVerifierById(id) {
+    await ensureConnection();
+    return await Verifier.findById(id).lean();
+}
+
+/**
+ * Update verifier data
+ */
+export async function updateVerifier(id, updatedData) {
+    await ensureConnection();
+    return await Verifier.findByIdAndUpdate(
+        id,
+        { $set: updatedData },
+        { new: true, runValidators: true }
+    ).lean();
+}
+
+// Directory filters; verifiers created before approvals existed have no approvalStatus and count as approved
+const VERIFIER_STATUS_QUERIES = {
+    pending: { approvalStatus: 'pending' },
+    rejected: { approvalStatus: 'rejected' },
+    active: { approvalStatus: { $nin: ['pending', 'rejected'] }, isActive: true },
+    suspended: { approvalStatus: { $nin: ['pending', 'rejected'] }, isActive: false }
+};
+
+/**
+ * Search verifiers for the admin directory
+ * @param {Object} options - search (company name or email), status (pending | active | suspended | rejected), page, limit
+ * @returns {Promise<Object>} { verifiers, pagination, statusCounts }
+ */
+export async function searchVerifiers({ search, status, page = 1, limit = 20 } = {}) {
+    await ensureConnection();
+
+    const query = { ...(VERIFIER_STATUS_QUERIES[status] || {}) };
+    if (search) {
+        const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [{ companyName: pattern }, { email: pattern }];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [verifiers, total, statusCounts] = await Promise.all([
+        Verifier.find(query)
+            .select('-password -bypassToken -notifications')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Verifier.countDocuments(query),
+        countVerifiersByStatus()
+    ]);
+
+    return {
+        verifiers,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        },
+        statusCounts
+    };
+}
+
+/**
+ * Count verifiers in each directory status
+ * @returns {Promise<Object>} { pending, active, suspended, rejected }
+ */
+export async function countVerifiersByStatus() {
+    await ensureConnection();
+
+    const entries = await Promise.all(
+        Object.entries(VERIFIER_STATUS_QUERIES).map(async ([status, query]) => [status, await Verifier.countDocuments(query)])
+    );
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Clear verifier notifications
+ */
+export async function clearVerifierNotifications(verifierId) {
+    await ensureConnection();
+    return await Verifier.findByIdAndUpdate(
+        verifierId,
+        { $set: { notifications: [] } },
+        { new: true }
+    ).lean();
+}
+
+// ==================== EMPLOYEE OPERATIONS ====================
+
+/**
+ * Find employee by employee ID
+ */
+export async function findEmployeeById(employeeId) {
+    await ensureConnection();
+    return await Employee.findOne({ employeeId }).lean();
+}
+
+/**
+ * Get all employees
+ * @param {Object} [options] - entityNames: restrict to these entities (omit for all)
+ */
+export async function getEmployees({ entityNames } = {}) {
+    await ensureConnection();
+    return await Employee.find(entityScopeQuery(entityNames)).lean();
+}
+
+/**
+ * Search employees with filters and pagination
+ * @param {Object} options - search (employee ID, name or email), entityName, department,
+ *                           leftFrom / leftTo (date of leaving range), page, limit,
+ *                           entityNames (admin's entity scope, omit for all)
+ * @returns {Promise<Object>} { employees, pagination }
+ */
+export async function searchEmployees({ search, entityName, department, leftFrom, leftTo, page = 1, limit = 20, entityNames } = {}) {
+    await ensureConnection();
+
+    const query = {};
+    if (search) {
+        const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [{ employeeId: pattern }, { name: pattern }, { email: pattern }];
+    }
+    if (entityNames) {
+        query.entityName = { $in: entityName ? entityNames.filter(code => code === entityName) : entityNames };
+    } else if (entityName) {
+        query.entityName = entityName;
+    }
+    if (department) query.department = department;
+    if (leftFrom || leftTo) {
+        query.dateOfLeaving = {};
+        if (leftFrom) query.dateOfLeaving.$gte = new Date(leftFrom);
+        if (leftTo) query.dateOfLeaving.$lte = new Date(leftTo);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [employees, total] = await Promise.all([
+        Employee.find(query)
+            .sort({ employeeId: 1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Employee.countDocuments(query)
+    ]);
+
+    return {
+        employees,
+        pagination: {
+            total,
+            pages: Math.ceil(total / limit),
+            page,
+            limit
+        }
+    };
+}
+
+/**
+ * Find employees by a list of employee IDs
+ */
+export async function findEmployeesByIds(employeeIds) {
+    await ensureConnection();
+    return await Employee.find({ employeeId: { $in: employeeIds } }).lean();
+}
+
+/**
+ * Create or replace an employee's master data, keyed on employee ID
+ */
+export async function upsertEmployee(employeeId, employeeData) {
+    await ensureConnection();
+    return await Employee.findOneAndUpdate(
+        { employeeId },
+        { $set: { ...employeeData, employeeId } },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+}
+
+/**
+ * Get the distinct departments in the employee master
+ */
+export async function getEmployeeDepartments() {
+    await ensureConnection();
+    return (await Employee.distinct('department')).sort();
+}
+
+/**
+ * Add a new employee
+ */
+export async function addEmployee(employeeData) {
+    await ensureConnection();
+    const employee = await Employee.create(employeeData);
+    return employee.toObject();
+}
+
+/**
+ * Update employee by employee ID
+ */
+export async function updateEmployee(employeeId, updateData) {
+    await ensureConnection();
+    return await Employee.findOneAndUpdate(
+        { employeeId },
+        { $set: updateData },
+        { new: true, runValidators: true }
+    ).lean();
+}
+
+/**
+ * Delete employee by employee ID
+ */
+export async function deleteEmployee(employeeId) {
+    await ensureConnection();
+    return await Employee.findOneAndDelete({ employeeId }).lean();
+}
+
+/**
+ * Count verification records made against an employee
+ */
+export async function countVerificationRecordsForEmployee(employeeId) {
+    await ensureConnection();
+    return await VerificationRecord.countDocuments({ employeeId });
+}
+
+// ==================== ENTITY OPERATIONS ====================
+
+/**
+ * Get group entities, sorted by code
+ * Seeds the default entities the first time the collection is read
+ */
+export async function getEntities({ activeOnly = false } = {}) {
+    await ensureConnection();
+
+    if (await Entity.estimatedDocumentCount() === 0) {
+        await Entity.insertMany(DEFAULT_ENTITIES, { ordered: false }).catch(() => {
+            // Another request seeded concurrently; duplicates are ignored
+        });
+    }
+
+    const query = activeOnly ? { isActive: true } : {};
+    return await Entity.find(query).sort({ code: 1 }).lean();
+}
+
+/**
+ * Find entity by code
+ */
+export async function findEntityByCode(code) {
+    await ensureConnection();
+    return await Entity.findOne({ code: String(code).toUpperCase() }).lean();
+}
+
+/**
+ * Add a new entity
+ */
+export async function addEntity(entityData) {
+    await ensureConnection();
+    const entity = await Entity.create(entityData);
+    return entity.toObject();
+}
+
+/**
+ * Update entity by code
+ */
+export async function updateEntity(code, updateData) {
+    await ensureConnection();
+    return await Entity.findOneAndUpdate(
+        { code },
+        { $set: updateData },
+        { new: true, runValidators: true }
+    ).lean();
+}
+
+/**
+ * Delete entity by code
+ */
+export async function deleteEntity(code) {
+    await ensureConnection();
+    return await Entity.findOneAndDelete({ code }).lean();
+}
+
+/**
+ * Count employees that belong to an entity
+ */
+export async function countEmployeesForEntity(code) {
+    await ensureConnection();
+    return await Employee.countDocuments({ entityName: code });
+}
+
+// ==================== ADMIN OPERATIONS ====================
+
+// Two-factor material that never leaves the server
+const ADMIN_SECRET_FIELDS = '-twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes -twoFactor.challengeNonce';
+
+/**
+ * Find admin by username
+ */
+export async function findAdminByUsername(username) {
+    await ensureConnection();
+    return await Admin.findOne({ username }).lean();
+}
+
+/**
+ * Find admin by ID
+ */
+export async function findAdminById(id) {
+    await ensureConnection();
+    return await Admin.findById(id).lean();
+}
+
+/**
+ * Get all admins (without password hashes)
+ */
+export async function getAdmins() {
+    await ensureConnection();
+    return await Admin.find({}).select(`-password -bypassToken ${ADMIN_SECRET_FIELDS}`).sort({ username: 1 }).lean();
+}
+
+/**
+ * Create an admin account
+ * @returns {Promise<Object>} Created admin (without password hash)
+ */
+export async function addAdmin(adminData) {
+    await ensureConnection();
+    const admin = await Admin.create(adminData);
+    const { password, bypassToken, ...adminObj } = admin.toObject();
+    return adminObj;
+}
+
+/**
+ * Update an admin account
+ * @returns {Promise<Object|null>} Updated admin (without password hash), or null if not found
+ */
+export async function updateAdmin(id, updateData) {
+    await ensureConnection();
+    return await Admin.findByIdAndUpdate(
+        id,
+        { $set: updateData },
+        { new: true, runValidators: true }
+    ).select(`-password -bypassToken ${ADMIN_SECRET_FIELDS}`).lean();
+}
+
+/**
+ * Spend a login challenge and second factor in one conditional update
+ * @param {String} id - Admin ID
+ * @param {Object} condition - Admin fields that must still hold (see twoFactorService.checkSecondFactor)
+ * @param {Object} update - Update operators that spend the factor
+ * @returns {Promise<Object|null>} The admin's remaining twoFactor.recoveryCodes, or null if the challenge or factor was already used
+ */
+export async function consumeAdminSecondFactor(id, condition, update) {
+    await ensureConnection();
+    return await Admin.findOneAndUpdate(
+        { _id: id, ...condition },
+        update,
+        { new: true }
+    ).select('twoFactor.recoveryCodes').lean();
+}
+
+/**
+ * Update admin last login
+ */
+export async function updateAdminLastLogin(id) {
+    await ensureConnection();
+    return await Admin.findByIdAndUpdate(
+        id,
+        { $set: { lastLoginAt: new Date() } },
+        { new: true }
+    ).lean();
+}
+
+// ==================== LOGIN LOCKOUT OPERATIONS ====================
+
+const LOCKOUT_MODELS = { verifier: Verifier, admin: Admin };
+
+/**
+ * Count a wrong password against a verifier or admin account
+ * Starts a new failure window when there is none or it has ended; done in one
+ * pipeline update so concurrent failures are all counted.
+ * @param {String} role - 'verifier' | 'admin'
+ * @returns {Promise<Object|null>} failedLoginAttempts, lockedUntil and lockoutCount after this failure
+ */
+export async function incrementFailedLogin(role, id, windowMs) {
+    await ensureConnection();
+    const now = new Date();
+    const windowOpen = { $gt: ['$failedLoginWindowStart', new Date(now.getTime() - windowMs)] };
+    return await LOCKOUT_MODELS[role].findByIdAndUpdate(
+        id,
+        [{
+            $set: {
+                failedLoginAttempts: { $cond: [windowOpen, { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] }, 1] },
+                failedLoginWindowStart: { $cond: [windowOpen, '$failedLoginWindowStart', now] }
+            }
+        }],
+        { new: true, updatePipeline: true }
+    ).select('failedLoginAttempts lockedUntil lockoutCount').lean();
+}
+
+/**
+ * Lock an account whose failed logins reached the limit
+ * Clears the failure count in the same update, so only one of several concurrent
+ * failures locks the account.
+ * @param {String} role - 'verifier' | 'admin'
+ * @param {Object} lock - { lockedUntil, lockoutCount }
+ * @returns {Promise<Boolean>} Whether this call locked the account
+ */
+export async function lockAccountAfterFailures(role, id, maxFailures, lock) {
+    await ensureConnection();
+    const { modifiedCount } = await LOCKOUT_MODELS[role].updateOne(
+        { _id: id, failedLoginAttempts: { $gte: maxFailures } },
+        { $set: { ...lock, failedLoginAttempts: 0, failedLoginWindowStart: null } }
+    );
+    return modifiedCount === 1;
+}
+
+// ==================== VERIFICATION RECORD OPERATIONS ====================
+
+/**
+ * Get all verification records
+ * @param {Object} [options] - entityNames: restrict to these entities (omit for all)
+ */
+export async function getVerificationRecords({ entityNames } = {}) {
+    await ensureConnection();
+    return await VerificationRecord.find(entityScopeQuery(entityNames)).lean();
+}
+
+/**
+ * Find verification record by ID
+ */
+export async function findVerificationRecord(verificationId) {
+    await ensureConnection();
+    return await VerificationRecord.findOne({ verificationId }).lean();
+}
+
+/**
+ * Add a new verification record
+ */
+export async function addVerificationRecord(recordData) {
+    await ensureConnection();
+    const record = new VerificationRecord(recordData);
+    return await record.save();
+}
+
+/**
+ * Get verification records by verifier ID
+ */
+export async function getVerificationRecordsByVerifier(verifierId, { entityNames } = {}) {
+    await ensureConnection();
+    return await VerificationRecord.find({ verifierId, ...entityScopeQuery(entityNames) }).lean();
+}
+
+/**
+ * Update verification record
+ */
+export async function updateVerificationRecord(verificationId, updateData) {
+    await ensureConnection();
+    return await VerificationRecord.findOneAndUpdate(
+        { verificationId },
+        { $set: updateData },
+        { new: true, runValidators: true }
+    ).lean();
+}
+
+/**
+ * Change a verification record and append the change to its amendment history
+ * The stored PDF is cleared so the next report request regenerates it
+ * @param {String} verificationId - Verification ID
+ * @param {Object} updateData - Fields to set (recordStatus, comparisonResults, ...)
+ * @param {Object} amendment - History entry holding the previous state
+ */
+export async function amendVerificationRecord(verificationId, updateData, amendment) {
+    await ensureConnection();
+    return await VerificationRecord.findOneAndUpdate(
+        { verificationId },
+        {
+            $set: updateData,
+            $push: { amendments: { ...amendment, changedAt: new Date() } },
+            $unset: { pdfReportUrl: '', pdfReportPath: '' }
+        },
+        { new: true, runValidators: true }
+    ).lean();
+}
+
+// ==================== VERIFICATION BATCH OPERATIONS ====================
+
+/**
+ * Add a new bulk verification batch
+ */
+export async function addVerificationBatch(batchData) {
+    await ensureConnection();
+    const batch = new VerificationBatch(batchData);
+    return await batch.save();
+}
+
+/**
+ * Find verification batch by ID
+ */
+export async function findVerificationBatch(batchId) {
+    await ensureConnection();
+    return await VerificationBatch.findOne({ batchId }).lean();
+}
+
+// ==================== EMPLOYEE IMPORT OPERATIONS ====================
+
+/**
+ * Add a new employee import (preview)
+ */
+export async function addEmployeeImport(importData) {
+    await ensureConnection();
+    const employeeImport = await EmployeeImport.create(importData);
+    return employeeImport.toObject();
+}
+
+/**
+ * Find employee import by ID
+ */
+export async function findEmployeeImport(importId) {
+    await ensureConnection();
+    return await EmployeeImport.findOne({ importId }).lean();
+}
+
+/**
+ * Get recent employee imports without their rows, newest first
+ */
+export async function getEmployeeImports(limit = 20) {
+    await ensureConnection();
+    return await EmployeeImport.find({})
+        .select('-rows')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+}
+
+/**
+ * Mark a previewed import as committed
+ * Only matches imports still in preview so a second commit is a no-op (returns null)
+ */
+export async function claimEmployeeImportCommit(importId, committedBy) {
+    await ensureConnection();
+    return await EmployeeImport.findOneAndUpdate(
+        { importId, status: 'previewed' },
+        { $set: { status: 'committed', committedBy, committedAt: new Date() } },
+        { new: true }
+    ).lean();
+}
+
+/**
+ * Update employee import
  */
-export async function getVerifiers() {
+export async function updateEmployeeImport(importId, updateData) {
     await ensureConnection();
-    return await Verifier.find({}).lean();
+    return await EmployeeImport.findOneAndUpdate(
+        { importId },
+        { $set: updateData },
+        { new: true }
+    ).lean();
 }
 
+// ==================== COMPARISON POLICY OPERATIONS ====================
+
 /**
- * Add a new verifier
+ * Get the active comparison policy (null if none has been saved yet)
  */
-export async function addVerifier(verifierData) {
+export async function getActiveComparisonPolicy() {
     await ensureConnection();
-    const verifier = new Verifier(verifierData);
-    return await verifier.save();
+    return await ComparisonPolicy.findOne({ isActive: true }).sort({ version: -1 }).lean();
 }
 
 /**
- * Find verifier by email
+ * Get saved comparison policy versions, newest first
  */
-export async function findVerifierByEmail(email) {
+export async function getComparisonPolicies(limit = 20) {
     await ensureConnection();
-    return await Verifier.findOne({ email: email.toLowerCase() }).lean();
+    return await ComparisonPolicy.find({}).sort({ version: -1 }).limit(limit).lean();
 }
 
 /**
- * Find verifier by ID
+ * Find a comparison policy by version
  */
-export async function findVerifierById(id) {
+export async function findComparisonPolicyByVersion(version) {
     await ensureConnection();
-    return await Verifier.findById(id).lean();
+    return await ComparisonPolicy.findOne({ version }).lean();
 }
 
+const POLICY_VERSION_ATTEMPTS = 5;
+
 /**
- * Update verifier data
+ * Save a new comparison policy version and make it the active one
+ * Retries with the next version when a concurrent save takes the same number
  */
-export async function updateVerifier(id, updatedData) {
+export async function addComparisonPolicy(policyData) {
     await ensureConnection();
-    return await Verifier.findByIdAndUpdate(
-        id,
-        { $set: updatedData },
+    let policy;
+    for (let attempt = 1; ; attempt++) {
+        const latest = await ComparisonPolicy.findOne({}).sort({ version: -1 }).lean();
+        policy = new ComparisonPolicy({
+            ...policyData,
+            version: (latest?.version || 0) + 1,
+            isActive: true
+        });
+        try {
+            await policy.save();
+            break;
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= POLICY_VERSION_ATTEMPTS) throw error;
+        }
+    }
+    await ComparisonPolicy.updateMany(
+        { _id: { $ne: policy._id }, isActive: true },
+        { $set: { isActive: false } }
+    );
+    return policy.toObject();
+}
+
+// ==================== SECURITY ALERT OPERATIONS ====================
+
+/**
+ * Add a security alert
+ */
+export async function addSecurityAlert(alertData) {
+    await ensureConnection();
+    const alert = await SecurityAlert.create(alertData);
+    return alert.toObject();
+}
+
+/**
+ * Find security alert by ID
+ */
+export async function findSecurityAlert(alertId) {
+    await ensureConnection();
+    return await SecurityAlert.findOne({ alertId }).lean();
+}
+
+/**
+ * Find the unresolved alert of a type for a verifier
+ */
+export async function findUnresolvedSecurityAlert(verifierId, type) {
+    await ensureConnection();
+    return await SecurityAlert.findOne({ verifierId, type, status: { $ne: 'resolved' } }).lean();
+}
+
+/**
+ * Get security alerts, newest first
+ * @param {Object} [options] - status: open | acknowledged | resolved (omit for all)
+ */
+export async function getSecurityAlerts({ status, limit = 100 } = {}) {
+    await ensureConnection();
+    const query = status ? { status } : {};
+    return await SecurityAlert.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+/**
+ * Update security alert
+ */
+export async function updateSecurityAlert(alertId, updateData) {
+    await ensureConnection();
+    return await SecurityAlert.findOneAndUpdate(
+        { alertId },
+        { $set: updateData },
         { new: true, runValidators: true }
     ).lean();
 }
 
+// ==================== SETTINGS OPERATIONS ====================
+
 /**
- * Clear verifier notifications
+ * Get a stored setting (null if it has never been saved)
  */
-export async function clearVerifierNotifications(verifierId) {
+export async function getSetting(key) {
     await ensureConnection();
-    return await Verifier.findByIdAndUpdate(
-        verifierId,
-        { $set: { notifications: [] } },
-        { new: true }
+    return await Setting.findOne({ key }).lean();
+}
+
+/**
+ * Create or replace a setting
+ */
+export async function saveSetting(key, value, updatedBy) {
+    await ensureConnection();
+    return await Setting.findOneAndUpdate(
+        { key },
+        { $set: { value, updatedBy } },
+        { upsert: true, new: true }
     ).lean();
 }
 
-// ==================== EMPLOYEE OPERATIONS ====================
+// ==================== RATE LIMIT OPERATIONS ====================
 
 /**
- * Find employee by employee ID
+ * Count a hit against a rate limit bucket
+ * Starts a new window when the bucket is missing or its window has ended; done in one
+ * pipeline update so concurrent hits from several instances are all counted.
+ * @returns {Promise<{ totalHits: Number, resetTime: Date }>}
  */
-export async function findEmployeeById(employeeId) {
+export async function incrementRateLimitBucket(key, windowMs) {
     await ensureConnection();
-    return await Employee.findOne({ employeeId }).lean();
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetTime', now] };
+    const bucket = await RateLimitBucket.findOneAndUpdate(
+        { key },
+        [{
+            $set: {
+                totalHits: { $cond: [windowOpen, { $add: ['$totalHits', 1] }, 1] },
+                resetTime: { $cond: [windowOpen, '$resetTime', new Date(now.getTime() + windowMs)] }
+            }
+        }],
+        { upsert: true, new: true, updatePipeline: true }
+    ).lean();
+    return { totalHits: bucket.totalHits, resetTime: bucket.resetTime };
 }
 
 /**
- * Get all employees
+ * Clear a rate limit bucket
  */
-export async function getEmployees() {
+export async function resetRateLimitBucket(key) {
     await ensureConnection();
-    return await Employee.find({}).lean();
+    await RateLimitBucket.deleteOne({ key });
 }
 
-// ==================== ADMIN OPERATIONS ====================
+// ==================== SESSION OPERATIONS ====================
 
 /**
- * Find admin by username
+ * Add a login session
  */
-export async function findAdminByUsername(username) {
+export async function addSession(sessionData) {
     await ensureConnection();
-    return await Admin.findOne({ username }).lean();
+    const session = await Session.create(sessionData);
+    return session.toObject();
 }
 
 /**
- * Find admin by ID
+ * Find session by ID
  */
-export async function findAdminById(id) {
+export async function findSessionById(id) {
     await ensureConnection();
-    return await Admin.findById(id).lean();
+    return await Session.findById(id).lean();
 }
 
 /**
- * Update admin last login
+ * Find the session a refresh token belongs to
+ * Matches the current token or the one it replaced, so reuse of a rotated token can be detected.
  */
-export async function updateAdminLastLogin(id) {
+export async function findSessionByRefreshTokenHash(hash) {
     await ensureConnection();
-    return await Admin.findByIdAndUpdate(
-        id,
-        { $set: { lastLoginAt: new Date() } },
+    return await Session.findOne({
+        $or: [{ refreshTokenHash: hash }, { previousRefreshTokenHash: hash }]
+    }).lean();
+}
+
+/**
+ * Replace a session's refresh token
+ * Only succeeds while currentHash is still the session's token and it is not revoked,
+ * so two refreshes racing with the same token cannot both win.
+ * @returns {Promise<Object|null>} Updated session, or null if the token was already rotated
+ */
+export async function rotateSessionRefreshToken(id, currentHash, updateData) {
+    await ensureConnection();
+    return await Session.findOneAndUpdate(
+        { _id: id, refreshTokenHash: currentHash, revokedAt: null },
+        { $set: { ...updateData, previousRefreshTokenHash: currentHash, rotatedAt: new Date() } },
         { new: true }
     ).lean();
 }
 
-// ==================== VERIFICATION RECORD OPERATIONS ====================
+/**
+ * Get a user's sessions that are neither revoked nor expired, most recently used first
+ */
+export async function getActiveSessions(userType, userId) {
+    await ensureConnection();
+    return await Session.find({
+        userType,
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 }).lean();
+}
 
 /**
- * Get all verification records
+ * Revoke one session
+ * @returns {Promise<Object|null>} Revoked session, or null if it was not active
  */
-export async function getVerificationRecords() {
+export async function revokeSession(id, { revokedBy, reason }) {
     await ensureConnection();
-    return await VerificationRecord.find({}).lean();
+    return await Session.findOneAndUpdate(
+        { _id: id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy, revokedReason: reason } },
+        { new: true }
+    ).lean();
 }
 
 /**
- * Find verification record by ID
+ * Revoke all of a user's active sessions, optionally keeping one
+ * @returns {Promise<Number>} Sessions revoked
  */
-export async function findVerificationRecord(verificationId) {
+export async function revokeUserSessions(userType, userId, { revokedBy, reason, exceptSessionId = null }) {
     await ensureConnection();
-    return await VerificationRecord.findOne({ verificationId }).lean();
+    const query = { userType, userId, revokedAt: null };
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+    const result = await Session.updateMany(query, {
+        $set: { revokedAt: new Date(), revokedBy, revokedReason: reason }
+    });
+    return result.modifiedCount;
 }
 
+// ==================== FIELD ALIAS OPERATIONS ====================
+
 /**
- * Add a new verification record
+ * Get synonym dictionary entries
+ * When entityName is given, entries for that entity and global entries are returned
  */
-export async function addVerificationRecord(recordData) {
+export async function getFieldAliases({ field, entityName } = {}) {
     await ensureConnection();
-    const record = new VerificationRecord(recordData);
-    return await record.save();
+    const query = {};
+    if (field) query.field = field;
+    if (entityName) query.entityName = { $in: [entityName, null] };
+    return await FieldAlias.find(query).sort({ field: 1, canonicalValue: 1 }).lean();
 }
 
 /**
- * Get verification records by verifier ID
+ * Find synonym dictionary entry by ID
  */
-export async function getVerificationRecordsByVerifier(verifierId) {
+export async function findFieldAliasById(id) {
     await ensureConnection();
-    return await VerificationRecord.find({ verifierId }).lean();
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return await FieldAlias.findById(id).lean();
 }
 
 /**
- * Update verification record
+ * Add a synonym dictionary entry
  */
-export async function updateVerificationRecord(verificationId, updateData) {
+export async function addFieldAlias(aliasData) {
     await ensureConnection();
-    return await VerificationRecord.findOneAndUpdate(
-        { verificationId },
+    const alias = new FieldAlias(aliasData);
+    return (await alias.save()).toObject();
+}
+
+/**
+ * Update a synonym dictionary entry
+ */
+export async function updateFieldAlias(id, updateData) {
+    await ensureConnection();
+    return await FieldAlias.findByIdAndUpdate(
+        id,
         { $set: updateData },
         { new: true, runValidators: true }
     ).lean();
 }
 
+/**
+ * Delete a synonym dictionary entry
+ */
+export async function deleteFieldAlias(id) {
+    await ensureConnection();
+    return await FieldAlias.findByIdAndDelete(id).lean();
+}
+
 // ==================== APPEAL OPERATIONS ====================
 
 /**
  * Get all appeals
+ * @param {Object} [options] - entityNames: restrict to these entities (omit for all)
  */
-export async function getAppeals() {
+export async function getAppeals({ entityNames } = {}) {
     await ensureConnection();
-    return await Appeal.find({}).lean();
+    return await Appeal.find(entityScopeQuery(entityNames)).lean();
 }
 
 /**
@@ -205,6 +942,47 @@ export async function updateAppeal(appealId, updateData) {
     ).lean();
 }
 
+/**
+ * Record the review of an appeal that is still pending
+ * Filtering on the status makes the check and the write one step, so of two
+ * admins responding at once only one succeeds.
+ * @returns {Promise<Object|null>} Updated appeal, or null if it is missing or already reviewed
+ */
+export async function reviewPendingAppeal(appealId, updateData) {
+    await ensureConnection();
+    return await Appeal.findOneAndUpdate(
+        { appealId, status: 'pending' },
+        { $set: updateData },
+        { new: true, runValidators: true }
+    ).lean();
+}
+
+/**
+ * Get appeals with a given status
+ */
+export async function getAppealsByStatus(status) {
+    await ensureConnection();
+    return await Appeal.find({ status }).lean();
+}
+
+/**
+ * Get appeals raised by a verifier, newest first
+ */
+export async function getAppealsByVerifier(verifierId, { entityNames } = {}) {
+    await ensureConnection();
+    return await Appeal.find({ verifierId, ...entityScopeQuery(entityNames) }).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Count pending appeals against a verification record
+ */
+export async function countPendingAppeals(verificationId, excludeAppealId = null) {
+    await ensureConnection();
+    const query = { verificationId, status: 'pending' };
+    if (excludeAppealId) query.appealId = { $ne: excludeAppealId };
+    return await Appeal.countDocuments(query);
+}
+
 // ==================== UTILITY FUNCTIONS ====================
 
 /**
@@ -226,23 +1004,31 @@ export async function generateSequentialId(prefix, Model) {
 
 /**
  * Get dashboard statistics
+ * Verifiers are not tied to an entity, so the verifier count is always portal-wide.
+ * @param {Object} [options] - entityNames: restrict to these entities (omit for all)
  */
-export async function getDashboardStats() {
+export async function getDashboardStats({ entityNames } = {}) {
     await ensureConnection();
 
-    const totalEmployees = await Employee.countDocuments();
+    const scope = entityScopeQuery(entityNames);
+
+    const totalEmployees = await Employee.countDocuments(scope);
     const totalVerifiers = await Verifier.countDocuments();
-    const totalVerifications = await VerificationRecord.countDocuments();
-    const totalAppeals = await Appeal.countDocuments();
-    const pendingAppeals = await Appeal.countDocuments({ status: 'pending' });
+    const verifierCounts = await countVerifiersByStatus();
+    const totalVerifications = await VerificationRecord.countDocuments(scope);
+    const totalAppeals = await Appeal.countDocuments(scope);
+    const pendingAppeals = await Appeal.countDocuments({ ...scope, status: 'pending' });
+    const pendingUnblockRequests = await UnblockRequest.countDocuments({ ...scope, status: 'pending' });
+    const openSecurityAlerts = await SecurityAlert.countDocuments({ status: 'open' });
+    const deadEmailJobs = await EmailJob.countDocuments({ ...scope, status: 'dead' });
 
     // Get recent activity
-    const recentVerifications = await VerificationRecord.find({})
+    const recentVerifications = await VerificationRecord.find(scope)
         .sort({ createdAt: -1 })
         .limit(10)
         .lean();
 
-    const recentAppeals = await Appeal.find({})
+    const recentAppeals = await Appeal.find(scope)
         .sort({ createdAt: -1 })
         .limit(10)
         .lean();
@@ -250,14 +1036,19 @@ export async function getDashboardStats() {
     return {
         totalEmployees,
         totalVerifiers,
+        activeVerifiers: verifierCounts.active,
+        pendingVerifiers: verifierCounts.pending,
         totalVerifications,
         totalAppeals,
         pendingAppeals,
+        pendingUnblockRequests,
+        openSecurityAlerts,
+        deadEmailJobs,
         recentVerifications,
         recentAppeals,
-        matchedVerifications: await VerificationRecord.countDocuments({ overallStatus: 'matched' }),
-        partialMatches: await VerificationRecord.countDocuments({ overallStatus: 'partial_match' }),
-        mismatches: await VerificationRecord.countDocuments({ overallStatus: 'mismatch' }),
+        matchedVerifications: await VerificationRecord.countDocuments({ ...scope, overallStatus: 'matched' }),
+        partialMatches: await VerificationRecord.countDocuments({ ...scope, overallStatus: 'partial_match' }),
+        mismatches: await VerificationRecord.countDocuments({ ...scope, overallStatus: 'mismatch' }),
     };
 }
 
@@ -287,17 +1078,71 @@ export async function logAccess(data) {
     }
 }
 
+/**
+ * Record a master-data change in the audit trail
+ * @param {Object} data - { action, entityType, entityId, changes, actorId, actorName, actorRole, ipAddress, metadata }
+ * @returns {Promise<Object>} Created audit entry
+ */
+export async function addAuditLog(data) {
+    try {
+        await ensureConnection();
+        const entry = await AuditLog.create(data);
+        return entry.toObject();
+    } catch (error) {
+        // Don't throw error to prevent blocking main flow if auditing fails
+        console.error('Failed to create audit log:', error);
+        return null;
+    }
+}
+
+/**
+ * Get audit trail entries with pagination and filters
+ * @param {Object} options - entityType, entityId, page, limit
+ * @returns {Promise<Object>} { logs, pagination }
+ */
+export async function getAuditLogs({ entityType, entityId, page = 1, limit = 20 } = {}) {
+    await ensureConnection();
+
+    const query = {};
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+
+    const skip = (page - 1) * limit;
+
+    const [logs, total] = await Promise.all([
+        AuditLog.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        AuditLog.countDocuments(query)
+    ]);
+
+    return {
+        logs,
+        pagination: {
+            total,
+            pages: Math.ceil(total / limit),
+            page,
+            limit
+        }
+    };
+}
+
 /**
  * Get access logs with pagination and filters
- * @param {Object} options - Filter and pagination options
+ * Scoped admins only see events tagged with one of their entities; portal-wide
+ * events (e.g. verifier logins) are visible to unrestricted admins only.
+ * @param {Object} options - Filter and pagination options, entityNames (admin's entity scope, omit for all)
  * @returns {Promise<Object>} and logs and validation
  */
-export async function getAccessLogs({ page = 1, limit = 20, status, role } = {}) {
+export async function getAccessLogs({ page = 1, limit = 20, status, role, action, entityNames } = {}) {
     await ensureConnection();
 
-    const query = {};
+    const query = entityScopeQuery(entityNames, 'entityNames');
     if (status && status !== 'ALL') query.status = status;
     if (role && role !== 'ALL') query.role = role;
+    if (action && action !== 'ALL') query.action = action;
 
     const skip = (page - 1) * limit;
 
@@ -328,16 +1173,37 @@ export async function getAccessLogs({ page = 1, limit = 20, status, role } = {})
 // ==================== VERIFICATION ATTEMPT OPERATIONS ====================
 import VerificationAttempt, { VERIFICATION_ATTEMPT_CONFIG } from './models/VerificationAttempt.js';
 
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Whether a block has lifted on its own
+ */
+function isBlockExpired(attempt, now = new Date()) {
+    return !!attempt.blockedUntil && attempt.blockedUntil <= now;
+}
+
 /**
  * Check if verifier is blocked for a specific employee
+ * Blocks past their blockedUntil are cleared here, so expiry needs no scheduled job.
  */
 export async function isVerificationBlocked(verifierId, employeeId) {
     await ensureConnection();
     const attempt = await VerificationAttempt.findOne({
         verifierId,
         employeeId: employeeId.toUpperCase().trim()
-    });
-    return attempt?.isBlocked || false;
+    }).lean();
+
+    if (!attempt?.isBlocked) return false;
+
+    if (isBlockExpired(attempt)) {
+        await VerificationAttempt.updateOne(
+            { _id: attempt._id },
+            { $set: { attemptCount: 0, isBlocked: false, blockedAt: null, blockedUntil: null, countResetAt: attempt.blockedUntil } }
+        );
+        return false;
+    }
+
+    return true;
 }
 
 /**
@@ -352,49 +1218,152 @@ export async function getVerificationAttempt(verifierId, employeeId) {
 }
 
 /**
- * Increment failed attempt count, block if max reached
+ * Record a failed attempt and block the pair once the policy's limit is reached
+ * Only failures inside the policy's sliding window (and after the last reset) count.
+ * A pair with no failures for the quiet period starts again from zero.
+ * @param {String} reason - Why the attempt failed (employee_not_found | name_mismatch | entity_mismatch)
+ * @param {Object} policy - Attempt policy (see attemptPolicyService.getAttemptPolicy)
  */
-export async function incrementVerificationAttempt(verifierId, employeeId) {
+export async function incrementVerificationAttempt(verifierId, employeeId, reason, policy) {
     await ensureConnection();
     const normalizedEmployeeId = employeeId.toUpperCase().trim();
+    const now = new Date();
 
+    const pair = { verifierId, employeeId: normalizedEmployeeId };
+
+    // Quiet period: failures before the last attempt stop counting. Matching on
+    // lastAttemptAt means a concurrent failure can't be wiped out by the reset.
+    if (policy.quietPeriodHours > 0) {
+        await VerificationAttempt.updateOne(
+            { ...pair, lastAttemptAt: { $lte: new Date(now.getTime() - policy.quietPeriodHours * HOUR_MS) } },
+            [{ $set: { countResetAt: '$lastAttemptAt', attemptCount: 0 } }],
+            { updatePipeline: true }
+        );
+    }
+
+    // Count and log the failure in one update so concurrent failures are never lost
     const attempt = await VerificationAttempt.findOneAndUpdate(
-        { verifierId, employeeId: normalizedEmployeeId },
+        pair,
         {
             $inc: { attemptCount: 1 },
-            $set: { lastAttemptAt: new Date() }
+            $set: { lastAttemptAt: now },
+            $push: { history: { $each: [{ reason, at: now }], $slice: -VERIFICATION_ATTEMPT_CONFIG.MAX_HISTORY } }
         },
         { upsert: true, new: true }
-    );
+    ).lean();
 
-    // Block if max attempts reached
-    if (attempt.attemptCount >= VERIFICATION_ATTEMPT_CONFIG.MAX_ATTEMPTS && !attempt.isBlocked) {
-        await VerificationAttempt.findByIdAndUpdate(attempt._id, {
-            $set: { isBlocked: true, blockedAt: new Date() }
-        });
-        return { ...attempt.toObject(), isBlocked: true, justBlocked: true };
+    // The returned history includes every failure recorded before this one
+    const windowStart = policy.failureWindowHours > 0 ? now.getTime() - policy.failureWindowHours * HOUR_MS : 0;
+    const countFrom = Math.max(windowStart, attempt.countResetAt ? attempt.countResetAt.getTime() : 0);
+    const failures = (attempt.history || []).filter(entry => entry.at.getTime() > countFrom).length;
+
+    if (failures < policy.maxAttempts || attempt.isBlocked) {
+        return attempt;
     }
 
-    return attempt.toObject();
+    // Only one of several concurrent failures reports the new block
+    const block = {
+        isBlocked: true,
+        blockedAt: now,
+        blockedUntil: policy.blockDurationHours > 0
+            ? new Date(now.getTime() + policy.blockDurationHours * HOUR_MS)
+            : null
+    };
+    const { modifiedCount } = await VerificationAttempt.updateOne(
+        { _id: attempt._id, isBlocked: { $ne: true } },
+        { $set: block }
+    );
+
+    return modifiedCount === 1 ? { ...attempt, ...block, justBlocked: true } : { ...attempt, isBlocked: true };
 }
 
 /**
- * Reset verification attempts on successful validation
+ * Reset verification attempts on successful validation or HR unblock
  */
 export async function resetVerificationAttempt(verifierId, employeeId) {
     await ensureConnection();
     return await VerificationAttempt.findOneAndUpdate(
         { verifierId, employeeId: employeeId.toUpperCase().trim() },
-        { $set: { attemptCount: 0, isBlocked: false, blockedAt: null } },
+        { $set: { attemptCount: 0, isBlocked: false, blockedAt: null, blockedUntil: null, countResetAt: new Date() } },
         { new: true }
     ).lean();
 }
 
 /**
- * Get blocked message for UI
+ * Failed lookups by a verifier since a point in time, across all employees
+ * @returns {Promise<Array<Object>>} { employeeId, reason, at }
+ */
+export async function getVerificationFailuresSince(verifierId, since) {
+    await ensureConnection();
+    const attempts = await VerificationAttempt.find({ verifierId, lastAttemptAt: { $gte: since } })
+        .select('employeeId history')
+        .lean();
+
+    return attempts.flatMap(attempt => (attempt.history || [])
+        .filter(entry => entry.at >= since)
+        .map(entry => ({ employeeId: attempt.employeeId, reason: entry.reason, at: entry.at })));
+}
+
+/**
+ * Distinct employee IDs a verifier completed verifications for since a point in time
+ */
+export async function getVerifiedEmployeeIdsSince(verifierId, since) {
+    await ensureConnection();
+    return await VerificationRecord.distinct('employeeId', { verifierId, createdAt: { $gte: since } });
+}
+
+// ==================== UNBLOCK REQUEST OPERATIONS ====================
+
+/**
+ * Add an unblock request
+ */
+export async function addUnblockRequest(requestData) {
+    await ensureConnection();
+    const unblockRequest = await UnblockRequest.create(requestData);
+    return unblockRequest.toObject();
+}
+
+/**
+ * Find unblock request by ID
  */
-export function getBlockedMessage() {
-    return VERIFICATION_ATTEMPT_CONFIG.BLOCKED_MESSAGE;
+export async function findUnblockRequest(requestId) {
+    await ensureConnection();
+    return await UnblockRequest.findOne({ requestId }).lean();
+}
+
+/**
+ * Find the open unblock request for a verifier / employee pair
+ */
+export async function findPendingUnblockRequest(verifierId, employeeId) {
+    await ensureConnection();
+    return await UnblockRequest.findOne({
+        verifierId,
+        employeeId: employeeId.toUpperCase().trim(),
+        status: 'pending'
+    }).lean();
+}
+
+/**
+ * Get unblock requests, newest first
+ * @param {Object} [options] - status, entityNames (admin's entity scope, omit for all)
+ */
+export async function getUnblockRequests({ status, entityNames } = {}) {
+    await ensureConnection();
+    const query = entityScopeQuery(entityNames);
+    if (status) query.status = status;
+    return await UnblockRequest.find(query).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Update unblock request
+ */
+export async function updateUnblockRequest(requestId, updateData) {
+    await ensureConnection();
+    return await UnblockRequest.findOneAndUpdate(
+        { requestId },
+        { $set: updateData },
+        { new: true, runValidators: true }
+    ).lean();
 }
 
 export default {
@@ -404,36 +1373,123 @@ export default {
     findVerifierByEmail,
     findVerifierById,
     updateVerifier,
+    searchVerifiers,
+    countVerifiersByStatus,
     clearVerifierNotifications,
 
     // Employee operations
     findEmployeeById,
     getEmployees,
+    searchEmployees,
+    getEmployeeDepartments,
+    addEmployee,
+    updateEmployee,
+    deleteEmployee,
+    countVerificationRecordsForEmployee,
+    findEmployeesByIds,
+    upsertEmployee,
+
+    // Entity operations
+    getEntities,
+    findEntityByCode,
+    addEntity,
+    updateEntity,
+    deleteEntity,
+    countEmployeesForEntity,
 
     // Admin operations
     findAdminByUsername,
     findAdminById,
+    getAdmins,
+    addAdmin,
+    updateAdmin,
+    consumeAdminSecondFactor,
     updateAdminLastLogin,
 
+    // Login lockout operations
+    incrementFailedLogin,
+    lockAccountAfterFailures,
+
     // Verification operations
     getVerificationRecords,
     findVerificationRecord,
     addVerificationRecord,
     getVerificationRecordsByVerifier,
     updateVerificationRecord,
+    amendVerificationRecord,
+
+    // Verification batch operations
+    addVerificationBatch,
+    findVerificationBatch,
+
+    // Employee import operations
+    addEmployeeImport,
+    findEmployeeImport,
+    getEmployeeImports,
+    claimEmployeeImportCommit,
+    updateEmployeeImport,
+
+    // Comparison policy operations
+    getActiveComparisonPolicy,
+    getComparisonPolicies,
+    findComparisonPolicyByVersion,
+    addComparisonPolicy,
+
+    // Security alert operations
+    addSecurityAlert,
+    findSecurityAlert,
+    findUnresolvedSecurityAlert,
+    getSecurityAlerts,
+    updateSecurityAlert,
+
+    // Settings operations
+    getSetting,
+    saveSetting,
+
+    // Rate limit operations
+    incrementRateLimitBucket,
+    resetRateLimitBucket,
+
+    // Session operations
+    addSession,
+    findSessionById,
+    findSessionByRefreshTokenHash,
+    rotateSessionRefreshToken,
+    getActiveSessions,
+    revokeSession,
+    revokeUserSessions,
+
+    // Field alias operations
+    getFieldAliases,
+    findFieldAliasById,
+    addFieldAlias,
+    updateFieldAlias,
+    deleteFieldAlias,
 
     // Appeal operations
     getAppeals,
     getAppealById,
     addAppeal,
     updateAppeal,
+    reviewPendingAppeal,
+    getAppealsByStatus,
+    getAppealsByVerifier,
+    countPendingAppeals,
 
     // Verification attempt operations
     isVerificationBlocked,
     getVerificationAttempt,
     incrementVerificationAttempt,
     resetVerificationAttempt,
-    getBlockedMessage,
+    getVerificationFailuresSince,
+    getVerifiedEmployeeIdsSince,
+
+    // Unblock request operations
+    addUnblockRequest,
+    findUnblockRequest,
+    findPendingUnblockRequest,
+    getUnblockRequests,
+    updateUnblockRequest,
 
     // Utilities
     generateId,
@@ -441,5 +1497,7 @@ export default {
     generateSequentialId,
     getDashboardStats,
     logAccess,
-    getAccessLogs
+    getAccessLogs,
+    addAuditLog,
+    getAuditLogs
 };
@@ -0,0 +1,139 @@
+/**
+ * Admin Permission Registry
+ * Every permission an admin route can require, the defaults each role gets,
+ * and how per-user overrides on the Admin record are applied.
+ * Shared by API routes (through requireAdmin) and the admin UI.
+ */
+
+export const PERMISSIONS = {
+  view_dashboard: {
+    label: 'View dashboard',
+    description: 'Dashboard statistics and recent activity'
+  },
+  view_appeals: {
+    label: 'View queries',
+    description: 'List and open verifier queries (appeals)'
+  },
+  manage_appeals: {
+    label: 'Respond to queries',
+    description: 'Approve or reject queries, amend and revoke verification records'
+  },
+  view_employees: {
+    label: 'View employees',
+    description: 'Search the employee master and view change history'
+  },
+  manage_employees: {
+    label: 'Manage employees',
+    description: 'Add, edit and delete employees and run HRMS imports'
+  },
+  export_data: {
+    label: 'Export data',
+    description: 'Download verification records as Excel'
+  },
+  view_logs: {
+    label: 'View logs',
+    description: 'Access logs, email delivery statistics and the email queue'
+  },
+  manage_email: {
+    label: 'Resend emails',
+    description: 'Resend failed or waiting emails from the email queue'
+  },
+  manage_verifiers: {
+    label: 'Manage verifiers',
+    description: 'Approve, suspend and unblock verifier accounts'
+  },
+  manage_settings: {
+    label: 'Manage settings',
+    description: 'Comparison policy, synonym dictionary and entities'
+  },
+  manage_admins: {
+    label: 'Manage admins',
+    description: 'Admin accounts, roles and permission overrides'
+  }
+};
+
+export const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// Permissions each role gets before per-user overrides
+export const ROLE_PERMISSIONS = {
+  super_admin: PERMISSION_KEYS,
+  hr_manager: [
+    'view_dashboard',
+    'view_appeals',
+    'manage_appeals',
+    'view_employees',
+    'manage_employees',
+    'export_data',
+    'view_logs',
+    'manage_email',
+    'manage_verifiers'
+  ],
+  hr_staff: [
+    'view_dashboard',
+    'view_appeals',
+    'view_employees'
+  ]
+};
+
+// Tokens issued before the role enum was introduced use the generic 'admin' role
+ROLE_PERMISSIONS.admin = ROLE_PERMISSIONS.hr_manager;
+
+/**
+ * Resolve the permissions an admin actually has
+ * `permissions` on the Admin record grants extra permissions on top of the role
+ * defaults and `revokedPermissions` removes defaults. Unknown keys are ignored.
+ * @param {Object} admin - Admin record (role, permissions, revokedPermissions)
+ * @returns {Array<String>} Effective permission keys, in registry order
+ */
+export function resolvePermissions(admin) {
+  if (!admin) return [];
+
+  const granted = new Set([...(ROLE_PERMISSIONS[admin.role] || []), ...(admin.permissions || [])]);
+  (admin.revokedPermissions || []).forEach(permission => granted.delete(permission));
+
+  return PERMISSION_KEYS.filter(permission => granted.has(permission));
+}
+
+/**
+ * Check a resolved permission list
+ * @param {Array<String>} permissions - Effective permissions
+ * @param {String} permission - Permission key
+ * @returns {Boolean}
+ */
+export function hasPermission(permissions, permission) {
+  return Array.isArray(permissions) && permissions.includes(permission);
+}
+
+/**
+ * Permissions a change to an admin account would give that the acting admin lacks
+ * Admins can only pass on permissions they hold themselves.
+ * @param {Array<String>} actorPermissions - Effective permissions of the acting admin
+ * @param {Object|null} before - Admin record before the change (null when inviting)
+ * @param {Object} after - Admin record as it would be after the change
+ * @returns {Array<String>} Newly effective permission keys the actor does not hold
+ */
+export function getUngrantablePermissions(actorPermissions, before, after) {
+  const previous = new Set(resolvePermissions(before));
+  return resolvePermissions(after)
+    .filter(permission => !previous.has(permission) && !hasPermission(actorPermissions, permission));
+}
+
+/**
+ * Check whether an admin may manage accounts with a given role
+ * Only super admins can create, edit or promote to super_admin.
+ * @param {String} actorRole - Role of the admin making the change
+ * @param {String} role - Role of the account being created or changed
+ * @returns {Boolean}
+ */
+export function canManageRole(actorRole, role) {
+  return role !== 'super_admin' || actorRole === 'super_admin';
+}
+
+export default {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  ROLE_PERMISSIONS,
+  resolvePermissions,
+  hasPermission,
+  canManageRole
+};
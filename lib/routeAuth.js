@@ -0,0 +1,372 @@
+/**
+ * Route Authentication Helpers
+ * Token and rate limit checks for App Router handlers. Each helper returns either
+ * `{ decoded }` on success or `{ response }` holding the error response to return.
+ */
+
+import { NextResponse } from 'next/server';
+import { extractToken, verifyToken } from './auth.js';
+import { findAdminById, findVerifierById, findSessionById, logAccess } from './mongodb.data.service.js';
+import { getVerifierAccessError } from './services/verifierAccountService.js';
+import { getClientIp, checkRateLimit } from './services/rateLimitService.js';
+import { getLockRemainingMs, getLockedMessage } from './services/loginLockoutService.js';
+import { getTwoFactorPolicy, isTwoFactorRequired } from './services/twoFactorService.js';
+import { isSessionActive } from './services/sessionService.js';
+import { isCsrfValid } from './services/authCookieService.js';
+import { PERMISSIONS, resolvePermissions, hasPermission, canManageRole } from './permissions.js';
+
+export const ADMIN_ROLES = ['admin', 'hr_manager', 'hr_staff', 'super_admin'];
+
+/**
+ * Verify the access token, its session and the caller's role
+ * The token comes from a bearer header or the access token cookie; cookie
+ * requests that change state must pass the CSRF check. Tokens from before
+ * sessions existed carry no `sid` and are refused.
+ * @param {Request} request - Incoming request
+ * @param {Array<String>} roles - Roles allowed to call the route
+ * @param {String} forbiddenMessage - Message used for a role mismatch
+ * @param {String} [userType] - 'admin' | 'verifier', whose cookie to read
+ */
+async function authenticateRequest(request, roles, forbiddenMessage, userType = null) {
+  const { token, source } = extractToken(request, userType);
+  if (!token) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        message: 'Access token is required'
+      }, { status: 401 })
+    };
+  }
+
+  if (source === 'cookie' && !isCsrfValid(request)) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        code: 'CSRF_TOKEN_INVALID',
+        message: 'Security check failed. Please reload the page and try again.'
+      }, { status: 403 })
+    };
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (tokenError) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        message: 'Invalid or expired token'
+      }, { status: 401 })
+    };
+  }
+
+  let session = null;
+  try {
+    session = decoded.sid ? await findSessionById(decoded.sid) : null;
+  } catch (lookupError) {
+    session = null;
+  }
+
+  if (!isSessionActive(session)) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        code: 'SESSION_REVOKED',
+        message: 'Your session has ended. Please log in again.'
+      }, { status: 401 })
+    };
+  }
+
+  if (!roles.includes(decoded.role)) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        message: forbiddenMessage
+      }, { status: 403 })
+    };
+  }
+
+  return { decoded };
+}
+
+/**
+ * Require an active admin token, optionally holding a permission
+ * Role, entities and permissions are re-read from the Admin record so that role
+ * changes, permission overrides and deactivation apply without a new login.
+ * @param {Request} request - Incoming request
+ * @param {String} [permission] - Permission key from lib/permissions.js
+ * @param {Object} [options]
+ * @param {Boolean} [options.allowPendingPasswordChange] - Let through admins who still have to replace a temporary password
+ * @param {Boolean} [options.allowPendingTwoFactor] - Let through admins whose role requires 2FA but who have not enrolled yet
+ * @returns {Promise<{ decoded?: Object, response?: NextResponse }>} decoded carries the effective `permissions`
+ */
+export async function requireAdmin(request, permission = null, { allowPendingPasswordChange = false, allowPendingTwoFactor = false } = {}) {
+  const { decoded, response } = await authenticateRequest(request, ADMIN_ROLES, 'Admin access required', 'admin');
+  if (response) return { response };
+
+  let admin = null;
+  try {
+    admin = await findAdminById(decoded.id);
+  } catch (lookupError) {
+    // Malformed IDs in old tokens are treated as unknown accounts
+    admin = null;
+  }
+
+  if (!admin || !admin.isActive) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        message: 'Your admin account is not active. Please log in again.'
+      }, { status: 401 })
+    };
+  }
+
+  if (admin.mustChangePassword && !allowPendingPasswordChange) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        code: 'PASSWORD_CHANGE_REQUIRED',
+        message: 'You must change your temporary password before continuing.'
+      }, { status: 403 })
+    };
+  }
+
+  if (!admin.twoFactor?.enabled && !allowPendingTwoFactor && isTwoFactorRequired(admin, await getTwoFactorPolicy())) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Your role requires two-factor authentication. Set it up to continue.'
+      }, { status: 403 })
+    };
+  }
+
+  const permissions = resolvePermissions(admin);
+  if (permission && !hasPermission(permissions, permission)) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        message: `Insufficient permissions: ${PERMISSIONS[permission]?.label || permission} required`
+      }, { status: 403 })
+    };
+  }
+
+  return {
+    decoded: {
+      ...decoded,
+      role: admin.role,
+      entities: admin.entities || [],
+      permissions
+    }
+  };
+}
+
+/**
+ * Require a valid token of any user type, for routes about the caller's own sessions
+ * No account checks are made: a suspended user may still end their own sessions.
+ * @param {Request} request - Incoming request
+ * @returns {Promise<{ decoded?: Object, userType?: String, response?: NextResponse }>} userType is 'admin' or 'verifier'
+ */
+export async function requireUser(request) {
+  const { decoded, response } = await authenticateRequest(request, [...ADMIN_ROLES, 'verifier'], 'Access denied');
+  if (response) return { response };
+
+  return { decoded, userType: decoded.role === 'verifier' ? 'verifier' : 'admin' };
+}
+
+/**
+ * Require a verifier token for an approved, active account
+ * The account is re-read so that suspensions apply without waiting for the token to expire.
+ * @param {Request} request - Incoming request
+ * @param {Object} [options]
+ * @param {Boolean} [options.lookup] - Route looks up employee records; refuse verifiers throttled by enumeration detection
+ * @param {String} [options.rateLimit] - Rate limit scope to count the request against, per IP and per verifier
+ * @returns {Promise<{ decoded?: Object, response?: NextResponse }>}
+ */
+export async function requireVerifier(request, { lookup = false, rateLimit = null } = {}) {
+  const { decoded, response } = await authenticateRequest(request, ['verifier'], 'Verifier access required', 'verifier');
+  if (response) return { response };
+
+  let verifier = null;
+  try {
+    verifier = await findVerifierById(decoded.id);
+  } catch (lookupError) {
+    verifier = null;
+  }
+
+  if (!verifier) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        message: 'Verifier account not found. Please log in again.'
+      }, { status: 401 })
+    };
+  }
+
+  const accessError = getVerifierAccessError(verifier);
+  if (accessError) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        message: accessError.message
+      }, { status: accessError.status })
+    };
+  }
+
+  const throttledFor = verifier.lookupThrottledUntil ? new Date(verifier.lookupThrottledUntil) - Date.now() : 0;
+  if (lookup && throttledFor > 0) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        code: 'LOOKUPS_THROTTLED',
+        message: `Employee lookups are paused for your account after unusual activity. Try again in ${Math.ceil(throttledFor / 60000)} minutes or contact support.`
+      }, { status: 429, headers: { 'Retry-After': String(Math.ceil(throttledFor / 1000)) } })
+    };
+  }
+
+  if (rateLimit) {
+    const { response: rateLimited } = await enforceRateLimit(request, rateLimit, {
+      identity: decoded.id,
+      email: verifier.email,
+      role: 'verifier'
+    });
+    if (rateLimited) return { response: rateLimited };
+  }
+
+  return { decoded };
+}
+
+/**
+ * Count a request against a rate limit scope and refuse it once over the limit
+ * The first refused request of each window is written to the access log as RATE_LIMITED.
+ * @param {Request} request - Incoming request
+ * @param {String} scope - Key of RATE_LIMITS in lib/services/rateLimitService.js
+ * @param {Object} [options]
+ * @param {String} [options.identity] - Email, username or verifier ID for the per-identity bucket
+ * @param {String} [options.email] - Access log identifier when it differs from identity
+ * @param {String} [options.role] - Access log role (admin, verifier or unknown)
+ * @returns {Promise<{ response?: NextResponse }>}
+ */
+export async function enforceRateLimit(request, scope, { identity, email = identity, role = 'unknown' } = {}) {
+  const result = await checkRateLimit(scope, { ip: getClientIp(request), identity });
+  if (!result.limited) return {};
+
+  if (result.totalHits === result.limit + 1) {
+    await logAccess({
+      email: email || 'unknown',
+      role,
+      action: 'RATE_LIMITED',
+      status: 'FAILURE',
+      failureReason: `Too many requests (${scope}, per ${result.bucket === 'ip' ? 'IP' : 'account'} limit ${result.limit})`,
+      ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
+      userAgent: request.headers.get('user-agent') || 'unknown',
+      metadata: {
+        scope,
+        bucket: result.bucket,
+        limit: result.limit,
+        path: new URL(request.url).pathname
+      }
+    });
+  }
+
+  const minutes = Math.ceil(result.retryAfterSeconds / 60);
+  return {
+    response: NextResponse.json({
+      success: false,
+      code: 'RATE_LIMITED',
+      message: `Too many requests. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+    }, { status: 429, headers: { 'Retry-After': String(result.retryAfterSeconds) } })
+  };
+}
+
+/**
+ * 423 response for an account locked after repeated failed logins
+ * @param {Object} account - Verifier or Admin record (or just { lockedUntil })
+ * @returns {NextResponse} Retry-After is set to when the lock lifts
+ */
+export function accountLockedResponse(account) {
+  return NextResponse.json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: getLockedMessage(account)
+  }, { status: 423, headers: { 'Retry-After': String(Math.ceil(getLockRemainingMs(account) / 1000)) } });
+}
+
+/**
+ * Entities an admin token may see
+ * super_admin sees every entity; other roles only the entities assigned to them
+ * @param {Object} decoded - Decoded admin token
+ * @returns {Array<String>|null} Entity codes, or null for no restriction
+ */
+export function getEntityScope(decoded) {
+  if (decoded.role === 'super_admin') return null;
+  return Array.isArray(decoded.entities) ? decoded.entities : [];
+}
+
+/**
+ * Check whether an entity falls inside an admin's scope
+ * @param {Array<String>|null} scope - Result of getEntityScope
+ * @param {String} entityName - Entity code of the record
+ * @returns {Boolean}
+ */
+export function isInEntityScope(scope, entityName) {
+  return scope === null || scope.includes(entityName);
+}
+
+/**
+ * Check whether every entity on an admin account falls inside a scope
+ * @param {Array<String>|null} scope - Result of getEntityScope
+ * @param {Object} admin - Admin record
+ * @returns {Boolean}
+ */
+export function isAdminInEntityScope(scope, admin) {
+  return (admin.entities || []).every(code => isInEntityScope(scope, code));
+}
+
+/**
+ * Refuse changes to an admin account outside the acting admin's reach
+ * The account's role must be one the actor can manage and all of its entities
+ * must be in the actor's scope. With samePermissions the account may not hold
+ * permissions the actor lacks, for actions that hand the account over (password
+ * and 2FA resets).
+ * @param {Object} decoded - Decoded token of the acting admin
+ * @param {Object} target - Admin record being changed
+ * @param {Object} [options]
+ * @param {Boolean} [options.samePermissions]
+ * @returns {{ response?: NextResponse }} 403 response when the change is not allowed
+ */
+export function checkAdminTarget(decoded, target, { samePermissions = false } = {}) {
+  const forbidden = (message) => ({
+    response: NextResponse.json({ success: false, message }, { status: 403 })
+  });
+
+  if (!canManageRole(decoded.role, target.role)) {
+    return forbidden('Only super admins can manage super admin accounts');
+  }
+
+  if (!isAdminInEntityScope(getEntityScope(decoded), target)) {
+    return forbidden('You can only manage admins whose entities are all assigned to you');
+  }
+
+  if (samePermissions) {
+    const extra = resolvePermissions(target).filter(permission => !hasPermission(decoded.permissions, permission));
+    if (extra.length > 0) {
+      return forbidden(`This admin holds permissions you don't hold yourself: ${extra.map(key => PERMISSIONS[key].label).join(', ')}`);
+    }
+  }
+
+  return {};
+}
+
+export default {
+  ADMIN_ROLES,
+  requireAdmin,
+  requireVerifier,
+  requireUser,
+  enforceRateLimit,
+  accountLockedResponse,
+  getEntityScope,
+  isInEntityScope,
+  isAdminInEntityScope,
+  checkAdminTarget
+};
@@ -0,0 +1,44 @@
+/**
+ * Admin Account Service
+ * Temporary credentials for invited admins and forced password resets.
+ * The plain password is only ever emailed; the Admin record keeps the bcrypt hash
+ * and mustChangePassword until the admin picks their own password.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { sendAdminCredentialsEmail } from './emailService.js';
+
+/**
+ * Generate a temporary password and its hash
+ * @returns {Promise<{ temporaryPassword: String, passwordHash: String }>}
+ */
+export async function createTemporaryPassword() {
+  const temporaryPassword = crypto.randomBytes(12).toString('base64url');
+  const salt = await bcrypt.genSalt(12);
+  const passwordHash = await bcrypt.hash(temporaryPassword, salt);
+  return { temporaryPassword, passwordHash };
+}
+
+/**
+ * Email temporary credentials to an admin
+ * Delivery failures are logged rather than thrown so the account change still succeeds.
+ * @param {Object} admin - Admin with username, email and fullName
+ * @param {String} temporaryPassword - Plain temporary password
+ * @param {String} reason - 'invite' | 'reset'
+ * @returns {Promise<Boolean>} Whether the email was sent
+ */
+export async function deliverTemporaryPassword(admin, temporaryPassword, reason) {
+  try {
+    await sendAdminCredentialsEmail(admin, temporaryPassword, reason);
+    return true;
+  } catch (emailError) {
+    console.error(`Admin ${reason} email not sent to ${admin.email}:`, emailError.message);
+    return false;
+  }
+}
+
+export default {
+  createTemporaryPassword,
+  deliverTemporaryPassword
+};
@@ -0,0 +1,96 @@
+/**
+ * Admin Login Service
+ * The end of an admin login, shared by the password step and the two-factor step:
+ * the challenge handed out between them, and the bookkeeping, access log entry,
+ * token and profile once every factor has been checked.
+ */
+
+import crypto from 'crypto';
+import { generateChallengeToken } from '../auth.js';
+import { updateAdminLastLogin, updateAdmin, logAccess } from '../mongodb.data.service.js';
+import { resolvePermissions } from '../permissions.js';
+import { resetRateLimit } from './rateLimitService.js';
+import { buildUnlockUpdate, hasLockoutState } from './loginLockoutService.js';
+import { isTwoFactorRequired } from './twoFactorService.js';
+import { startSession } from './sessionService.js';
+
+export const TWO_FACTOR_CHALLENGE_PURPOSE = 'admin_two_factor';
+
+/**
+ * Token proving the password step passed, exchanged for a session at /api/admin/login/two-factor
+ * Its nonce (jti) is stored on the admin and cleared when the challenge is answered,
+ * so each token works once and a newer login replaces any earlier challenge.
+ * @param {Object} admin - Admin record
+ * @returns {Promise<String>}
+ */
+export async function createTwoFactorChallenge(admin) {
+  const id = admin._id.toString();
+  const nonce = crypto.randomBytes(16).toString('hex');
+
+  await updateAdmin(id, { 'twoFactor.challengeNonce': nonce });
+  return generateChallengeToken({ id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE, jti: nonce });
+}
+
+/**
+ * Finish a login whose factors have all been checked
+ * Clears failed-login state, records the login and opens a session.
+ * @param {Object} admin - Admin record
+ * @param {Request} request - Login request, for the address and user agent
+ * @param {Object} options
+ * @param {Object} options.twoFactorPolicy - Result of getTwoFactorPolicy
+ * @param {String} [options.twoFactorMethod] - 'totp' | 'recovery_code' when a second factor was used
+ * @returns {Promise<{ admin: Object, tokens: Object }>} tokens is the result of startSession
+ */
+export async function completeAdminLogin(admin, request, { twoFactorPolicy, twoFactorMethod = null }) {
+  const id = admin._id.toString();
+
+  await resetRateLimit('admin_login', admin.username);
+  await updateAdminLastLogin(id);
+  if (hasLockoutState(admin)) {
+    await updateAdmin(id, buildUnlockUpdate());
+  }
+
+  await logAccess({
+    email: admin.email,
+    role: 'admin',
+    action: 'LOGIN',
+    status: 'SUCCESS',
+    ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
+    userAgent: request.headers.get('user-agent') || 'unknown',
+    metadata: {
+      username: admin.username,
+      role: admin.role,
+      twoFactor: twoFactorMethod
+    },
+    entityNames: admin.entities || []
+  });
+
+  const tokens = await startSession(admin, 'admin', request);
+
+  const twoFactorEnabled = !!admin.twoFactor?.enabled;
+
+  return {
+    tokens,
+    admin: {
+      id,
+      username: admin.username,
+      email: admin.email,
+      fullName: admin.fullName,
+      role: admin.role,
+      department: admin.department,
+      permissions: resolvePermissions(admin),
+      entities: admin.entities || [],
+      mustChangePassword: admin.mustChangePassword || false,
+      twoFactorEnabled,
+      twoFactorSetupRequired: !twoFactorEnabled && isTwoFactorRequired(admin, twoFactorPolicy),
+      lastLoginAt: new Date(),
+      createdAt: admin.createdAt
+    }
+  };
+}
+
+export default {
+  TWO_FACTOR_CHALLENGE_PURPOSE,
+  createTwoFactorChallenge,
+  completeAdminLogin
+};
@@ -0,0 +1,135 @@
+/**
+ * Verification Attempt Policy Service
+ * Admin-configurable limits on failed employee lookups: how many failures block
+ * a verifier/employee pair, how long the block lasts, when counts start over,
+ * and the thresholds for detecting one verifier probing many employee IDs.
+ * Stored as a Setting; the built-in defaults apply until an admin saves a policy.
+ */
+
+import { getSetting, incrementVerificationAttempt } from '../mongodb.data.service.js';
+import { findEntity } from './entityService.js';
+import { SUPPORT_EMAIL } from './emailProvider.js';
+import { checkForEnumeration } from './enumerationDetectionService.js';
+
+export const ATTEMPT_POLICY_KEY = 'verification_attempt_policy';
+
+/**
+ * Built-in attempt policy
+ * 3 failures (counted since the last reset, no sliding window) block the pair for 24 hours.
+ * A pair with no failures for 72 hours starts again from zero.
+ * Blocked verifiers are pointed to the entity's exit team, then contactEmail, then SUPPORT_EMAIL.
+ */
+export const DEFAULT_ATTEMPT_POLICY = {
+  maxAttempts: 3,
+  blockDurationHours: 24,   // 0 = until HR unblocks
+  failureWindowHours: 0,    // 0 = count every failure since the last reset
+  quietPeriodHours: 72,     // 0 = counts never reset on their own
+  contactEmail: '',
+  // Across all employees, per verifier (see enumerationDetectionService)
+  enumeration: {
+    enabled: true,
+    windowMinutes: 60,
+    maxDistinctFailures: 10,  // distinct employee IDs failed within the window
+    maxFailureRate: 0.8,      // failed share of distinct IDs looked up...
+    minLookups: 10,           // ...once at least this many were looked up
+    burstMinutes: 5,
+    burstMaxFailures: 10,     // failures of any kind within burstMinutes
+    sequentialRunLength: 5,   // consecutive numeric IDs among the failures
+    action: 'throttle',       // flag | throttle | suspend
+    throttleMinutes: 60
+  }
+};
+
+/**
+ * Get the attempt policy in force
+ * @returns {Promise<Object>} Saved policy merged over DEFAULT_ATTEMPT_POLICY
+ */
+export async function getAttemptPolicy() {
+  const setting = await getSetting(ATTEMPT_POLICY_KEY);
+  return mergeAttemptPolicy(setting?.value);
+}
+
+/**
+ * Fill a saved policy's missing keys from the defaults
+ * @param {Object} [saved] - Stored policy value
+ * @returns {Object}
+ */
+export function mergeAttemptPolicy(saved = {}) {
+  return {
+    ...DEFAULT_ATTEMPT_POLICY,
+    ...saved,
+    enumeration: { ...DEFAULT_ATTEMPT_POLICY.enumeration, ...(saved?.enumeration || {}) }
+  };
+}
+
+// The one answer for unknown IDs, name mismatches and wrong entities, so lookups
+// cannot be used to find out which employee IDs exist
+export const LOOKUP_FAILED_MESSAGE = 'This employee could not be verified with the details provided. Please check the Employee ID, name and company and try again.';
+
+/**
+ * Record a failed employee lookup
+ * Counts it against the verifier/employee pair, then checks the verifier for enumeration.
+ * The reason is only kept server-side (attempt history and this log); verifiers
+ * are shown LOOKUP_FAILED_MESSAGE whatever it is.
+ * Detection errors are logged and swallowed so they never change the lookup response.
+ * @param {String} verifierId
+ * @param {String} employeeId
+ * @param {String} reason - employee_not_found | name_mismatch | entity_mismatch
+ * @param {Object} policy - Attempt policy
+ * @returns {Promise<Object>} VerificationAttempt record, with justBlocked when this failure blocked
+ * the pair and securityAlert when it raised an enumeration alert
+ */
+export async function recordFailedLookup(verifierId, employeeId, reason, policy) {
+  console.warn(`[VERIFY] Failed lookup of ${employeeId} by verifier ${verifierId}: ${reason}`);
+  const attempt = await incrementVerificationAttempt(verifierId, employeeId, reason, policy);
+
+  let securityAlert = null;
+  try {
+    securityAlert = await checkForEnumeration(verifierId, policy);
+  } catch (error) {
+    console.error('Enumeration check failed:', error.message);
+  }
+
+  return securityAlert ? { ...attempt, securityAlert } : attempt;
+}
+
+/**
+ * Address a blocked verifier should contact
+ * @param {String} [entityName] - Entity the verifier selected in the wizard
+ * @param {Object} policy - Attempt policy
+ * @returns {Promise<String>}
+ */
+export async function getBlockContact(entityName, policy) {
+  const entity = await findEntity(entityName);
+  return entity?.exitTeam?.email || policy.contactEmail || SUPPORT_EMAIL;
+}
+
+/**
+ * Message shown to a verifier who is blocked for an employee
+ * @param {Object} attempt - VerificationAttempt record (blockedUntil unset means until HR unblocks)
+ * @param {String} contactEmail - Result of getBlockContact
+ * @param {Date} [now]
+ * @returns {String}
+ */
+export function getBlockedMessage(attempt, contactEmail, now = new Date()) {
+  const base = 'Maximum attempts reached for this employee.';
+  const contact = `You can submit an unblock request for the exit team to review, or contact ${contactEmail}.`;
+
+  if (!attempt?.blockedUntil) {
+    return `${base} ${contact}`;
+  }
+
+  const hoursLeft = Math.max(1, Math.ceil((new Date(attempt.blockedUntil) - now) / (60 * 60 * 1000)));
+  return `${base} The block lifts automatically in about ${hoursLeft} hour${hoursLeft === 1 ? '' : 's'}. ${contact}`;
+}
+
+export default {
+  ATTEMPT_POLICY_KEY,
+  DEFAULT_ATTEMPT_POLICY,
+  getAttemptPolicy,
+  mergeAttemptPolicy,
+  LOOKUP_FAILED_MESSAGE,
+  recordFailedLookup,
+  getBlockContact,
+  getBlockedMessage
+};
@@ -0,0 +1,64 @@
+/**
+ * Audit Service
+ * Builds field-level change sets and writes them to the admin audit trail
+ */
+
+import { addAuditLog } from '../mongodb.data.service.js';
+
+/**
+ * Normalize a value so equal dates / ObjectIds compare equal
+ */
+function comparable(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+  return value ?? null;
+}
+
+/**
+ * List the fields whose values differ between two versions of a document
+ * @param {Object|null} before - Previous document (null on create)
+ * @param {Object|null} after - New document (null on delete)
+ * @param {Array<String>} fields - Fields to compare
+ * @returns {Array<Object>} { field, from, to }
+ */
+export function diffChanges(before, after, fields) {
+  return fields
+    .map(field => ({
+      field,
+      from: comparable(before?.[field]),
+      to: comparable(after?.[field])
+    }))
+    .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+}
+
+/**
+ * Record an admin change in the audit trail
+ * Failures are logged and swallowed so auditing never blocks the change itself.
+ * @param {Object} params
+ * @param {Request} params.request - Incoming request (for the client IP)
+ * @param {Object} params.actor - Decoded admin token
+ * @param {String} params.action - create | update | delete
+ * @param {String} params.entityType - e.g. 'employee'
+ * @param {String} params.entityId - Business key of the changed document
+ * @param {Array<Object>} params.changes - Output of diffChanges
+ * @param {Object} [params.metadata] - Extra context
+ * @returns {Promise<Object|null>} Created audit entry
+ */
+export async function recordAudit({ request, actor, action, entityType, entityId, changes = [], metadata }) {
+  return addAuditLog({
+    action,
+    entityType,
+    entityId,
+    changes,
+    actorId: actor.id,
+    actorName: actor.username || actor.email,
+    actorRole: actor.role,
+    ipAddress: request?.headers.get('x-forwarded-for') || request?.headers.get('x-real-ip') || 'unknown',
+    metadata
+  });
+}
+
+export default {
+  diffChanges,
+  recordAudit
+};
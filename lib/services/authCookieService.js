@@ -0,0 +1,135 @@
+/**
+ * Auth Cookie Service
+ * How login sessions reach the browser. In 'cookie' mode (the default) the access
+ * and refresh tokens are set as httpOnly, SameSite=Strict cookies that page scripts
+ * cannot read, and a readable CSRF cookie is issued alongside them: requests
+ * authenticated by cookie that change state must echo it in the X-CSRF-Token
+ * header (double-submit). In 'bearer' mode the tokens are returned in the response
+ * body as before. Bearer headers are accepted in both modes, for API clients.
+ */
+
+import crypto from 'crypto';
+import { AUTH_COOKIES, readCookie, getRequestedSessionType } from '../auth.js';
+
+export const AUTH_MODE = process.env.AUTH_MODE === 'bearer' ? 'bearer' : 'cookie';
+
+export const CSRF_COOKIE = 'csrf_token';
+export const CSRF_HEADER = 'x-csrf-token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The refresh token is only needed by the refresh and logout routes
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+function cookieOptions(expires, { httpOnly = true, path = '/' } = {}) {
+  return {
+    httpOnly,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path,
+    expires
+  };
+}
+
+/**
+ * Token fields for a login or refresh response body
+ * In cookie mode only the access token's expiry is returned, so the client knows when to refresh.
+ * @param {Object} tokens - Result of startSession or refreshSession
+ * @returns {Object}
+ */
+export function sessionTokenBody(tokens) {
+  if (AUTH_MODE === 'cookie') {
+    return { accessTokenExpiresAt: tokens.accessTokenExpiresAt };
+  }
+
+  return {
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    accessTokenExpiresAt: tokens.accessTokenExpiresAt
+  };
+}
+
+/**
+ * Set a session's token cookies, and the CSRF cookie if the browser has none yet
+ * Does nothing in bearer mode.
+ * @param {NextResponse} response - Response to add the cookies to
+ * @param {String} userType - 'admin' | 'verifier'
+ * @param {Object} tokens - Result of startSession or refreshSession
+ * @param {Request} request - The request being answered, to keep its CSRF token
+ * @returns {NextResponse}
+ */
+export function setSessionCookies(response, userType, tokens, request) {
+  if (AUTH_MODE !== 'cookie') return response;
+
+  const names = AUTH_COOKIES[userType];
+  response.cookies.set(names.access, tokens.token, cookieOptions(tokens.accessTokenExpiresAt));
+  response.cookies.set(names.refresh, tokens.refreshToken, cookieOptions(tokens.expiresAt, { path: REFRESH_COOKIE_PATH }));
+
+  // Kept across logins and refreshes so requests already sent by other tabs still match
+  const csrfToken = readCookie(request, CSRF_COOKIE) || crypto.randomBytes(32).toString('base64url');
+  response.cookies.set(CSRF_COOKIE, csrfToken, cookieOptions(tokens.expiresAt, { httpOnly: false }));
+
+  return response;
+}
+
+/**
+ * Remove a user type's token cookies
+ * The CSRF cookie is left, since the other user type may still be logged in.
+ * @param {NextResponse} response - Response to clear the cookies on
+ * @param {String} userType - 'admin' | 'verifier'
+ * @returns {NextResponse}
+ */
+export function clearSessionCookies(response, userType) {
+  const names = AUTH_COOKIES[userType];
+  response.cookies.set(names.access, '', cookieOptions(new Date(0)));
+  response.cookies.set(names.refresh, '', cookieOptions(new Date(0), { path: REFRESH_COOKIE_PATH }));
+  return response;
+}
+
+/**
+ * Read the refresh token from the body, or failing that from the cookie of the session type asked for
+ * @param {Request} request - Refresh or logout request
+ * @param {String} [bodyToken] - Refresh token sent in the body
+ * @returns {{ refreshToken: String|null, source: String|null, userType: String|null }} source is 'body' or 'cookie'
+ */
+export function extractRefreshToken(request, bodyToken) {
+  const userType = getRequestedSessionType(request);
+  if (bodyToken) return { refreshToken: bodyToken, source: 'body', userType };
+
+  const candidates = userType ? [userType] : ['verifier', 'admin'];
+  for (const candidate of candidates) {
+    const refreshToken = readCookie(request, AUTH_COOKIES[candidate].refresh);
+    if (refreshToken) return { refreshToken, source: 'cookie', userType: candidate };
+  }
+
+  return { refreshToken: null, source: null, userType };
+}
+
+/**
+ * Double-submit check for a request authenticated by cookie
+ * Safe methods always pass; anything else must send the CSRF cookie's value in the X-CSRF-Token header.
+ * @param {Request} request
+ * @returns {Boolean}
+ */
+export function isCsrfValid(request) {
+  if (SAFE_METHODS.includes(request.method)) return true;
+
+  const cookieToken = readCookie(request, CSRF_COOKIE);
+  const headerToken = request.headers.get(CSRF_HEADER);
+  if (!cookieToken || !headerToken) return false;
+
+  const expected = Buffer.from(cookieToken);
+  const actual = Buffer.from(headerToken);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+export default {
+  AUTH_MODE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  sessionTokenBody,
+  setSessionCookies,
+  clearSessionCookies,
+  extractRefreshToken,
+  isCsrfValid
+};
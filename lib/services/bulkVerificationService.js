@@ -0,0 +1,214 @@
+/**
+ * Bulk Verification Service
+ * Runs every row of an uploaded candidate file through the same checks as the
+ * single-candidate wizard. Row-level failures are recorded and never abort the batch.
+ */
+
+import { schemas } from '../validation.js';
+import { mapRowColumns, parseDateCell } from './spreadsheetService.js';
+import { createVerificationRecord } from './verificationService.js';
+import { isPlausibleNameMatch, DEFAULT_COMPARISON_POLICY } from './comparisonService.js';
+import { getAttemptPolicy, getBlockContact, getBlockedMessage, recordFailedLookup, LOOKUP_FAILED_MESSAGE } from './attemptPolicyService.js';
+import {
+  findEmployeeById,
+  getActiveComparisonPolicy,
+  isVerificationBlocked,
+  getVerificationAttempt,
+  resetVerificationAttempt
+} from '../mongodb.data.service.js';
+
+export const MAX_BULK_ROWS = 200;
+
+// Accepted header spellings (compared lower-cased with spaces/underscores removed)
+const COLUMN_ALIASES = {
+  employeeId: ['employeeid', 'empid', 'employeecode'],
+  name: ['name', 'employeename', 'fullname'],
+  entityName: ['entityname', 'entity', 'company'],
+  dateOfJoining: ['dateofjoining', 'doj', 'joiningdate'],
+  dateOfLeaving: ['dateofleaving', 'dol', 'leavingdate', 'lastworkingday'],
+  designation: ['designation'],
+  exitReason: ['exitreason', 'reasonforexit']
+};
+
+// Column order of the downloadable results file
+export const RESULT_HEADERS = [
+  'Row',
+  'Employee ID',
+  'Name',
+  'Result',
+  'Verification ID',
+  'Overall Status',
+  'Match Score',
+  'Mismatched Fields',
+  'Error'
+];
+
+/**
+ * Map an uploaded row (arbitrary header spelling) onto candidate fields
+ * @param {Object} row - Parsed spreadsheet row
+ * @returns {Object} Candidate data
+ */
+export function normalizeCandidateRow(row) {
+  const candidate = mapRowColumns(row, COLUMN_ALIASES);
+
+  candidate.employeeId = String(candidate.employeeId || '').trim();
+  candidate.name = String(candidate.name || '').trim();
+  candidate.dateOfJoining = parseDateCell(candidate.dateOfJoining);
+  candidate.dateOfLeaving = parseDateCell(candidate.dateOfLeaving);
+
+  return candidate;
+}
+
+/**
+ * Blocked message for a row, with the contact for the entity the row names
+ */
+async function describeBlock(verifierId, employeeId, entityName, attemptPolicy) {
+  const attempt = await getVerificationAttempt(verifierId, employeeId);
+  return getBlockedMessage(attempt, await getBlockContact(entityName, attemptPolicy));
+}
+
+/**
+ * Stop the rest of the batch once enumeration detection has throttled or suspended the verifier
+ */
+function pauseOnSecurityAlert(run, attemptResult) {
+  const action = attemptResult.securityAlert?.actionTaken;
+  if (action === 'throttled' || action === 'suspended') {
+    run.pausedMessage = 'Not checked: employee lookups were paused for your account after unusual activity. Please contact support.';
+  }
+}
+
+/**
+ * Verify a single candidate row
+ * Mirrors /api/verify/validate-employee followed by /api/verify/request
+ */
+async function verifyCandidateRow(row, { verifierId, consentGiven, batchId, policy, attemptPolicy, run }) {
+  const candidate = normalizeCandidateRow(row);
+  const result = {
+    rowNumber: row.rowNumber,
+    employeeId: candidate.employeeId,
+    name: candidate.name
+  };
+
+  const { error, value } = schemas.verificationRequest.validate(
+    { ...candidate, consentGiven },
+    { abortEarly: false }
+  );
+
+  if (error) {
+    return { ...result, status: 'error', error: error.details.map(d => d.message).join('; ') };
+  }
+
+  const normalizedEmployeeId = value.employeeId.toUpperCase();
+
+  if (await isVerificationBlocked(verifierId, normalizedEmployeeId)) {
+    return { ...result, status: 'error', error: await describeBlock(verifierId, normalizedEmployeeId, value.entityName, attemptPolicy) };
+  }
+
+  // Unknown IDs, name mismatches and wrong entities all read the same, like validate-employee
+  const employee = await findEmployeeById(normalizedEmployeeId);
+  let failureReason = null;
+  if (!employee) {
+    failureReason = 'employee_not_found';
+  } else if (!isPlausibleNameMatch(value.name, employee.name, policy)) {
+    failureReason = 'name_mismatch';
+  } else if (value.entityName !== employee.entityName) {
+    failureReason = 'entity_mismatch';
+  }
+
+  if (failureReason) {
+    const attemptResult = await recordFailedLookup(verifierId, normalizedEmployeeId, failureReason, attemptPolicy);
+    pauseOnSecurityAlert(run, attemptResult);
+    return {
+      ...result,
+      status: 'error',
+      error: attemptResult.justBlocked
+        ? await describeBlock(verifierId, normalizedEmployeeId, value.entityName, attemptPolicy)
+        : LOOKUP_FAILED_MESSAGE
+    };
+  }
+
+  await resetVerificationAttempt(verifierId, normalizedEmployeeId);
+
+  const { verificationRecord, comparisonResults } = await createVerificationRecord({
+    verifierId,
+    verificationData: value,
+    employee,
+    batchId
+  });
+
+  return {
+    ...result,
+    status: 'verified',
+    verificationId: verificationRecord.verificationId,
+    overallStatus: comparisonResults.overallStatus,
+    matchScore: comparisonResults.matchScore,
+    mismatchedFields: comparisonResults.mismatchedFields.map(f => f.fieldName)
+  };
+}
+
+/**
+ * Run a batch of candidate rows
+ * @param {Array<Object>} rows - Parsed spreadsheet rows
+ * @param {Object} options - { verifierId, consentGiven, batchId }
+ * @returns {Promise<Array<Object>>} Per-row results, in upload order
+ */
+export async function runBulkVerification(rows, options) {
+  const results = [];
+  const policy = (await getActiveComparisonPolicy()) || DEFAULT_COMPARISON_POLICY;
+  const attemptPolicy = await getAttemptPolicy();
+  const run = { pausedMessage: null };
+
+  // Sequential on purpose: verification IDs are allocated from a running count
+  for (const row of rows) {
+    if (run.pausedMessage) {
+      results.push({
+        rowNumber: row.rowNumber,
+        employeeId: normalizeCandidateRow(row).employeeId,
+        status: 'error',
+        error: run.pausedMessage
+      });
+      continue;
+    }
+
+    try {
+      results.push(await verifyCandidateRow(row, { ...options, policy, attemptPolicy, run }));
+    } catch (error) {
+      console.error(`[BULK] Row ${row.rowNumber} failed:`, error.message);
+      results.push({
+        rowNumber: row.rowNumber,
+        employeeId: normalizeCandidateRow(row).employeeId,
+        status: 'error',
+        error: 'Unexpected error while verifying this row'
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Shape stored row results for the downloadable results file
+ * @param {Array<Object>} results - Row results
+ * @returns {Array<Object>} Rows keyed by RESULT_HEADERS
+ */
+export function toResultRows(results) {
+  return results.map(r => ({
+    'Row': r.rowNumber,
+    'Employee ID': r.employeeId || '',
+    'Name': r.name || '',
+    'Result': r.status === 'verified' ? 'Verified' : 'Error',
+    'Verification ID': r.verificationId || '',
+    'Overall Status': r.overallStatus || '',
+    'Match Score': r.matchScore ?? '',
+    'Mismatched Fields': (r.mismatchedFields || []).join('; '),
+    'Error': r.error || ''
+  }));
+}
+
+export default {
+  MAX_BULK_ROWS,
+  RESULT_HEADERS,
+  normalizeCandidateRow,
+  runBulkVerification,
+  toResultRows
+};
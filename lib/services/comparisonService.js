@@ -3,39 +3,94 @@
  * Handles detailed comparison between verifier submitted data and company records
  */
 
+import { compareNames } from './nameMatcher.js';
+import { resolveCanonicalValue } from './fieldAliasService.js';
+
+/**
+ * Built-in comparison policy, used until an admin saves one
+ * Equal weights, 1-day date tolerance, 70% partial match threshold.
+ * Names count as matched at >= 0.85 similarity and earn partial credit from 0.6.
+ */
+export const DEFAULT_COMPARISON_POLICY = {
+  version: 0,
+  fields: [
+    { field: 'employeeId', enabled: true, weight: 1, toleranceDays: 0, mandatory: false },
+    { field: 'name', enabled: true, weight: 1, toleranceDays: 0, mandatory: false, matchThreshold: 0.85, partialThreshold: 0.6 },
+    { field: 'entityName', enabled: true, weight: 1, toleranceDays: 0, mandatory: false },
+    { field: 'dateOfJoining', enabled: true, weight: 1, toleranceDays: 1, mandatory: false },
+    { field: 'dateOfLeaving', enabled: true, weight: 1, toleranceDays: 1, mandatory: false },
+    { field: 'designation', enabled: true, weight: 1, toleranceDays: 0, mandatory: false },
+    { field: 'exitReason', enabled: true, weight: 1, toleranceDays: 0, mandatory: false }
+  ],
+  thresholds: {
+    matched: 100,
+    partialMatch: 70
+  }
+};
+
 /**
  * Compare verifier data with employee records
  * @param {Object} verifierData - Data submitted by verifier
  * @param {Object} employeeRecord - Official employee record from database
+ * @param {Object} [policy] - Comparison policy (defaults to DEFAULT_COMPARISON_POLICY)
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.aliases] - Synonym dictionary entries (FieldAlias) for the employee's entity
+ * @param {Array<Object>} [options.entities] - Entity directory, used to display entity codes by legal name
  * @returns {Object} Detailed comparison results
  */
-export function compareEmployeeData(verifierData, employeeRecord) {
-  const comparisonFields = [
-    'employeeId',
-    'name',
-    'entityName',
-    'dateOfJoining',
-    'dateOfLeaving',
-    'designation',
-    'exitReason'
-  ];
+export function compareEmployeeData(verifierData, employeeRecord, policy = DEFAULT_COMPARISON_POLICY, { aliases = [], entities = [] } = {}) {
+  const fieldRules = policy.fields.filter(rule => rule.enabled !== false);
+
+  const comparisonResults = fieldRules.map(rule =>
+    compareField(rule.field, verifierData[rule.field], employeeRecord[rule.field], rule, {
+      aliases: aliases.filter(entry => entry.field === rule.field),
+      entityName: employeeRecord.entityName,
+      entities
+    })
+  );
+
+  return {
+    comparisonResults,
+    ...summarizeComparison(comparisonResults, policy.thresholds),
+    policyVersion: policy.version ?? 0
+  };
+}
+
+/**
+ * Score a set of field comparison results
+ * Also used to re-score a record after fields are amended
+ * @param {Array<Object>} comparisonResults - Field results (with weight / mandatory / similarity)
+ * @param {Object} [thresholds] - { matched, partialMatch } from the comparison policy
+ * @returns {Object} { overallStatus, matchScore, mismatchedFields, matchedFields, totalFields }
+ */
+export function summarizeComparison(comparisonResults, thresholds = {}) {
+  const limits = { ...DEFAULT_COMPARISON_POLICY.thresholds, ...thresholds };
 
   const results = {
-    comparisonResults: [],
     overallStatus: 'matched',
     matchScore: 100,
     mismatchedFields: [],
     matchedFields: 0,
-    totalFields: comparisonFields.length
+    totalFields: comparisonResults.length
   };
 
-  comparisonFields.forEach(field => {
-    const comparison = compareField(field, verifierData[field], employeeRecord[field]);
-    results.comparisonResults.push(comparison);
+  let totalWeight = 0;
+  let matchedWeight = 0;
+  let mandatoryMismatch = false;
+
+  comparisonResults.forEach(comparison => {
+    const weight = comparison.weight ?? 1;
+    totalWeight += weight;
 
     if (comparison.isMatch) {
       results.matchedFields++;
+      matchedWeight += weight;
     } else {
+      // Partial matches (e.g. similar names) earn credit in proportion to their similarity
+      if (comparison.matchType === 'partial' && comparison.similarity) {
+        matchedWeight += weight * comparison.similarity;
+      }
+      if (comparison.mandatory) mandatoryMismatch = true;
       results.mismatchedFields.push({
         fieldName: comparison.field,
         verifierValue: comparison.verifierValue,
@@ -44,12 +99,14 @@ export function compareEmployeeData(verifierData, employeeRecord) {
     }
   });
 
-  // Calculate overall status and score
-  results.matchScore = Math.round((results.matchedFields / results.totalFields) * 100);
+  // Calculate weighted score and overall status
+  results.matchScore = totalWeight > 0 ? Math.round((matchedWeight / totalWeight) * 100) : 0;
 
-  if (results.matchScore === 100) {
+  if (mandatoryMismatch) {
+    results.overallStatus = 'mismatch';
+  } else if (results.matchScore >= limits.matched) {
     results.overallStatus = 'matched';
-  } else if (results.matchScore >= 70) {
+  } else if (results.matchScore >= limits.partialMatch) {
     results.overallStatus = 'partial_match';
   } else {
     results.overallStatus = 'mismatch';
@@ -63,15 +120,19 @@ export function compareEmployeeData(verifierData, employeeRecord) {
  * @param {String} fieldName - Name of the field
  * @param {Any} verifierValue - Value provided by verifier
  * @param {Any} companyValue - Official company value
+ * @param {Object} [rule] - Field rule from the comparison policy
+ * @param {Object} [context] - { aliases, entityName } synonym entries for this field, plus the entity directory
  * @returns {Object} Field comparison result
  */
-function compareField(fieldName, verifierValue, companyValue) {
+function compareField(fieldName, verifierValue, companyValue, rule = {}, { aliases = [], entityName = null, entities = [] } = {}) {
   const comparison = {
     field: fieldName,
-    verifierValue: formatValueForDisplay(verifierValue, fieldName),
-    companyValue: formatValueForDisplay(companyValue, fieldName),
+    verifierValue: formatValueForDisplay(verifierValue, fieldName, entities),
+    companyValue: formatValueForDisplay(companyValue, fieldName, entities),
     isMatch: false,
-    matchType: 'mismatch'
+    matchType: 'mismatch',
+    weight: rule.weight ?? 1,
+    mandatory: !!rule.mandatory
   };
 
   switch (fieldName) {
@@ -81,26 +142,50 @@ function compareField(fieldName, verifierValue, companyValue) {
       comparison.matchType = comparison.isMatch ? 'exact' : 'mismatch';
       break;
 
-    case 'name':
-      // Case-insensitive comparison, ignore extra spaces
-      const vName = verifierValue?.trim().toLowerCase();
-      const cName = companyValue?.trim().toLowerCase();
-      comparison.isMatch = vName === cName;
-      comparison.matchType = comparison.isMatch ? 'exact' : 'partial';
+    case 'name': {
+      // Similarity-based: initials, token order, honorifics and spelling variants
+      const { similarity, reason } = compareNames(verifierValue, companyValue);
+      const { matchThreshold, partialThreshold } = getNameThresholds(rule);
+      comparison.similarity = similarity;
+      comparison.matchReason = reason;
+
+      if (similarity >= matchThreshold) {
+        comparison.isMatch = true;
+        comparison.matchType = reason === 'exact' ? 'exact' : 'fuzzy';
+      } else {
+        comparison.matchType = similarity >= partialThreshold ? 'partial' : 'mismatch';
+      }
       break;
+    }
 
     case 'entityName':
-    case 'designation':
-    case 'exitReason':
       // Exact match for dropdown values
       comparison.isMatch = verifierValue === companyValue;
       comparison.matchType = comparison.isMatch ? 'exact' : 'mismatch';
       break;
 
+    case 'designation':
+    case 'exitReason': {
+      // Exact match, or both values resolve to the same entry in the synonym dictionary
+      if (verifierValue === companyValue) {
+        comparison.isMatch = true;
+        comparison.matchType = 'exact';
+        comparison.canonicalValue = resolveCanonicalValue(companyValue, aliases, entityName) || companyValue;
+        break;
+      }
+
+      const verifierCanonical = resolveCanonicalValue(verifierValue, aliases, entityName);
+      const companyCanonical = resolveCanonicalValue(companyValue, aliases, entityName);
+      comparison.isMatch = !!verifierCanonical && verifierCanonical === companyCanonical;
+      comparison.matchType = comparison.isMatch ? 'synonym' : 'mismatch';
+      if (comparison.isMatch) comparison.canonicalValue = verifierCanonical;
+      break;
+    }
+
     case 'dateOfJoining':
     case 'dateOfLeaving':
-      // Date comparison with small tolerance (1 day)
-      comparison.isMatch = compareDates(verifierValue, companyValue);
+      // Date comparison within the policy tolerance
+      comparison.isMatch = compareDates(verifierValue, companyValue, rule.toleranceDays ?? 1);
       comparison.matchType = comparison.isMatch ? 'exact' : 'partial';
       break;
 
@@ -119,13 +204,41 @@ function compareField(fieldName, verifierValue, companyValue) {
   return comparison;
 }
 
+/**
+ * Resolve name similarity thresholds from a policy field rule
+ * @param {Object} [rule] - Name field rule
+ * @returns {{ matchThreshold: Number, partialThreshold: Number }}
+ */
+function getNameThresholds(rule = {}) {
+  const defaults = DEFAULT_COMPARISON_POLICY.fields.find(f => f.field === 'name');
+  return {
+    matchThreshold: rule.matchThreshold ?? defaults.matchThreshold,
+    partialThreshold: rule.partialThreshold ?? defaults.partialThreshold
+  };
+}
+
+/**
+ * Check whether a submitted name is close enough to the record to proceed with verification
+ * Names below the policy's partial threshold are treated as a different person
+ * @param {String} submittedName - Name entered by the verifier
+ * @param {String} recordName - Name on the employee record
+ * @param {Object} [policy] - Comparison policy
+ * @returns {Boolean}
+ */
+export function isPlausibleNameMatch(submittedName, recordName, policy = DEFAULT_COMPARISON_POLICY) {
+  const rule = policy.fields.find(f => f.field === 'name');
+  const { partialThreshold } = getNameThresholds(rule);
+  return compareNames(submittedName, recordName).similarity >= partialThreshold;
+}
+
 /**
  * Compare two dates with tolerance
  * @param {Date|String} date1 - First date
  * @param {Date|String} date2 - Second date
+ * @param {Number} toleranceDays - Allowed difference in days
  * @returns {Boolean} Whether dates match within tolerance
  */
-function compareDates(date1, date2) {
+function compareDates(date1, date2, toleranceDays = 1) {
   if (!date1 || !date2) return false;
 
   const d1 = new Date(date1);
@@ -133,20 +246,20 @@ function compareDates(date1, date2) {
 
   if (isNaN(d1.getTime()) || isNaN(d2.getTime())) return false;
 
-  // Exact date comparison
   const timeDiff = Math.abs(d1.getTime() - d2.getTime());
   const dayDiff = timeDiff / (1000 * 60 * 60 * 24);
 
-  return dayDiff <= 1; // Allow 1 day difference for date inputs
+  return dayDiff <= toleranceDays;
 }
 
 /**
  * Format value for display in comparison results
  * @param {Any} value - Value to format
  * @param {String} fieldName - Field name for context
+ * @param {Array<Object>} [entities] - Entity directory
  * @returns {String} Formatted value
  */
-function formatValueForDisplay(value, fieldName) {
+function formatValueForDisplay(value, fieldName, entities = []) {
   if (value === null || value === undefined || value === '') {
     return 'Not Provided';
   }
@@ -163,7 +276,7 @@ function formatValueForDisplay(value, fieldName) {
       return String(value).trim();
 
     case 'entityName':
-      return formatEntityName(value);
+      return formatEntityName(value, entities);
 
     case 'designation':
       return formatDesignation(value);
@@ -194,15 +307,13 @@ function formatDateForDisplay(date) {
 
 /**
  * Format entity name for display
- * @param {String} entityName - Entity name
- * @returns {String} Formatted entity name
+ * @param {String} entityName - Entity code
+ * @param {Array<Object>} [entities] - Entity directory
+ * @returns {String} Entity legal name, or the code if it is not in the directory
  */
-function formatEntityName(entityName) {
-  const entityMap = {
-    'TVSCSHIB': 'TVS Credit Services Limited',
-    'HIB': 'Harita Insurance Broking LLP'
-  };
-  return entityMap[entityName] || entityName;
+function formatEntityName(entityName, entities = []) {
+  const entity = entities.find(e => e.code === entityName);
+  return entity?.legalName || entityName;
 }
 
 /**
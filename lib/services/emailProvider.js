@@ -1,18 +1,31 @@
 /**
  * Unified Email Provider Service
  * Supports multiple email providers with fallback capabilities
+ * Every outbound email goes through sendEmail here, so provider selection,
+ * fallback and EmailLog apply to all of them. Each provider is a registered
+ * send function; SendGrid and Brevo live in this file, Resend and SMTP in
+ * resendService.js and smtpService.js, and the file/memory sinks in
+ * emailSinkService.js.
  * 
  * Configuration via EMAIL_PROVIDER env variable:
  * - brevo: Use Brevo only (default, no domain verification needed)
  * - sendgrid: Use SendGrid only
+ * - resend: Use Resend only
+ * - smtp: Use SMTP (nodemailer) only
+ * - file: Write emails to EMAIL_SINK_DIR instead of sending them (offline use)
+ * - memory: Keep emails in memory instead of sending them (tests)
+ * - brevo,sendgrid,smtp: Ordered fallback chain; each provider is tried in turn
  * - ab_test: Randomly select between Brevo and SendGrid (50/50)
- * - fallback: Try Brevo first, fall back to SendGrid on failure
+ * - fallback: Try Brevo first, fall back to SendGrid on failure (same as brevo,sendgrid)
  */
 
 import sgMail from '@sendgrid/mail';
 import * as SibApiV3Sdk from '@getbrevo/brevo';
 import EmailLog from '../models/EmailLog.js';
 import connectDB from '../db/mongodb.js';
+import { sendViaResend } from './resendService.js';
+import { sendEmailSMTP } from './smtpService.js';
+import { sendToFileSink, sendToMemorySink } from './emailSinkService.js';
 
 // Initialize providers
 let sendgridInitialized = false;
@@ -47,28 +60,33 @@ function initBrevo() {
 }
 
 /**
- * Select which provider to use based on configuration
+ * Ordered list of providers to try, based on configuration
+ * Unknown provider names are skipped with a warning.
+ * @returns {Array<String>} Provider names
  */
-function selectProvider() {
-    const provider = EMAIL_PROVIDER.toLowerCase();
+function getProviderChain() {
+    const setting = EMAIL_PROVIDER.toLowerCase();
 
-    switch (provider) {
-        case 'sendgrid':
-            return 'sendgrid';
+    switch (setting) {
         case 'ab_test':
-            return Math.random() < 0.5 ? 'brevo' : 'sendgrid';
+            return [Math.random() < 0.5 ? 'brevo' : 'sendgrid'];
         case 'fallback':
-            return 'brevo';
-        case 'brevo':
-        default:
-            return 'brevo';
+            return ['brevo', 'sendgrid'];
     }
+
+    const chain = setting.split(',').map(name => name.trim()).filter(Boolean).filter(name => {
+        if (providers.has(name)) return true;
+        console.warn(`[EMAIL] Unknown provider "${name}" in EMAIL_PROVIDER, skipping`);
+        return false;
+    });
+
+    return chain.length > 0 ? chain : ['brevo'];
 }
 
 /**
  * Log email delivery attempt
  */
-async function logEmail(provider, emailType, recipient, subject, status, responseTime, messageId = null, error = null) {
+async function logEmail(provider, emailType, recipient, subject, status, responseTime, messageId = null, error = null, jobId = null) {
     try {
         await connectDB();
         await EmailLog.create({
@@ -79,7 +97,8 @@ async function logEmail(provider, emailType, recipient, subject, status, respons
             status,
             responseTime,
             messageId,
-            error: error ? String(error) : null
+            error: error ? String(error) : null,
+            job: jobId
         });
     } catch (logError) {
         console.error('[EMAIL] Failed to log email:', logError.message);
@@ -136,56 +155,78 @@ async function sendViaBrevo(to, subject, html, text) {
     };
 }
 
+// Registered providers: name -> async (to, subject, html, text) => { messageId, provider }
+const providers = new Map([
+    ['brevo', sendViaBrevo],
+    ['sendgrid', sendViaSendGrid],
+    ['resend', sendViaResend],
+    ['smtp', sendEmailSMTP],
+    ['file', sendToFileSink],
+    ['memory', sendToMemorySink]
+]);
+
+/**
+ * Register a provider, or replace one, under a name EMAIL_PROVIDER can select
+ * @param {String} name - Provider name
+ * @param {Function} send - async (to, subject, html, text) => { messageId, provider }
+ */
+export function registerEmailProvider(name, send) {
+    providers.set(name, send);
+}
+
+/**
+ * Names of the registered providers
+ * @returns {Array<String>}
+ */
+export function getEmailProviderNames() {
+    return [...providers.keys()];
+}
+
 /**
  * Main email sending function with provider selection and logging
+ * Tries each provider in the configured chain until one succeeds. Every attempt,
+ * failed or not, is written to EmailLog.
+ * @param {Object} [options]
+ * @param {String} [options.jobId] - EmailJob being delivered, linked from each EmailLog entry
  */
-export async function sendEmail(to, subject, html, text = null, emailType = 'other') {
-    const startTime = Date.now();
-    let selectedProvider = selectProvider();
-    let result = null;
+export async function sendEmail(to, subject, html, text = null, emailType = 'other', { jobId = null } = {}) {
+    const chain = getProviderChain();
     let error = null;
 
-    console.log(`[EMAIL] Attempting to send via ${selectedProvider} to ${to}...`);
+    for (const [index, providerName] of chain.entries()) {
+        const startTime = Date.now();
 
-    try {
-        if (selectedProvider === 'sendgrid') {
-            result = await sendViaSendGrid(to, subject, html, text);
+        if (index === 0) {
+            console.log(`[EMAIL] Attempting to send via ${providerName} to ${to}...`);
         } else {
-            result = await sendViaBrevo(to, subject, html, text);
+            console.log(`[EMAIL] Trying ${providerName} as fallback...`);
         }
 
-        const responseTime = Date.now() - startTime;
-        console.log(`[EMAIL] ✓ Sent via ${result.provider} in ${responseTime}ms`);
+        try {
+            const result = await providers.get(providerName)(to, subject, html, text);
 
-        await logEmail(result.provider, emailType, to, subject, 'sent', responseTime, result.messageId);
-        return { success: true, provider: result.provider, messageId: result.messageId, responseTime };
+            const responseTime = Date.now() - startTime;
+            console.log(`[EMAIL] ✓ Sent via ${result.provider} in ${responseTime}ms`);
 
-    } catch (primaryError) {
-        error = primaryError;
-        console.error(`[EMAIL] ✗ ${selectedProvider} failed:`, primaryError.message);
-        console.error('[EMAIL] Full error:', primaryError);
+            await logEmail(result.provider, emailType, to, subject, 'sent', responseTime, result.messageId, null, jobId);
+            return {
+                success: true,
+                provider: result.provider,
+                messageId: result.messageId,
+                responseTime,
+                ...(index > 0 && { fallback: true })
+            };
 
-        // Fallback logic - Brevo → SendGrid
-        if (EMAIL_PROVIDER.toLowerCase() === 'fallback' && selectedProvider === 'brevo') {
-            console.log('[EMAIL] Trying SendGrid as fallback...');
-            try {
-                result = await sendViaSendGrid(to, subject, html, text);
-                const responseTime = Date.now() - startTime;
-                console.log(`[EMAIL] ✓ Fallback to SendGrid succeeded in ${responseTime}ms`);
+        } catch (providerError) {
+            error = providerError;
+            console.error(`[EMAIL] ✗ ${providerName} failed:`, providerError.message);
+            console.error('[EMAIL] Full error:', providerError);
 
-                await logEmail('sendgrid', emailType, to, subject, 'sent', responseTime, result.messageId);
-                return { success: true, provider: 'sendgrid', messageId: result.messageId, responseTime, fallback: true };
-
-            } catch (fallbackError) {
-                console.error('[EMAIL] ✗ Fallback also failed:', fallbackError.message);
-                error = fallbackError;
-            }
+            await logEmail(providerName, emailType, to, subject, 'failed', Date.now() - startTime, null, providerError.message, jobId);
         }
-
-        const responseTime = Date.now() - startTime;
-        await logEmail(selectedProvider, emailType, to, subject, 'failed', responseTime, null, error.message);
-        throw new Error(`Failed to send email: ${error.message}`);
     }
+
+    throw new Error(`Failed to send email: ${error.message}`);
 }
 
 /**
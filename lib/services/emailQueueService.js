@@ -0,0 +1,298 @@
+/**
+ * Email Queue Service
+ * Durable outbound email backed by the EmailJob collection. Routes queue an
+ * email and hand delivery to after(), so a slow or failing provider neither
+ * delays the response nor loses the message. Each attempt tries the whole
+ * provider chain (see emailProvider.js); failed jobs are retried with
+ * exponential backoff by processEmailQueue (run from /api/cron/email-queue)
+ * and dead-lettered after EMAIL_MAX_ATTEMPTS attempts, for an admin to resend.
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '../db/mongodb.js';
+import EmailJob from '../models/EmailJob.js';
+import EmailLog from '../models/EmailLog.js';
+import { sendEmail } from './emailProvider.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+const LOCK_MINUTES = 5;
+const BATCH_SIZE = 20;
+
+// Large bodies are left out of listings
+const LIST_FIELDS = '-html -text';
+
+/**
+ * Delay before the next attempt after a failure
+ * 1 minute after the first failure, doubling each time, at most 6 hours.
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} Milliseconds
+ */
+export function getRetryDelay(attempts) {
+  const seconds = Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_SECONDS);
+  return seconds * 1000;
+}
+
+/**
+ * Queue an email for delivery
+ * Callers deliver it straight away with after(() => deliverEmailJob(job._id));
+ * anything not delivered then is picked up by processEmailQueue.
+ * @param {Object} email
+ * @param {String} email.to - Recipient email
+ * @param {String} email.subject - Email subject
+ * @param {String} email.html - HTML email content
+ * @param {String} [email.text] - Plain text email content
+ * @param {String} [email.emailType] - Type of email for logging
+ * @param {Object} [email.reference] - { kind, id } of what the email is about
+ * @param {String} [email.entityName] - Entity the email concerns, for entity-scoped admins
+ * @returns {Promise<Object>} The EmailJob
+ */
+export async function enqueueEmail({ to, subject, html, text = null, emailType = 'other', reference = null, entityName = null }) {
+  await connectDB();
+
+  const job = await EmailJob.create({
+    to,
+    subject,
+    html,
+    text,
+    emailType,
+    reference: reference || undefined,
+    entityName,
+    maxAttempts: MAX_ATTEMPTS
+  });
+
+  return job.toObject();
+}
+
+/**
+ * Claim a due job for one delivery attempt
+ * Jobs left in processing by a worker that died are claimable once their lock expires.
+ * @param {Object} [filter] - Extra conditions, e.g. { _id }
+ * @returns {Promise<Object|null>} The claimed job, with attempts already counted
+ */
+async function claimJob(filter = {}) {
+  const now = new Date();
+
+  return EmailJob.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000) },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  ).lean();
+}
+
+/**
+ * Make one delivery attempt for a claimed job and record the outcome
+ * @param {Object} job - Claimed job
+ * @returns {Promise<Object>} The updated job
+ */
+async function attemptDelivery(job) {
+  try {
+    const result = await sendEmail(job.to, job.subject, job.html, job.text, job.emailType, { jobId: job._id });
+
+    return EmailJob.findByIdAndUpdate(job._id, {
+      $set: {
+        status: 'sent',
+        provider: result.provider,
+        messageId: result.messageId,
+        sentAt: new Date(),
+        lockedUntil: null,
+        lastError: null
+      }
+    }, { new: true }).lean();
+
+  } catch (error) {
+    const exhausted = job.attempts >= job.maxAttempts;
+
+    if (exhausted) {
+      console.error(`[EMAIL QUEUE] Job ${job._id} dead-lettered after ${job.attempts} attempts:`, error.message);
+    } else {
+      console.warn(`[EMAIL QUEUE] Job ${job._id} attempt ${job.attempts} failed, retrying:`, error.message);
+    }
+
+    return EmailJob.findByIdAndUpdate(job._id, {
+      $set: {
+        status: exhausted ? 'dead' : 'pending',
+        nextAttemptAt: exhausted ? job.nextAttemptAt : new Date(Date.now() + getRetryDelay(job.attempts)),
+        deadAt: exhausted ? new Date() : null,
+        lockedUntil: null,
+        lastError: error.message
+      }
+    }, { new: true }).lean();
+  }
+}
+
+/**
+ * Deliver one queued email now, if it is due
+ * Does nothing if the job is already sent, dead, waiting for a retry or being
+ * delivered elsewhere. Never throws: failures are recorded on the job.
+ * @param {String} jobId - EmailJob id
+ * @returns {Promise<Object|null>} The updated job, or null if it was not due
+ */
+export async function deliverEmailJob(jobId) {
+  try {
+    await connectDB();
+
+    const job = await claimJob({ _id: jobId });
+    if (!job) return null;
+
+    return await attemptDelivery(job);
+  } catch (error) {
+    console.error('[EMAIL QUEUE] Failed to deliver job:', error);
+    return null;
+  }
+}
+
+/**
+ * Deliver due jobs, oldest first
+ * @param {Object} [options]
+ * @param {Number} [options.limit] - Most jobs to attempt in this run
+ * @returns {Promise<Object>} { processed, sent, retrying, dead }
+ */
+export async function processEmailQueue({ limit = BATCH_SIZE } = {}) {
+  await connectDB();
+
+  const summary = { processed: 0, sent: 0, retrying: 0, dead: 0 };
+
+  while (summary.processed < limit) {
+    const job = await claimJob();
+    if (!job) break;
+
+    const result = await attemptDelivery(job);
+    summary.processed++;
+
+    if (result?.status === 'sent') summary.sent++;
+    else if (result?.status === 'dead') summary.dead++;
+    else summary.retrying++;
+  }
+
+  return summary;
+}
+
+/**
+ * List queued emails, newest first, without their bodies
+ * @param {Object} [filters]
+ * @param {String} [filters.status] - pending | processing | sent | dead (omit for all)
+ * @param {Array<String>} [filters.entityNames] - Restrict to these entities (omit for all)
+ * @param {Number} [filters.page]
+ * @param {Number} [filters.limit]
+ * @returns {Promise<Object>} { jobs, counts, pagination }
+ */
+export async function getEmailJobs({ status, entityNames, page = 1, limit = 20 } = {}) {
+  await connectDB();
+
+  const scope = entityNames ? { entityName: { $in: entityNames } } : {};
+  const query = status ? { ...scope, status } : scope;
+
+  const [jobs, total, statusCounts] = await Promise.all([
+    EmailJob.find(query)
+      .select(LIST_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    EmailJob.countDocuments(query),
+    EmailJob.aggregate([{ $match: scope }, { $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  const counts = { pending: 0, processing: 0, sent: 0, dead: 0 };
+  statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+  return {
+    jobs,
+    counts,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * One queued email with its delivery attempts from EmailLog
+ * @param {String} jobId - EmailJob id
+ * @returns {Promise<Object|null>} { job, attempts }
+ */
+export async function getEmailJob(jobId) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+
+  await connectDB();
+
+  const job = await EmailJob.findById(jobId).lean();
+  if (!job) return null;
+
+  const attempts = await EmailLog.find({ job: job._id })
+    .select('provider status responseTime messageId error createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return { job, attempts };
+}
+
+/**
+ * Put a dead or waiting email back at the front of the queue with fresh attempts
+ * Delivered emails are not sent twice, and a job being delivered is left alone.
+ * @param {String} jobId - EmailJob id
+ * @param {String} resentBy - Admin username
+ * @returns {Promise<Object>} { job } or { error: { status, message } }
+ */
+export async function requeueEmailJob(jobId, resentBy) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    return { error: { status: 404, message: 'Email not found' } };
+  }
+
+  await connectDB();
+
+  const job = await EmailJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['dead', 'pending'] } },
+    {
+      $set: {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        deadAt: null,
+        lastError: null,
+        resentBy,
+        resentAt: new Date()
+      }
+    },
+    { new: true }
+  ).lean();
+
+  if (job) return { job };
+
+  const existing = await EmailJob.findById(jobId).select('status').lean();
+  if (!existing) {
+    return { error: { status: 404, message: 'Email not found' } };
+  }
+
+  return {
+    error: {
+      status: 409,
+      message: existing.status === 'sent'
+        ? 'This email has already been delivered'
+        : 'This email is being delivered right now'
+    }
+  };
+}
+
+export default {
+  getRetryDelay,
+  enqueueEmail,
+  deliverEmailJob,
+  processEmailQueue,
+  getEmailJobs,
+  getEmailJob,
+  requeueEmailJob
+};
@@ -1,15 +1,20 @@
 /**
  * Email Service
- * Now uses unified email provider supporting SendGrid, Resend, A/B testing, and fallback
+ * Now uses unified email provider supporting Brevo, SendGrid, Resend, SMTP, A/B testing, and fallback
  * 
  * Configure via EMAIL_PROVIDER env variable:
+ * - brevo: Use Brevo only (default)
  * - sendgrid: Use SendGrid only
  * - resend: Use Resend only
- * - ab_test: Random 50/50 selection for comparison testing
- * - fallback: Try SendGrid first, fall back to Resend on failure
+ * - smtp: Use SMTP (nodemailer) only
+ * - file / memory: Keep emails locally instead of sending them (offline development and tests)
+ * - brevo,sendgrid,smtp: Ordered fallback chain
+ * - ab_test: Random 50/50 selection between Brevo and SendGrid for comparison testing
+ * - fallback: Try Brevo first, fall back to SendGrid on failure
  */
 
 import { sendEmail as sendViaProvider, FROM_EMAIL, COMPANY_NAME, SUPPORT_EMAIL, getEmailStats } from './emailProvider.js';
+import { enqueueEmail } from './emailQueueService.js';
 
 // Re-export for backwards compatibility
 export { getEmailStats };
@@ -28,13 +33,41 @@ export async function sendEmail(to, subject, html, text = null, emailType = 'oth
   return sendViaProvider(to, subject, html, text, emailType);
 }
 
+/**
+ * Sign-off name and contact address for an entity's emails
+ * Falls back to the portal-wide COMPANY_NAME / SUPPORT_EMAIL when the entity is unknown
+ * @param {Object} [entity] - Entity with legalName and exitTeam
+ * @returns {{ companyName: String, supportEmail: String }}
+ */
+function getEntityContact(entity) {
+  return {
+    companyName: entity?.legalName || COMPANY_NAME,
+    supportEmail: entity?.exitTeam?.email || SUPPORT_EMAIL
+  };
+}
+
+/**
+ * Escape text for safe insertion into an HTML email body
+ * @param {*} value - Text to escape
+ * @returns {String} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Send OTP email for authentication
  * @param {String} email - Recipient email
  * @param {String} otp - One-time password
- * @returns {Object} SendGrid response
+ * @param {String} [magicLink] - One-time login link to send with the code
+ * @returns {Object} Email send response with provider info
  */
-export async function sendOTPEmail(email, otp) {
+export async function sendOTPEmail(email, otp, magicLink = null) {
   const subject = `Your OTP Code - ${COMPANY_NAME}`;
 
   const html = `
@@ -61,6 +94,7 @@ export async function sendOTPEmail(email, otp) {
           margin: 20px 0;
         }
         .warning { background: #fff3cd; border: 1px solid #ffc107; color: #856404; padding: 10px; border-radius: 5px; margin-top: 20px; font-size: 12px; }
+        .link-btn { display: inline-block; background: #007A3D; color: white !important; padding: 12px 24px; text-decoration: none; border-radius: 6px; }
       </style>
     </head>
     <body>
@@ -74,7 +108,10 @@ export async function sendOTPEmail(email, otp) {
           <p>Your One-Time Password (OTP) for logging into the Employee Verification Portal is:</p>
           
           <div class="otp-code">${otp}</div>
-          
+          ${magicLink ? `
+          <p>Or log in straight away from this browser:</p>
+          <p style="text-align: center;"><a href="${magicLink}" class="link-btn">Log In</a></p>
+          ` : ''}
           <p><strong>This OTP is valid for 5 minutes.</strong></p>
           
           <div class="warning">
@@ -95,7 +132,9 @@ export async function sendOTPEmail(email, otp) {
     </html>
   `;
 
-  const text = `Your OTP for ${COMPANY_NAME} login is: ${otp}. This OTP is valid for 5 minutes. Do not share this with anyone.`;
+  const text = magicLink
+    ? `Your OTP for ${COMPANY_NAME} login is: ${otp}. Or log in with this link: ${magicLink} This OTP and link are valid for 5 minutes. Do not share them with anyone.`
+    : `Your OTP for ${COMPANY_NAME} login is: ${otp}. This OTP is valid for 5 minutes. Do not share this with anyone.`;
 
   return sendEmail(email, subject, html, text, 'otp');
 }
@@ -165,10 +204,12 @@ export async function sendWelcomeEmail(verifier) {
  * @param {Object} data - Verification data
  * @param {String} verifierEmail - Verifier's email
  * @param {String} pdfUrl - URL to generated PDF report
+ * @param {Object} [entity] - Employee's entity, for the sign-off and HR contact
  * @returns {Object} SendGrid response
  */
-export async function sendVerificationReportEmail(data, verifierEmail, pdfUrl) {
+export async function sendVerificationReportEmail(data, verifierEmail, pdfUrl, entity = null) {
   const subject = `Employee Verification Report - ${data.employeeId}`;
+  const { companyName, supportEmail } = getEntityContact(entity);
 
   const getStatusColor = (isMatch) => isMatch ? '#28a745' : '#dc3545';
   const getStatusText = (isMatch) => isMatch ? '✓ Match' : '✗ Mismatch';
@@ -245,15 +286,15 @@ export async function sendVerificationReportEmail(data, verifierEmail, pdfUrl) {
             </div>
           ` : ''}
           
-          <p>If you have any questions about these results or if any information appears to be incorrect, please raise a query through the portal or contact our HR team directly at ${SUPPORT_EMAIL}.</p>
+          <p>If you have any questions about these results or if any information appears to be incorrect, please raise a query through the portal or contact our HR team directly at ${supportEmail}.</p>
           
           <p>Best regards,<br>
           HR Team<br>
-          ${COMPANY_NAME}</p>
+          ${companyName}</p>
         </div>
         <div class="footer">
           <p>This is an automated message. Please do not reply to this email.</p>
-          <p>© ${new Date().getFullYear()} ${COMPANY_NAME}. All rights reserved.</p>
+          <p>© ${new Date().getFullYear()} ${companyName}. All rights reserved.</p>
         </div>
       </div>
     </body>
@@ -264,12 +305,16 @@ export async function sendVerificationReportEmail(data, verifierEmail, pdfUrl) {
 }
 
 /**
- * Send appeal notification email to HR
+ * Queue appeal notification email to HR
+ * Sent to the entity's exit team, or SUPPORT_EMAIL if the entity has none.
+ * Goes through the email queue; deliver it with deliverEmailJob(job._id).
  * @param {Object} appeal - Appeal object
- * @returns {Object} SendGrid response
+ * @param {Object} [entity] - Employee's entity
+ * @returns {Promise<Object>} The queued EmailJob
  */
-export async function sendAppealNotificationEmail(appeal) {
+export async function sendAppealNotificationEmail(appeal, entity = null) {
   const subject = `New Query Submitted - Employee ${appeal.employeeId}`;
+  const { companyName, supportEmail } = getEntityContact(entity);
 
   const html = `
     <!DOCTYPE html>
@@ -334,28 +379,38 @@ export async function sendAppealNotificationEmail(appeal) {
           <p>Please review this query at your earliest convenience and provide a response to the verifier.</p>
           
           <p>Best regards,<br>
-          ${COMPANY_NAME} System</p>
+          ${companyName} System</p>
         </div>
         <div class="footer">
           <p>This is an automated message. Please do not reply to this email.</p>
-          <p>© ${new Date().getFullYear()} ${COMPANY_NAME}. All rights reserved.</p>
+          <p>© ${new Date().getFullYear()} ${companyName}. All rights reserved.</p>
         </div>
       </div>
     </body>
     </html>
   `;
 
-  return sendEmail(SUPPORT_EMAIL, subject, html, null, 'appeal_notification');
+  return enqueueEmail({
+    to: supportEmail,
+    subject,
+    html,
+    emailType: 'appeal_notification',
+    reference: { kind: 'appeal', id: appeal.appealId },
+    entityName: appeal.entityName
+  });
 }
 
 /**
- * Send appeal response email to verifier
+ * Queue appeal response email to verifier
+ * Goes through the email queue; deliver it with deliverEmailJob(job._id).
  * @param {Object} appeal - Appeal object with response
  * @param {String} verifierEmail - Verifier's email
- * @returns {Object} SendGrid response
+ * @param {Object} [entity] - Employee's entity, for the sign-off and HR contact
+ * @returns {Promise<Object>} The queued EmailJob
  */
-export async function sendAppealResponseEmail(appeal, verifierEmail) {
+export async function sendAppealResponseEmail(appeal, verifierEmail, entity = null) {
   const subject = `Response to Your Query - Employee ${appeal.employeeId}`;
+  const { companyName, supportEmail } = getEntityContact(entity);
   const statusColor = appeal.status === 'approved' ? '#28a745' : '#dc3545';
   const statusText = appeal.status === 'approved' ? 'APPROVED' : 'REJECTED';
 
@@ -402,11 +457,234 @@ export async function sendAppealResponseEmail(appeal, verifierEmail) {
             <li><strong>Reviewed:</strong> ${new Date(appeal.reviewedAt).toLocaleDateString()}</li>
           </ul>
           
-          <p>If you have any further questions or require additional information, please don't hesitate to contact our HR team at ${SUPPORT_EMAIL}.</p>
+          <p>If you have any further questions or require additional information, please don't hesitate to contact our HR team at ${supportEmail}.</p>
           
           <p>Best regards,<br>
           HR Team<br>
-          ${COMPANY_NAME}</p>
+          ${companyName}</p>
+        </div>
+        <div class="footer">
+          <p>This is an automated message. Please do not reply to this email.</p>
+          <p>© ${new Date().getFullYear()} ${companyName}. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return enqueueEmail({
+    to: verifierEmail,
+    subject,
+    html,
+    emailType: 'appeal_response',
+    reference: { kind: 'appeal', id: appeal.appealId },
+    entityName: appeal.entityName
+  });
+}
+
+/**
+ * Send temporary login credentials to an admin
+ * Used when an admin is invited and when a super admin forces a password reset.
+ * The admin must choose a new password on first login.
+ * @param {Object} admin - Admin with username, email and fullName
+ * @param {String} temporaryPassword - One-time password to log in with
+ * @param {String} reason - 'invite' | 'reset'
+ * @returns {Object} Email send response with provider info
+ */
+export async function sendAdminCredentialsEmail(admin, temporaryPassword, reason = 'invite') {
+  const isReset = reason === 'reset';
+  const subject = isReset
+    ? `Your admin password has been reset - ${COMPANY_NAME}`
+    : `You have been invited to the ${COMPANY_NAME} verification admin portal`;
+  const loginUrl = `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/admin/login`;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>${isReset ? 'Password Reset' : 'Admin Invitation'}</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #007A3D; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+        .credentials { background: #fff; padding: 15px; border: 1px solid #ddd; border-radius: 5px; margin: 20px 0; font-family: monospace; }
+        .btn { display: inline-block; padding: 10px 20px; background: #007A3D; color: white; text-decoration: none; border-radius: 5px; }
+        .warning { background: #fff3cd; border: 1px solid #ffc107; color: #856404; padding: 10px; border-radius: 5px; margin-top: 20px; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${COMPANY_NAME}</h1>
+          <p>Employee Verification Admin Portal</p>
+        </div>
+        <div class="content">
+          <p>Dear ${admin.fullName},</p>
+          <p>${isReset
+            ? 'An administrator has reset the password for your admin account.'
+            : 'An admin account has been created for you on the Employee Verification Portal.'}</p>
+
+          <div class="credentials">
+            Username: ${admin.username}<br>
+            Temporary password: ${temporaryPassword}
+          </div>
+
+          <p>You will be asked to choose a new password when you log in.</p>
+
+          <p><a href="${loginUrl}" class="btn">Log in to the Admin Portal</a></p>
+
+          <div class="warning">
+            <strong>⚠️ Security Notice:</strong> Do not share this password. If you did not expect this email, contact ${SUPPORT_EMAIL}.
+          </div>
+
+          <p>Best regards,<br>
+          ${COMPANY_NAME} Team</p>
+        </div>
+        <div class="footer">
+          <p>This is an automated message. Please do not reply to this email.</p>
+          <p>© ${new Date().getFullYear()} ${COMPANY_NAME}. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `Username: ${admin.username}\nTemporary password: ${temporaryPassword}\nLog in at ${loginUrl} and choose a new password.`;
+
+  return sendEmail(admin.email, subject, html, text, isReset ? 'admin_password_reset' : 'admin_invite');
+}
+
+/**
+ * Send the outcome of an unblock request to the verifier
+ * @param {Object} unblockRequest - Reviewed unblock request
+ * @param {Object} [entity] - Employee's entity, for the sign-off and HR contact
+ * @returns {Object} Email send response with provider info
+ */
+export async function sendUnblockDecisionEmail(unblockRequest, entity = null) {
+  const subject = `Unblock Request ${unblockRequest.requestId} - Employee ${unblockRequest.employeeId}`;
+  const contact = getEntityContact(entity);
+  const companyName = escapeHtml(contact.companyName);
+  const supportEmail = escapeHtml(contact.supportEmail);
+  const isApproved = unblockRequest.status === 'approved';
+  const statusColor = isApproved ? '#28a745' : '#dc3545';
+  const statusText = isApproved ? 'APPROVED' : 'DENIED';
+  const verifyUrl = `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/verify`;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Unblock Request Decision</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #007bff; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+        .status { background: ${statusColor}; color: white; padding: 10px; text-align: center; border-radius: 5px; font-weight: bold; margin: 20px 0; }
+        .response { background: #fff; padding: 15px; border: 1px solid #ddd; border-radius: 5px; margin: 20px 0; }
+        .btn { display: inline-block; padding: 10px 20px; background: #007bff; color: white; text-decoration: none; border-radius: 5px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Unblock Request Decision</h1>
+        </div>
+        <div class="content">
+          <p>Dear ${escapeHtml(unblockRequest.companyName || 'Verifier')},</p>
+          <p>Your request to unblock verification of employee <strong>${escapeHtml(unblockRequest.employeeId)}</strong> has been reviewed by our exit team.</p>
+
+          <div class="status">
+            Request Status: ${statusText}
+          </div>
+
+          ${unblockRequest.reviewNote ? `
+          <h3>Exit Team Note</h3>
+          <div class="response">
+            ${escapeHtml(unblockRequest.reviewNote)}
+          </div>
+          ` : ''}
+
+          ${isApproved
+            ? `<p>Your attempts for this employee have been reset. You can now start a new verification.</p>
+          <p><a href="${verifyUrl}" class="btn">Start Verification</a></p>`
+            : `<p>Verification of this employee remains blocked. If you believe this is a mistake, contact our HR team at ${supportEmail}.</p>`}
+
+          <p>Best regards,<br>
+          HR Team<br>
+          ${companyName}</p>
+        </div>
+        <div class="footer">
+          <p>This is an automated message. Please do not reply to this email.</p>
+          <p>© ${new Date().getFullYear()} ${companyName}. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail(unblockRequest.verifierEmail, subject, html, null, 'unblock_decision');
+}
+
+/**
+ * Tell an account owner their login has been locked after repeated failed attempts
+ * @param {Object} account - { email, name }
+ * @param {Object} lockout
+ * @param {Date} lockout.lockedUntil - When the lock lifts on its own
+ * @param {Number} lockout.failedAttempts - Failed attempts that triggered the lock
+ * @param {String} [lockout.ipAddress] - Address the last failed attempt came from
+ * @param {String} lockout.role - 'verifier' | 'admin'
+ * @returns {Object} Email send response with provider info
+ */
+export async function sendAccountLockedEmail(account, { lockedUntil, failedAttempts, ipAddress, role }) {
+  const subject = `Your account has been temporarily locked - ${COMPANY_NAME}`;
+  const unlockHelp = role === 'admin'
+    ? 'A super admin can unlock your account sooner from the admin console.'
+    : `If you need access sooner, contact ${SUPPORT_EMAIL}.`;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Account Locked</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #dc3545; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+        .details { background: #fff; padding: 15px; border: 1px solid #ddd; border-radius: 5px; margin: 20px 0; }
+        .warning { background: #fff3cd; border: 1px solid #ffc107; color: #856404; padding: 10px; border-radius: 5px; margin-top: 20px; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Account Locked</h1>
+        </div>
+        <div class="content">
+          <p>Dear ${account.name || 'User'},</p>
+          <p>We locked your ${COMPANY_NAME} verification portal account after ${failedAttempts} failed login attempts.</p>
+
+          <div class="details">
+            <strong>Locked until:</strong> ${new Date(lockedUntil).toUTCString()}<br>
+            <strong>Last attempt from:</strong> ${ipAddress || 'unknown'}
+          </div>
+
+          <p>You can log in again once the lock lifts. ${unlockHelp}</p>
+
+          <div class="warning">
+            <strong>⚠️ Security Notice:</strong> If these attempts were not made by you, change your password as soon as you can log in and let ${SUPPORT_EMAIL} know.
+          </div>
+
+          <p>Best regards,<br>
+          ${COMPANY_NAME} Team</p>
         </div>
         <div class="footer">
           <p>This is an automated message. Please do not reply to this email.</p>
@@ -417,5 +695,7 @@ export async function sendAppealResponseEmail(appeal, verifierEmail) {
     </html>
   `;
 
-  return sendEmail(verifierEmail, subject, html, null, 'appeal_response');
-}
\ No newline at end of file
+  const text = `Your account was locked after ${failedAttempts} failed login attempts. It unlocks at ${new Date(lockedUntil).toUTCString()}. ${unlockHelp}`;
+
+  return sendEmail(account.email, subject, html, text, 'account_locked');
+}
@@ -0,0 +1,99 @@
+/**
+ * Email Sink Service
+ * Providers that keep mail instead of delivering it, for running the portal and
+ * its tests without network access. Registered in emailProvider.js as:
+ * - file: writes each email as JSON to EMAIL_SINK_DIR (default .email-sink/)
+ * - memory: keeps emails in this process; read them with getSentEmails() or
+ *   GET /api/admin/email-sink
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs/promises';
+
+const SINK_DIR = process.env.EMAIL_SINK_DIR || path.join(process.cwd(), '.email-sink');
+const MEMORY_LIMIT = 500;
+
+const memoryOutbox = [];
+
+function buildMessage(to, subject, html, text) {
+  return {
+    id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    to,
+    from: process.env.FROM_EMAIL || 'noreply@company.com',
+    subject,
+    html,
+    text: text || null,
+    sentAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Write an email to the sink directory instead of sending it
+ * @returns {Promise<Object>} { messageId, provider: 'file', path }
+ */
+export async function sendToFileSink(to, subject, html, text) {
+  const message = buildMessage(to, subject, html, text);
+  const filePath = path.join(SINK_DIR, `${message.id}.json`);
+
+  await fs.mkdir(SINK_DIR, { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+
+  console.log(`[EMAIL SINK] Wrote "${subject}" for ${to} to ${filePath}`);
+  return {
+    messageId: `file-${message.id}`,
+    provider: 'file',
+    path: filePath
+  };
+}
+
+/**
+ * Keep an email in memory instead of sending it
+ * Only the most recent MEMORY_LIMIT emails are kept.
+ * @returns {Promise<Object>} { messageId, provider: 'memory' }
+ */
+export async function sendToMemorySink(to, subject, html, text) {
+  const message = buildMessage(to, subject, html, text);
+
+  memoryOutbox.push(message);
+  if (memoryOutbox.length > MEMORY_LIMIT) {
+    memoryOutbox.shift();
+  }
+
+  return {
+    messageId: `memory-${message.id}`,
+    provider: 'memory'
+  };
+}
+
+/**
+ * Whether EMAIL_PROVIDER sends anything to the memory sink
+ */
+export function isMemorySinkEnabled() {
+  return (process.env.EMAIL_PROVIDER || '').toLowerCase().split(',').some(name => name.trim() === 'memory');
+}
+
+/**
+ * Emails kept by the memory sink, oldest first
+ * @param {String} [to] - Only emails to this address
+ * @returns {Array<Object>} { id, to, from, subject, html, text, sentAt }
+ */
+export function getSentEmails(to = null) {
+  const normalized = to?.toLowerCase();
+  return memoryOutbox.filter(message => !normalized || message.to.toLowerCase() === normalized);
+}
+
+/**
+ * Empty the memory sink
+ */
+export function clearSentEmails() {
+  memoryOutbox.length = 0;
+}
+
+export default {
+  sendToFileSink,
+  sendToMemorySink,
+  isMemorySinkEnabled,
+  getSentEmails,
+  clearSentEmails
+};
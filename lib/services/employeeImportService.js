@@ -0,0 +1,222 @@
+/**
+ * Employee Import Service
+ * Turns an HRMS exit-list upload into a diff against the employee master, and
+ * applies a previewed diff. Imports are keyed on employeeId, so re-importing the
+ * same file creates nothing new and reports every row as unchanged.
+ */
+
+import { schemas } from '../validation.js';
+import { mapRowColumns, parseDateCell } from './spreadsheetService.js';
+import { diffChanges, recordAudit } from './auditService.js';
+import { getEntityDirectory } from './entityService.js';
+import { findEmployeesByIds, upsertEmployee } from '../mongodb.data.service.js';
+import { EMPLOYEE_FIELDS } from '../models/Employee.js';
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// Accepted header spellings (compared lower-cased with spaces/underscores removed)
+const COLUMN_ALIASES = {
+  employeeId: ['employeeid', 'empid', 'employeecode', 'employeeno'],
+  name: ['name', 'employeename', 'fullname'],
+  email: ['email', 'emailid', 'officialemail', 'workemail'],
+  entityName: ['entityname', 'entity', 'company', 'legalentity'],
+  dateOfJoining: ['dateofjoining', 'doj', 'joiningdate'],
+  dateOfLeaving: ['dateofleaving', 'dol', 'leavingdate', 'lastworkingday', 'exitdate'],
+  designation: ['designation', 'title', 'jobtitle'],
+  exitReason: ['exitreason', 'reasonforexit', 'separationreason'],
+  fnfStatus: ['fnfstatus', 'fnf', 'fullandfinalstatus', 'fullandfinal'],
+  department: ['department', 'dept']
+};
+
+// Column order of the downloadable import report
+export const IMPORT_REPORT_HEADERS = [
+  'Row',
+  'Employee ID',
+  'Name',
+  'Preview',
+  'Changed Fields',
+  'Result',
+  'Message'
+];
+
+/**
+ * Map an uploaded HRMS row onto employee fields
+ * @param {Object} row - Parsed spreadsheet row
+ * @returns {Object} Employee data, ready for schemas.employeeCreate
+ */
+export function normalizeEmployeeRow(row) {
+  const employee = mapRowColumns(row, COLUMN_ALIASES);
+
+  employee.employeeId = String(employee.employeeId || '').trim();
+  employee.name = String(employee.name || '').trim();
+  employee.email = String(employee.email || '').trim().toLowerCase();
+  employee.entityName = String(employee.entityName || '').trim().toUpperCase();
+  employee.dateOfJoining = parseDateCell(employee.dateOfJoining);
+  employee.dateOfLeaving = parseDateCell(employee.dateOfLeaving);
+
+  // HRMS exports vary in case ("COMPLETED", "pending")
+  const fnfStatus = String(employee.fnfStatus || '').trim().toLowerCase();
+  employee.fnfStatus = fnfStatus ? fnfStatus.charAt(0).toUpperCase() + fnfStatus.slice(1) : '';
+
+  Object.keys(employee).forEach(field => {
+    if (employee[field] === '') delete employee[field];
+  });
+
+  return employee;
+}
+
+/**
+ * Validate uploaded rows and diff them against the employee master
+ * @param {Array<Object>} rows - Parsed spreadsheet rows
+ * @param {Object} [options]
+ * @param {Array<String>|null} [options.entityNames] - Uploader's entity scope; rows outside it are invalid
+ * @returns {Promise<Object>} { rows, summary } where each row has action new | changed | unchanged | invalid
+ */
+export async function buildImportPreview(rows, { entityNames = null } = {}) {
+  const seen = new Set();
+  const entities = await getEntityDirectory();
+  const activeCodes = new Set(entities.filter(entity => entity.isActive).map(entity => entity.code));
+
+  const validated = rows.map(row => {
+    const candidate = normalizeEmployeeRow(row);
+    const { error, value } = schemas.employeeCreate.validate(candidate, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    const preview = {
+      rowNumber: row.rowNumber,
+      employeeId: value?.employeeId || candidate.employeeId,
+      name: candidate.name
+    };
+
+    if (error) {
+      return { ...preview, action: 'invalid', validationErrors: error.details.map(d => d.message) };
+    }
+
+    if (!activeCodes.has(value.entityName)) {
+      return { ...preview, action: 'invalid', validationErrors: [`Unknown or inactive entity "${value.entityName}"`] };
+    }
+
+    if (entityNames && !entityNames.includes(value.entityName)) {
+      return { ...preview, action: 'invalid', validationErrors: [`You do not have access to entity ${value.entityName}`] };
+    }
+
+    if (seen.has(value.employeeId)) {
+      return { ...preview, action: 'invalid', validationErrors: [`Duplicate employee ID ${value.employeeId} in file`] };
+    }
+    seen.add(value.employeeId);
+
+    return { ...preview, data: value };
+  });
+
+  const existing = await findEmployeesByIds([...seen]);
+  const existingById = new Map(existing.map(employee => [employee.employeeId, employee]));
+
+  const previewRows = validated.map(row => {
+    if (row.action === 'invalid') return row;
+
+    const current = existingById.get(row.employeeId);
+    if (current && entityNames && !entityNames.includes(current.entityName)) {
+      const { data, ...rest } = row;
+      return { ...rest, action: 'invalid', validationErrors: [`Employee ${row.employeeId} belongs to an entity you do not have access to`] };
+    }
+
+    if (!current) {
+      return { ...row, action: 'new', changes: diffChanges(null, row.data, EMPLOYEE_FIELDS) };
+    }
+
+    const changes = diffChanges(current, row.data, EMPLOYEE_FIELDS);
+    return { ...row, action: changes.length > 0 ? 'changed' : 'unchanged', changes };
+  });
+
+  return { rows: previewRows, summary: summarizePreview(previewRows) };
+}
+
+/**
+ * Count preview rows per action
+ */
+function summarizePreview(rows) {
+  const summary = { total: rows.length, new: 0, changed: 0, unchanged: 0, invalid: 0 };
+  rows.forEach(row => { summary[row.action]++; });
+  return summary;
+}
+
+/**
+ * Apply a previewed import to the employee master
+ * Each row is diffed again against the current record so changes made since the
+ * preview are not overwritten blindly and repeated imports stay no-ops.
+ * Row-level failures are recorded and never abort the import.
+ * @param {Object} employeeImport - EmployeeImport document
+ * @param {Object} context - { request, actor } for the audit trail
+ * @returns {Promise<Object>} { rows, report }
+ */
+export async function commitEmployeeImport(employeeImport, { request, actor }) {
+  const importable = employeeImport.rows.filter(row => row.action === 'new' || row.action === 'changed');
+  const existing = await findEmployeesByIds(importable.map(row => row.employeeId));
+  const existingById = new Map(existing.map(employee => [employee.employeeId, employee]));
+
+  const rows = [];
+  for (const row of employeeImport.rows) {
+    if (row.action === 'invalid') {
+      rows.push({ ...row, result: 'skipped', resultMessage: row.validationErrors.join('; ') });
+      continue;
+    }
+
+    const current = existingById.get(row.employeeId) || null;
+    const changes = diffChanges(current, row.data, EMPLOYEE_FIELDS);
+
+    if (current && changes.length === 0) {
+      rows.push({ ...row, result: 'unchanged' });
+      continue;
+    }
+
+    try {
+      await upsertEmployee(row.employeeId, row.data);
+      await recordAudit({
+        request,
+        actor,
+        action: current ? 'update' : 'create',
+        entityType: 'employee',
+        entityId: row.employeeId,
+        changes,
+        metadata: { importId: employeeImport.importId, rowNumber: row.rowNumber }
+      });
+      rows.push({ ...row, changes, result: current ? 'updated' : 'created' });
+    } catch (error) {
+      console.error(`Employee import row ${row.rowNumber} failed:`, error);
+      rows.push({ ...row, result: 'failed', resultMessage: error.message });
+    }
+  }
+
+  const report = { created: 0, updated: 0, unchanged: 0, skipped: 0, failed: 0 };
+  rows.forEach(row => { report[row.result]++; });
+
+  return { rows, report };
+}
+
+/**
+ * Flatten import rows into the downloadable report layout
+ * @param {Array<Object>} rows - EmployeeImport rows
+ * @returns {Array<Object>} Rows keyed by IMPORT_REPORT_HEADERS
+ */
+export function toImportReportRows(rows) {
+  return rows.map(row => ({
+    'Row': row.rowNumber,
+    'Employee ID': row.employeeId,
+    'Name': row.name,
+    'Preview': row.action,
+    'Changed Fields': row.action === 'changed' ? (row.changes || []).map(c => c.field).join('; ') : '',
+    'Result': row.result || 'pending',
+    'Message': row.resultMessage || (row.validationErrors || []).join('; ')
+  }));
+}
+
+export default {
+  MAX_IMPORT_ROWS,
+  IMPORT_REPORT_HEADERS,
+  normalizeEmployeeRow,
+  buildImportPreview,
+  commitEmployeeImport,
+  toImportReportRows
+};
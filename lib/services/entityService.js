@@ -0,0 +1,63 @@
+/**
+ * Entity Service
+ * Read access to the group entity directory for validation, comparison display,
+ * PDF letterheads and email templates. Entities change rarely, so the directory
+ * is cached in memory and refreshed after admin edits or when the cache expires.
+ */
+
+import { getEntities } from '../mongodb.data.service.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cachedEntities = null;
+let cacheExpiresAt = 0;
+
+/**
+ * Get every entity (active and inactive)
+ * @returns {Promise<Array<Object>>} Entity documents
+ */
+export async function getEntityDirectory() {
+  if (!cachedEntities || Date.now() > cacheExpiresAt) {
+    cachedEntities = await getEntities();
+    cacheExpiresAt = Date.now() + CACHE_TTL_MS;
+  }
+  return cachedEntities;
+}
+
+/**
+ * Drop the cached directory (call after creating, updating or deleting an entity)
+ */
+export function clearEntityCache() {
+  cachedEntities = null;
+  cacheExpiresAt = 0;
+}
+
+/**
+ * Find an entity by code
+ * @param {String} code - Entity code stored on employee records (e.g. TVSCSHIB)
+ * @returns {Promise<Object|null>} Entity, or null if unknown
+ */
+export async function findEntity(code) {
+  if (!code) return null;
+  const entities = await getEntityDirectory();
+  return entities.find(entity => entity.code === String(code).trim().toUpperCase()) || null;
+}
+
+/**
+ * Check that a code names an active entity
+ * @param {String} code - Entity code
+ * @returns {Promise<String|null>} Error message, or null if the entity can be used
+ */
+export async function validateEntityCode(code) {
+  const entity = await findEntity(code);
+  if (!entity) return `Unknown entity "${code}"`;
+  if (!entity.isActive) return `Entity ${entity.code} is inactive`;
+  return null;
+}
+
+export default {
+  getEntityDirectory,
+  clearEntityCache,
+  findEntity,
+  validateEntityCode
+};
@@ -0,0 +1,173 @@
+/**
+ * Enumeration Detection Service
+ * Per-pair attempt limits cannot see one verifier probing many different
+ * employee IDs. After each failed lookup this looks at the verifier's recent
+ * failures across all employees and, when they look like enumeration, raises a
+ * SecurityAlert and flags, throttles or suspends the verifier as the policy says.
+ */
+
+import {
+  getVerificationFailuresSince,
+  getVerifiedEmployeeIdsSince,
+  findUnresolvedSecurityAlert,
+  addSecurityAlert,
+  findVerifierById,
+  updateVerifier,
+  generateSequentialId
+} from '../mongodb.data.service.js';
+import SecurityAlert from '../models/SecurityAlert.js';
+import { buildStatusUpdate } from './verifierAccountService.js';
+
+const MINUTE_MS = 60 * 1000;
+const MAX_SAMPLE_IDS = 50;
+
+/**
+ * Longest run of consecutive numbers among IDs sharing a prefix (EMP1001, EMP1002, ...)
+ * @param {Array<String>} employeeIds
+ * @returns {{ length: Number, from?: String, to?: String }}
+ */
+export function longestSequentialRun(employeeIds) {
+  const byPrefix = {};
+  for (const id of new Set(employeeIds)) {
+    const match = /^(.*?)(\d+)$/.exec(id);
+    if (!match) continue;
+    const [, prefix, digits] = match;
+    if (!byPrefix[prefix]) byPrefix[prefix] = [];
+    byPrefix[prefix].push({ id, number: Number(digits) });
+  }
+
+  let best = { length: 0 };
+  for (const ids of Object.values(byPrefix)) {
+    ids.sort((a, b) => a.number - b.number);
+    let start = 0;
+    for (let i = 1; i <= ids.length; i++) {
+      if (i < ids.length && ids[i].number === ids[i - 1].number + 1) continue;
+      if (i - start > best.length) {
+        best = { length: i - start, from: ids[start].id, to: ids[i - 1].id };
+      }
+      start = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * Evaluate a verifier's recent lookups against the enumeration thresholds
+ * @param {Array<Object>} failures - { employeeId, reason, at } inside the window
+ * @param {Array<String>} verifiedEmployeeIds - Employees verified successfully inside the window
+ * @param {Object} rules - attemptPolicy.enumeration
+ * @param {Date} [now]
+ * @returns {Array<Object>} Signals that fired: { rule, value, threshold, detail }
+ */
+export function detectEnumeration(failures, verifiedEmployeeIds, rules, now = new Date()) {
+  const signals = [];
+  const failedIds = [...new Set(failures.map(failure => failure.employeeId))];
+
+  if (failedIds.length >= rules.maxDistinctFailures) {
+    signals.push({
+      rule: 'distinct_failures',
+      value: failedIds.length,
+      threshold: rules.maxDistinctFailures,
+      detail: `${failedIds.length} different employee IDs failed in ${rules.windowMinutes} minutes`
+    });
+  }
+
+  const lookedUp = new Set([...failedIds, ...verifiedEmployeeIds]).size;
+  const failureRate = lookedUp ? failedIds.length / lookedUp : 0;
+  if (lookedUp >= rules.minLookups && failureRate >= rules.maxFailureRate) {
+    signals.push({
+      rule: 'failure_rate',
+      value: Math.round(failureRate * 100) / 100,
+      threshold: rules.maxFailureRate,
+      detail: `${failedIds.length} of ${lookedUp} employee IDs looked up failed`
+    });
+  }
+
+  const burstStart = now.getTime() - rules.burstMinutes * MINUTE_MS;
+  const burst = failures.filter(failure => new Date(failure.at).getTime() >= burstStart).length;
+  if (burst >= rules.burstMaxFailures) {
+    signals.push({
+      rule: 'burst',
+      value: burst,
+      threshold: rules.burstMaxFailures,
+      detail: `${burst} failed lookups in ${rules.burstMinutes} minutes`
+    });
+  }
+
+  const run = longestSequentialRun(failedIds);
+  if (run.length >= rules.sequentialRunLength) {
+    signals.push({
+      rule: 'sequential_ids',
+      value: run.length,
+      threshold: rules.sequentialRunLength,
+      detail: `Consecutive IDs ${run.from} to ${run.to}`
+    });
+  }
+
+  return signals;
+}
+
+/**
+ * Check a verifier after a failed lookup and act on enumeration
+ * Only one unresolved alert is kept per verifier; while it is open no further action is taken.
+ * @param {String} verifierId
+ * @param {Object} attemptPolicy - Result of getAttemptPolicy
+ * @returns {Promise<Object|null>} The new alert, or null when nothing was raised
+ */
+export async function checkForEnumeration(verifierId, attemptPolicy) {
+  const rules = attemptPolicy.enumeration;
+  if (!rules?.enabled) return null;
+
+  const now = new Date();
+  const since = new Date(now.getTime() - rules.windowMinutes * MINUTE_MS);
+
+  const [failures, verifiedEmployeeIds] = await Promise.all([
+    getVerificationFailuresSince(verifierId, since),
+    getVerifiedEmployeeIdsSince(verifierId, since)
+  ]);
+
+  const signals = detectEnumeration(failures, verifiedEmployeeIds, rules, now);
+  if (signals.length === 0) return null;
+
+  if (await findUnresolvedSecurityAlert(verifierId, 'employee_enumeration')) return null;
+
+  const verifier = await findVerifierById(verifierId);
+  const reason = `Possible employee ID enumeration: ${signals.map(signal => signal.detail).join('; ')}`;
+
+  let actionTaken = 'flagged';
+  let throttledUntil;
+
+  if (rules.action === 'suspend') {
+    const { update } = buildStatusUpdate(verifier, 'suspend', { reason, changedBy: 'system' });
+    if (update) {
+      await updateVerifier(verifierId, update);
+      actionTaken = 'suspended';
+    }
+  } else if (rules.action === 'throttle') {
+    throttledUntil = new Date(now.getTime() + rules.throttleMinutes * MINUTE_MS);
+    await updateVerifier(verifierId, { lookupThrottledUntil: throttledUntil });
+    actionTaken = 'throttled';
+  }
+
+  const alert = await addSecurityAlert({
+    alertId: await generateSequentialId('SEC', SecurityAlert),
+    type: 'employee_enumeration',
+    verifierId,
+    verifierEmail: verifier?.email,
+    companyName: verifier?.companyName,
+    signals,
+    sampleEmployeeIds: [...new Set(failures.map(failure => failure.employeeId))].slice(0, MAX_SAMPLE_IDS),
+    actionTaken,
+    throttledUntil,
+    status: 'open'
+  });
+
+  console.warn(`[SECURITY] ${alert.alertId}: verifier ${verifierId} ${actionTaken} - ${reason}`);
+  return alert;
+}
+
+export default {
+  longestSequentialRun,
+  detectEnumeration,
+  checkForEnumeration
+};
@@ -0,0 +1,98 @@
+/**
+ * Field Alias Service
+ * Resolves designation / exit reason spellings to canonical values using the
+ * admin-managed synonym dictionary, and proposes new aliases from approved appeals.
+ */
+
+export const ALIAS_FIELDS = ['designation', 'exitReason'];
+
+/**
+ * Normalize a value for dictionary lookup
+ * "Sr. Software Engineer " -> "sr software engineer"
+ * @param {String} value - Raw value
+ * @returns {String} Normalized value
+ */
+export function normalizeAliasValue(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find the canonical value for a field value
+ * Entity-specific entries take precedence over global ones
+ * @param {Any} value - Value to resolve
+ * @param {Array<Object>} entries - FieldAlias entries for one field
+ * @param {String} [entityName] - Entity of the employee being compared
+ * @returns {String|null} Canonical value, or null if the value is not in the dictionary
+ */
+export function resolveCanonicalValue(value, entries = [], entityName = null) {
+  const normalized = normalizeAliasValue(value);
+  if (!normalized) return null;
+
+  const applicable = entries
+    .filter(entry => !entry.entityName || entry.entityName === entityName)
+    .sort((a, b) => (b.entityName ? 1 : 0) - (a.entityName ? 1 : 0));
+
+  const entry = applicable.find(e =>
+    normalizeAliasValue(e.canonicalValue) === normalized ||
+    (e.aliases || []).some(alias => normalizeAliasValue(alias) === normalized)
+  );
+
+  return entry ? entry.canonicalValue : null;
+}
+
+/**
+ * Build alias suggestions from approved appeals
+ * An approved appeal means HR accepted the verifier's value, so each mismatched
+ * designation / exit reason pair is a candidate alias of the company value.
+ * @param {Array<Object>} appeals - Approved appeals
+ * @param {Object} employeeEntities - Map of employeeId -> entityName
+ * @param {Array<Object>} entries - Existing FieldAlias entries
+ * @returns {Array<Object>} { field, entityName, canonicalValue, alias, occurrences, appealIds }, most frequent first
+ */
+export function buildAliasSuggestions(appeals, employeeEntities, entries) {
+  const suggestions = new Map();
+
+  appeals.forEach(appeal => {
+    const entityName = employeeEntities[appeal.employeeId] || null;
+
+    (appeal.mismatchedFields || []).forEach(mismatch => {
+      if (!ALIAS_FIELDS.includes(mismatch.fieldName)) return;
+
+      const { verifierValue, companyValue } = mismatch;
+      if (!normalizeAliasValue(verifierValue) || verifierValue === 'Not Provided') return;
+      if (normalizeAliasValue(verifierValue) === normalizeAliasValue(companyValue)) return;
+
+      // Skip pairs the dictionary already treats as equivalent
+      const fieldEntries = entries.filter(e => e.field === mismatch.fieldName);
+      const verifierCanonical = resolveCanonicalValue(verifierValue, fieldEntries, entityName);
+      const companyCanonical = resolveCanonicalValue(companyValue, fieldEntries, entityName);
+      if (verifierCanonical && verifierCanonical === companyCanonical) return;
+
+      const key = [mismatch.fieldName, entityName, normalizeAliasValue(companyValue), normalizeAliasValue(verifierValue)].join('|');
+      const suggestion = suggestions.get(key) || {
+        field: mismatch.fieldName,
+        entityName,
+        canonicalValue: companyCanonical || companyValue,
+        alias: verifierValue,
+        occurrences: 0,
+        appealIds: []
+      };
+
+      suggestion.occurrences++;
+      suggestion.appealIds.push(appeal.appealId);
+      suggestions.set(key, suggestion);
+    });
+  });
+
+  return [...suggestions.values()].sort((a, b) => b.occurrences - a.occurrences);
+}
+
+export default {
+  ALIAS_FIELDS,
+  normalizeAliasValue,
+  resolveCanonicalValue,
+  buildAliasSuggestions
+};
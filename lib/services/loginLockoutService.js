@@ -0,0 +1,154 @@
+/**
+ * Login Lockout Service
+ * Locks a verifier or admin account after repeated wrong passwords. Failures are
+ * counted within a window; reaching the limit locks the account, and each further
+ * lockout within a day of the previous one lasts twice as long. Locks lift on their
+ * own at lockedUntil or when an admin unlocks the account.
+ */
+
+import { incrementFailedLogin, lockAccountAfterFailures, logAccess } from '../mongodb.data.service.js';
+import { sendAccountLockedEmail } from './emailService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+export const LOCKOUT_POLICY = {
+  maxFailures: parseInt(process.env.LOGIN_LOCKOUT_MAX_FAILURES) || 5,
+  windowMinutes: parseInt(process.env.LOGIN_LOCKOUT_WINDOW_MINUTES) || 15,
+  baseLockMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  maxLockMinutes: 24 * 60,
+  // A lockout this long after the previous one ended starts from baseLockMinutes again
+  progressionResetMinutes: 24 * 60
+};
+
+/**
+ * Time left on an account's lock
+ * @param {Object} account - Verifier or Admin record
+ * @param {Date} [now]
+ * @returns {Number} Milliseconds, 0 when not locked
+ */
+export function getLockRemainingMs(account, now = new Date()) {
+  return account?.lockedUntil ? Math.max(0, new Date(account.lockedUntil) - now) : 0;
+}
+
+/**
+ * Whether an account is locked right now
+ */
+export function isAccountLocked(account, now = new Date()) {
+  return getLockRemainingMs(account, now) > 0;
+}
+
+/**
+ * Lock length for an account's next lockout
+ * @param {Number} previousLockouts - Lockouts already in the current progression
+ * @returns {Number} Minutes
+ */
+export function getLockDurationMinutes(previousLockouts) {
+  return Math.min(LOCKOUT_POLICY.baseLockMinutes * 2 ** previousLockouts, LOCKOUT_POLICY.maxLockMinutes);
+}
+
+/**
+ * Message for a login refused because the account is locked
+ */
+export function getLockedMessage(account, now = new Date()) {
+  const minutes = Math.max(1, Math.ceil(getLockRemainingMs(account, now) / MINUTE_MS));
+  return `Too many failed login attempts. Your account is locked for another ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+}
+
+/**
+ * Lock for an account that just reached the failure limit
+ * A lockout soon after the previous lock doubles its length.
+ * @param {Object} account - Verifier or Admin record (lockedUntil, lockoutCount)
+ * @param {Date} [now]
+ * @returns {{ lockedUntil: Date, lockoutCount: Number }}
+ */
+export function buildLockUpdate(account, now = new Date()) {
+  const recentLock = account.lockedUntil
+    && now - new Date(account.lockedUntil) < LOCKOUT_POLICY.progressionResetMinutes * MINUTE_MS;
+  const previousLockouts = recentLock ? account.lockoutCount || 0 : 0;
+
+  return {
+    lockedUntil: new Date(now.getTime() + getLockDurationMinutes(previousLockouts) * MINUTE_MS),
+    lockoutCount: previousLockouts + 1
+  };
+}
+
+/**
+ * Fields that clear an account's failed logins and lock
+ * Used on a successful login and when an admin unlocks the account.
+ */
+export function buildUnlockUpdate() {
+  return {
+    failedLoginAttempts: 0,
+    failedLoginWindowStart: null,
+    lockedUntil: null,
+    lockoutCount: 0
+  };
+}
+
+/**
+ * Whether an account has anything for buildUnlockUpdate to clear
+ */
+export function hasLockoutState(account) {
+  return !!(account.failedLoginAttempts || account.lockoutCount || account.lockedUntil);
+}
+
+/**
+ * Save a wrong password against an account, locking it when the limit is reached
+ * A new lock is written to the access log as ACCOUNT_LOCKED and emailed to the owner;
+ * email failures are logged so the login response is unaffected.
+ * @param {Object} account - Verifier or Admin record
+ * @param {String} role - 'verifier' | 'admin'
+ * @param {Request} request - Login request, for the address and user agent
+ * @returns {Promise<{ lockedUntil: Date|null }>}
+ */
+export async function recordFailedLogin(account, role, request) {
+  const id = account._id.toString();
+  const counted = await incrementFailedLogin(role, id, LOCKOUT_POLICY.windowMinutes * MINUTE_MS);
+  const failedAttempts = counted?.failedLoginAttempts || 0;
+
+  if (failedAttempts < LOCKOUT_POLICY.maxFailures) return { lockedUntil: null };
+
+  const lock = buildLockUpdate(counted);
+  if (!await lockAccountAfterFailures(role, id, LOCKOUT_POLICY.maxFailures, lock)) {
+    return { lockedUntil: null };
+  }
+  const { lockedUntil } = lock;
+
+  const ipAddress = request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown';
+  const lockMinutes = Math.round((lockedUntil - Date.now()) / MINUTE_MS);
+
+  await logAccess({
+    email: account.email,
+    role,
+    action: 'ACCOUNT_LOCKED',
+    status: 'FAILURE',
+    failureReason: `Locked for ${lockMinutes} minutes after ${failedAttempts} failed logins`,
+    ipAddress,
+    userAgent: request.headers.get('user-agent') || 'unknown',
+    metadata: { lockedUntil, lockoutCount: lock.lockoutCount },
+    entityNames: role === 'admin' ? account.entities || [] : undefined
+  });
+
+  try {
+    await sendAccountLockedEmail(
+      { email: account.email, name: role === 'admin' ? account.fullName : account.companyName },
+      { lockedUntil, failedAttempts, ipAddress, role }
+    );
+  } catch (emailError) {
+    console.error(`Lockout email not sent to ${account.email}:`, emailError.message);
+  }
+
+  return { lockedUntil };
+}
+
+export default {
+  LOCKOUT_POLICY,
+  getLockRemainingMs,
+  isAccountLocked,
+  getLockDurationMinutes,
+  getLockedMessage,
+  buildLockUpdate,
+  buildUnlockUpdate,
+  hasLockoutState,
+  recordFailedLogin
+};
@@ -0,0 +1,212 @@
+/**
+ * Name Matcher
+ * Scores how likely two spellings refer to the same person.
+ * Handles honorifics, initials ("R. Kumar"), token order ("Kumar Ramesh") and
+ * common transliteration variants ("Mohammed"/"Mohammad").
+ * Names are compared token by token, never as whole strings: every given name
+ * must match exactly, by initial or as a transliteration variant, and only the
+ * surname may differ by a single typo. Near misses such as "Rajesh"/"Ramesh"
+ * or "Amit"/"Amita" are different people and score as a mismatch.
+ */
+
+// Titles dropped before comparison
+const HONORIFICS = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof',
+  'shri', 'sri', 'shree', 'smt', 'kum', 'kumari', 'late'
+]);
+
+// Spelling variants mapped to one canonical token
+const TOKEN_ALIASES = {
+  md: 'mohammed',
+  mohd: 'mohammed',
+  mohamed: 'mohammed',
+  mohammad: 'mohammed',
+  muhammad: 'mohammed',
+  muhammed: 'mohammed'
+};
+
+// Similarity assigned to each structural match type
+const REASON_SCORES = {
+  exact: 1,
+  reordered: 0.95,
+  initials_match: 0.85,
+  phonetic: 0.85,
+  fuzzy: 0.75,
+  mismatch: 0
+};
+
+// A surname may differ by this many edits, and only if both spellings are this long
+const SURNAME_MAX_EDITS = 1;
+const SURNAME_MIN_LENGTH = 5;
+
+/**
+ * Split a name into normalized tokens
+ * @param {String} name - Raw name
+ * @returns {Array<String>} Lower-cased tokens without honorifics or punctuation
+ */
+export function tokenizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .filter(token => !HONORIFICS.has(token));
+}
+
+/**
+ * Phonetic key for a token, folding known Indic transliteration variants
+ * (x/ks, ph/f, v/w, aspirated consonants, ee/i, oo/u, aa/a, double letters).
+ * Other vowels are kept: "Sunil"/"Sonal" and "Rohan"/"Rehan" are different names.
+ */
+function phoneticKey(token) {
+  return (TOKEN_ALIASES[token] || token)
+    .replace(/x/g, 'ks')
+    .replace(/ph/g, 'f')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/ck/g, 'k')
+    .replace(/([bcdgjkpst])h/g, '$1')
+    .replace(/ee|ie|ea/g, 'i')
+    .replace(/oo|ou/g, 'u')
+    .replace(/y/g, 'i')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/h$/, '');
+}
+
+/**
+ * Levenshtein edit distance
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = a[i - 1] === b[j - 1]
+        ? diagonal
+        : 1 + Math.min(diagonal, previous[j], previous[j - 1]);
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Check whether two token lists are the same multiset under a key function
+ */
+function sameTokens(tokensA, tokensB, keyFn = token => token) {
+  if (tokensA.length !== tokensB.length) return false;
+  const a = tokensA.map(keyFn).sort();
+  const b = tokensB.map(keyFn).sort();
+  return a.every((token, i) => token === b[i]);
+}
+
+/**
+ * Check whether one name is an initialled form of the other,
+ * e.g. "R. Kumar" or "Kumar R" vs "Ramesh Kumar"
+ */
+function initialsMatch(tokensA, tokensB) {
+  if (tokensA.length !== tokensB.length) return false;
+
+  const hasInitial = tokens => tokens.some(token => token.length === 1);
+  if (!hasInitial(tokensA) && !hasInitial(tokensB)) return false;
+
+  // At least one spelled-out name part is needed on each side ("R K" is too weak)
+  const hasFullToken = tokens => tokens.some(token => token.length > 1);
+  if (!hasFullToken(tokensA) || !hasFullToken(tokensB)) return false;
+
+  const tokenMatches = (x, y) => {
+    if (x.length === 1 || y.length === 1) return x[0] === y[0];
+    return x === y || phoneticKey(x) === phoneticKey(y);
+  };
+
+  // Try in given order first, then allow the surname to be written first
+  const inOrder = tokensA.every((token, i) => tokenMatches(token, tokensB[i]));
+  if (inOrder) return true;
+
+  const remaining = [...tokensB];
+  return tokensA.every(token => {
+    const index = remaining.findIndex(candidate => tokenMatches(token, candidate));
+    if (index === -1) return false;
+    remaining.splice(index, 1);
+    return true;
+  });
+}
+
+/**
+ * Check whether two names differ only by a typo in the surname,
+ * e.g. "Ramesh Kulkarmi" vs "Ramesh Kulkarni"
+ * Given names still have to match exactly, by initial or phonetically. The
+ * surname is the last token of the recorded name and may be written first in
+ * the submitted one.
+ */
+function surnameTypoMatch(tokensA, tokensB) {
+  if (tokensA.length !== tokensB.length || tokensB.length < 2) return false;
+
+  const givenMatches = (x, y) => {
+    if (x.length === 1 || y.length === 1) return x[0] === y[0];
+    return x === y || phoneticKey(x) === phoneticKey(y);
+  };
+
+  const surnameMatches = (x, y) => x.length >= SURNAME_MIN_LENGTH
+    && y.length >= SURNAME_MIN_LENGTH
+    && editDistance(x, y) <= SURNAME_MAX_EDITS;
+
+  const alignedMatches = (tokens) => tokens.every((token, i) => (
+    i === tokens.length - 1
+      ? surnameMatches(token, tokensB[i])
+      : givenMatches(token, tokensB[i])
+  ));
+
+  // Given order, or the surname written first
+  return alignedMatches(tokensA) || alignedMatches([...tokensA.slice(1), tokensA[0]]);
+}
+
+/**
+ * Compare two names
+ * @param {String} nameA - Name as submitted
+ * @param {String} nameB - Name on record
+ * @returns {{ similarity: Number, reason: String }} similarity in 0..1 and the rule that produced it
+ *   reason: exact | reordered | initials_match | phonetic | fuzzy | mismatch
+ */
+export function compareNames(nameA, nameB) {
+  const tokensA = tokenizeName(nameA);
+  const tokensB = tokenizeName(nameB);
+
+  if (tokensA.length === 0 || tokensB.length === 0) {
+    return { similarity: 0, reason: 'mismatch' };
+  }
+
+  if (tokensA.join(' ') === tokensB.join(' ')) {
+    return { similarity: REASON_SCORES.exact, reason: 'exact' };
+  }
+
+  if (sameTokens(tokensA, tokensB)) {
+    return { similarity: REASON_SCORES.reordered, reason: 'reordered' };
+  }
+
+  if (initialsMatch(tokensA, tokensB)) {
+    return { similarity: REASON_SCORES.initials_match, reason: 'initials_match' };
+  }
+
+  if (sameTokens(tokensA, tokensB, phoneticKey)) {
+    return { similarity: REASON_SCORES.phonetic, reason: 'phonetic' };
+  }
+
+  if (surnameTypoMatch(tokensA, tokensB)) {
+    return { similarity: REASON_SCORES.fuzzy, reason: 'fuzzy' };
+  }
+
+  return { similarity: REASON_SCORES.mismatch, reason: 'mismatch' };
+}
+
+export default {
+  tokenizeName,
+  compareNames
+};
@@ -1,22 +1,50 @@
 /**
  * OTP Service
  * Handles OTP generation, storage, and verification
+ * Codes come from a CSPRNG and are stored only as salted HMACs, bound to a
+ * fingerprint of the requesting IP address and user agent. A code works once;
+ * expired codes are removed by the TTL index on the Otp model. Where enabled,
+ * the email also carries a signed magic link that is checked under the same
+ * expiry, attempt and fingerprint rules as the code it was sent with.
  */
 
+import crypto from 'crypto';
 import connectDB from '@/lib/db/mongodb';
-import mongoose from 'mongoose';
+import Otp from '@/lib/models/Otp';
+import { generateChallengeToken, verifyChallengeToken } from '@/lib/auth';
 
 // OTP Configuration
 const OTP_LENGTH = 6;
 export const OTP_EXPIRY_MINUTES = 5; // 5 minutes
 const MAX_OTP_ATTEMPTS = 3;
 
+// Magic links are sent with the code when MAGIC_LINK_LOGIN_ENABLED=true
+export const MAGIC_LINK_ENABLED = process.env.MAGIC_LINK_LOGIN_ENABLED === 'true';
+const MAGIC_LINK_PURPOSE = 'verifier_magic_link';
+
+function hashSecret() {
+    return process.env.OTP_HASH_SECRET || process.env.JWT_SECRET || 'dev-secret-key-change-in-production';
+}
+
+function hashOTP(otp, salt) {
+    return crypto.createHmac('sha256', hashSecret()).update(`${salt}:${otp}`).digest('hex');
+}
+
 /**
- * Get the OTP collection from MongoDB
+ * Fingerprint of the browser and address a code was requested from
+ * @param {Object} client
+ * @param {string} client.ipAddress
+ * @param {string} client.userAgent
+ * @returns {string}
  */
-async function getOTPCollection() {
-    await connectDB();
-    return mongoose.connection.db.collection('otps');
+export function getClientFingerprint({ ipAddress = 'unknown', userAgent = 'unknown' } = {}) {
+    return crypto.createHash('sha256').update(`${ipAddress}|${userAgent}`).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
 }
 
 /**
@@ -24,8 +52,7 @@ async function getOTPCollection() {
  * @returns {string} 6-digit OTP
  */
 export function generateOTP() {
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    return otp;
+    return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
 }
 
 /**
@@ -38,27 +65,72 @@ export function getOTPExpiry() {
 }
 
 /**
- * Store OTP for a verifier (email)
+ * Random nonce identifying a magic link, stored hashed alongside the code
+ * @returns {string}
+ */
+export function generateMagicLinkNonce() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Signed token for a magic link, valid as long as the code it is sent with
+ * @param {string} email - Verifier email
+ * @param {string} nonce - From generateMagicLinkNonce, as passed to storeOTP
+ * @returns {string}
+ */
+export function createMagicLinkToken(email, nonce) {
+    return generateChallengeToken(
+        { email: email.toLowerCase(), nonce, purpose: MAGIC_LINK_PURPOSE },
+        `${OTP_EXPIRY_MINUTES}m`
+    );
+}
+
+/**
+ * Check a magic link token's signature and purpose
+ * @param {string} token
+ * @returns {Object|null} { email, nonce }, or null if the token is invalid or expired
+ */
+export function readMagicLinkToken(token) {
+    try {
+        const { email, nonce, purpose } = verifyChallengeToken(token);
+        return purpose === MAGIC_LINK_PURPOSE && email && nonce ? { email, nonce } : null;
+    } catch (tokenError) {
+        return null;
+    }
+}
+
+/**
+ * Store OTP for a verifier (email), replacing any earlier code and link
  * @param {string} email - Verifier email
  * @param {string} otp - Generated OTP
+ * @param {Object} client - { ipAddress, userAgent } of the request asking for the code
+ * @param {Object} [options]
+ * @param {string} [options.linkNonce] - Nonce of a magic link sent with the code
  * @returns {Promise<Object>} Result object
  */
-export async function storeOTP(email, otp) {
+export async function storeOTP(email, otp, client, { linkNonce = null } = {}) {
     try {
-        const collection = await getOTPCollection();
+        await connectDB();
 
-        const otpData = {
-            email: email.toLowerCase(),
-            otp: otp,
-            expiresAt: getOTPExpiry(),
-            attempts: 0,
-            createdAt: new Date()
-        };
+        const salt = crypto.randomBytes(16).toString('hex');
 
-        await collection.updateOne(
+        await Otp.updateOne(
             { email: email.toLowerCase() },
-            { $set: otpData },
-            { upsert: true }
+            {
+                $set: {
+                    codeHash: hashOTP(otp, salt),
+                    linkHash: linkNonce ? hashOTP(linkNonce, salt) : null,
+                    salt,
+                    fingerprint: getClientFingerprint(client),
+                    expiresAt: getOTPExpiry(),
+                    attempts: 0,
+                    createdAt: new Date()
+                },
+                // Rows written before codes were hashed still hold the code itself;
+                // otp is no longer in the schema, hence strict: false
+                $unset: { otp: '' }
+            },
+            { upsert: true, strict: false }
         );
 
         return { success: true };
@@ -69,61 +141,70 @@ export async function storeOTP(email, otp) {
 }
 
 /**
- * Verify OTP for a given email
+ * Count an attempt against an email's pending code and use it up if `matches` accepts it
+ * Expiry, attempt limit, fingerprint and single use apply the same way to codes and links.
  * @param {string} email - Verifier email
- * @param {string} otp - OTP to verify
+ * @param {Object} client - { ipAddress, userAgent } of the request
+ * @param {Function} matches - (otpRecord) => Boolean
+ * @param {Function} invalidMessage - (remainingAttempts) => String, when matches refuses
  * @returns {Promise<Object>} Verification result
  */
-export async function verifyOTP(email, otp) {
+async function consumeOTP(email, client, matches, invalidMessage) {
     try {
-        const collection = await getOTPCollection();
+        await connectDB();
 
-        const otpRecord = await collection.findOne({
-            email: email.toLowerCase()
-        });
+        const normalizedEmail = email.toLowerCase();
+
+        // Count the attempt first, so parallel guesses cannot get past the limit
+        const otpRecord = await Otp.findOneAndUpdate(
+            { email: normalizedEmail, attempts: { $lt: MAX_OTP_ATTEMPTS } },
+            { $inc: { attempts: 1 } },
+            { new: true }
+        ).lean();
 
         if (!otpRecord) {
+            const exhausted = await Otp.findOneAndDelete({ email: normalizedEmail });
             return {
                 success: false,
-                message: 'No OTP found. Please request a new one.'
+                message: exhausted
+                    ? 'Maximum attempts exceeded. Please request a new OTP.'
+                    : 'No OTP found. Please request a new one.'
             };
         }
 
-        // Check if OTP is expired
+        // The TTL index removes expired codes within a minute or so; until then refuse them here
         if (new Date() > new Date(otpRecord.expiresAt)) {
-            await collection.deleteOne({ email: email.toLowerCase() });
+            await Otp.deleteOne({ _id: otpRecord._id });
             return {
                 success: false,
                 message: 'OTP has expired. Please request a new one.'
             };
         }
 
-        // Check max attempts
-        if (otpRecord.attempts >= MAX_OTP_ATTEMPTS) {
-            await collection.deleteOne({ email: email.toLowerCase() });
+        const remainingAttempts = MAX_OTP_ATTEMPTS - otpRecord.attempts;
+
+        if (!safeEqual(otpRecord.fingerprint, getClientFingerprint(client))) {
             return {
                 success: false,
-                message: 'Maximum attempts exceeded. Please request a new OTP.'
+                message: 'This OTP was requested from a different browser or network. Please request a new one here.'
             };
         }
 
-        // Increment attempts
-        await collection.updateOne(
-            { email: email.toLowerCase() },
-            { $inc: { attempts: 1 } }
-        );
-
-        // Verify OTP
-        if (otpRecord.otp !== otp) {
-            const remainingAttempts = MAX_OTP_ATTEMPTS - otpRecord.attempts - 1;
+        if (!matches(otpRecord)) {
             return {
                 success: false,
-                message: `Invalid OTP. ${remainingAttempts} attempt(s) remaining.`
+                message: invalidMessage(remainingAttempts)
             };
         }
 
-        // OTP is valid - delete it
-        await collection.deleteOne({ email: email.toLowerCase() });
+        // OTP is valid - delete it; only the request that deletes it may log in
+        const { deletedCount } = await Otp.deleteOne({ _id: otpRecord._id, codeHash: otpRecord.codeHash });
+        if (deletedCount !== 1) {
+            return {
+                success: false,
+                message: 'This OTP has already been used. Please request a new one.'
+            };
+        }
 
         return { success: true };
     } catch (error) {
@@ -132,6 +213,39 @@ export async function verifyOTP(email, otp) {
     }
 }
 
+/**
+ * Verify OTP for a given email
+ * @param {string} email - Verifier email
+ * @param {string} otp - OTP to verify
+ * @param {Object} client - { ipAddress, userAgent } of the request presenting the code
+ * @returns {Promise<Object>} Verification result
+ */
+export async function verifyOTP(email, otp, client) {
+    return consumeOTP(
+        email,
+        client,
+        (otpRecord) => safeEqual(otpRecord.codeHash, hashOTP(String(otp).trim(), otpRecord.salt)),
+        (remainingAttempts) => `Invalid OTP. ${remainingAttempts} attempt(s) remaining.`
+    );
+}
+
+/**
+ * Verify a magic link for a given email
+ * Uses up the code the link was sent with.
+ * @param {string} email - Verifier email, from readMagicLinkToken
+ * @param {string} nonce - Link nonce, from readMagicLinkToken
+ * @param {Object} client - { ipAddress, userAgent } of the request opening the link
+ * @returns {Promise<Object>} Verification result
+ */
+export async function verifyMagicLink(email, nonce, client) {
+    return consumeOTP(
+        email,
+        client,
+        (otpRecord) => !!otpRecord.linkHash && safeEqual(otpRecord.linkHash, hashOTP(nonce, otpRecord.salt)),
+        () => 'This login link is no longer valid. Please request a new one.'
+    );
+}
+
 /**
  * Check if user can request a new OTP (rate limiting)
  * @param {string} email - Verifier email
@@ -139,11 +253,11 @@ export async function verifyOTP(email, otp) {
  */
 export async function canRequestOTP(email) {
     try {
-        const collection = await getOTPCollection();
+        await connectDB();
 
-        const otpRecord = await collection.findOne({
+        const otpRecord = await Otp.findOne({
             email: email.toLowerCase()
-        });
+        }).lean();
 
         if (!otpRecord) {
             return { canRequest: true };
@@ -168,13 +282,14 @@ export async function canRequestOTP(email) {
 }
 
 /**
- * Clean up expired OTPs (can be called periodically)
+ * Clean up expired OTPs
+ * Not needed in normal operation: the TTL index on expiresAt does this.
  */
 export async function cleanupExpiredOTPs() {
     try {
-        const collection = await getOTPCollection();
+        await connectDB();
 
-        const result = await collection.deleteMany({
+        const result = await Otp.deleteMany({
             expiresAt: { $lt: new Date() }
         });
 
@@ -188,9 +303,15 @@ export async function cleanupExpiredOTPs() {
 export default {
     generateOTP,
     getOTPExpiry,
+    getClientFingerprint,
+    generateMagicLinkNonce,
+    createMagicLinkToken,
+    readMagicLinkToken,
     storeOTP,
     verifyOTP,
+    verifyMagicLink,
     canRequestOTP,
     cleanupExpiredOTPs,
-    OTP_EXPIRY_MINUTES
+    OTP_EXPIRY_MINUTES,
+    MAGIC_LINK_ENABLED
 };
@@ -0,0 +1,77 @@
+/**
+ * OTP Login Service
+ * The end of an email login, shared by the typed code (/api/auth/verify-otp) and
+ * the magic link (/api/auth/magic-link): find or auto-register the verifier,
+ * check the account may log in, record the login and open a session.
+ */
+
+import connectDB from '../db/mongodb.js';
+import Verifier from '../models/Verifier.js';
+import { logAccess } from '../mongodb.data.service.js';
+import { isApprovalRequired, getVerifierAccessError } from './verifierAccountService.js';
+import { startSession } from './sessionService.js';
+
+/**
+ * Finish an email login whose code or link has been verified
+ * @param {String} email - Verifier email the code was sent to
+ * @param {Request} request - Login request, for the address and user agent
+ * @param {Object} options
+ * @param {String} options.action - Access log action: 'LOGIN_OTP' | 'LOGIN_MAGIC_LINK'
+ * @param {String} [options.companyName] - Company name for an auto-registered verifier
+ * @returns {Promise<Object>} { verifier, tokens } or { error: { status, message } }
+ */
+export async function completeOtpLogin(email, request, { action, companyName = null }) {
+  await connectDB();
+
+  // Check if verifier exists
+  let verifier = await Verifier.findOne({ email: email.toLowerCase() });
+
+  if (!verifier) {
+    // Auto-register new verifier
+    const emailDomain = email.split('@')[1];
+    const defaultCompanyName = companyName || emailDomain.split('.')[0].toUpperCase();
+
+    verifier = new Verifier({
+      email: email.toLowerCase(),
+      companyName: defaultCompanyName,
+      isActive: true,
+      approvalStatus: isApprovalRequired() ? 'pending' : 'approved',
+      createdAt: new Date(),
+      lastLogin: new Date()
+    });
+
+    await verifier.save();
+  } else {
+    // Update last login
+    verifier.lastLogin = new Date();
+    await verifier.save();
+  }
+
+  // Pending, rejected and suspended accounts don't get a token
+  const accessError = getVerifierAccessError(verifier);
+  if (accessError) {
+    return { error: { status: accessError.status, message: accessError.message } };
+  }
+
+  await logAccess({
+    email: verifier.email,
+    role: 'verifier',
+    action,
+    status: 'SUCCESS',
+    ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
+    userAgent: request.headers.get('user-agent') || 'unknown',
+    metadata: {
+      companyName: verifier.companyName,
+      isNewUser: !verifier.lastLoginAt // Rough check if new user
+    }
+  });
+
+  // Open a session: short-lived access token plus refresh token
+  const tokens = await startSession(verifier, 'verifier', request);
+
+  return { verifier, tokens };
+}
+
+export default {
+  completeOtpLogin
+};
@@ -6,9 +6,10 @@ import { uploadFileToS3 } from './fileService';
  * Generate PDF verification report with official letterhead
  * @param {Object} verificationData - Complete verification data
  * @param {Object} employeeData - Employee information
+ * @param {Object} [entity] - Employee's entity, for letterhead branding and contact details
  * @returns {Object} PDF upload result with S3 URL
  */
-export async function generateVerificationReportPDF(verificationData, employeeData) {
+export async function generateVerificationReportPDF(verificationData, employeeData, entity = null) {
   try {
     // Create new PDF document
     const pdf = new jsPDF({
@@ -18,7 +19,7 @@ export async function generateVerificationReportPDF(verificationData, employeeDa
     });
 
     // Add letterhead
-    addLetterhead(pdf);
+    addLetterhead(pdf, entity);
 
     const margin = 20;
     let yPosition = 60; // Start below letterhead
@@ -62,7 +63,17 @@ export async function generateVerificationReportPDF(verificationData, employeeDa
             }
           },
           '', ''
-        ]
+        ],
+        ...(verificationData.recordStatus === 'amended' ? [[
+          'Amended:',
+          {
+            content: verificationData.lastAmendedAt
+              ? `Corrected after HR review on ${formatDateDDMMYY(verificationData.lastAmendedAt)}`
+              : 'Corrected after HR review',
+            colSpan: 3,
+            styles: { textColor: [202, 138, 4], fontStyle: 'bold' }
+          }
+        ]] : [])
       ]
     });
 
@@ -81,9 +92,11 @@ export async function generateVerificationReportPDF(verificationData, employeeDa
       result.label,
       { content: result.verifierValue || 'N/A', styles: { textColor: result.isMatch ? 0 : [220, 38, 38] } }, // Red if mismatch
       {
-        content: result.isMatch ? 'MATCH' : 'MISMATCH',
+        content: result.isMatch
+          ? (result.matchType === 'amended' ? 'MATCH (AMENDED)' : 'MATCH')
+          : (result.matchType === 'partial' ? 'PARTIAL MATCH' : 'MISMATCH'),
         styles: {
-          textColor: result.isMatch ? [0, 122, 61] : [220, 38, 38],
+          textColor: result.isMatch ? [0, 122, 61] : (result.matchType === 'partial' ? [202, 138, 4] : [220, 38, 38]),
           fontStyle: 'bold'
         }
       }
@@ -115,7 +128,7 @@ export async function generateVerificationReportPDF(verificationData, employeeDa
       // Check if we need a new page for summary
       if (yPosition > pdf.internal.pageSize.getHeight() - 40) {
         pdf.addPage();
-        addLetterhead(pdf);
+        addLetterhead(pdf, entity);
         yPosition = 60;
       }
 
@@ -139,7 +152,7 @@ export async function generateVerificationReportPDF(verificationData, employeeDa
     pdf.setFontSize(8);
     pdf.setTextColor(107, 114, 128); // Gray
     pdf.text('This is an electronically generated report and does not require a physical signature.', margin, footerY);
-    pdf.text('For any queries, please contact hr@company.com', margin, footerY + 5);
+    pdf.text(`For any queries, please contact ${entity?.exitTeam?.email || 'hr@company.com'}`, margin, footerY + 5);
 
     // Generate PDF buffer
     const pdfBuffer = pdf.output('arraybuffer');
@@ -162,30 +175,43 @@ export async function generateVerificationReportPDF(verificationData, employeeDa
 
 /**
  * Add header/letterhead to PDF
+ * Uses the entity's branding when given, otherwise the portal's own letterhead
  * @param {Object} pdf - jsPDF instance
+ * @param {Object} [entity] - Entity with branding { letterheadTitle, letterheadSubtitle, primaryColor }
  */
-function addLetterhead(pdf) {
+function addLetterhead(pdf, entity = null) {
   const margin = 20;
   const pageWidth = pdf.internal.pageSize.getWidth();
+  const branding = entity?.branding || {};
+  const primaryColor = hexToRgb(branding.primaryColor) || [0, 122, 61]; // Theme Green
 
   // Logo Placeholder or Company Name
   pdf.setFontSize(22);
   pdf.setFont('helvetica', 'bold');
-  pdf.setTextColor(0, 61, 30); // Dark Green
-  pdf.text('Ex-Employee Verification Portal', margin, 25);
+  pdf.setTextColor(...(entity ? primaryColor : [0, 61, 30])); // Dark Green
+  pdf.text(branding.letterheadTitle || entity?.legalName || 'Ex-Employee Verification Portal', margin, 25);
 
   // Tagline or Address
   pdf.setFontSize(9);
   pdf.setFont('helvetica', 'normal');
   pdf.setTextColor(100);
-  pdf.text('Official Employment Verification System', margin, 32);
+  pdf.text(branding.letterheadSubtitle || 'Official Employment Verification System', margin, 32);
 
   // Divider Line
-  pdf.setDrawColor(0, 122, 61); // Theme Green
+  pdf.setDrawColor(...primaryColor);
   pdf.setLineWidth(1);
   pdf.line(margin, 38, pageWidth - margin, 38);
 }
 
+/**
+ * Convert a #RRGGBB colour to an [r, g, b] array
+ * @returns {Array<Number>|null} RGB values, or null if the colour is missing or malformed
+ */
+function hexToRgb(hex) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  return match ? match.slice(1).map(part => parseInt(part, 16)) : null;
+}
+
 /**
  * Format date for display in PDF
  */
@@ -250,33 +276,20 @@ export async function generateAppealResponsePDF(appealData) {
  * Download PDF buffer directly (for local development)
  * @param {Object} verificationData - Verification data
  * @param {Object} employeeData - Employee data
+ * @param {Object} [entity] - Employee's entity, for letterhead branding
  * @returns {Buffer} PDF buffer
  */
-export function generatePDFBuffer(verificationData, employeeData) {
+export function generatePDFBuffer(verificationData, employeeData, entity = null) {
   const pdf = new jsPDF({
     orientation: 'portrait',
     unit: 'mm',
     format: 'a4'
   });
 
-  addLetterhead(pdf);
+  addLetterhead(pdf, entity);
 
   pdf.setFontSize(16);
   pdf.text('EMPLOYMENT VERIFICATION REPORT', 20, 60);
 
   return pdf.output('arraybuffer');
 }
-
-/**
- * Format entity name code to full text
- */
-function formatEntityName(value) {
-  if (!value) return 'N/A';
-
-  const mapping = {
-    'TVSCSHIB': 'TVS Credit Services Limited',
-    'HIB': 'Harita Insurance Broking LLP'
-  };
-
-  return mapping[value] || value; // Return mapped value or original if no match
-}
@@ -0,0 +1,152 @@
+/**
+ * Rate Limit Service
+ * Fixed-window request limits shared by the auth and verification routes.
+ * Every scope has a per-IP bucket and a per-identity bucket (email, username or
+ * verifier), so one address cannot spray many accounts and many addresses cannot
+ * hammer one account. Counters live in express-rate-limit's MemoryStore, or in
+ * MongoDB when RATE_LIMIT_STORE=mongodb so that all instances share them.
+ */
+
+import { MemoryStore, ipKeyGenerator } from 'express-rate-limit';
+import { incrementRateLimitBucket, resetRateLimitBucket } from '../mongodb.data.service.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Limits per scope: requests allowed per window for each bucket
+ */
+export const RATE_LIMITS = {
+  login: { windowMs: 15 * MINUTE_MS, perIp: 30, perIdentity: 10 },
+  admin_login: { windowMs: 15 * MINUTE_MS, perIp: 20, perIdentity: 5 },
+  register: { windowMs: 60 * MINUTE_MS, perIp: 10, perIdentity: 3 },
+  refresh: { windowMs: 15 * MINUTE_MS, perIp: 120, perIdentity: 30 },
+  // Shared by send-otp, verify-otp and magic-link, so codes and links are guessed against one allowance
+  otp: { windowMs: 15 * MINUTE_MS, perIp: 30, perIdentity: 10 },
+  verify: { windowMs: MINUTE_MS, perIp: 120, perIdentity: 60 }
+};
+
+// Serverless deployments run many instances, so production counts in MongoDB by default
+const STORE = process.env.RATE_LIMIT_STORE || (process.env.NODE_ENV === 'production' ? 'mongodb' : 'memory');
+
+// Proxies in front of the app that append to X-Forwarded-For (1 on Vercel)
+const TRUSTED_PROXY_HOPS = parseInt(process.env.TRUSTED_PROXY_HOPS || '1', 10);
+
+const memoryStores = new Map();
+
+/**
+ * MemoryStore for a scope, created on first use (its window is fixed at init)
+ */
+function getMemoryStore(scope) {
+  if (!memoryStores.has(scope)) {
+    const store = new MemoryStore();
+    store.init({ windowMs: RATE_LIMITS[scope].windowMs });
+    memoryStores.set(scope, store);
+  }
+  return memoryStores.get(scope);
+}
+
+/**
+ * Bucket key for a scope, bucket type and value
+ */
+function bucketKey(scope, bucket, value) {
+  return `${scope}:${bucket}:${String(value).toLowerCase()}`;
+}
+
+/**
+ * Count one hit against a bucket
+ * @returns {Promise<{ totalHits: Number, resetTime: Date }>}
+ */
+async function hit(scope, bucket, value) {
+  const key = bucketKey(scope, bucket, value);
+  if (STORE === 'mongodb') {
+    return await incrementRateLimitBucket(key, RATE_LIMITS[scope].windowMs);
+  }
+  return await getMemoryStore(scope).increment(key);
+}
+
+/**
+ * Client address for rate limiting
+ * Clients can put anything in X-Forwarded-For, so only the hop appended by our
+ * own proxies counts: with TRUSTED_PROXY_HOPS proxies that is the Nth entry from
+ * the right. With TRUSTED_PROXY_HOPS=0 the header is ignored and the platform's
+ * X-Real-IP is used. IPv6 addresses are grouped by /56 subnet so one host cannot
+ * dodge the limit by rotating through its own addresses.
+ * @param {Request} request
+ * @returns {String}
+ */
+export function getClientIp(request) {
+  let ip = null;
+
+  if (TRUSTED_PROXY_HOPS > 0) {
+    const hops = (request.headers.get('x-forwarded-for') || '')
+      .split(',')
+      .map(hop => hop.trim())
+      .filter(Boolean);
+    ip = hops[Math.max(hops.length - TRUSTED_PROXY_HOPS, 0)];
+  }
+
+  return ipKeyGenerator(ip || request.headers.get('x-real-ip') || 'unknown');
+}
+
+/**
+ * Count a request and check it against a scope's limits
+ * The store failing lets the request through; limits must never take the portal down.
+ * @param {String} scope - Key of RATE_LIMITS
+ * @param {Object} client
+ * @param {String} client.ip - Result of getClientIp
+ * @param {String} [client.identity] - Email, username or verifier ID the request is for
+ * @returns {Promise<Object>} { limited: false } or { limited: true, bucket, limit, totalHits, retryAfterSeconds }
+ */
+export async function checkRateLimit(scope, { ip, identity }) {
+  const limits = RATE_LIMITS[scope];
+  const buckets = [{ bucket: 'ip', value: ip, limit: limits.perIp }];
+  if (identity) {
+    buckets.push({ bucket: 'identity', value: identity, limit: limits.perIdentity });
+  }
+
+  try {
+    const results = await Promise.all(buckets.map(async entry => ({
+      ...entry,
+      ...(await hit(scope, entry.bucket, entry.value))
+    })));
+
+    const exceeded = results.find(result => result.totalHits > result.limit);
+    if (!exceeded) return { limited: false };
+
+    return {
+      limited: true,
+      bucket: exceeded.bucket,
+      limit: exceeded.limit,
+      totalHits: exceeded.totalHits,
+      retryAfterSeconds: Math.max(1, Math.ceil((new Date(exceeded.resetTime) - Date.now()) / 1000))
+    };
+  } catch (error) {
+    console.error(`Rate limit check failed (${scope}):`, error.message);
+    return { limited: false };
+  }
+}
+
+/**
+ * Clear an identity's bucket, e.g. after a successful login
+ * @param {String} scope - Key of RATE_LIMITS
+ * @param {String} identity
+ */
+export async function resetRateLimit(scope, identity) {
+  const key = bucketKey(scope, 'identity', identity);
+  try {
+    if (STORE === 'mongodb') {
+      await resetRateLimitBucket(key);
+    } else {
+      await getMemoryStore(scope).resetKey(key);
+    }
+  } catch (error) {
+    console.error(`Rate limit reset failed (${scope}):`, error.message);
+  }
+}
+
+export default {
+  RATE_LIMITS,
+  getClientIp,
+  checkRateLimit,
+  resetRateLimit
+};
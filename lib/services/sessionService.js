@@ -0,0 +1,248 @@
+/**
+ * Session Service
+ * Server-side login sessions for verifiers and admins. A login creates a Session
+ * and returns a short-lived access token (carrying the session ID as `sid`) and a
+ * refresh token. Each refresh swaps the refresh token for a new one; presenting a
+ * token that was already swapped revokes the session, since only a copy would do
+ * that. Revoked sessions stop their access tokens at the next request.
+ */
+
+import crypto from 'crypto';
+import { generateToken, getTokenExpiry } from '../auth.js';
+import {
+  addSession,
+  findSessionByRefreshTokenHash,
+  rotateSessionRefreshToken,
+  revokeSession,
+  findAdminById,
+  findVerifierById,
+  logAccess
+} from '../mongodb.data.service.js';
+import { resolvePermissions } from '../permissions.js';
+import { getVerifierAccessError } from './verifierAccountService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SESSION_POLICY = {
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS) || 7,
+  // A rotated token presented this soon after rotation is a second tab racing, not theft
+  rotationGraceSeconds: 30
+};
+
+/**
+ * Hash a refresh token for storage or lookup
+ */
+export function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Short device label from a user agent, e.g. "Chrome on Windows"
+ */
+export function describeDevice(userAgent = '') {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser?.[0] || 'Browser', os && `on ${os[0]}`].filter(Boolean).join(' ');
+}
+
+/**
+ * Claims for an account's access token
+ * @param {Object} account - Admin or Verifier record
+ * @param {String} userType - 'admin' | 'verifier'
+ */
+export function buildAccessPayload(account, userType) {
+  if (userType === 'admin') {
+    return {
+      id: account._id.toString(),
+      username: account.username,
+      email: account.email,
+      fullName: account.fullName,
+      role: account.role,
+      permissions: resolvePermissions(account),
+      entities: account.entities || []
+    };
+  }
+
+  return {
+    id: account._id.toString(),
+    email: account.email,
+    companyName: account.companyName,
+    role: 'verifier',
+    isBgvAgency: account.isBgvAgency || false
+  };
+}
+
+/**
+ * Whether a session can still be used
+ */
+export function isSessionActive(session, now = new Date()) {
+  return !!session && !session.revokedAt && new Date(session.expiresAt) > now;
+}
+
+function getRequestClient(request) {
+  const userAgent = request.headers.get('user-agent') || 'unknown';
+  return {
+    ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'unknown',
+    userAgent,
+    device: describeDevice(userAgent)
+  };
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + SESSION_POLICY.refreshTokenDays * DAY_MS);
+}
+
+/**
+ * Open a session for a login that has passed every check
+ * @param {Object} account - Admin or Verifier record
+ * @param {String} userType - 'admin' | 'verifier'
+ * @param {Request} request - Login request, for the address and device
+ * @returns {Promise<Object>} { token, refreshToken, sessionId, accessTokenExpiresAt, expiresAt }
+ */
+export async function startSession(account, userType, request) {
+  const refreshToken = newRefreshToken();
+  const session = await addSession({
+    userId: account._id,
+    userType,
+    email: account.email,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    ...getRequestClient(request),
+    lastSeenAt: new Date(),
+    expiresAt: refreshExpiry()
+  });
+  const sessionId = session._id.toString();
+  const token = generateToken({ ...buildAccessPayload(account, userType), sid: sessionId });
+
+  return {
+    token,
+    refreshToken,
+    sessionId,
+    accessTokenExpiresAt: getTokenExpiry(token),
+    expiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * The account is re-read, so suspended or deactivated accounts cannot refresh.
+ * @param {String} refreshToken
+ * @param {Request} request - Refresh request, for the address and device
+ * @returns {Promise<Object>} { token, refreshToken, sessionId, userType, accessTokenExpiresAt, expiresAt }
+ *   or { error: { status, code, message, userType } }
+ */
+export async function refreshSession(refreshToken, request) {
+  const hash = hashRefreshToken(refreshToken);
+  const session = await findSessionByRefreshTokenHash(hash);
+
+  if (!isSessionActive(session)) {
+    return { error: { status: 401, code: 'SESSION_EXPIRED', message: 'Your session has ended. Please log in again.' } };
+  }
+
+  if (session.refreshTokenHash !== hash) {
+    const sinceRotation = Date.now() - new Date(session.rotatedAt).getTime();
+    if (sinceRotation < SESSION_POLICY.rotationGraceSeconds * 1000) {
+      return { error: { status: 409, code: 'REFRESH_TOKEN_ROTATED', message: 'This session was refreshed elsewhere. Use the newer token.', userType: session.userType } };
+    }
+
+    await revokeSession(session._id, { revokedBy: 'system', reason: 'refresh_token_reuse' });
+    await logAccess({
+      email: session.email,
+      role: session.userType,
+      action: 'REFRESH_TOKEN_REUSE',
+      status: 'FAILURE',
+      failureReason: 'A refresh token was used after it had been replaced; the session was revoked',
+      ...getRequestClient(request),
+      metadata: { sessionId: session._id.toString(), device: session.device, sessionIpAddress: session.ipAddress }
+    });
+    return { error: { status: 401, code: 'SESSION_REVOKED', message: 'Your session has ended. Please log in again.', userType: session.userType } };
+  }
+
+  const account = session.userType === 'admin'
+    ? await findAdminById(session.userId)
+    : await findVerifierById(session.userId);
+
+  let accessError = null;
+  if (!account) {
+    accessError = { status: 401, message: 'Account not found. Please log in again.' };
+  } else if (session.userType === 'admin') {
+    accessError = account.isActive ? null : { status: 401, message: 'Your admin account is not active.' };
+  } else {
+    accessError = getVerifierAccessError(account);
+  }
+
+  if (accessError) {
+    await revokeSession(session._id, { revokedBy: 'system', reason: 'account_disabled' });
+    return { error: { status: accessError.status, code: 'ACCOUNT_DISABLED', message: accessError.message, userType: session.userType } };
+  }
+
+  const nextRefreshToken = newRefreshToken();
+  const rotated = await rotateSessionRefreshToken(session._id, hash, {
+    refreshTokenHash: hashRefreshToken(nextRefreshToken),
+    ...getRequestClient(request),
+    lastSeenAt: new Date(),
+    expiresAt: refreshExpiry()
+  });
+
+  if (!rotated) {
+    return { error: { status: 409, code: 'REFRESH_TOKEN_ROTATED', message: 'This session was refreshed elsewhere. Use the newer token.', userType: session.userType } };
+  }
+
+  const sessionId = session._id.toString();
+  const token = generateToken({ ...buildAccessPayload(account, session.userType), sid: sessionId });
+  return {
+    token,
+    refreshToken: nextRefreshToken,
+    sessionId,
+    userType: session.userType,
+    accessTokenExpiresAt: getTokenExpiry(token),
+    expiresAt: rotated.expiresAt
+  };
+}
+
+/**
+ * Public view of a session for the session lists
+ * @param {Object} session - Session record
+ * @param {String} [currentSessionId] - Session of the caller, flagged as current
+ */
+export function formatSession(session, currentSessionId = null) {
+  const id = session._id.toString();
+  return {
+    id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: id === currentSessionId
+  };
+}
+
+export default {
+  SESSION_POLICY,
+  hashRefreshToken,
+  describeDevice,
+  buildAccessPayload,
+  isSessionActive,
+  startSession,
+  refreshSession,
+  formatSession
+};
@@ -1,6 +1,8 @@
 /**
  * SMTP Email Service using Nodemailer
- * Uses Brevo SMTP for better deliverability
+ * Uses Brevo SMTP for better deliverability. Registered as the 'smtp' provider in
+ * emailProvider.js; send mail through emailService / emailProvider rather than
+ * calling this directly, so that provider selection, fallback and EmailLog apply.
  */
 
 import nodemailer from 'nodemailer';
@@ -20,6 +22,7 @@ function createTransporter() {
 
 /**
  * Send email via SMTP
+ * @returns {Promise<Object>} { success, messageId, provider: 'smtp' }
  */
 export async function sendEmailSMTP(to, subject, htmlContent, textContent = null) {
     const transporter = createTransporter();
@@ -49,54 +52,6 @@ export async function sendEmailSMTP(to, subject, htmlContent, textContent = null
     }
 }
 
-/**
- * Send OTP email via SMTP
- */
-export async function sendOTPEmailSMTP(email, otp) {
-    const companyName = process.env.COMPANY_NAME || 'Ex-Employee Verification Portal';
-
-    const subject = `Your OTP Code: ${otp}`;
-
-    const htmlContent = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-                .header h1 { color: white; margin: 0; font-size: 24px; }
-                .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-                .otp-box { background: #667eea; color: white; font-size: 32px; font-weight: bold; padding: 20px; text-align: center; border-radius: 8px; letter-spacing: 8px; margin: 20px 0; }
-                .footer { text-align: center; color: #666; font-size: 12px; margin-top: 20px; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <h1>${companyName}</h1>
-                </div>
-                <div class="content">
-                    <p>Hello,</p>
-                    <p>Your one-time password (OTP) for login is:</p>
-                    <div class="otp-box">${otp}</div>
-                    <p>This OTP is valid for <strong>5 minutes</strong>.</p>
-                    <p>If you didn't request this OTP, please ignore this email.</p>
-                    <p>Best regards,<br>${companyName} Team</p>
-                </div>
-                <div class="footer">
-                    <p>This is an automated message. Please do not reply to this email.</p>
-                    <p>© ${new Date().getFullYear()} ${companyName}. All rights reserved.</p>
-                </div>
-            </div>
-        </body>
-        </html>
-    `;
-
-    return await sendEmailSMTP(email, subject, htmlContent);
-}
-
 export default {
-    sendEmail: sendEmailSMTP,
-    sendOTPEmail: sendOTPEmailSMTP
+    sendEmail: sendEmailSMTP
 };
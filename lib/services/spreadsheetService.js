@@ -0,0 +1,229 @@
+/**
+ * Spreadsheet Service
+ * Parses uploaded CSV/XLSX files into plain row objects and builds CSV output
+ */
+
+import ExcelJS from 'exceljs';
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+
+/**
+ * Parse an uploaded CSV or XLSX file
+ * @param {File} file - File object from form data
+ * @returns {Promise<Array<Object>>} Rows keyed by the header row, with `rowNumber` (1-based, as in the sheet)
+ */
+export async function parseSpreadsheet(file) {
+  if (!file || file.size === 0) {
+    throw new Error('No file provided or file is empty');
+  }
+
+  if (file.size > MAX_FILE_SIZE) {
+    throw new Error('File size exceeds maximum limit of 5MB');
+  }
+
+  const extension = (file.name || '').split('.').pop().toLowerCase();
+  const buffer = Buffer.from(await file.arrayBuffer());
+
+  switch (extension) {
+    case 'csv':
+      return rowsFromTable(parseCsv(buffer.toString('utf8')));
+    case 'xlsx':
+      return rowsFromTable(await parseXlsx(buffer));
+    default:
+      throw new Error('Invalid file type. Only CSV and XLSX files are allowed');
+  }
+}
+
+/**
+ * Parse CSV text into a 2D array (RFC 4180 quoting, CRLF/LF line endings)
+ * @param {String} text - CSV content
+ * @returns {Array<Array<String>>} Table of cells
+ */
+export function parseCsv(text) {
+  const table = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM added by Excel exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      table.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    table.push(row);
+  }
+
+  return table;
+}
+
+/**
+ * Read the first worksheet of an XLSX workbook into a 2D array
+ * @param {Buffer} buffer - Workbook contents
+ * @returns {Promise<Array<Array<Any>>>} Table of cell values
+ */
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const table = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    // row.values is 1-indexed
+    table[rowNumber - 1] = row.values.slice(1).map(normalizeXlsxCell);
+  });
+
+  return Array.from(table, row => row || []);
+}
+
+/**
+ * Flatten ExcelJS cell values (rich text, hyperlinks, formulas) to primitives
+ */
+function normalizeXlsxCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return value.result;
+    return '';
+  }
+  return value;
+}
+
+/**
+ * Convert a 2D table into row objects keyed by the (trimmed) header row
+ * Fully blank rows are skipped
+ */
+function rowsFromTable(table) {
+  if (table.length === 0) return [];
+
+  const headers = table[0].map(h => String(h ?? '').trim());
+  const rows = [];
+
+  for (let i = 1; i < table.length; i++) {
+    const cells = table[i];
+    const isBlank = cells.every(c => c === null || c === undefined || String(c).trim() === '');
+    if (isBlank) continue;
+
+    const row = { rowNumber: i + 1 };
+    headers.forEach((header, index) => {
+      if (!header) return;
+      const value = cells[index];
+      row[header] = typeof value === 'string' ? value.trim() : (value ?? '');
+    });
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Map a parsed row with arbitrary header spellings onto known fields
+ * Headers are compared lower-cased with spaces, underscores, dots and dashes removed.
+ * @param {Object} row - Parsed spreadsheet row
+ * @param {Object} columnAliases - Map of field -> accepted normalized header spellings
+ * @returns {Object} Values keyed by field ('' when the column is missing or blank)
+ */
+export function mapRowColumns(row, columnAliases) {
+  const lookup = {};
+  Object.keys(row).forEach(header => {
+    lookup[header.toLowerCase().replace(/[\s_.-]/g, '')] = row[header];
+  });
+
+  const mapped = {};
+  Object.entries(columnAliases).forEach(([field, aliases]) => {
+    const key = aliases.find(alias => lookup[alias] !== undefined && lookup[alias] !== '');
+    mapped[field] = key ? lookup[key] : '';
+  });
+
+  return mapped;
+}
+
+/**
+ * Parse a date cell: Date objects, ISO strings, DD/MM/YYYY or DD-MM-YYYY, Excel serials
+ * Unparseable values are passed through so Joi reports them
+ */
+export function parseDateCell(value) {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') {
+    // Excel serial date (days since 1899-12-30)
+    return new Date(Math.round((value - 25569) * 86400 * 1000));
+  }
+
+  const str = String(value || '').trim();
+  const dmy = str.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (dmy) {
+    const [, day, month, year] = dmy;
+    return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  }
+
+  return str;
+}
+
+/**
+ * Build CSV content from row objects
+ * @param {Array<String>} headers - Column headers, in order
+ * @param {Array<Object>} rows - Row objects keyed by header
+ * @returns {String} CSV content
+ */
+export function toCsv(headers, rows) {
+  const escape = (value) => {
+    let str = value === null || value === undefined ? '' : String(value);
+    // Keep spreadsheet apps from reading the cell as a formula
+    if (/^[=+\-@]/.test(str)) {
+      str = `'${str}`;
+    }
+    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+      return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+  };
+
+  let csvContent = headers.map(escape).join(',') + '\n';
+  rows.forEach(row => {
+    csvContent += headers.map(header => escape(row[header])).join(',') + '\n';
+  });
+
+  return csvContent;
+}
+
+export default {
+  parseSpreadsheet,
+  parseCsv,
+  mapRowColumns,
+  parseDateCell,
+  toCsv
+};
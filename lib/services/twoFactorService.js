@@ -0,0 +1,293 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP (RFC 6238: SHA-1, 6 digits, 30 second steps) second factor for admin
+ * accounts, with single-use recovery codes. Secrets are stored AES-256-GCM
+ * encrypted and recovery codes as SHA-256 hashes. Which roles must use 2FA is a
+ * super admin setting; other admins can opt in.
+ */
+
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { getSetting } from '../mongodb.data.service.js';
+
+export const TWO_FACTOR_POLICY_KEY = 'admin_two_factor_policy';
+
+export const DEFAULT_TWO_FACTOR_POLICY = {
+  requiredRoles: []
+};
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Employee Verification Portal';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const ALLOWED_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ==================== ENCODING ====================
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(encoded) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// ==================== SECRETS ====================
+
+function encryptionKey() {
+  const keyMaterial = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'dev-secret-key-change-in-production';
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+}
+
+/**
+ * Encrypt a base32 secret for storage
+ * @returns {String} iv:tag:ciphertext, base64 encoded
+ */
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a secret stored by encryptSecret
+ */
+export function decryptSecret(stored) {
+  const [iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Generate a new base32 TOTP secret (160 bits)
+ */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// ==================== TOTP ====================
+
+/**
+ * TOTP code for a time step
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Seconds since the epoch divided by STEP_SECONDS
+ * @returns {String} Zero-padded code
+ */
+export function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+}
+
+/**
+ * Check a TOTP code, allowing one step of clock drift either way
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code typed by the admin
+ * @param {Object} [options]
+ * @param {Number} [options.lastUsedStep] - Steps up to this one are refused (replay protection)
+ * @param {Date} [options.now]
+ * @returns {Number|null} Matching time step, or null
+ */
+export function verifyTotp(secret, code, { lastUsedStep, now = new Date() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== CODE_DIGITS) return null;
+
+  const currentStep = Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+  for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+    const step = currentStep + drift;
+    if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI authenticator apps read from the enrolment QR code
+ */
+export function getOtpauthUrl(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Enrolment details for a new secret: manual-entry key, URI and QR code image
+ * @param {String} secret - Base32 secret
+ * @param {String} accountName - Shown in the authenticator app (the admin's username)
+ * @returns {Promise<{ secret: String, otpauthUrl: String, qrCode: String }>} qrCode is a PNG data URL
+ */
+export async function buildEnrolment(secret, accountName) {
+  const otpauthUrl = getOtpauthUrl(secret, accountName);
+  const qrCode = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+  return { secret, otpauthUrl, qrCode };
+}
+
+// ==================== RECOVERY CODES ====================
+
+/**
+ * Hash a recovery code for storage or comparison
+ * Case, spaces and dashes are ignored so codes can be typed loosely.
+ */
+export function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {{ codes: Array<String>, hashes: Array<String> }} codes are shown once; hashes are stored
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// ==================== ADMIN CHECKS ====================
+
+/**
+ * Check an admin's second factor against their login challenge
+ * The factor is only spent once the returned condition and update are applied in
+ * one conditional update (consumeAdminSecondFactor), so two requests racing with
+ * the same code, recovery code or challenge cannot both succeed.
+ * @param {Object} admin - Admin record including twoFactor secrets
+ * @param {Object} input
+ * @param {String} [input.code] - TOTP code
+ * @param {String} [input.recoveryCode] - Recovery code
+ * @param {String} challengeNonce - Nonce of the challenge being answered
+ * @returns {{ valid: Boolean, method?: String, condition?: Object, update?: Object }}
+ */
+export function checkSecondFactor(admin, { code, recoveryCode }, challengeNonce) {
+  const twoFactor = admin.twoFactor || {};
+  if (!twoFactor.enabled || !twoFactor.secret) return { valid: false };
+
+  const challenge = { 'twoFactor.challengeNonce': challengeNonce };
+  const spendChallenge = { 'twoFactor.challengeNonce': null };
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!(twoFactor.recoveryCodes || []).includes(hash)) return { valid: false };
+    return {
+      valid: true,
+      method: 'recovery_code',
+      condition: { ...challenge, 'twoFactor.recoveryCodes': hash },
+      update: { $pull: { 'twoFactor.recoveryCodes': hash }, $set: spendChallenge }
+    };
+  }
+
+  const step = verifyTotp(decryptSecret(twoFactor.secret), code, { lastUsedStep: twoFactor.lastUsedStep });
+  if (step === null) return { valid: false };
+  return {
+    valid: true,
+    method: 'totp',
+    // $not also matches admins who have never used a code (no lastUsedStep)
+    condition: { ...challenge, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+    update: { $set: { ...spendChallenge, 'twoFactor.lastUsedStep': step } }
+  };
+}
+
+/**
+ * Admin fields that turn 2FA off and discard the secret and recovery codes
+ */
+export function buildTwoFactorResetUpdate() {
+  return {
+    'twoFactor.enabled': false,
+    'twoFactor.secret': null,
+    'twoFactor.pendingSecret': null,
+    'twoFactor.recoveryCodes': [],
+    'twoFactor.enabledAt': null,
+    'twoFactor.lastUsedStep': null,
+    'twoFactor.challengeNonce': null
+  };
+}
+
+/**
+ * Get the two-factor policy in force
+ * @returns {Promise<Object>} Saved policy merged over DEFAULT_TWO_FACTOR_POLICY
+ */
+export async function getTwoFactorPolicy() {
+  const setting = await getSetting(TWO_FACTOR_POLICY_KEY);
+  return { ...DEFAULT_TWO_FACTOR_POLICY, ...(setting?.value || {}) };
+}
+
+/**
+ * Whether the policy requires 2FA for an admin's role
+ */
+export function isTwoFactorRequired(admin, policy) {
+  return policy.requiredRoles.includes(admin.role);
+}
+
+/**
+ * Public two-factor state of an admin, for API responses
+ */
+export function getTwoFactorStatus(admin, policy) {
+  return {
+    enabled: !!admin.twoFactor?.enabled,
+    enabledAt: admin.twoFactor?.enabledAt || null,
+    recoveryCodesRemaining: admin.twoFactor?.recoveryCodes?.length || 0,
+    required: isTwoFactorRequired(admin, policy)
+  };
+}
+
+export default {
+  TWO_FACTOR_POLICY_KEY,
+  DEFAULT_TWO_FACTOR_POLICY,
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  getOtpauthUrl,
+  buildEnrolment,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  checkSecondFactor,
+  buildTwoFactorResetUpdate,
+  getTwoFactorPolicy,
+  isTwoFactorRequired,
+  getTwoFactorStatus
+};
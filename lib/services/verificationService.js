@@ -0,0 +1,153 @@
+/**
+ * Verification Service
+ * Compares submitted candidate details against the employee record and persists the result
+ */
+
+import { compareEmployeeData, summarizeComparison, DEFAULT_COMPARISON_POLICY } from './comparisonService.js';
+import {
+  addVerificationRecord,
+  amendVerificationRecord,
+  generateSequentialId,
+  getActiveComparisonPolicy,
+  findComparisonPolicyByVersion,
+  getFieldAliases
+} from '../mongodb.data.service.js';
+import { getEntityDirectory } from './entityService.js';
+import VerificationRecord from '../models/VerificationRecord.js';
+
+/**
+ * Run the comparison for one candidate under the active comparison policy and
+ * the entity's synonym dictionary, then store a VerificationRecord
+ * @param {Object} params
+ * @param {String} params.verifierId - ID of the verifier submitting the request
+ * @param {Object} params.verificationData - Validated candidate data (incl. consentGiven)
+ * @param {Object} params.employee - Employee record from the database
+ * @param {String} [params.batchId] - Bulk batch the record belongs to, if any
+ * @returns {Promise<Object>} { verificationRecord, comparisonResults }
+ */
+export async function createVerificationRecord({ verifierId, verificationData, employee, batchId = null }) {
+  const [activePolicy, aliases, entities] = await Promise.all([
+    getActiveComparisonPolicy(),
+    getFieldAliases({ entityName: employee.entityName }),
+    getEntityDirectory()
+  ]);
+  const comparisonResults = compareEmployeeData(
+    verificationData,
+    employee,
+    activePolicy || DEFAULT_COMPARISON_POLICY,
+    { aliases, entities }
+  );
+
+  const verificationId = await generateSequentialId('VER', VerificationRecord);
+
+  const verificationRecord = await addVerificationRecord({
+    verificationId,
+    verifierId,
+    employeeId: employee.employeeId,
+    entityName: employee.entityName,
+    submittedData: verificationData,
+    comparisonResults: comparisonResults.comparisonResults,
+    overallStatus: comparisonResults.overallStatus,
+    matchScore: comparisonResults.matchScore,
+    consentGiven: verificationData.consentGiven,
+    policyVersion: comparisonResults.policyVersion,
+    ...(batchId && { batchId }),
+    verificationCompletedAt: new Date()
+  });
+
+  return { verificationRecord, comparisonResults };
+}
+
+/**
+ * Snapshot of the fields an amendment entry preserves
+ */
+function previousState(verificationRecord) {
+  return {
+    previousRecordStatus: verificationRecord.recordStatus || 'completed',
+    previousOverallStatus: verificationRecord.overallStatus,
+    previousMatchScore: verificationRecord.matchScore,
+    previousComparisonResults: verificationRecord.comparisonResults
+  };
+}
+
+/**
+ * Amend a verification record after HR accepts the verifier's values
+ * The listed fields are marked as matched ('amended') and the record is re-scored
+ * with the thresholds of the policy version it was originally scored with.
+ * @param {Object} params
+ * @param {Object} params.verificationRecord - Current record
+ * @param {Array<String>} params.fields - Fields HR accepted
+ * @param {String} params.reason - Why the record changed (HR response)
+ * @param {String} params.changedBy - Admin ID
+ * @param {String} [params.appealId] - Appeal that triggered the amendment
+ * @param {Boolean} [params.hasPendingAppeals] - Keep the record under appeal if other appeals are open
+ * @returns {Promise<Object>} Updated record
+ */
+export async function amendVerificationFromAppeal({
+  verificationRecord,
+  fields,
+  reason,
+  changedBy,
+  appealId = null,
+  hasPendingAppeals = false
+}) {
+  const amendedFields = [];
+  const comparisonResults = verificationRecord.comparisonResults.map(result => {
+    if (result.isMatch || !fields.includes(result.field)) return result;
+    amendedFields.push(result.field);
+    return { ...result, isMatch: true, matchType: 'amended' };
+  });
+
+  const policy = verificationRecord.policyVersion
+    ? await findComparisonPolicyByVersion(verificationRecord.policyVersion)
+    : null;
+  const { overallStatus, matchScore } = summarizeComparison(
+    comparisonResults,
+    (policy || DEFAULT_COMPARISON_POLICY).thresholds
+  );
+
+  return amendVerificationRecord(
+    verificationRecord.verificationId,
+    {
+      comparisonResults,
+      overallStatus,
+      matchScore,
+      recordStatus: hasPendingAppeals ? 'under_appeal' : 'amended'
+    },
+    {
+      action: 'amend',
+      ...previousState(verificationRecord),
+      amendedFields,
+      reason,
+      appealId,
+      changedBy
+    }
+  );
+}
+
+/**
+ * Revoke a verification record; it can no longer be relied on or reported
+ * @param {Object} params
+ * @param {Object} params.verificationRecord - Current record
+ * @param {String} params.reason - Why the record was revoked
+ * @param {String} params.changedBy - Admin ID
+ * @returns {Promise<Object>} Updated record
+ */
+export async function revokeVerificationRecord({ verificationRecord, reason, changedBy }) {
+  return amendVerificationRecord(
+    verificationRecord.verificationId,
+    { recordStatus: 'revoked' },
+    {
+      action: 'revoke',
+      ...previousState(verificationRecord),
+      reason,
+      changedBy
+    }
+  );
+}
+
+export default {
+  createVerificationRecord,
+  amendVerificationFromAppeal,
+  revokeVerificationRecord
+};
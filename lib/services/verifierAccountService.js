@@ -0,0 +1,93 @@
+/**
+ * Verifier Account Service
+ * Registration approval and suspension rules shared by the login routes,
+ * the verifier route guard and the admin verifier directory.
+ */
+
+// Admin actions on a verifier account and the state each one leads to
+export const VERIFIER_STATUS_ACTIONS = {
+  approve: { from: ['pending', 'rejected'], update: { approvalStatus: 'approved', isActive: true }, history: 'approved' },
+  reject: { from: ['pending'], update: { approvalStatus: 'rejected', isActive: false }, history: 'rejected', reasonRequired: true },
+  suspend: { from: ['active'], update: { isActive: false }, history: 'suspended', reasonRequired: true },
+  reactivate: { from: ['suspended'], update: { isActive: true }, history: 'reactivated' }
+};
+
+/**
+ * Whether new registrations wait for HR approval before first login
+ * Controlled by REQUIRE_VERIFIER_APPROVAL=true
+ * @returns {Boolean}
+ */
+export function isApprovalRequired() {
+  return process.env.REQUIRE_VERIFIER_APPROVAL === 'true';
+}
+
+/**
+ * Directory status of a verifier account
+ * Accounts created before approvals existed have no approvalStatus and count as approved.
+ * @param {Object} verifier - Verifier record
+ * @returns {String} pending | rejected | active | suspended
+ */
+export function getVerifierStatus(verifier) {
+  if (verifier.approvalStatus === 'pending' || verifier.approvalStatus === 'rejected') {
+    return verifier.approvalStatus;
+  }
+  return verifier.isActive ? 'active' : 'suspended';
+}
+
+/**
+ * Check whether a verifier may log in or use the portal
+ * @param {Object} verifier - Verifier record
+ * @returns {{ status: Number, message: String }|null} Error to return, or null if access is allowed
+ */
+export function getVerifierAccessError(verifier) {
+  switch (getVerifierStatus(verifier)) {
+    case 'pending':
+      return { status: 403, message: 'Your registration is awaiting approval by our HR team. You will be notified by email once it is approved.' };
+    case 'rejected':
+      return { status: 403, message: 'Your registration was not approved. Please contact support.' };
+    case 'suspended':
+      return { status: 403, message: 'Your account has been suspended. Please contact support.' };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the update for an admin status action
+ * @param {Object} verifier - Current verifier record
+ * @param {String} action - approve | reject | suspend | reactivate
+ * @param {Object} params
+ * @param {String} [params.reason] - Reason shown to HR (required for reject and suspend)
+ * @param {String} params.changedBy - Admin username
+ * @returns {{ update?: Object, error?: String }}
+ */
+export function buildStatusUpdate(verifier, action, { reason, changedBy }) {
+  const rule = VERIFIER_STATUS_ACTIONS[action];
+  const currentStatus = getVerifierStatus(verifier);
+
+  if (!rule.from.includes(currentStatus)) {
+    return { error: `Cannot ${action} a verifier that is ${currentStatus}` };
+  }
+  if (rule.reasonRequired && !reason) {
+    return { error: `A reason is required to ${action} a verifier` };
+  }
+
+  return {
+    update: {
+      ...rule.update,
+      statusReason: reason || null,
+      statusHistory: [
+        ...(verifier.statusHistory || []),
+        { action: rule.history, reason, changedBy, changedAt: new Date() }
+      ]
+    }
+  };
+}
+
+export default {
+  VERIFIER_STATUS_ACTIONS,
+  isApprovalRequired,
+  getVerifierStatus,
+  getVerifierAccessError,
+  buildStatusUpdate
+};
@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { PERMISSION_KEYS } from './permissions.js';
 
 // Personal email domains to block
 const PERSONAL_EMAIL_DOMAINS = [
@@ -150,6 +151,76 @@ export const schemas = {
         'string.min': 'HR response must be at least 2 characters',
         'string.max': 'HR response cannot exceed 2000 characters',
         'any.required': 'Please provide HR response'
+      }),
+    // On approval, mark the appealed fields as matched on the verification record
+    amendRecord: Joi.boolean().default(true),
+    amendedFields: Joi.array().items(Joi.string().valid(
+      'employeeId', 'name', 'entityName', 'dateOfJoining', 'dateOfLeaving', 'designation', 'exitReason'
+    )).min(1).optional()
+  }),
+
+  // Verification record revocation (admin)
+  verificationRevoke: Joi.object({
+    reason: Joi.string().trim().min(5).max(1000).required()
+      .messages({
+        'string.empty': 'Reason is required',
+        'string.min': 'Reason must be at least 5 characters',
+        'any.required': 'Please provide a reason for revoking this verification'
+      })
+  }),
+
+  // Employee creation (admin)
+  employeeCreate: Joi.object({
+    employeeId: Joi.string().trim().uppercase().max(50).required()
+      .messages({
+        'string.empty': 'Employee ID is required',
+        'any.required': 'Employee ID is required'
+      }),
+    name: Joi.string().trim().min(2).max(100).required()
+      .messages({
+        'string.empty': 'Employee name is required',
+        'string.min': 'Name must be at least 2 characters',
+        'any.required': 'Employee name is required'
+      }),
+    email: Joi.string().email().required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      }),
+    // Entity code; checked against the entity directory by the caller
+    entityName: Joi.string().trim().uppercase().max(50).required()
+      .messages({
+        'string.empty': 'Entity name is required',
+        'any.required': 'Entity name is required'
+      }),
+    dateOfJoining: Joi.date().required()
+      .messages({
+        'any.required': 'Date of joining is required'
+      }),
+    dateOfLeaving: Joi.date().greater(Joi.ref('dateOfJoining')).required()
+      .messages({
+        'date.greater': 'Date of leaving must be after date of joining',
+        'any.required': 'Date of leaving is required'
+      }),
+    designation: Joi.string().trim().min(1).max(100).required()
+      .messages({
+        'string.empty': 'Designation is required',
+        'any.required': 'Designation is required'
+      }),
+    exitReason: Joi.string().trim().min(1).max(100).required()
+      .messages({
+        'string.empty': 'Exit reason is required',
+        'any.required': 'Exit reason is required'
+      }),
+    fnfStatus: Joi.string().valid('Completed', 'Pending').required()
+      .messages({
+        'any.only': 'F&F status must be Completed or Pending',
+        'any.required': 'F&F status is required'
+      }),
+    department: Joi.string().trim().min(1).max(100).required()
+      .messages({
+        'string.empty': 'Department is required',
+        'any.required': 'Department is required'
       })
   }),
 
@@ -157,15 +228,321 @@ export const schemas = {
   employeeUpdate: Joi.object({
     name: Joi.string().trim().min(2).max(100).optional(),
     email: Joi.string().email().optional(),
-    entityName: Joi.string().valid('TVSCSHIB', 'HIB').optional(),
+    entityName: Joi.string().trim().uppercase().max(50).optional(),
     dateOfJoining: Joi.date().optional(),
     dateOfLeaving: Joi.date().optional(),
-    designation: Joi.string().valid('Executive', 'Assistant Manager', 'Manager').optional(),
-    exitReason: Joi.string().valid('Resigned', 'Terminated', 'Retired', 'Absconding', 'Contract Completed', '其他').optional(),
+    designation: Joi.string().trim().min(1).max(100).optional(),
+    exitReason: Joi.string().trim().min(1).max(100).optional(),
     fnfStatus: Joi.string().valid('Completed', 'Pending').optional(),
-    department: Joi.string().trim().optional()
+    department: Joi.string().trim().min(1).max(100).optional()
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update'
+  }),
+
+  // Group entity (admin)
+  entity: Joi.object({
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).max(50).required()
+      .messages({
+        'string.empty': 'Entity code is required',
+        'string.pattern.base': 'Entity code may only contain letters, numbers, dashes and underscores',
+        'any.required': 'Entity code is required'
+      }),
+    legalName: Joi.string().trim().min(2).max(200).required()
+      .messages({
+        'string.empty': 'Legal name is required',
+        'any.required': 'Legal name is required'
+      }),
+    shortName: Joi.string().trim().min(1).max(50).required()
+      .messages({
+        'string.empty': 'Short name is required',
+        'any.required': 'Short name is required'
+      }),
+    branding: Joi.object({
+      letterheadTitle: Joi.string().trim().max(200).allow(''),
+      letterheadSubtitle: Joi.string().trim().max(300).allow(''),
+      primaryColor: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).default('#007A3D')
+        .messages({
+          'string.pattern.base': 'Primary color must be a hex color like #007A3D'
+        }),
+      logoUrl: Joi.string().uri().allow('')
+    }).default({}),
+    exitTeam: Joi.object({
+      name: Joi.string().trim().max(100).allow(''),
+      email: Joi.string().email().allow(''),
+      phone: Joi.string().trim().max(30).allow('')
+    }).default({}),
+    isActive: Joi.boolean().default(true)
+  }),
+
+  // Synonym dictionary entry (admin)
+  fieldAlias: Joi.object({
+    field: Joi.string().valid('designation', 'exitReason').required()
+      .messages({
+        'any.only': 'Field must be either designation or exitReason',
+        'any.required': 'Field is required'
+      }),
+    entityName: Joi.string().trim().max(100).allow(null, '').default(null),
+    canonicalValue: Joi.string().trim().min(1).max(100).required()
+      .messages({
+        'string.empty': 'Canonical value is required',
+        'any.required': 'Canonical value is required'
+      }),
+    aliases: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).required()
+      .messages({
+        'array.min': 'At least one alias is required',
+        'any.required': 'At least one alias is required'
+      })
+  }),
+
+  // Comparison policy (admin)
+  comparisonPolicy: Joi.object({
+    fields: Joi.array().items(Joi.object({
+      field: Joi.string().valid(
+        'employeeId', 'name', 'entityName', 'dateOfJoining', 'dateOfLeaving', 'designation', 'exitReason'
+      ).required(),
+      enabled: Joi.boolean().default(true),
+      weight: Joi.number().min(0).max(100).default(1),
+      toleranceDays: Joi.number().integer().min(0).max(365).default(0),
+      matchThreshold: Joi.number().min(0).max(1).optional(),
+      partialThreshold: Joi.number().min(0).max(1).optional(),
+      mandatory: Joi.boolean().default(false)
+    }).and('matchThreshold', 'partialThreshold')).min(1).unique('field').required()
+      .messages({
+        'array.min': 'At least one field rule is required',
+        'array.unique': 'Each field can only appear once'
+      }),
+    thresholds: Joi.object({
+      matched: Joi.number().min(0).max(100).required(),
+      partialMatch: Joi.number().min(0).max(Joi.ref('matched')).required()
+        .messages({
+          'number.max': 'Partial match threshold cannot exceed the matched threshold'
+        })
+    }).required(),
+    notes: Joi.string().trim().max(500).allow('').optional()
+  }).custom((value, helpers) => {
+    const enabled = value.fields.filter(rule => rule.enabled);
+    if (enabled.length === 0 || enabled.every(rule => rule.weight === 0)) {
+      return helpers.error('policy.weights');
+    }
+    if (value.fields.some(rule => rule.partialThreshold > rule.matchThreshold)) {
+      return helpers.error('policy.nameThresholds');
+    }
+    return value;
+  }, 'Comparison Policy Validator').messages({
+    'policy.weights': 'At least one enabled field must have a weight greater than zero',
+    'policy.nameThresholds': 'Name partial threshold cannot exceed the name match threshold'
+  }),
+
+  // Verification attempt policy (admin)
+  attemptPolicy: Joi.object({
+    // Failures are counted from VerificationAttempt history, which keeps the last 20
+    maxAttempts: Joi.number().integer().min(1).max(20).required()
+      .messages({
+        'number.max': 'Max attempts cannot exceed 20',
+        'any.required': 'Max attempts is required'
+      }),
+    blockDurationHours: Joi.number().integer().min(0).max(24 * 90).required(),
+    failureWindowHours: Joi.number().integer().min(0).max(24 * 90).required(),
+    quietPeriodHours: Joi.number().integer().min(0).max(24 * 90).required(),
+    contactEmail: Joi.string().trim().lowercase().email().allow('').default('')
+      .messages({
+        'string.email': 'Contact email must be a valid email address'
+      }),
+    enumeration: Joi.object({
+      enabled: Joi.boolean().required(),
+      windowMinutes: Joi.number().integer().min(5).max(24 * 60).required(),
+      maxDistinctFailures: Joi.number().integer().min(2).max(1000).required(),
+      maxFailureRate: Joi.number().min(0.1).max(1).required(),
+      minLookups: Joi.number().integer().min(2).max(1000).required(),
+      burstMinutes: Joi.number().integer().min(1).max(60).required(),
+      burstMaxFailures: Joi.number().integer().min(2).max(1000).required(),
+      sequentialRunLength: Joi.number().integer().min(2).max(100).required(),
+      action: Joi.string().valid('flag', 'throttle', 'suspend').required()
+        .messages({
+          'any.only': 'Action must be flag, throttle or suspend'
+        }),
+      throttleMinutes: Joi.number().integer().min(1).max(24 * 60 * 7).required()
+    }).optional()
+  }),
+
+  // Admin invitation (admin)
+  adminCreate: Joi.object({
+    username: Joi.string().trim().lowercase().pattern(/^[a-z0-9._-]+$/).min(3).max(50).required()
+      .messages({
+        'string.empty': 'Username is required',
+        'string.pattern.base': 'Username may only contain letters, numbers, dots, dashes and underscores',
+        'string.min': 'Username must be at least 3 characters',
+        'any.required': 'Username is required'
+      }),
+    email: Joi.string().email().required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      }),
+    fullName: Joi.string().trim().min(2).max(100).required()
+      .messages({
+        'string.empty': 'Full name is required',
+        'any.required': 'Full name is required'
+      }),
+    role: Joi.string().valid('super_admin', 'hr_manager', 'hr_staff').required()
+      .messages({
+        'any.only': 'Role must be super_admin, hr_manager or hr_staff',
+        'any.required': 'Role is required'
+      }),
+    department: Joi.string().trim().min(1).max(100).required()
+      .messages({
+        'string.empty': 'Department is required',
+        'any.required': 'Department is required'
+      }),
+    entities: Joi.array().items(Joi.string().trim().uppercase().max(50)).unique().default([]),
+    permissions: Joi.array().items(Joi.string().valid(...PERMISSION_KEYS)).unique().default([]),
+    revokedPermissions: Joi.array().items(Joi.string().valid(...PERMISSION_KEYS)).unique().default([])
+  }),
+
+  // Admin account management (admin)
+  adminUpdate: Joi.object({
+    fullName: Joi.string().trim().min(2).max(100).optional(),
+    role: Joi.string().valid('super_admin', 'hr_manager', 'hr_staff').optional()
+      .messages({
+        'any.only': 'Role must be super_admin, hr_manager or hr_staff'
+      }),
+    department: Joi.string().trim().min(1).max(100).optional(),
+    entities: Joi.array().items(Joi.string().trim().uppercase().max(50)).unique().optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  }),
+
+  // Verifier approval / suspension (admin)
+  verifierStatusAction: Joi.object({
+    action: Joi.string().valid('approve', 'reject', 'suspend', 'reactivate').required()
+      .messages({
+        'any.only': 'Action must be approve, reject, suspend or reactivate',
+        'any.required': 'Action is required'
+      }),
+    reason: Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  // Unblock request for a blocked employee lookup (verifier)
+  unblockRequest: Joi.object({
+    employeeId: Joi.string().trim().uppercase().max(50).required()
+      .messages({
+        'any.required': 'Employee ID is required'
+      }),
+    justification: Joi.string().trim().min(20).max(1000).required()
+      .messages({
+        'string.empty': 'Justification is required',
+        'string.min': 'Justification must be at least 20 characters',
+        'string.max': 'Justification cannot exceed 1000 characters',
+        'any.required': 'Please explain why the lookup should be unblocked'
+      })
+  }),
+
+  // Security alert review (admin)
+  securityAlertUpdate: Joi.object({
+    status: Joi.string().valid('acknowledged', 'resolved').required()
+      .messages({
+        'any.only': 'Status must be acknowledged or resolved',
+        'any.required': 'Status is required'
+      }),
+    note: Joi.string().trim().max(1000).allow('').optional(),
+    // Lift an automatic lookup throttle on the verifier
+    liftThrottle: Joi.boolean().default(false)
+  }),
+
+  // Unblock request decision (admin)
+  unblockDecision: Joi.object({
+    decision: Joi.string().valid('approve', 'deny').required()
+      .messages({
+        'any.only': 'Decision must be approve or deny',
+        'any.required': 'Decision is required'
+      }),
+    note: Joi.string().trim().max(1000).allow('').optional()
+  }),
+
+  // Admin password change
+  adminPasswordChange: Joi.object({
+    currentPassword: Joi.string().required()
+      .messages({
+        'any.required': 'Current password is required'
+      }),
+    newPassword: Joi.string().min(10).max(128).invalid(Joi.ref('currentPassword')).required()
+      .messages({
+        'string.min': 'New password must be at least 10 characters',
+        'string.max': 'Password cannot exceed 128 characters',
+        'any.invalid': 'New password must be different from the current password',
+        'any.required': 'New password is required'
+      })
+  }),
+
+  // Second login step for admins with 2FA: an authenticator code or a recovery code
+  adminTwoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required()
+      .messages({
+        'any.required': 'Login challenge is missing. Please log in again.'
+      }),
+    code: Joi.string().trim().pattern(/^\d{6}$/)
+      .messages({
+        'string.pattern.base': 'Enter the 6-digit code from your authenticator app'
+      }),
+    recoveryCode: Joi.string().trim().max(20)
+  }).xor('code', 'recoveryCode')
+    .messages({
+      'object.missing': 'Enter an authenticator code or a recovery code',
+      'object.xor': 'Enter either an authenticator code or a recovery code, not both'
+    }),
+
+  // Authenticator code confirming a 2FA change (enable, new recovery codes)
+  twoFactorCode: Joi.object({
+    code: Joi.string().trim().pattern(/^\d{6}$/).required()
+      .messages({
+        'string.pattern.base': 'Enter the 6-digit code from your authenticator app',
+        'any.required': 'Authenticator code is required'
+      })
+  }),
+
+  // Turning 2FA off needs the password and a current code
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required()
+      .messages({
+        'any.required': 'Password is required'
+      }),
+    code: Joi.string().trim().pattern(/^\d{6}$/).required()
+      .messages({
+        'string.pattern.base': 'Enter the 6-digit code from your authenticator app',
+        'any.required': 'Authenticator code is required'
+      })
+  }),
+
+  // Roles that must use 2FA (super admin)
+  twoFactorPolicy: Joi.object({
+    requiredRoles: Joi.array().items(Joi.string().valid('super_admin', 'hr_manager', 'hr_staff')).unique().required()
+      .messages({
+        'any.only': 'Unknown role {#value}',
+        'any.required': 'Required roles are required'
+      })
+  }),
+
+  // Refresh token exchange; browsers in cookie mode send the refresh token cookie instead
+  sessionRefresh: Joi.object({
+    refreshToken: Joi.string().trim().max(200).optional()
+  }),
+
+  // Logout: the refresh token identifies the session even when the access token has expired
+  sessionLogout: Joi.object({
+    refreshToken: Joi.string().trim().max(200).optional()
+  }),
+
+  // Per-admin permission overrides (admin)
+  adminPermissions: Joi.object({
+    permissions: Joi.array().items(Joi.string().valid(...PERMISSION_KEYS)).unique().default([])
+      .messages({
+        'any.only': 'Unknown permission {#value}'
+      }),
+    revokedPermissions: Joi.array().items(Joi.string().valid(...PERMISSION_KEYS)).unique().default([])
+      .messages({
+        'any.only': 'Unknown permission {#value}'
+      })
   })
 };
 
@@ -0,0 +1,82 @@
+/**
+ * Script to copy the employee's entity onto verification records and appeals
+ * created before entity-scoped admin views. Records without an entityName are
+ * only visible to super admins until this has been run.
+ *
+ * Usage: node scripts/backfill-entity-names.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config({ path: '.env.local' });
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+    console.error('❌ MONGODB_URI is not set in .env.local');
+    process.exit(1);
+}
+
+const EmployeeSchema = new mongoose.Schema({
+    employeeId: String,
+    entityName: String,
+}, { strict: false, collection: 'employees' });
+
+const VerificationRecordSchema = new mongoose.Schema({
+    verificationId: String,
+    employeeId: String,
+    entityName: String,
+}, { strict: false, collection: 'verification_records' });
+
+const AppealSchema = new mongoose.Schema({
+    appealId: String,
+    employeeId: String,
+    entityName: String,
+}, { strict: false, collection: 'appeals' });
+
+const Employee = mongoose.model('Employee', EmployeeSchema);
+const VerificationRecord = mongoose.model('VerificationRecord', VerificationRecordSchema);
+const Appeal = mongoose.model('Appeal', AppealSchema);
+
+async function backfill(Model, label, entityByEmployee) {
+    const missing = await Model.find({ $or: [{ entityName: { $exists: false } }, { entityName: null }] })
+        .select('employeeId')
+        .lean();
+
+    let updated = 0;
+    let unresolved = 0;
+    for (const doc of missing) {
+        const entityName = entityByEmployee.get(doc.employeeId);
+        if (!entityName) {
+            unresolved++;
+            continue;
+        }
+        await Model.updateOne({ _id: doc._id }, { $set: { entityName } });
+        updated++;
+    }
+
+    console.log(`✅ ${label}: ${updated} updated, ${unresolved} without a matching employee`);
+}
+
+async function backfillEntityNames() {
+    try {
+        await mongoose.connect(MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const employees = await Employee.find({}).select('employeeId entityName').lean();
+        const entityByEmployee = new Map(employees.map(employee => [employee.employeeId, employee.entityName]));
+
+        await backfill(VerificationRecord, 'Verification records', entityByEmployee);
+        await backfill(Appeal, 'Appeals', entityByEmployee);
+
+    } catch (error) {
+        console.error('❌ Backfill failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+backfillEntityNames();
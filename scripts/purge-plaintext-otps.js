@@ -0,0 +1,46 @@
+/**
+ * Script to delete login codes stored in plain text before codes were hashed.
+ * storeOTP unsets the old `otp` field whenever a new code is requested, but rows
+ * for emails that never asked again keep it until they expire. Those codes can no
+ * longer be used, so they are deleted rather than migrated.
+ *
+ * Usage: node scripts/purge-plaintext-otps.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config({ path: '.env.local' });
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+if (!MONGODB_URI) {
+    console.error('❌ MONGODB_URI is not set in .env.local');
+    process.exit(1);
+}
+
+const OtpSchema = new mongoose.Schema({
+    email: String,
+    otp: String,
+}, { strict: false, collection: 'otps' });
+
+const Otp = mongoose.model('Otp', OtpSchema);
+
+async function purgePlaintextOtps() {
+    try {
+        await mongoose.connect(MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const { deletedCount } = await Otp.deleteMany({ otp: { $exists: true } });
+        console.log(`✅ Deleted ${deletedCount} plain-text login codes`);
+
+    } catch (error) {
+        console.error('❌ Purge failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+purgePlaintextOtps();
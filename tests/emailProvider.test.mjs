@@ -0,0 +1,76 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// EMAIL_PROVIDER is read when emailProvider.js loads. The unusable connection
+// string makes EmailLog writes fail at once (they are logged and skipped).
+process.env.EMAIL_PROVIDER = 'primary,nonexistent,backup,memory';
+process.env.MONGODB_URI = 'no-database-in-tests';
+
+const { sendEmail, registerEmailProvider, getEmailProviderNames } = await import('../lib/services/emailProvider.js');
+const { getSentEmails, clearSentEmails } = await import('../lib/services/emailSinkService.js');
+
+const calls = [];
+const failing = new Set();
+
+function testProvider(name) {
+  return async (to) => {
+    calls.push(name);
+    if (failing.has(name)) throw new Error(`${name} is down`);
+    return { messageId: `${name}-${to}`, provider: name };
+  };
+}
+
+registerEmailProvider('primary', testProvider('primary'));
+registerEmailProvider('backup', testProvider('backup'));
+
+beforeEach(() => {
+  calls.length = 0;
+  failing.clear();
+  clearSentEmails();
+});
+
+test('registered providers can be selected', () => {
+  assert.ok(getEmailProviderNames().includes('primary'));
+  assert.ok(getEmailProviderNames().includes('memory'));
+});
+
+test('the first provider in the chain sends when it works', async () => {
+  const result = await sendEmail('hr@acme.test', 'Subject', '<p>Body</p>');
+
+  assert.deepEqual(calls, ['primary']);
+  assert.equal(result.provider, 'primary');
+  assert.equal(result.fallback, undefined);
+});
+
+test('a failed provider falls back to the next one, skipping unknown names', async () => {
+  failing.add('primary');
+  const result = await sendEmail('hr@acme.test', 'Subject', '<p>Body</p>');
+
+  assert.deepEqual(calls, ['primary', 'backup']);
+  assert.equal(result.provider, 'backup');
+  assert.equal(result.fallback, true);
+});
+
+test('the memory sink keeps what reaches it', async () => {
+  failing.add('primary');
+  failing.add('backup');
+  const result = await sendEmail('HR@acme.test', 'Your code', '<p>123456</p>', '123456');
+
+  assert.deepEqual(calls, ['primary', 'backup']);
+  assert.equal(result.provider, 'memory');
+
+  const [email] = getSentEmails('hr@acme.test');
+  assert.equal(email.subject, 'Your code');
+  assert.equal(email.text, '123456');
+  assert.equal(getSentEmails('someone@else.test').length, 0);
+});
+
+test('sending fails with the last error when every provider fails', async () => {
+  failing.add('primary');
+  failing.add('backup');
+  failing.add('memory');
+  registerEmailProvider('memory', testProvider('memory'));
+
+  await assert.rejects(sendEmail('hr@acme.test', 'Subject', '<p>Body</p>'), /memory is down/);
+  assert.deepEqual(calls, ['primary', 'backup', 'memory']);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareNames } from '../lib/services/nameMatcher.js';
+import { isPlausibleNameMatch, DEFAULT_COMPARISON_POLICY } from '../lib/services/comparisonService.js';
+
+const nameRule = DEFAULT_COMPARISON_POLICY.fields.find(f => f.field === 'name');
+
+test('same person written differently still matches', () => {
+  assert.equal(compareNames('Ramesh Kumar', 'Ramesh Kumar').reason, 'exact');
+  assert.equal(compareNames('Kumar Ramesh', 'Ramesh Kumar').reason, 'reordered');
+  assert.equal(compareNames('Mr. R. Kumar', 'Ramesh Kumar').reason, 'initials_match');
+  assert.equal(compareNames('Mohammad Iqbal', 'Mohammed Iqbal').reason, 'phonetic');
+  assert.equal(compareNames('Deepa Sharma', 'Dipa Sarma').reason, 'phonetic');
+  assert.equal(compareNames('Anoop Saxena', 'Anup Saksena').reason, 'phonetic');
+  assert.equal(compareNames('Aarti Singh', 'Arti Singh').reason, 'phonetic');
+
+  for (const [a, b] of [['Kumar Ramesh', 'Ramesh Kumar'], ['R. Kumar', 'Ramesh Kumar'], ['Mohammad Iqbal', 'Mohammed Iqbal']]) {
+    assert.ok(compareNames(a, b).similarity >= nameRule.matchThreshold, `${a} / ${b}`);
+  }
+});
+
+test('a typo in the surname is a partial match, not a full one', () => {
+  for (const [a, b] of [['Ramesh Kulkarmi', 'Ramesh Kulkarni'], ['Kulkarmi Ramesh', 'Ramesh Kulkarni']]) {
+    const { similarity, reason } = compareNames(a, b);
+    assert.equal(reason, 'fuzzy', `${a} / ${b}`);
+    assert.ok(similarity < nameRule.matchThreshold && similarity >= nameRule.partialThreshold, `${a} / ${b}`);
+    assert.ok(isPlausibleNameMatch(a, b));
+  }
+});
+
+test('near-miss names of different people are mismatches', () => {
+  const nearMisses = [
+    ['Rajesh Kumar', 'Ramesh Kumar'],
+    ['Amit', 'Amita'],
+    ['Suresh Kumar', 'Ramesh Kumar'],
+    ['Priya Sharma', 'Priya Verma'],
+    ['Amit Shah', 'Amita Shah'],
+    ['R. K.', 'Ramesh Kumar'],
+    ['Sunil Kumar', 'Sonal Kumar'],
+    ['Karan Shah', 'Kiran Shah'],
+    ['Rohan', 'Rehan'],
+    ['Sumit', 'Samit']
+  ];
+
+  for (const [a, b] of nearMisses) {
+    const { similarity, reason } = compareNames(a, b);
+    assert.equal(reason, 'mismatch', `${a} / ${b}`);
+    assert.ok(similarity < nameRule.partialThreshold, `${a} / ${b}`);
+    assert.equal(isPlausibleNameMatch(a, b), false, `${a} / ${b}`);
+  }
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The data layer refuses to load without a connection string; these tests never connect
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:27017/test';
+const { getClientIp } = await import('../lib/services/rateLimitService.js');
+
+const request = (headers) => ({ headers: new Headers(headers) });
+
+test('uses the hop appended by the trusted proxy', () => {
+  assert.equal(getClientIp(request({ 'x-forwarded-for': '198.51.100.9' })), '198.51.100.9');
+  assert.equal(getClientIp(request({ 'x-forwarded-for': '10.0.0.1, 198.51.100.9' })), '198.51.100.9');
+});
+
+test('ignores addresses the client put in X-Forwarded-For', () => {
+  const spoofed = request({ 'x-forwarded-for': '203.0.113.1, 203.0.113.2, 198.51.100.9' });
+  assert.equal(getClientIp(spoofed), '198.51.100.9');
+});
+
+test('falls back to X-Real-IP', () => {
+  assert.equal(getClientIp(request({ 'x-real-ip': '198.51.100.9' })), '198.51.100.9');
+  assert.equal(getClientIp(request({})), 'unknown');
+});